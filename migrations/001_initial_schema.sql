@@ -0,0 +1,170 @@
+-- Baseline schema. Every table is created only if it does not exist yet, so this
+-- also applies cleanly to databases that were set up by hand from config/schema.sql.
+
+CREATE TABLE IF NOT EXISTS sensor_data (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id VARCHAR(32) NOT NULL,
+    device_type CHAR(5) NOT NULL, -- "V5008" or "V6800" or "G6000".
+    mod_number INT, -- U-Sensor Module identifier (1-5 for V5008, 1-24 for V6800)
+    mod_id VARCHAR(32), -- U-Sensor Module ID
+    sensor_type VARCHAR(32), -- Topic segment 2 (e.g., "OpeAck", "LabelState", "TemHum", "Noise")
+    msg_Type VARCHAR(32) NOT NULL, -- "Rfid", "TemHum", "noise", "Door", "Heartbeat", "DeviceInfo" or "ModuleInfo", identify how to parse the message
+    timestamp DATETIME NOT NULL, -- This stores the actual timestamp from the device/message
+    payload JSON NOT NULL,
+    meta JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- This is when the record was inserted into the database
+    INDEX idx_device_ts (device_id, timestamp),
+    INDEX idx_device_type (device_type),
+    INDEX idx_mod_number (mod_number),
+    INDEX idx_mod_id (mod_id),
+    INDEX idx_sensor_type (sensor_type)
+);
+
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id VARCHAR(64) PRIMARY KEY,
+    topic VARCHAR(255) NOT NULL,
+    raw_hex MEDIUMTEXT NOT NULL, -- Raw message bytes as hex
+    reason VARCHAR(512), -- Why normalization failed
+    parser VARCHAR(32), -- Device type of the parser that failed, if any
+    received_at DATETIME NOT NULL,
+    replay_count INT DEFAULT 0,
+    replayed_at DATETIME NULL, -- Set once a replay succeeded
+    INDEX idx_received_at (received_at),
+    INDEX idx_replayed_at (replayed_at)
+);
+
+-- Normalizer state snapshots (one row per message type) restored on startup
+CREATE TABLE IF NOT EXISTS normalizer_state (
+    msg_type VARCHAR(32) PRIMARY KEY,
+    state LONGTEXT NOT NULL, -- JSON serialized state manager state
+    updated_at DATETIME NOT NULL
+);
+
+-- Door security alarms (open too long, after hours, no work order)
+CREATE TABLE IF NOT EXISTS door_alarms (
+    id VARCHAR(64) PRIMARY KEY,
+    type VARCHAR(32) NOT NULL, -- openTooLong, afterHours or noWorkOrder
+    device_id VARCHAR(255) NOT NULL,
+    mod_num INT NULL,
+    status VARCHAR(16) NOT NULL, -- active or resolved
+    work_order_id VARCHAR(64) NULL,
+    message VARCHAR(255),
+    opened_at DATETIME NOT NULL,
+    raised_at DATETIME NOT NULL,
+    resolved_at DATETIME NULL,
+    INDEX idx_device_id (device_id),
+    INDEX idx_status (status)
+);
+
+-- Work orders that authorize opening a cabinet
+CREATE TABLE IF NOT EXISTS work_orders (
+    id VARCHAR(64) PRIMARY KEY,
+    device_id VARCHAR(255) NOT NULL,
+    mod_num INT NULL, -- NULL covers every module of the device
+    description VARCHAR(255),
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    INDEX idx_device_id (device_id)
+);
+
+-- RFID tamper incidents
+CREATE TABLE IF NOT EXISTS tamper_incidents (
+    id VARCHAR(64) PRIMARY KEY,
+    device_id VARCHAR(255) NOT NULL,
+    device_type VARCHAR(32) NOT NULL,
+    mod_num INT NOT NULL,
+    position INT NOT NULL,
+    rfid VARCHAR(32) NULL,
+    alarm VARCHAR(16) NOT NULL,
+    status VARCHAR(16) NOT NULL, -- open, acknowledged, clearing or closed
+    acknowledged_by VARCHAR(255) NULL,
+    clear_command_id VARCHAR(64) NULL,
+    close_reason VARCHAR(255) NULL,
+    opened_at DATETIME NOT NULL,
+    acknowledged_at DATETIME NULL,
+    closed_at DATETIME NULL,
+    INDEX idx_device_id (device_id),
+    INDEX idx_status (status)
+);
+
+-- Audit trail of tamper incidents
+CREATE TABLE IF NOT EXISTS tamper_incident_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    incident_id VARCHAR(64) NOT NULL,
+    action VARCHAR(32) NOT NULL, -- opened, acknowledged, clearRequested, clearFailed or closed
+    status VARCHAR(16) NOT NULL,
+    actor VARCHAR(255) NOT NULL,
+    detail VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL,
+    INDEX idx_incident_id (incident_id)
+);
+
+-- Typed time series filled from normalized TempHum, Noise and Door messages
+CREATE TABLE IF NOT EXISTS temperature_readings (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    device_id VARCHAR(32) NOT NULL,
+    mod_num INT NOT NULL,
+    position INT NOT NULL, -- Sensor position (add)
+    value DECIMAL(6,2) NOT NULL, -- Degrees Celsius
+    ts DATETIME NOT NULL, -- Message timestamp (UTC)
+    INDEX idx_series_ts (device_id, mod_num, position, ts)
+);
+
+CREATE TABLE IF NOT EXISTS humidity_readings (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    device_id VARCHAR(32) NOT NULL,
+    mod_num INT NOT NULL,
+    position INT NOT NULL,
+    value DECIMAL(6,2) NOT NULL, -- Relative humidity in percent
+    ts DATETIME NOT NULL,
+    INDEX idx_series_ts (device_id, mod_num, position, ts)
+);
+
+CREATE TABLE IF NOT EXISTS noise_readings (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    device_id VARCHAR(32) NOT NULL,
+    mod_num INT NOT NULL,
+    position INT NOT NULL,
+    value DECIMAL(6,2) NOT NULL, -- dB
+    ts DATETIME NOT NULL,
+    INDEX idx_series_ts (device_id, mod_num, position, ts)
+);
+
+CREATE TABLE IF NOT EXISTS door_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    device_id VARCHAR(32) NOT NULL,
+    mod_num INT NOT NULL,
+    state VARCHAR(8) NOT NULL, -- Door status as reported, e.g. "0x01"
+    is_open TINYINT(1) NOT NULL,
+    ts DATETIME NOT NULL,
+    INDEX idx_series_ts (device_id, mod_num, ts)
+);
+
+-- Hourly and daily summaries of temperature, humidity and noise readings (retention rollups)
+CREATE TABLE IF NOT EXISTS sensor_rollups_hourly (
+    metric VARCHAR(16) NOT NULL, -- temperature, humidity or noise
+    device_id VARCHAR(32) NOT NULL,
+    mod_num INT NOT NULL,
+    position INT NOT NULL,
+    bucket_start DATETIME NOT NULL, -- Start of the hour (UTC)
+    min_value DECIMAL(6,2) NOT NULL,
+    max_value DECIMAL(6,2) NOT NULL,
+    avg_value DECIMAL(8,4) NOT NULL,
+    sample_count INT NOT NULL,
+    PRIMARY KEY (metric, device_id, mod_num, position, bucket_start),
+    INDEX idx_metric_bucket (metric, bucket_start)
+);
+
+CREATE TABLE IF NOT EXISTS sensor_rollups_daily (
+    metric VARCHAR(16) NOT NULL,
+    device_id VARCHAR(32) NOT NULL,
+    mod_num INT NOT NULL,
+    position INT NOT NULL,
+    bucket_start DATE NOT NULL, -- UTC day
+    min_value DECIMAL(6,2) NOT NULL,
+    max_value DECIMAL(6,2) NOT NULL,
+    avg_value DECIMAL(8,4) NOT NULL,
+    sample_count INT NOT NULL,
+    PRIMARY KEY (metric, device_id, mod_num, position, bucket_start),
+    INDEX idx_metric_bucket (metric, bucket_start)
+);
@@ -0,0 +1,14 @@
+/**
+ * Index sensor_data on (msg_Type, timestamp) for retention purges
+ * Databases created from an earlier config/schema.sql already have it, and MySQL
+ * has no ADD INDEX IF NOT EXISTS, so the index is looked up first
+ */
+module.exports = {
+  async up(database) {
+    const indexes = await database.query("SHOW INDEX FROM sensor_data WHERE Key_name = 'idx_msg_type_ts'");
+    if (indexes.length > 0) {
+      return;
+    }
+    await database.query("ALTER TABLE sensor_data ADD INDEX idx_msg_type_ts (msg_Type, timestamp)");
+  }
+};
@@ -14,8 +14,8 @@ class ModularApplication extends BaseComponent {
 
   async initialize() {
     try {
-      // Load configuration
-      this.configManager = new ModularConfigManager();
+      // Load configuration (tools may pass a pre-adjusted configuration manager)
+      this.configManager = this.options.configManager || new ModularConfigManager();
       this.config = this.configManager.getConfig();
 
       // Initialize component registry
@@ -65,6 +65,7 @@ class ModularApplication extends BaseComponent {
       const normalized = normalizer.normalize(topic, message, {});
       
       if (!normalized) {
+        // The registry has reported the failure; the dead-letter queue keeps the raw message
         logger.warn(`Message normalization failed for topic: ${topic}`);
         return;
       }
@@ -101,7 +102,7 @@ class ModularApplication extends BaseComponent {
     try {
       // Get optional components
       const components = {};
-      const componentNames = ["cache", "writeBuffer", "websocket", "messageRelay"];
+      const componentNames = ["cache", "writeBuffer", "messageRelay"];
       
       for (const name of componentNames) {
         const component = this.componentRegistry.getComponent(name);
@@ -120,10 +121,8 @@ class ModularApplication extends BaseComponent {
         await components.writeBuffer.push(message);
       }
 
-      // Broadcast to WebSocket clients if available
-      if (components.websocket && components.websocket.broadcast) {
-        components.websocket.broadcast(message);
-      }
+      // WebSocket broadcast is handled by event subscription in WebSocketServer.js,
+      // which applies the client subscriptions and numbers each message once
 
       // Message relay is handled by event subscription in messageRelay.js
       // No need to call directly here to avoid duplicate processing
@@ -0,0 +1,137 @@
+const EventEmitter = require("events");
+const eventBus = require("../core/eventBus");
+const SubscriptionFilter = require("./SubscriptionFilter");
+
+let sharedLog = null;
+
+/**
+ * Numbered record of the messages and alerts pushed to clients, shared by the WebSocket
+ * and event stream servers
+ *
+ * Every message and alert gets the next sequence number of this server run (`epoch`) once,
+ * whichever transport sends it, and the last `replayBufferSize` of them are kept so that
+ * reconnecting clients can resume. Recorded entries are emitted as `entry` events.
+ */
+class BroadcastLog extends EventEmitter {
+  /**
+   * @param {Object} options - Log options
+   * @param {number} options.replayBufferSize - Entries kept for replay (default 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.epoch = `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.sequence = 0;
+    // { seq, event, data, fields }, oldest first
+    this.entries = [];
+    this.replayBufferSize = options.replayBufferSize || 1000;
+    // Servers that started the log
+    this.users = new Set();
+    this.recordMessage = this.recordMessage.bind(this);
+    this.recordAlertRaised = this.recordAlertRaised.bind(this);
+    this.recordAlertCleared = this.recordAlertCleared.bind(this);
+  }
+
+  /**
+   * Log shared by the servers of this process
+   * @returns {BroadcastLog}
+   */
+  static getShared() {
+    if (!sharedLog) {
+      sharedLog = new BroadcastLog();
+    }
+    return sharedLog;
+  }
+
+  /**
+   * Keep at least `size` entries, so every server sharing the log gets its configured replay buffer
+   * @param {number} size - Entries to keep
+   */
+  reserve(size) {
+    if (size > this.replayBufferSize) {
+      this.replayBufferSize = size;
+    }
+  }
+
+  /**
+   * Record the event bus messages and alerts while at least one server uses the log
+   * @param {Object} user - Server starting the log
+   */
+  start(user) {
+    if (this.users.has(user)) {
+      return;
+    }
+    this.users.add(user);
+    if (this.users.size > 1) {
+      return;
+    }
+    eventBus.on("message.processed", this.recordMessage);
+    eventBus.on("alert.raised", this.recordAlertRaised);
+    eventBus.on("alert.cleared", this.recordAlertCleared);
+  }
+
+  /**
+   * @param {Object} user - Server that started the log
+   */
+  stop(user) {
+    if (!this.users.delete(user) || this.users.size > 0) {
+      return;
+    }
+    eventBus.removeListener("message.processed", this.recordMessage);
+    eventBus.removeListener("alert.raised", this.recordAlertRaised);
+    eventBus.removeListener("alert.cleared", this.recordAlertCleared);
+  }
+
+  recordMessage(message) {
+    return this.record("message", message, SubscriptionFilter.messageFields(message));
+  }
+
+  recordAlertRaised(alert) {
+    return this.record("alert.raised", { type: "alert.raised", alert }, SubscriptionFilter.alertFields(alert));
+  }
+
+  recordAlertCleared(alert) {
+    return this.record("alert.cleared", { type: "alert.cleared", alert }, SubscriptionFilter.alertFields(alert));
+  }
+
+  /**
+   * Number an event, keep it for replay and emit it to the servers
+   * @param {string} event - Event name ("message", "alert.raised", "alert.cleared")
+   * @param {Object} data - Event data as sent to clients, without the sequence number
+   * @param {Object} fields - Event fields matched against client subscriptions and filters
+   * @returns {Object} The entry { seq, event, data, fields }
+   */
+  record(event, data, fields = null) {
+    const entry = { seq: ++this.sequence, event, data, fields };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.replayBufferSize) {
+      this.entries.splice(0, this.entries.length - this.replayBufferSize);
+    }
+
+    this.emit("entry", entry);
+    return entry;
+  }
+
+  /**
+   * Entries recorded after a client's last sequence number
+   * `complete` is false when entries were missed: `lastSeq` is older than the buffer,
+   * ahead of the sequence, or from an earlier server run (`epoch`)
+   * @param {number} lastSeq - Last sequence number the client received
+   * @param {string} epoch - Epoch it was received in, undefined to assume this run
+   * @returns {Object} { entries, complete }
+   */
+  since(lastSeq, epoch) {
+    const sameRun = (epoch === undefined || epoch === this.epoch) && lastSeq <= this.sequence;
+    if (!sameRun) {
+      return { entries: [], complete: false };
+    }
+
+    const oldestSeq = this.entries.length > 0 ? this.entries[0].seq : this.sequence + 1;
+    return {
+      entries: this.entries.filter(entry => entry.seq > lastSeq),
+      complete: lastSeq >= oldestSeq - 1
+    };
+  }
+}
+
+module.exports = BroadcastLog;
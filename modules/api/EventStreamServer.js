@@ -0,0 +1,224 @@
+const BaseComponent = require("../core/BaseComponent");
+const SubscriptionFilter = require("./SubscriptionFilter");
+const BroadcastLog = require("./BroadcastLog");
+
+/**
+ * Server-Sent Events stream of the messages and alerts the WebSocket server broadcasts,
+ * for clients behind proxies that do not pass WebSockets
+ *
+ * Each event has the id `<epoch>:<seq>` with the epoch and sequence number the WebSocket
+ * server sends, so a reconnecting EventSource resumes through `Last-Event-ID` from the last
+ * `replayBufferSize` events of this server run.
+ */
+class EventStreamServer extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    // Response -> filter, null when the client did not filter
+    this.clients = new Map();
+    this.log = this.options.broadcastLog || BroadcastLog.getShared();
+    if (this.options.replayBufferSize) {
+      this.log.reserve(this.options.replayBufferSize);
+    }
+    this.heartbeatInterval = this.options.heartbeatInterval || 15000;
+    this.maxClients = this.options.maxClients || 100;
+    this.timer = null;
+    this.handleEntry = this.handleEntry.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.log.on("entry", this.handleEntry);
+      this.log.start(this);
+
+      // Comment lines keep proxies from closing idle streams
+      this.timer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+
+      this.logger.info("Event stream server initialized");
+    } catch (error) {
+      this.logger.error("Failed to initialize event stream server:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the filter from the query string, e.g. `?deviceId=2437*&msgType=TempHum,Noise`
+   * Comma-separated values match any of them, as a list does in a WebSocket subscription
+   * @param {Object} query - Parsed query string
+   * @returns {SubscriptionFilter|null} null without filter params
+   */
+  static parseFilter(query = {}) {
+    const filter = {};
+    SubscriptionFilter.FIELDS.forEach(field => {
+      if (query[field] === undefined) {
+        return;
+      }
+      const values = [].concat(query[field]).join(",").split(",").map(value => value.trim()).filter(Boolean);
+      filter[field] = values.length === 1 ? values[0] : values;
+    });
+    return Object.keys(filter).length > 0 ? new SubscriptionFilter(filter) : null;
+  }
+
+  /**
+   * Parse a `Last-Event-ID` of the form `<epoch>:<seq>`
+   * @returns {Object|null} { epoch, seq }, null when missing or malformed
+   */
+  static parseEventId(value) {
+    if (!value) {
+      return null;
+    }
+    const separator = String(value).lastIndexOf(":");
+    const seq = parseInt(String(value).slice(separator + 1), 10);
+    if (separator === -1 || isNaN(seq) || seq < 0) {
+      return null;
+    }
+    return { epoch: String(value).slice(0, separator), seq };
+  }
+
+  /**
+   * Serve GET /api/stream and keep the response open until the client goes away
+   * @param {express.Request} req - Query filters; `Last-Event-ID` header or `lastEventId` query to resume
+   * @param {express.Response} res - Response the events are written to
+   */
+  handleRequest(req, res) {
+    let filter;
+    try {
+      filter = EventStreamServer.parseFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (this.clients.size >= this.maxClients) {
+      return res.status(503).json({ error: `At most ${this.maxClients} event stream clients` });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      // no-transform keeps the compression middleware from buffering events
+      "Cache-Control": "no-cache, no-transform",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    this.write(res, ": connected\n\n");
+
+    this.clients.set(res, filter);
+    this.logger.debug(`Event stream client connected. Total clients: ${this.clients.size}`);
+
+    req.on("close", () => {
+      this.clients.delete(res);
+      this.logger.debug(`Event stream client disconnected. Total clients: ${this.clients.size}`);
+    });
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+      this.resume(res, filter, lastEventId);
+    }
+  }
+
+  /**
+   * Replay the buffered events after the client's last event id
+   * A `resumed` event follows the replay; `complete` is false when events were missed because
+   * the id is older than the buffer, from an earlier server run or malformed
+   * @param {express.Response} res - Client response
+   * @param {SubscriptionFilter|null} filter - Client filter
+   * @param {string} lastEventId - `Last-Event-ID` sent by the client
+   */
+  resume(res, filter, lastEventId) {
+    const last = EventStreamServer.parseEventId(lastEventId);
+    const { entries, complete } = last !== null
+      ? this.log.since(last.seq, last.epoch)
+      : { entries: [], complete: false };
+
+    let replayed = 0;
+    for (const entry of entries) {
+      if (this.matches(filter, entry.fields)) {
+        this.write(res, this.formatEvent(entry.event, entry.data, entry.seq));
+        replayed++;
+      }
+    }
+
+    this.write(res, this.formatEvent("resumed", {
+      lastEventId,
+      seq: this.log.sequence,
+      replayed,
+      complete
+    }));
+  }
+
+  matches(filter, fields) {
+    return !filter || !fields || filter.matches(fields);
+  }
+
+  /**
+   * @param {string} event - Event name
+   * @param {Object} data - Event data, sent as JSON
+   * @param {number} seq - Sequence number for the event id, none for control events
+   */
+  formatEvent(event, data, seq = null) {
+    const id = seq !== null ? `id: ${this.log.epoch}:${seq}\n` : "";
+    return `${id}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  write(res, chunk) {
+    try {
+      res.write(chunk);
+      if (typeof res.flush === "function") {
+        res.flush();
+      }
+    } catch (error) {
+      this.logger.error("Error writing to event stream client:", error);
+      this.clients.delete(res);
+    }
+  }
+
+  sendHeartbeat() {
+    for (const res of this.clients.keys()) {
+      this.write(res, `: heartbeat ${new Date().toISOString()}\n\n`);
+    }
+  }
+
+  /**
+   * Send a broadcast log entry to every client whose filter matches
+   * @param {Object} entry - { seq, event, data, fields }, data being the object the WebSocket server sends
+   */
+  handleEntry(entry) {
+    const chunk = this.formatEvent(entry.event, entry.data, entry.seq);
+    for (const [res, filter] of this.clients) {
+      if (this.matches(filter, entry.fields)) {
+        this.write(res, chunk);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      connectedClients: this.clients.size,
+      seq: this.log.sequence,
+      replayBuffered: this.log.entries.length
+    };
+  }
+
+  async shutdown() {
+    try {
+      this.log.removeListener("entry", this.handleEntry);
+      this.log.stop(this);
+      if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+      for (const res of this.clients.keys()) {
+        try {
+          res.end();
+        } catch (error) {
+          this.logger.error("Error closing event stream client:", error);
+        }
+      }
+      this.clients.clear();
+      super.shutdown();
+    } catch (error) {
+      this.logger.error("Error during event stream server shutdown:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = EventStreamServer;
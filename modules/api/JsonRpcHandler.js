@@ -0,0 +1,282 @@
+const logger = require("../../utils/logger");
+const AuthManager = require("../security/AuthManager");
+
+// JSON-RPC 2.0 error codes; -32000 and below are server errors of this application
+const ERROR_CODES = {
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  NOT_AVAILABLE: -32000,
+  NOT_FOUND: -32001,
+  COMMAND_TIMEOUT: -32002,
+  FORBIDDEN: -32003
+};
+
+// Scope a method needs when clients are authenticated; the others need telemetry:read
+const METHOD_SCOPES = {
+  sendCommand: AuthManager.SCOPES.COMMANDS
+};
+
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.rpcData = data;
+  return error;
+}
+
+/**
+ * Answers JSON-RPC 2.0 requests such as
+ * `{ "jsonrpc": "2.0", "id": 7, "method": "getCurrentState", "params": { "deviceId": "2437871205", "msgType": "Rfid", "modNum": 1 } }`
+ *
+ * The response carries the request's `id`, so a client can have several requests in flight.
+ * Requests without an `id` are notifications and get no response.
+ */
+class JsonRpcHandler {
+  /**
+   * @param {Object} options - Components the methods are served from; any may be missing
+   * @param {Object} options.stateManagers - State manager factory
+   * @param {Object} options.database - Database manager
+   * @param {Object} options.commandManager - Command manager
+   * @param {Object} options.commandTracker - Command tracker
+   * @param {Function} options.resolveDeviceType - (deviceId) => device type last seen, for commands without one
+   * @param {AuthManager} options.authManager - Checks method scopes, if clients are authenticated
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.methods = {
+      getCurrentState: params => this.getCurrentState(params),
+      getModuleStats: params => this.getModuleStats(params),
+      getHistory: params => this.getHistory(params),
+      sendCommand: params => this.sendCommand(params),
+      getCommand: params => this.getCommand(params),
+      getDeviceCommands: params => this.getDeviceCommands(params)
+    };
+  }
+
+  /**
+   * @param {Object} request - Parsed JSON-RPC request
+   * @param {Object} principal - Client authenticated on connect
+   * @returns {Promise<Object|null>} Response, or null for a notification
+   */
+  async handle(request, principal = null) {
+    const id = request && request.id !== undefined ? request.id : null;
+
+    if (Array.isArray(request) || !request || typeof request.method !== "string") {
+      return this.errorResponse(id, ERROR_CODES.INVALID_REQUEST, "Invalid request: expected { jsonrpc: \"2.0\", id, method, params }");
+    }
+    if (request.params !== undefined && (typeof request.params !== "object" || request.params === null || Array.isArray(request.params))) {
+      return this.errorResponse(id, ERROR_CODES.INVALID_PARAMS, "Params must be an object of named params");
+    }
+
+    const method = this.methods[request.method];
+    if (!method) {
+      return request.id === undefined ? null : this.errorResponse(id, ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+    }
+
+    const scope = METHOD_SCOPES[request.method] || AuthManager.SCOPES.READ;
+    if (this.options.authManager && !this.options.authManager.hasScope(principal, scope)) {
+      return request.id === undefined ? null : this.errorResponse(id, ERROR_CODES.FORBIDDEN, `Requires scope ${scope}`);
+    }
+
+    let result;
+    try {
+      result = await method(request.params || {});
+    } catch (error) {
+      if (request.id === undefined) {
+        return null;
+      }
+      if (error.rpcCode) {
+        return this.errorResponse(id, error.rpcCode, error.message, error.rpcData);
+      }
+      if (error.code === "INVALID_QUERY" || error.code === "INVALID_COMMAND") {
+        return this.errorResponse(id, ERROR_CODES.INVALID_PARAMS, error.message);
+      }
+      logger.error(`Error handling JSON-RPC method ${request.method}:`, error);
+      return this.errorResponse(id, ERROR_CODES.INTERNAL_ERROR, `Failed to handle ${request.method}`);
+    }
+
+    return request.id === undefined ? null : { jsonrpc: "2.0", id, result: result === undefined ? null : result };
+  }
+
+  errorResponse(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined) {
+      error.data = data;
+    }
+    return { jsonrpc: "2.0", id, error };
+  }
+
+  /**
+   * @param {Object} params - Request params
+   * @param {Array<string>} names - Params that must be present
+   */
+  requireParams(params, names) {
+    const missing = names.filter(name => params[name] === undefined || params[name] === null || params[name] === "");
+    if (missing.length > 0) {
+      throw rpcError(ERROR_CODES.INVALID_PARAMS, `Missing params: ${missing.join(", ")}`);
+    }
+  }
+
+  requireComponent(name, label) {
+    const component = this.options[name];
+    if (!component) {
+      throw rpcError(ERROR_CODES.NOT_AVAILABLE, `${label} not available`);
+    }
+    return component;
+  }
+
+  getStateManager(msgType) {
+    const stateManagers = this.requireComponent("stateManagers", "State managers");
+    const manager = stateManagers.getManager(msgType);
+    if (!manager) {
+      throw rpcError(ERROR_CODES.INVALID_PARAMS, `No state kept for msgType: ${msgType}`);
+    }
+    return manager;
+  }
+
+  /**
+   * @param {Object} params - { deviceId, msgType, modNum }
+   * @returns {Object} { deviceId, msgType, modNum, state }, state is null before the first message
+   */
+  getCurrentState(params) {
+    this.requireParams(params, ["deviceId", "msgType", "modNum"]);
+    const manager = this.getStateManager(params.msgType);
+    const modNum = parseInt(params.modNum);
+    const state = manager.getCurrentState(params.deviceId, modNum);
+    return { deviceId: params.deviceId, msgType: params.msgType, modNum, state: state || null };
+  }
+
+  /**
+   * @param {Object} params - { deviceId, msgType, modNum }
+   * @returns {Object} { deviceId, msgType, modNum, stats }
+   */
+  getModuleStats(params) {
+    this.requireParams(params, ["deviceId", "msgType", "modNum"]);
+    const manager = this.getStateManager(params.msgType);
+    if (typeof manager.getModuleStats !== "function") {
+      throw rpcError(ERROR_CODES.INVALID_PARAMS, `No module stats for msgType: ${params.msgType}`);
+    }
+    const modNum = parseInt(params.modNum);
+    return { deviceId: params.deviceId, msgType: params.msgType, modNum, stats: manager.getModuleStats(params.deviceId, modNum) };
+  }
+
+  /**
+   * Stored messages of a device, like GET /api/devices/:deviceId/history
+   * @param {Object} params - { deviceId, limit, from, to, msgType, modNum }
+   * @returns {Promise<Object>} { deviceId, count, history }
+   */
+  async getHistory(params) {
+    this.requireParams(params, ["deviceId"]);
+    const { deviceId, limit = 50, from, to, msgType, modNum } = params;
+
+    const database = this.requireComponent("database", "Database");
+    const store = database.getStorageBackend();
+    if (!store) {
+      throw rpcError(ERROR_CODES.NOT_AVAILABLE, "Database not available");
+    }
+
+    const history = from || to || msgType || modNum !== undefined
+      ? await store.getRange({
+        deviceId,
+        msgType,
+        modNum: modNum !== undefined ? parseInt(modNum) : undefined,
+        from,
+        to,
+        limit
+      })
+      : await store.getHistory(deviceId, parseInt(limit));
+
+    return { deviceId, count: history.length, history };
+  }
+
+  /**
+   * Send a command to a device, like POST /api/devices/:deviceId/commands
+   * With `wait` the result is the answered command, otherwise the command as sent
+   * @param {Object} params - { deviceId, deviceType, command, ..., wait, timeout }
+   * @returns {Promise<Object>}
+   */
+  async sendCommand(params) {
+    this.requireParams(params, ["deviceId", "command"]);
+    const commandManager = this.requireComponent("commandManager", "Command manager");
+
+    const { deviceId } = params;
+    const deviceType = params.deviceType || (this.options.resolveDeviceType ? this.options.resolveDeviceType(deviceId) : undefined);
+    if (!deviceType) {
+      throw rpcError(ERROR_CODES.INVALID_PARAMS, "deviceType is required for unknown devices");
+    }
+
+    // Validated before sending, so an invalid timeout does not leave a command behind
+    const timeout = params.wait ? commandManager.resolveTimeout(params.timeout) : undefined;
+
+    let command;
+    try {
+      command = await commandManager.sendCommand(deviceId, deviceType, params);
+    } catch (error) {
+      if (error.code === "INVALID_COMMAND") {
+        throw error;
+      }
+      logger.error("Error sending device command:", error);
+      throw rpcError(ERROR_CODES.NOT_AVAILABLE, `Failed to send command: ${error.message}`);
+    }
+
+    if (params.wait) {
+      try {
+        return await commandManager.waitForResponse(command.commandId, timeout);
+      } catch (error) {
+        if (error.code === "COMMAND_TIMEOUT") {
+          throw rpcError(ERROR_CODES.COMMAND_TIMEOUT, "No response from device", { commandId: command.commandId });
+        }
+        throw error;
+      }
+    }
+
+    return {
+      commandId: command.commandId,
+      deviceId: command.deviceId,
+      deviceType: command.deviceType,
+      command: command.command,
+      topic: command.topic,
+      rawPayload: command.rawPayload,
+      status: command.status
+    };
+  }
+
+  /**
+   * Lifecycle status of a command, like GET /api/commands/:commandId
+   * @param {Object} params - { commandId }
+   */
+  getCommand(params) {
+    this.requireParams(params, ["commandId"]);
+    const commandTracker = this.requireComponent("commandTracker", "Command tracker");
+
+    const status = commandTracker.getStatus(params.commandId);
+    if (!status) {
+      throw rpcError(ERROR_CODES.NOT_FOUND, "Command not found");
+    }
+
+    const command = this.options.commandManager ? this.options.commandManager.getCommand(params.commandId) : null;
+    return {
+      ...status,
+      request: command ? command.request : undefined,
+      topic: command ? command.topic : undefined,
+      rawPayload: command ? command.rawPayload : undefined
+    };
+  }
+
+  /**
+   * Recent commands sent to a device
+   * @param {Object} params - { deviceId, limit }
+   * @returns {Object} { deviceId, count, commands }
+   */
+  getDeviceCommands(params) {
+    this.requireParams(params, ["deviceId"]);
+    const commandManager = this.requireComponent("commandManager", "Command manager");
+    const commands = commandManager.getDeviceCommands(params.deviceId, parseInt(params.limit) || 50);
+    return { deviceId: params.deviceId, count: commands.length, commands };
+  }
+}
+
+JsonRpcHandler.ERROR_CODES = ERROR_CODES;
+
+module.exports = JsonRpcHandler;
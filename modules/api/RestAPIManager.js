@@ -103,11 +103,11 @@ class RestAPIManager extends BaseComponent {
       }
     });
 
-    // Get device history from database
+    // Get device history from the storage backend, latest messages or a time range
     this.router.get("/devices/:deviceId/history", async (req, res) => {
       try {
         const { deviceId } = req.params;
-        const { limit = 50 } = req.query;
+        const { limit = 50, from, to, msgType, modNum } = req.query;
         
         const application = req.app.get("application");
         if (!application) {
@@ -119,7 +119,28 @@ class RestAPIManager extends BaseComponent {
           return res.status(500).json({ error: "Database not available" });
         }
 
-        const history = await database.getHistory(deviceId, parseInt(limit));
+        const store = database.getStorageBackend();
+        let history = [];
+        if (store && (from || to || msgType || modNum !== undefined)) {
+          try {
+            history = await store.getRange({
+              deviceId,
+              msgType,
+              modNum: modNum !== undefined ? parseInt(modNum) : undefined,
+              from,
+              to,
+              limit: req.query.limit
+            });
+          } catch (error) {
+            if (error.code === "INVALID_QUERY") {
+              return res.status(400).json({ error: error.message });
+            }
+            throw error;
+          }
+        } else if (store) {
+          history = await store.getHistory(deviceId, parseInt(limit));
+        }
+
         res.json({
           deviceId,
           count: history.length,
@@ -131,6 +152,201 @@ class RestAPIManager extends BaseComponent {
       }
     });
 
+    // Get min/max/avg of a metric per time bucket for a device, module and sensor position
+    this.router.get("/devices/:deviceId/timeseries/:metric", async (req, res) => {
+      try {
+        const { deviceId, metric } = req.params;
+        const { modNum, position, from, to, bucket } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const database = application.getComponent("database");
+        if (!database) {
+          return res.status(500).json({ error: "Database not available" });
+        }
+
+        let aggregates;
+        try {
+          aggregates = await database.getAggregates(metric, {
+            deviceId,
+            modNum: modNum !== undefined ? parseInt(modNum) : undefined,
+            position: position !== undefined ? parseInt(position) : undefined,
+            from,
+            to,
+            bucket
+          });
+        } catch (error) {
+          if (error.code === "INVALID_QUERY") {
+            return res.status(400).json({ error: error.message });
+          }
+          throw error;
+        }
+
+        res.json(aggregates);
+      } catch (error) {
+        logger.error("Error getting device time series:", error);
+        res.status(500).json({ error: "Failed to get device time series" });
+      }
+    });
+
+    // Get online/late/offline status and availability of a device and its modules
+    this.router.get("/devices/:deviceId/availability", (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const { hours } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const presence = application.getComponent("presence");
+        if (!presence) {
+          return res.status(500).json({ error: "Presence monitor not available" });
+        }
+
+        const availability = presence.getAvailability(deviceId, { hours: hours ? parseFloat(hours) : undefined });
+        if (!availability) {
+          return res.status(404).json({ error: "Device has not been seen" });
+        }
+
+        res.json(availability);
+      } catch (error) {
+        logger.error("Error getting device availability:", error);
+        res.status(500).json({ error: "Failed to get device availability" });
+      }
+    });
+
+    // Send a command to a device
+    this.router.post("/devices/:deviceId/commands", async (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const request = req.body || {};
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const commandManager = application.getComponent("commandManager");
+        if (!commandManager) {
+          return res.status(500).json({ error: "Command manager not available" });
+        }
+
+        // Fall back to the device type last reported by the device
+        let deviceType = request.deviceType;
+        if (!deviceType) {
+          const dataStore = application.getComponent("dataStore");
+          const deviceData = dataStore ? dataStore.getDeviceData(deviceId) : [];
+          const latest = deviceData[deviceData.length - 1];
+          deviceType = latest ? latest.data.deviceType : undefined;
+        }
+
+        if (!deviceType) {
+          return res.status(400).json({ error: "deviceType is required for unknown devices" });
+        }
+
+        // Validated before sending, so an invalid timeout does not leave a command behind
+        const timeout = request.wait ? commandManager.resolveTimeout(request.timeout) : undefined;
+        const command = await commandManager.sendCommand(deviceId, deviceType, request);
+
+        // Optionally hold the request open until the device answers
+        if (request.wait) {
+          try {
+            const answered = await commandManager.waitForResponse(command.commandId, timeout);
+            return res.json(answered);
+          } catch (error) {
+            if (error.code === "COMMAND_TIMEOUT") {
+              return res.status(504).json({ error: "No response from device", command });
+            }
+            throw error;
+          }
+        }
+
+        res.status(202).json({
+          commandId: command.commandId,
+          deviceId: command.deviceId,
+          deviceType: command.deviceType,
+          command: command.command,
+          topic: command.topic,
+          rawPayload: command.rawPayload,
+          status: command.status
+        });
+      } catch (error) {
+        if (error.code === "INVALID_COMMAND") {
+          return res.status(400).json({ error: "Invalid command", details: error.message });
+        }
+        logger.error("Error sending device command:", error);
+        res.status(503).json({ error: "Failed to send command", details: error.message });
+      }
+    });
+
+    // Get recent commands sent to a device
+    this.router.get("/devices/:deviceId/commands", (req, res) => {
+      try {
+        const { deviceId } = req.params;
+        const { limit = 50 } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const commandManager = application.getComponent("commandManager");
+        if (!commandManager) {
+          return res.status(500).json({ error: "Command manager not available" });
+        }
+
+        const commands = commandManager.getDeviceCommands(deviceId, parseInt(limit));
+        res.json({
+          deviceId,
+          count: commands.length,
+          commands
+        });
+      } catch (error) {
+        logger.error("Error getting device commands:", error);
+        res.status(500).json({ error: "Failed to get device commands" });
+      }
+    });
+
+    // Get the lifecycle status of a command
+    this.router.get("/commands/:commandId", (req, res) => {
+      try {
+        const { commandId } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const commandTracker = application.getComponent("commandTracker");
+        if (!commandTracker) {
+          return res.status(500).json({ error: "Command tracker not available" });
+        }
+
+        const status = commandTracker.getStatus(commandId);
+        if (!status) {
+          return res.status(404).json({ error: "Command not found" });
+        }
+
+        const commandManager = application.getComponent("commandManager");
+        const command = commandManager ? commandManager.getCommand(commandId) : null;
+
+        res.json({
+          ...status,
+          request: command ? command.request : undefined,
+          topic: command ? command.topic : undefined,
+          rawPayload: command ? command.rawPayload : undefined
+        });
+      } catch (error) {
+        logger.error("Error getting command status:", error);
+        res.status(500).json({ error: "Failed to get command status" });
+      }
+    });
+
     // Get configuration
     this.router.get("/config", (req, res) => {
       try {
@@ -196,6 +412,647 @@ class RestAPIManager extends BaseComponent {
       }
     });
 
+    // List messages that failed normalization
+    this.router.get("/deadletters", (req, res) => {
+      try {
+        const { limit = 100, parser, topic } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const deadLetters = application.getComponent("deadLetters");
+        if (!deadLetters) {
+          return res.status(500).json({ error: "Dead-letter queue not available" });
+        }
+
+        const entries = deadLetters.list({ limit: parseInt(limit), parser, topic });
+        res.json({
+          count: entries.length,
+          stats: deadLetters.getStats(),
+          deadLetters: entries
+        });
+      } catch (error) {
+        logger.error("Error getting dead letters:", error);
+        res.status(500).json({ error: "Failed to get dead letters" });
+      }
+    });
+
+    // Re-run a dead letter through the current parsers
+    this.router.post("/deadletters/:id/replay", async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const deadLetters = application.getComponent("deadLetters");
+        if (!deadLetters) {
+          return res.status(500).json({ error: "Dead-letter queue not available" });
+        }
+
+        const result = await deadLetters.replay(id);
+        if (!result) {
+          return res.status(404).json({ error: "Dead letter not found" });
+        }
+
+        if (!result.replayed) {
+          return res.status(422).json({
+            error: "Message still fails normalization",
+            reason: result.reason,
+            deadLetter: result.entry
+          });
+        }
+
+        res.json({
+          replayed: true,
+          count: result.messages.length,
+          messages: result.messages
+        });
+      } catch (error) {
+        logger.error("Error replaying dead letter:", error);
+        res.status(500).json({ error: "Failed to replay dead letter", details: error.message });
+      }
+    });
+
+    // Get message recorder status
+    this.router.get("/recorder", (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const recorder = application.getComponent("recorder");
+        if (!recorder) {
+          return res.status(500).json({ error: "Recorder not available" });
+        }
+
+        res.json(recorder.getStatus());
+      } catch (error) {
+        logger.error("Error getting recorder status:", error);
+        res.status(500).json({ error: "Failed to get recorder status" });
+      }
+    });
+
+    // Start or stop recording inbound MQTT messages
+    this.router.post("/recorder/:action(start|stop)", async (req, res) => {
+      try {
+        const { action } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const recorder = application.getComponent("recorder");
+        if (!recorder) {
+          return res.status(500).json({ error: "Recorder not available" });
+        }
+
+        const status = action === "start"
+          ? await recorder.start({ file: (req.body || {}).file })
+          : await recorder.stop();
+        res.json(status);
+      } catch (error) {
+        logger.error("Error toggling recorder:", error);
+        res.status(500).json({ error: "Failed to toggle recorder", details: error.message });
+      }
+    });
+
+    // Get the occupant of every U slot of a rack module
+    this.router.get("/racks/:deviceId/modules/:modNum/layout", (req, res) => {
+      try {
+        const { deviceId, modNum } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const assetInventory = application.getComponent("assetInventory");
+        if (!assetInventory) {
+          return res.status(500).json({ error: "Asset inventory not available" });
+        }
+
+        const layout = assetInventory.getLayout(deviceId, parseInt(modNum));
+        if (!layout) {
+          return res.status(404).json({ error: "No RFID state for this module" });
+        }
+
+        res.json(layout);
+      } catch (error) {
+        logger.error("Error getting rack layout:", error);
+        res.status(500).json({ error: "Failed to get rack layout" });
+      }
+    });
+
+    // List registered assets with their current location
+    this.router.get("/assets", (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const assetInventory = application.getComponent("assetInventory");
+        if (!assetInventory) {
+          return res.status(500).json({ error: "Asset inventory not available" });
+        }
+
+        const assets = assetInventory.registry.list().map(asset => ({
+          ...asset,
+          location: assetInventory.getLocation(asset.rfid)
+        }));
+        res.json({ count: assets.length, assets });
+      } catch (error) {
+        logger.error("Error getting assets:", error);
+        res.status(500).json({ error: "Failed to get assets" });
+      }
+    });
+
+    // Register or update the asset a tag is attached to
+    this.router.put("/assets/:rfid", async (req, res) => {
+      try {
+        const { rfid } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const assetInventory = application.getComponent("assetInventory");
+        if (!assetInventory) {
+          return res.status(500).json({ error: "Asset inventory not available" });
+        }
+
+        let asset;
+        try {
+          asset = await assetInventory.registry.set(rfid, req.body || {});
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.json(asset);
+      } catch (error) {
+        logger.error("Error saving asset:", error);
+        res.status(500).json({ error: "Failed to save asset", details: error.message });
+      }
+    });
+
+    // Remove the asset registered for a tag
+    this.router.delete("/assets/:rfid", async (req, res) => {
+      try {
+        const { rfid } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const assetInventory = application.getComponent("assetInventory");
+        if (!assetInventory) {
+          return res.status(500).json({ error: "Asset inventory not available" });
+        }
+
+        const removed = await assetInventory.registry.remove(rfid);
+        if (!removed) {
+          return res.status(404).json({ error: "Asset not found" });
+        }
+
+        res.json({ removed: true, rfid });
+      } catch (error) {
+        logger.error("Error removing asset:", error);
+        res.status(500).json({ error: "Failed to remove asset", details: error.message });
+      }
+    });
+
+    // List active alerts, most severe first
+    this.router.get("/alerts", (req, res) => {
+      try {
+        const { deviceId, severity, ruleId } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const alertManager = application.getComponent("alertManager");
+        if (!alertManager) {
+          return res.status(500).json({ error: "Alert manager not available" });
+        }
+
+        const alerts = alertManager.getActive({ deviceId, severity, ruleId });
+        res.json({ count: alerts.length, stats: alertManager.getStats(), alerts });
+      } catch (error) {
+        logger.error("Error getting alerts:", error);
+        res.status(500).json({ error: "Failed to get alerts" });
+      }
+    });
+
+    // List raised alerts (active and cleared), newest first
+    this.router.get("/alerts/history", (req, res) => {
+      try {
+        const { limit = 100, deviceId, severity, ruleId } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const alertManager = application.getComponent("alertManager");
+        if (!alertManager) {
+          return res.status(500).json({ error: "Alert manager not available" });
+        }
+
+        const alerts = alertManager.getHistory({ limit: parseInt(limit), deviceId, severity, ruleId });
+        res.json({ count: alerts.length, alerts });
+      } catch (error) {
+        logger.error("Error getting alert history:", error);
+        res.status(500).json({ error: "Failed to get alert history" });
+      }
+    });
+
+    // List alert rules
+    this.router.get("/alerts/rules", (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const alertManager = application.getComponent("alertManager");
+        if (!alertManager) {
+          return res.status(500).json({ error: "Alert manager not available" });
+        }
+
+        res.json({ count: alertManager.rules.length, rules: alertManager.rules });
+      } catch (error) {
+        logger.error("Error getting alert rules:", error);
+        res.status(500).json({ error: "Failed to get alert rules" });
+      }
+    });
+
+    // Add an alert rule or replace the rule with the same id
+    this.router.post("/alerts/rules", (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const alertManager = application.getComponent("alertManager");
+        if (!alertManager) {
+          return res.status(500).json({ error: "Alert manager not available" });
+        }
+
+        let rule;
+        try {
+          rule = alertManager.upsertRule(req.body || {});
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.json(rule);
+      } catch (error) {
+        logger.error("Error saving alert rule:", error);
+        res.status(500).json({ error: "Failed to save alert rule", details: error.message });
+      }
+    });
+
+    // List door alarms, newest first
+    this.router.get("/door-alarms", (req, res) => {
+      try {
+        const { limit = 100, status, type, deviceId } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const doorAlarms = application.getComponent("doorAlarms");
+        if (!doorAlarms) {
+          return res.status(500).json({ error: "Door alarm manager not available" });
+        }
+
+        const alarms = doorAlarms.listAlarms({ limit: parseInt(limit), status, type, deviceId });
+        res.json({ count: alarms.length, stats: doorAlarms.getStats(), alarms });
+      } catch (error) {
+        logger.error("Error getting door alarms:", error);
+        res.status(500).json({ error: "Failed to get door alarms" });
+      }
+    });
+
+    // List work orders
+    this.router.get("/workorders", (req, res) => {
+      try {
+        const { deviceId } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const doorAlarms = application.getComponent("doorAlarms");
+        if (!doorAlarms) {
+          return res.status(500).json({ error: "Door alarm manager not available" });
+        }
+
+        const workOrders = doorAlarms.listWorkOrders({ deviceId });
+        res.json({ count: workOrders.length, workOrders });
+      } catch (error) {
+        logger.error("Error getting work orders:", error);
+        res.status(500).json({ error: "Failed to get work orders" });
+      }
+    });
+
+    // Register a work order that authorizes opening a cabinet
+    this.router.post("/workorders", async (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const doorAlarms = application.getComponent("doorAlarms");
+        if (!doorAlarms) {
+          return res.status(500).json({ error: "Door alarm manager not available" });
+        }
+
+        let workOrder;
+        try {
+          workOrder = await doorAlarms.addWorkOrder(req.body || {});
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.status(201).json(workOrder);
+      } catch (error) {
+        logger.error("Error registering work order:", error);
+        res.status(500).json({ error: "Failed to register work order", details: error.message });
+      }
+    });
+
+    // Remove a work order
+    this.router.delete("/workorders/:id", async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const doorAlarms = application.getComponent("doorAlarms");
+        if (!doorAlarms) {
+          return res.status(500).json({ error: "Door alarm manager not available" });
+        }
+
+        const removed = await doorAlarms.removeWorkOrder(id);
+        if (!removed) {
+          return res.status(404).json({ error: "Work order not found" });
+        }
+
+        res.json({ removed: true, id });
+      } catch (error) {
+        logger.error("Error removing work order:", error);
+        res.status(500).json({ error: "Failed to remove work order", details: error.message });
+      }
+    });
+
+    // List RFID tamper incidents, newest first
+    this.router.get("/tamper-incidents", (req, res) => {
+      try {
+        const { limit = 100, status, open, deviceId } = req.query;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const tamperIncidents = application.getComponent("tamperIncidents");
+        if (!tamperIncidents) {
+          return res.status(500).json({ error: "Tamper incident manager not available" });
+        }
+
+        const incidents = tamperIncidents.listIncidents({ limit: parseInt(limit), status, open: open === "true", deviceId });
+        res.json({ count: incidents.length, stats: tamperIncidents.getStats(), incidents });
+      } catch (error) {
+        logger.error("Error getting tamper incidents:", error);
+        res.status(500).json({ error: "Failed to get tamper incidents" });
+      }
+    });
+
+    // Get a tamper incident with its audit trail
+    this.router.get("/tamper-incidents/:id", (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const tamperIncidents = application.getComponent("tamperIncidents");
+        if (!tamperIncidents) {
+          return res.status(500).json({ error: "Tamper incident manager not available" });
+        }
+
+        const incident = tamperIncidents.getIncident(id);
+        if (!incident) {
+          return res.status(404).json({ error: "Tamper incident not found" });
+        }
+
+        res.json(incident);
+      } catch (error) {
+        logger.error("Error getting tamper incident:", error);
+        res.status(500).json({ error: "Failed to get tamper incident" });
+      }
+    });
+
+    // Acknowledge a tamper incident and send the clear command to the device
+    this.router.post("/tamper-incidents/:id/acknowledge", async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { operator, note, clear } = req.body || {};
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const tamperIncidents = application.getComponent("tamperIncidents");
+        if (!tamperIncidents) {
+          return res.status(500).json({ error: "Tamper incident manager not available" });
+        }
+
+        let incident;
+        try {
+          incident = await tamperIncidents.acknowledge(id, { operator, note, clear });
+        } catch (error) {
+          if (error.code === "INVALID_STATE") {
+            return res.status(409).json({ error: error.message });
+          }
+          throw error;
+        }
+        if (!incident) {
+          return res.status(404).json({ error: "Tamper incident not found" });
+        }
+
+        res.json(incident);
+      } catch (error) {
+        logger.error("Error acknowledging tamper incident:", error);
+        res.status(500).json({ error: "Failed to acknowledge tamper incident", details: error.message });
+      }
+    });
+
+    // Resend the clear command of an acknowledged tamper incident
+    this.router.post("/tamper-incidents/:id/clear", async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { operator } = req.body || {};
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const tamperIncidents = application.getComponent("tamperIncidents");
+        if (!tamperIncidents) {
+          return res.status(500).json({ error: "Tamper incident manager not available" });
+        }
+
+        let incident;
+        try {
+          incident = await tamperIncidents.clear(id, { operator });
+        } catch (error) {
+          if (error.code === "INVALID_STATE") {
+            return res.status(409).json({ error: error.message });
+          }
+          throw error;
+        }
+        if (!incident) {
+          return res.status(404).json({ error: "Tamper incident not found" });
+        }
+
+        res.json(incident);
+      } catch (error) {
+        logger.error("Error clearing tamper incident:", error);
+        res.status(500).json({ error: "Failed to clear tamper incident", details: error.message });
+      }
+    });
+
+    // List API keys, without the keys themselves
+    this.router.get("/auth/keys", (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const authManager = application.getComponent("authManager");
+        if (!authManager) {
+          return res.status(500).json({ error: "Auth manager not available" });
+        }
+
+        const keys = authManager.keys.list();
+        res.json({ count: keys.length, keys });
+      } catch (error) {
+        logger.error("Error getting API keys:", error);
+        res.status(500).json({ error: "Failed to get API keys" });
+      }
+    });
+
+    // Create an API key; the key is only returned in this response
+    this.router.post("/auth/keys", async (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const authManager = application.getComponent("authManager");
+        if (!authManager) {
+          return res.status(500).json({ error: "Auth manager not available" });
+        }
+
+        let key;
+        try {
+          key = await authManager.keys.create(req.body || {});
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        logger.info(`API key ${key.id} (${key.name}) created with scopes ${key.scopes.join(", ")}`);
+        res.status(201).json(key);
+      } catch (error) {
+        logger.error("Error creating API key:", error);
+        res.status(500).json({ error: "Failed to create API key", details: error.message });
+      }
+    });
+
+    // Revoke an API key
+    this.router.delete("/auth/keys/:id", async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const authManager = application.getComponent("authManager");
+        if (!authManager) {
+          return res.status(500).json({ error: "Auth manager not available" });
+        }
+
+        const revoked = await authManager.keys.revoke(id);
+        if (!revoked) {
+          return res.status(404).json({ error: "API key not found" });
+        }
+
+        logger.info(`API key ${id} revoked`);
+        res.json({ revoked: true, id });
+      } catch (error) {
+        logger.error("Error revoking API key:", error);
+        res.status(500).json({ error: "Failed to revoke API key", details: error.message });
+      }
+    });
+
+    // Exchange the caller's credential for a short-lived JWT with the same or fewer scopes
+    this.router.post("/auth/token", (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const authManager = application.getComponent("authManager");
+        if (!authManager || !req.auth) {
+          return res.status(500).json({ error: "Auth manager not available" });
+        }
+
+        const { scopes, expiresIn } = req.body || {};
+        try {
+          res.json(authManager.issueToken(req.auth, { scopes, expiresIn }));
+        } catch (error) {
+          if (error.code === "INVALID_STATE") {
+            return res.status(409).json({ error: error.message });
+          }
+          if (error.code === "FORBIDDEN") {
+            return res.status(403).json({ error: error.message });
+          }
+          return res.status(400).json({ error: error.message });
+        }
+      } catch (error) {
+        logger.error("Error issuing token:", error);
+        res.status(500).json({ error: "Failed to issue token" });
+      }
+    });
+
     // Get write buffer status
     this.router.get("/status/writebuffer", (req, res) => {
       try {
@@ -224,6 +1081,33 @@ class RestAPIManager extends BaseComponent {
       }
     });
 
+    // Get retention policies and the status of the rollup and purge jobs
+    this.router.get("/status/retention", (req, res) => {
+      try {
+        const application = req.app.get("application");
+        if (!application) {
+          return res.status(500).json({ error: "Application not available" });
+        }
+
+        const retention = application.getComponent("retention");
+        if (!retention) {
+          return res.status(500).json({ error: "Retention manager not available" });
+        }
+
+        res.json({
+          status: "success",
+          retention: retention.getStatus(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error("Error getting retention status:", error);
+        res.status(500).json({
+          error: "Failed to get retention status",
+          details: error.message
+        });
+      }
+    });
+
     // Store the routes for reference
     this.routes = this.router.stack
       .filter(r => r.route)
@@ -0,0 +1,88 @@
+// Fields a subscription can filter on; messages carry the first four, alerts all but msgType
+const FIELDS = ["deviceId", "deviceType", "msgType", "modNum", "category"];
+
+/**
+ * Matches events against a subscription filter such as
+ * `{ "deviceId": "2437*", "msgType": ["TempHum", "Noise"], "modNum": 1 }`
+ *
+ * Each field takes a value or a list of values; `*` in a value matches any characters.
+ * An event matches when every filtered field matches one of its values, so a field the
+ * event does not have (`category` on a message, `msgType` on an alert) never matches.
+ */
+class SubscriptionFilter {
+  /**
+   * @param {Object} filter - Field -> value or list of values
+   */
+  constructor(filter = {}) {
+    if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+      throw new Error("Subscription filter must be an object");
+    }
+
+    this.filter = {};
+    this.matchers = [];
+    for (const [field, value] of Object.entries(filter)) {
+      if (!FIELDS.includes(field)) {
+        throw new Error(`Unknown subscription field: ${field} (expected ${FIELDS.join(", ")})`);
+      }
+
+      const values = Array.isArray(value) ? value : [value];
+      if (values.length === 0 || values.some(v => typeof v !== "string" && typeof v !== "number")) {
+        throw new Error(`Subscription field ${field} needs a string or number, or a list of them`);
+      }
+
+      this.filter[field] = value;
+      this.matchers.push({ field, patterns: values.map(v => SubscriptionFilter.compilePattern(v)) });
+    }
+  }
+
+  /**
+   * @param {string|number} value - Exact value or wildcard pattern
+   * @returns {Function} (value) => boolean
+   */
+  static compilePattern(value) {
+    const text = String(value);
+    if (!text.includes("*")) {
+      return candidate => String(candidate) === text;
+    }
+    const regex = new RegExp(`^${text.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+    return candidate => regex.test(String(candidate));
+  }
+
+  /**
+   * @param {Object} fields - Event fields, e.g. { deviceId, deviceType, msgType, modNum }
+   * @returns {boolean}
+   */
+  matches(fields) {
+    return this.matchers.every(({ field, patterns }) =>
+      fields[field] !== undefined && fields[field] !== null && patterns.some(pattern => pattern(fields[field]))
+    );
+  }
+
+  /**
+   * Fields of a normalized message
+   */
+  static messageFields(message) {
+    return {
+      deviceId: message.deviceId,
+      deviceType: message.deviceType,
+      msgType: message.msgType,
+      modNum: message.modNum
+    };
+  }
+
+  /**
+   * Fields of an alert
+   */
+  static alertFields(alert) {
+    return {
+      deviceId: alert.deviceId,
+      deviceType: alert.deviceType,
+      modNum: alert.modNum,
+      category: alert.category
+    };
+  }
+}
+
+SubscriptionFilter.FIELDS = FIELDS;
+
+module.exports = SubscriptionFilter;
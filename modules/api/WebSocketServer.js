@@ -1,22 +1,54 @@
 const WebSocket = require("ws");
 const BaseComponent = require("../core/BaseComponent");
-const eventBus = require("../core/eventBus");
+const SubscriptionFilter = require("./SubscriptionFilter");
+const JsonRpcHandler = require("./JsonRpcHandler");
+const BroadcastLog = require("./BroadcastLog");
+const StateManagerFactory = require("../normalizers/stateManagers/StateManagerFactory");
 
 class WebSocketServer extends BaseComponent {
   constructor(options = {}) {
     super(options);
     this.clients = new Set();
+    // Client -> Map of subscription id -> { id, filter }
+    this.subscriptions = new Map();
+    // Client -> principal authenticated on the upgrade handshake, null without auth
+    this.principals = new Map();
+    this.requireSubscription = this.options.requireSubscription === true;
+    this.maxSubscriptions = this.options.maxSubscriptions || 50;
+    // Broadcasts are numbered and kept for resuming clients by the log shared with the event stream
+    this.log = this.options.broadcastLog || BroadcastLog.getShared();
+    if (this.options.replayBufferSize) {
+      this.log.reserve(this.options.replayBufferSize);
+    }
+    this.snapshotTypes = this.options.snapshotTypes || ["Rfid", "Door", "TempHum"];
+    this.stateManagers = this.options.stateManagers || StateManagerFactory.getShared();
+    // State managers do not know the device type, so it is remembered from the messages seen
+    this.deviceTypes = new Map();
+    this.rpc = new JsonRpcHandler({
+      stateManagers: this.stateManagers,
+      database: this.options.database,
+      commandManager: this.options.commandManager,
+      commandTracker: this.options.commandTracker,
+      authManager: this.options.authManager,
+      resolveDeviceType: deviceId => this.deviceTypes.get(deviceId)
+    });
+    this.handleEntry = this.handleEntry.bind(this);
   }
 
   async initialize() {
     try {
       this.validateOptions(["server"]);
+      this.alertManager = this.options.alertManager || null;
+      this.authManager = this.options.authManager || null;
 
-      this.wss = new WebSocket.Server({ server: this.options.server });
+      this.wss = new WebSocket.Server({
+        server: this.options.server,
+        verifyClient: this.authManager ? (info, done) => this.authManager.verifyClient(info, done) : undefined
+      });
       this.setupEventHandlers();
 
-      // Subscribe to message events for broadcasting
-      eventBus.on("message.processed", this.broadcast.bind(this));
+      // Record message and alert events for broadcasting
+      this.log.start(this);
 
       this.logger.info("WebSocket server initialized");
     } catch (error) {
@@ -26,14 +58,27 @@ class WebSocketServer extends BaseComponent {
   }
 
   setupEventHandlers() {
-    this.wss.on("connection", (ws) => {
+    this.log.on("entry", this.handleEntry);
+
+    this.wss.on("connection", (ws, req) => {
       this.clients.add(ws);
+      this.subscriptions.set(ws, new Map());
+      this.principals.set(ws, req && req.auth ? req.auth : null);
       this.logger.debug(
         `Client connected. Total clients: ${this.clients.size}`
       );
 
+      this.send(ws, { type: "session", epoch: this.log.epoch, seq: this.log.sequence });
+      if (this.alertManager) {
+        this.send(ws, { type: "alerts.active", alerts: this.alertManager.getActive() });
+      }
+
+      ws.on("message", (data) => this.handleClientMessage(ws, data));
+
       ws.on("close", () => {
         this.clients.delete(ws);
+        this.subscriptions.delete(ws);
+        this.principals.delete(ws);
         this.logger.debug(
           `Client disconnected. Total clients: ${this.clients.size}`
         );
@@ -45,9 +90,243 @@ class WebSocketServer extends BaseComponent {
     });
   }
 
-  broadcast(message) {
-    const data = JSON.stringify(message);
+  /**
+   * Answer a request sent by a client
+   * @param {WebSocket} ws - Client connection
+   * @param {Buffer|string} data - Raw JSON request, e.g. { "type": "alerts.history", "limit": 50 },
+   *   or a JSON-RPC 2.0 request, e.g. { "jsonrpc": "2.0", "id": 1, "method": "getHistory", "params": { "deviceId": "2437871205" } }
+   */
+  handleClientMessage(ws, data) {
+    let request;
+    try {
+      request = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(ws, { type: "error", error: "Invalid JSON" });
+    }
+
+    if (Array.isArray(request) || (request && request.jsonrpc === "2.0")) {
+      return this.handleRpc(ws, request);
+    }
+    if (!request || typeof request !== "object") {
+      return this.send(ws, { type: "error", error: "Request must be a JSON object" });
+    }
+
+    switch (request.type) {
+      case "alerts.active":
+      case "alerts.history": {
+        if (!this.alertManager) {
+          return this.send(ws, { type: "error", error: "Alert manager not available" });
+        }
+        const { deviceId, severity, ruleId, limit } = request;
+        const alerts = request.type === "alerts.active"
+          ? this.alertManager.getActive({ deviceId, severity, ruleId })
+          : this.alertManager.getHistory({ deviceId, severity, ruleId, limit: parseInt(limit) || undefined });
+        return this.send(ws, { type: request.type, alerts });
+      }
+      case "subscribe":
+        return this.subscribe(ws, request);
+      case "unsubscribe":
+        return this.unsubscribe(ws, request);
+      case "subscriptions":
+        return this.send(ws, { type: "subscriptions", subscriptions: this.listSubscriptions(ws) });
+      case "resume":
+        return this.resume(ws, request);
+      case "snapshot":
+        return this.sendSnapshot(ws);
+      default:
+        return this.send(ws, { type: "error", error: `Unknown request type: ${request.type}` });
+    }
+  }
+
+  /**
+   * Answer a JSON-RPC request; responses are sent as they complete, so they may arrive out of order
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} request - { jsonrpc: "2.0", id, method, params }
+   */
+  async handleRpc(ws, request) {
+    const response = await this.rpc.handle(request, this.principals.get(ws));
+    if (response) {
+      this.send(ws, response);
+    }
+  }
+
+  /**
+   * Add a subscription, or replace the one with the same id
+   * Acknowledged with `subscribed` and the client's active subscriptions
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} request - { id, filter }
+   */
+  subscribe(ws, request) {
+    const subscriptions = this.subscriptions.get(ws);
+    if (!subscriptions) {
+      return;
+    }
+
+    const id = request.id !== undefined ? String(request.id) : `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (!subscriptions.has(id) && subscriptions.size >= this.maxSubscriptions) {
+      return this.send(ws, { type: "error", error: `At most ${this.maxSubscriptions} subscriptions per client`, id });
+    }
+
+    let filter;
+    try {
+      filter = new SubscriptionFilter(request.filter || {});
+    } catch (error) {
+      return this.send(ws, { type: "error", error: error.message, id });
+    }
+
+    subscriptions.set(id, { id, filter });
+    this.logger.debug(`Client subscribed (${id}): ${JSON.stringify(filter.filter)}`);
+    this.send(ws, { type: "subscribed", id, filter: filter.filter, subscriptions: this.listSubscriptions(ws) });
+
+    if (request.snapshot === true) {
+      this.sendSnapshot(ws, filter);
+    }
+  }
+
+  /**
+   * Remove one subscription by id, or all of them without an id
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} request - { id }
+   */
+  unsubscribe(ws, request) {
+    const subscriptions = this.subscriptions.get(ws);
+    if (!subscriptions) {
+      return;
+    }
+
+    let removed;
+    if (request.id === undefined) {
+      removed = Array.from(subscriptions.keys());
+      subscriptions.clear();
+    } else {
+      const id = String(request.id);
+      if (!subscriptions.delete(id)) {
+        return this.send(ws, { type: "error", error: `Unknown subscription: ${id}`, id });
+      }
+      removed = [id];
+    }
+
+    this.send(ws, { type: "unsubscribed", ids: removed, subscriptions: this.listSubscriptions(ws) });
+  }
+
+  listSubscriptions(ws) {
+    const subscriptions = this.subscriptions.get(ws);
+    return subscriptions
+      ? Array.from(subscriptions.values()).map(({ id, filter }) => ({ id, filter: filter.filter }))
+      : [];
+  }
+
+  /**
+   * Whether an event is pushed to a client
+   * Clients without subscriptions get everything, unless `requireSubscription` is set
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} fields - Event fields to match
+   */
+  isSubscribed(ws, fields) {
+    const subscriptions = this.subscriptions.get(ws);
+    if (!subscriptions || subscriptions.size === 0) {
+      return !this.requireSubscription;
+    }
+    for (const { filter } of subscriptions.values()) {
+      if (filter.matches(fields)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Replay the buffered broadcasts after the client's last sequence number
+   * `complete` is false when broadcasts were missed: the client's sequence is older than
+   * the buffer, or belongs to an earlier server run (`epoch`). It should then request a snapshot.
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} request - { lastSeq, epoch }
+   */
+  resume(ws, request) {
+    const lastSeq = parseInt(request.lastSeq, 10);
+    if (isNaN(lastSeq) || lastSeq < 0) {
+      return this.send(ws, { type: "error", error: "resume needs the last received 'lastSeq'" });
+    }
+
+    const { entries, complete } = this.log.since(lastSeq, request.epoch);
+    let replayed = 0;
+    for (const entry of entries) {
+      if ((!entry.fields || this.isSubscribed(ws, entry.fields)) && ws.readyState === WebSocket.OPEN) {
+        ws.send(this.format(entry));
+        replayed++;
+      }
+    }
+
+    this.send(ws, { type: "resumed", epoch: this.log.epoch, lastSeq, seq: this.log.sequence, replayed, complete });
+  }
+
+  /**
+   * Send the current state of the snapshot message types for the devices a client is subscribed to
+   * The state is as of `seq`, so the client can resume from there after a reconnect
+   * @param {WebSocket} ws - Client connection
+   * @param {SubscriptionFilter} filter - Only this subscription instead of all of the client's
+   */
+  sendSnapshot(ws, filter = null) {
+    const states = [];
+    this.snapshotTypes.forEach(msgType => {
+      const manager = this.stateManagers.getManager(msgType);
+      if (!manager) {
+        return;
+      }
+
+      manager.getModules().forEach(({ deviceId, modNum }) => {
+        const fields = { deviceId, deviceType: this.deviceTypes.get(deviceId), msgType, modNum };
+        if (filter ? !filter.matches(fields) : !this.isSubscribed(ws, fields)) {
+          return;
+        }
+        const state = manager.getCurrentState(deviceId, modNum);
+        if (state) {
+          states.push({ ...fields, state });
+        }
+      });
+    });
+
+    this.send(ws, { type: "snapshot", seq: this.log.sequence, states });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      try {
+        ws.send(JSON.stringify(message));
+      } catch (error) {
+        this.logger.error("Error sending to client:", error);
+      }
+    }
+  }
+
+  /**
+   * Messages and alerts are sent with their sequence number as `seq`
+   * @param {Object} entry - Broadcast log entry
+   * @returns {string}
+   */
+  format(entry) {
+    return JSON.stringify({ ...entry.data, seq: entry.seq });
+  }
+
+  handleEntry(entry) {
+    const message = entry.data;
+    if (entry.event === "message" && message && message.deviceId && message.deviceType) {
+      this.deviceTypes.set(message.deviceId, message.deviceType);
+    }
+    this.broadcast(entry);
+  }
+
+  /**
+   * Send a broadcast log entry to every client, or with `fields` only to the clients subscribed to it
+   * @param {Object} entry - { seq, data, fields } from the broadcast log
+   */
+  broadcast(entry) {
+    const data = this.format(entry);
+
     for (const client of this.clients) {
+      if (entry.fields && !this.isSubscribed(client, entry.fields)) {
+        continue;
+      }
       if (client.readyState === WebSocket.OPEN) {
         try {
           client.send(data);
@@ -60,8 +339,15 @@ class WebSocketServer extends BaseComponent {
   }
 
   getStats() {
+    let subscriptions = 0;
+    for (const clientSubscriptions of this.subscriptions.values()) {
+      subscriptions += clientSubscriptions.size;
+    }
     return {
       connectedClients: this.clients.size,
+      subscriptions,
+      seq: this.log.sequence,
+      replayBuffered: this.log.entries.length,
     };
   }
 
@@ -71,6 +357,8 @@ class WebSocketServer extends BaseComponent {
 
   async shutdown() {
     try {
+      this.log.removeListener("entry", this.handleEntry);
+      this.log.stop(this);
       for (const client of this.clients) {
         try {
           client.close();
@@ -79,6 +367,8 @@ class WebSocketServer extends BaseComponent {
         }
       }
       this.clients.clear();
+      this.subscriptions.clear();
+      this.principals.clear();
       if (this.wss) {
         this.wss.close();
       }
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const readline = require("readline");
+const eventBus = require("../core/eventBus");
+const logger = require("../../utils/logger");
+
+/**
+ * Feeds an NDJSON capture back into the pipeline as `mqtt.message` events
+ *
+ * Speed:
+ * - 1: original timing between messages
+ * - n: timing scaled by n (2 = twice as fast, 0.5 = half speed)
+ * - "max" (or 0): as fast as possible
+ */
+class CaptureReplayer {
+  /**
+   * @param {Object} options - Replay options
+   * @param {number|string} options.speed - Speed factor or "max"
+   * @param {Function} options.publish - (topic, message) => void, defaults to emitting mqtt.message
+   */
+  constructor(options = {}) {
+    this.speed = CaptureReplayer.parseSpeed(options.speed);
+    this.publish = options.publish || ((topic, message) => {
+      eventBus.emit("mqtt.message", { topic, message });
+    });
+    this.stopped = false;
+  }
+
+  /**
+   * Parse a speed option
+   * @param {number|string} value - Speed factor, "max" or undefined
+   * @returns {number} Speed factor, 0 for as fast as possible
+   */
+  static parseSpeed(value) {
+    if (value === undefined || value === null || value === "") {
+      return 1;
+    }
+    if (value === "max") {
+      return 0;
+    }
+
+    const speed = Number(value);
+    if (!Number.isFinite(speed) || speed < 0) {
+      throw new Error(`Invalid replay speed: ${value}`);
+    }
+    return speed;
+  }
+
+  /**
+   * Decode one capture line
+   * @param {string} line - NDJSON line
+   * @returns {Object} { ts, topic, message }
+   */
+  static decodeRecord(line) {
+    const record = JSON.parse(line);
+    if (!record.topic || record.payload === undefined) {
+      throw new Error("Capture record requires topic and payload");
+    }
+
+    const encoding = record.encoding || "hex";
+    if (!["hex", "base64", "utf8"].includes(encoding)) {
+      throw new Error(`Unsupported payload encoding: ${encoding}`);
+    }
+
+    return {
+      ts: record.ts ? Date.parse(record.ts) : null,
+      topic: record.topic,
+      message: Buffer.from(record.payload, encoding)
+    };
+  }
+
+  /**
+   * Replay a capture file
+   * @param {string} file - Path to the NDJSON capture
+   * @returns {Promise<Object>} { replayed, skipped, durationMs }
+   */
+  async replayFile(file) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file, "utf8"),
+      crlfDelay: Infinity
+    });
+
+    const startedAt = Date.now();
+    let firstTs = null;
+    let replayed = 0;
+    let skipped = 0;
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (this.stopped) {
+        break;
+      }
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = CaptureReplayer.decodeRecord(line);
+      } catch (error) {
+        logger.warn(`Skipping capture line ${lineNumber}: ${error.message}`);
+        skipped++;
+        continue;
+      }
+
+      // Schedule against the first message so delays do not accumulate drift
+      if (this.speed > 0 && record.ts !== null) {
+        if (firstTs === null) {
+          firstTs = record.ts;
+        }
+        const due = startedAt + (record.ts - firstTs) / this.speed;
+        const wait = due - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      } else {
+        // Let asynchronous handlers (storage, relay) run between messages
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      this.publish(record.topic, record.message);
+      replayed++;
+    }
+
+    lines.close();
+
+    return { replayed, skipped, durationMs: Date.now() - startedAt };
+  }
+
+  /**
+   * Stop a running replay after the current message
+   */
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = CaptureReplayer;
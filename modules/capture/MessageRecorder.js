@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+
+/**
+ * Records inbound MQTT messages to NDJSON capture files
+ *
+ * Each line holds one message: { ts, topic, payload, encoding }, with the raw
+ * payload bytes hex-encoded. Captures can be fed back through the pipeline with
+ * `npm run replay -- <file>` (see CaptureReplayer).
+ */
+class MessageRecorder extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.stream = null;
+    this.file = null;
+    this.count = 0;
+    this.startedAt = null;
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.directory = path.resolve(process.cwd(), this.options.directory || "./captures");
+
+      eventBus.on("mqtt.message", this.handleMessage);
+
+      if (this.options.recording) {
+        await this.start();
+      }
+
+      this.logger.info(`Message recorder initialized (directory: ${this.directory})`);
+    } catch (error) {
+      this.logger.error("Failed to initialize Message recorder:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start recording into a capture file
+   * @param {Object} options - { file } capture file name inside the capture directory
+   * @returns {Promise<Object>} Recorder status
+   */
+  async start(options = {}) {
+    if (this.stream) {
+      return this.getStatus();
+    }
+
+    // Only a file name is accepted so captures always stay in the capture directory
+    const name = options.file
+      ? path.basename(options.file)
+      : `capture-${new Date().toISOString().replace(/[:.]/g, "-")}.ndjson`;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    this.file = path.join(this.directory, name);
+    this.stream = fs.createWriteStream(this.file, { flags: "a" });
+    this.count = 0;
+    this.startedAt = new Date().toISOString();
+
+    this.stream.on("error", error => {
+      this.logger.error(`Error writing capture file ${this.file}:`, error);
+    });
+
+    this.logger.info(`Recording MQTT messages to ${this.file}`);
+    return this.getStatus();
+  }
+
+  /**
+   * Stop recording and close the capture file
+   * @returns {Promise<Object>} Recorder status, including the finished file
+   */
+  async stop() {
+    if (!this.stream) {
+      return this.getStatus();
+    }
+
+    const stream = this.stream;
+    this.stream = null;
+    await new Promise(resolve => stream.end(resolve));
+
+    this.logger.info(`Stopped recording after ${this.count} message(s): ${this.file}`);
+    return { ...this.getStatus(), stoppedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Write an inbound MQTT message to the capture file
+   * @param {Object} data - { topic, message } from the MQTT client
+   */
+  handleMessage({ topic, message }) {
+    if (!this.stream) {
+      return;
+    }
+
+    const payload = Buffer.isBuffer(message) ? message : Buffer.from(String(message));
+    this.stream.write(JSON.stringify({
+      ts: new Date().toISOString(),
+      topic,
+      payload: payload.toString("hex"),
+      encoding: "hex"
+    }) + "\n");
+    this.count++;
+  }
+
+  /**
+   * Get recorder status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      recording: !!this.stream,
+      directory: this.directory,
+      file: this.file,
+      count: this.count,
+      startedAt: this.startedAt
+    };
+  }
+
+  async shutdown() {
+    eventBus.removeListener("mqtt.message", this.handleMessage);
+    await this.stop();
+    super.shutdown();
+  }
+}
+
+module.exports = MessageRecorder;
@@ -0,0 +1,416 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+const { resolveOutcome } = require("./commandUtils");
+
+class CommandManager extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.encoders = new Map();
+    this.commands = new Map();
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.maxHistory = this.options.maxHistory || 1000;
+      this.responseTimeout = this.options.responseTimeout || 30000;
+
+      this.registerEncoder("V5008", require("./v5008CommandEncoder"));
+      this.registerEncoder("V6800", require("./v6800CommandEncoder"));
+
+      // Tie device responses back to the commands that triggered them
+      eventBus.on("message.processed", this.handleMessage);
+
+      this.logger.info(
+        `Command manager initialized with encoders: ${Array.from(this.encoders.keys()).join(", ")}`
+      );
+    } catch (error) {
+      this.logger.error("Failed to initialize Command manager:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a command encoder for a device type
+   * @param {string} deviceType - Device type (e.g., "V5008")
+   * @param {Object} encoder - Encoder object with encode function
+   */
+  registerEncoder(deviceType, encoder) {
+    if (!encoder || typeof encoder.encode !== "function") {
+      throw new Error(`Encoder for ${deviceType} must have an encode function`);
+    }
+    this.encoders.set(deviceType, encoder);
+  }
+
+  /**
+   * Get the encoder for a device type
+   * @param {string} deviceType - Device type
+   * @returns {Object|null} Encoder or null if not supported
+   */
+  getEncoder(deviceType) {
+    return this.encoders.get(deviceType) || null;
+  }
+
+  /**
+   * Encode and publish a command to a device
+   * @param {string} deviceId - Target device ID
+   * @param {string} deviceType - Device type
+   * @param {Object} request - Structured command request
+   * @returns {Promise<Object>} The recorded command
+   */
+  async sendCommand(deviceId, deviceType, request = {}) {
+    const encoder = this.getEncoder(deviceType);
+    if (!encoder) {
+      const error = new Error(`Commands are not supported for device type: ${deviceType}`);
+      error.code = "INVALID_COMMAND";
+      throw error;
+    }
+
+    const encoded = encoder.encode(deviceId, request);
+    const command = {
+      commandId: this.generateCommandId(),
+      deviceId,
+      deviceType,
+      command: request.command,
+      request,
+      topic: encoded.topic,
+      rawPayload: encoded.rawPayload,
+      expectedResponse: encoded.expectedResponse,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      respondedAt: null,
+      response: null,
+      error: null
+    };
+
+    this.storeCommand(command);
+    await this.publish(command, encoded.payload);
+    return command;
+  }
+
+  /**
+   * Re-encode and publish an existing command, keeping its command ID
+   * @param {string} commandId - Command ID
+   * @returns {Promise<Object>} The resent command
+   */
+  async resendCommand(commandId) {
+    const command = this.getCommand(commandId);
+    if (!command) {
+      throw new Error(`Unknown command: ${commandId}`);
+    }
+
+    // Encoding again gives V6800 commands a fresh uuid_number
+    const encoded = this.getEncoder(command.deviceType).encode(command.deviceId, command.request);
+    command.topic = encoded.topic;
+    command.rawPayload = encoded.rawPayload;
+    command.expectedResponse = encoded.expectedResponse;
+    command.status = "pending";
+    command.respondedAt = null;
+    command.response = null;
+    command.error = null;
+
+    await this.publish(command, encoded.payload);
+    return command;
+  }
+
+  /**
+   * Publish an encoded command payload over MQTT
+   * @param {Object} command - Recorded command
+   * @param {Buffer|Object} payload - Encoded payload
+   */
+  async publish(command, payload) {
+    try {
+      if (!this.options.mqtt) {
+        throw new Error("MQTT client not available");
+      }
+
+      await this.options.mqtt.publish(command.topic, payload);
+      command.status = "sent";
+      command.sentAt = new Date().toISOString();
+      this.logger.debug(`Command ${command.commandId} published to ${command.topic}: ${command.rawPayload}`);
+
+      eventBus.emit("command.sent", command);
+    } catch (error) {
+      command.status = "failed";
+      command.error = error.message;
+      this.logger.error(`Failed to publish command ${command.commandId}:`, error);
+      eventBus.emit("command.error", { command, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store a command, evicting the oldest once the history limit is reached
+   * @param {Object} command - Command to store
+   */
+  storeCommand(command) {
+    if (this.commands.size >= this.maxHistory) {
+      const oldestId = this.commands.keys().next().value;
+      this.commands.delete(oldestId);
+    }
+    this.commands.set(command.commandId, command);
+  }
+
+  /**
+   * Match processed device messages against commands awaiting a response
+   * @param {Object} message - Normalized message
+   */
+  handleMessage(message) {
+    if (!message || !message.deviceId) {
+      return;
+    }
+
+    const command = this.findPendingCommand(message);
+    if (!command) {
+      return;
+    }
+
+    // A busy device is asked again by the command tracker, so the command still awaits its answer
+    const busy = resolveOutcome(command.deviceType, message) === "busy";
+
+    command.status = busy ? "busy" : "responded";
+    command.respondedAt = new Date().toISOString();
+    command.response = {
+      msgType: message.msgType,
+      modNum: message.modNum,
+      payload: message.payload,
+      result: message.meta ? message.meta.result : undefined,
+      msgId: message.meta ? message.meta.msgId : undefined
+    };
+
+    if (message.meta) {
+      message.meta.commandId = command.commandId;
+    }
+
+    this.logger.debug(`Command ${command.commandId} answered by ${message.msgType} from ${message.deviceId}`);
+    eventBus.emit("command.response", { command, message });
+  }
+
+  /**
+   * Find the oldest sent command that the message is a response to
+   * @param {Object} message - Normalized message
+   * @returns {Object|null} Matching command or null
+   */
+  findPendingCommand(message) {
+    const now = Date.now();
+
+    for (const command of this.commands.values()) {
+      if (command.status !== "sent" || command.deviceId !== message.deviceId) {
+        continue;
+      }
+
+      // Commands that were never answered are not matched indefinitely
+      if (now - new Date(command.sentAt).getTime() > this.responseTimeout) {
+        continue;
+      }
+
+      if (this.isResponseTo(command.expectedResponse, message)) {
+        return command;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a message satisfies an expected response description
+   * @param {Object} expected - Expected response ({ msgTypes, modNum, msgId })
+   * @param {Object} message - Normalized message
+   * @returns {boolean}
+   */
+  isResponseTo(expected, message) {
+    if (!expected || !expected.msgTypes.includes(message.msgType)) {
+      return false;
+    }
+
+    if (expected.msgId !== undefined && expected.msgId !== null) {
+      return !!message.meta && message.meta.msgId === expected.msgId;
+    }
+
+    if (expected.modNum !== undefined && expected.modNum !== null) {
+      const responseModNum = message.modNum !== null && message.modNum !== undefined ?
+        message.modNum :
+        message.payload && message.payload.modNum;
+
+      if (responseModNum !== null && responseModNum !== undefined && responseModNum !== expected.modNum) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a caller supplied response timeout
+   * Commands are not matched to responses after responseTimeout, so longer waits are capped to it
+   * @param {*} timeout - Timeout in milliseconds, as a number or numeric string; defaults to responseTimeout
+   * @returns {number} Timeout in milliseconds
+   */
+  resolveTimeout(timeout) {
+    if (timeout === undefined || timeout === null) {
+      return this.responseTimeout;
+    }
+
+    const value = typeof timeout === "string" && timeout.trim() !== "" ? Number(timeout) : timeout;
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+      const error = new Error(`timeout must be a positive number of milliseconds: ${timeout}`);
+      error.code = "INVALID_COMMAND";
+      throw error;
+    }
+
+    return Math.min(value, this.responseTimeout);
+  }
+
+  /**
+   * Mark a sent command as unanswered, so it is no longer reported as "sent"
+   * @param {string} commandId - Command ID
+   * @param {string} reason - Why the command timed out
+   * @returns {Object|null} The command, or null if it is not awaiting a response
+   */
+  markTimedOut(commandId, reason) {
+    const command = this.getCommand(commandId);
+    if (!command || command.status !== "sent") {
+      return null;
+    }
+
+    command.status = "timeout";
+    command.error = reason;
+    return command;
+  }
+
+  /**
+   * Wait for the device response to a command
+   * Busy answers do not end the wait while the command tracker retries the command; if it gives up,
+   * the command is returned with the last answer
+   * @param {string} commandId - Command ID
+   * @param {number} timeout - Maximum time to wait in milliseconds
+   * @returns {Promise<Object>} The answered command
+   */
+  waitForResponse(commandId, timeout = this.responseTimeout) {
+    const command = this.getCommand(commandId);
+    if (!command) {
+      return Promise.reject(new Error(`Unknown command: ${commandId}`));
+    }
+
+    const timedOut = () => {
+      const error = new Error(`Timed out waiting for response to command ${commandId}`);
+      error.code = "COMMAND_TIMEOUT";
+      return error;
+    };
+
+    if (command.status === "responded") {
+      return Promise.resolve(command);
+    }
+    if (command.status === "timeout") {
+      return Promise.reject(timedOut());
+    }
+
+    return new Promise((resolve, reject) => {
+      const onResponse = ({ command: answered }) => {
+        if (answered.commandId !== commandId || answered.status !== "responded") {
+          return;
+        }
+        cleanup();
+        resolve(answered);
+      };
+
+      // The command tracker stops retrying a busy device, or cannot resend the command
+      const onFailed = (entry) => {
+        if (entry.commandId !== commandId || command.status === "responded") {
+          return;
+        }
+        cleanup();
+        resolve(command);
+      };
+
+      // The command tracker gives up on the command before our own timer runs out
+      const onTimeout = (entry) => {
+        if (entry.commandId !== commandId) {
+          return;
+        }
+        cleanup();
+        reject(timedOut());
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(timedOut());
+      }, timeout);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        eventBus.removeListener("command.response", onResponse);
+        eventBus.removeListener("command.failed", onFailed);
+        eventBus.removeListener("command.timeout", onTimeout);
+      };
+
+      eventBus.on("command.response", onResponse);
+      eventBus.on("command.failed", onFailed);
+      eventBus.on("command.timeout", onTimeout);
+    });
+  }
+
+  /**
+   * Get a command by ID
+   * @param {string} commandId - Command ID
+   * @returns {Object|null}
+   */
+  getCommand(commandId) {
+    return this.commands.get(commandId) || null;
+  }
+
+  /**
+   * Get recent commands for a device, newest first
+   * @param {string} deviceId - Device ID
+   * @param {number} limit - Maximum number of commands
+   * @returns {Array}
+   */
+  getDeviceCommands(deviceId, limit = 50) {
+    return Array.from(this.commands.values())
+      .filter(command => command.deviceId === deviceId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Get supported commands per device type
+   * @returns {Object}
+   */
+  getSupportedCommands() {
+    const supported = {};
+    for (const [deviceType, encoder] of this.encoders) {
+      supported[deviceType] = encoder.getSupportedCommands ? encoder.getSupportedCommands() : [];
+    }
+    return supported;
+  }
+
+  generateCommandId() {
+    return `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const command of this.commands.values()) {
+      byStatus[command.status] = (byStatus[command.status] || 0) + 1;
+    }
+
+    return {
+      totalCommands: this.commands.size,
+      byStatus
+    };
+  }
+
+  async shutdown() {
+    try {
+      eventBus.removeListener("message.processed", this.handleMessage);
+      this.commands.clear();
+      super.shutdown();
+    } catch (error) {
+      this.logger.error("Error during Command manager shutdown:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CommandManager;
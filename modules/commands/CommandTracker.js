@@ -0,0 +1,247 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+const { resolveOutcome } = require("./commandUtils");
+
+class CommandTracker extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.tracked = new Map();
+    this.timers = new Map();
+    this.handleSent = this.handleSent.bind(this);
+    this.handleResponse = this.handleResponse.bind(this);
+    this.handleError = this.handleError.bind(this);
+  }
+
+  async initialize() {
+    try {
+      // Time out together with the command manager, which stops matching responses after responseTimeout
+      this.timeout = (this.options.commandManager && this.options.commandManager.responseTimeout) || 30000;
+      this.maxRetries = this.options.maxRetries !== undefined ? this.options.maxRetries : 3;
+      this.retryDelay = this.options.retryDelay || 1000;
+      this.maxRetryDelay = this.options.maxRetryDelay || 30000;
+      this.maxHistory = this.options.maxHistory || 1000;
+
+      eventBus.on("command.sent", this.handleSent);
+      eventBus.on("command.response", this.handleResponse);
+      eventBus.on("command.error", this.handleError);
+
+      this.logger.info(
+        `Command tracker initialized (timeout: ${this.timeout}ms, maxRetries: ${this.maxRetries})`
+      );
+    } catch (error) {
+      this.logger.error("Failed to initialize Command tracker:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a published command as pending and start its response timer
+   * @param {Object} command - Command published by the command manager
+   */
+  handleSent(command) {
+    let entry = this.tracked.get(command.commandId);
+
+    if (!entry) {
+      entry = {
+        commandId: command.commandId,
+        deviceId: command.deviceId,
+        deviceType: command.deviceType,
+        command: command.command,
+        status: "pending",
+        attempts: 0,
+        result: null,
+        reason: null,
+        response: null,
+        createdAt: command.createdAt,
+        updatedAt: null,
+        completedAt: null,
+        history: []
+      };
+      this.store(entry);
+    }
+
+    entry.attempts++;
+    this.transition(entry, "pending", `Sent (attempt ${entry.attempts})`);
+    this.startTimer(entry);
+  }
+
+  /**
+   * Resolve a tracked command from the device response
+   * @param {Object} event - { command, message } from the command manager
+   */
+  handleResponse({ command, message }) {
+    const entry = this.tracked.get(command.commandId);
+    if (!entry || !this.isActive(entry)) {
+      return;
+    }
+
+    this.clearTimer(entry.commandId);
+    entry.response = command.response;
+
+    const outcome = resolveOutcome(entry.deviceType, message);
+
+    if (outcome === "busy") {
+      this.scheduleRetry(entry);
+    } else if (outcome === "success") {
+      this.complete(entry, "succeeded", "success", "Device confirmed command");
+    } else {
+      this.complete(entry, "failed", outcome, "Device rejected command");
+    }
+  }
+
+  /**
+   * Fail a tracked command whose publish failed
+   * @param {Object} event - { command, error } from the command manager
+   */
+  handleError({ command, error }) {
+    const entry = this.tracked.get(command.commandId);
+    if (!entry || !this.isActive(entry)) {
+      return;
+    }
+
+    this.clearTimer(entry.commandId);
+    this.complete(entry, "failed", "error", `Publish failed: ${error}`);
+  }
+
+  /**
+   * Resend a command after the device reported busy, with exponential backoff
+   * @param {Object} entry - Tracked command
+   */
+  scheduleRetry(entry) {
+    if (entry.attempts > this.maxRetries) {
+      this.complete(entry, "failed", "busy", `Device busy after ${entry.attempts} attempts`);
+      return;
+    }
+
+    const delay = Math.min(this.retryDelay * Math.pow(2, entry.attempts - 1), this.maxRetryDelay);
+    this.transition(entry, "retrying", `Device busy, retrying in ${delay}ms`);
+
+    const timer = setTimeout(async () => {
+      this.timers.delete(entry.commandId);
+      try {
+        if (!this.options.commandManager) {
+          throw new Error("Command manager not available");
+        }
+        // The resend emits command.sent, which re-arms the timeout
+        await this.options.commandManager.resendCommand(entry.commandId);
+      } catch (error) {
+        if (this.isActive(entry)) {
+          this.complete(entry, "failed", "error", `Retry failed: ${error.message}`);
+        }
+      }
+    }, delay);
+
+    this.timers.set(entry.commandId, timer);
+  }
+
+  /**
+   * Start (or restart) the response timer of a tracked command
+   * @param {Object} entry - Tracked command
+   */
+  startTimer(entry) {
+    this.clearTimer(entry.commandId);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(entry.commandId);
+      if (this.isActive(entry)) {
+        const reason = `No response within ${this.timeout}ms`;
+        if (this.options.commandManager) {
+          this.options.commandManager.markTimedOut(entry.commandId, reason);
+        }
+        this.complete(entry, "timeout", null, reason);
+      }
+    }, this.timeout);
+
+    this.timers.set(entry.commandId, timer);
+  }
+
+  clearTimer(commandId) {
+    const timer = this.timers.get(commandId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(commandId);
+    }
+  }
+
+  /**
+   * Move a tracked command to a final status and emit the matching event
+   * @param {Object} entry - Tracked command
+   * @param {string} status - "succeeded", "failed" or "timeout"
+   * @param {string|null} result - Device result, if any
+   * @param {string} reason - Human readable reason
+   */
+  complete(entry, status, result, reason) {
+    entry.result = result;
+    entry.reason = reason;
+    entry.completedAt = new Date().toISOString();
+    this.transition(entry, status, reason);
+
+    this.logger.debug(`Command ${entry.commandId} ${status}: ${reason}`);
+    eventBus.emit(`command.${status}`, entry);
+  }
+
+  transition(entry, status, detail) {
+    entry.status = status;
+    entry.updatedAt = new Date().toISOString();
+    entry.history.push({ status, timestamp: entry.updatedAt, detail });
+  }
+
+  isActive(entry) {
+    return entry.status === "pending" || entry.status === "retrying";
+  }
+
+  /**
+   * Store a tracked command, evicting the oldest once the history limit is reached
+   * @param {Object} entry - Tracked command
+   */
+  store(entry) {
+    if (this.tracked.size >= this.maxHistory) {
+      const oldestId = this.tracked.keys().next().value;
+      this.clearTimer(oldestId);
+      this.tracked.delete(oldestId);
+    }
+    this.tracked.set(entry.commandId, entry);
+  }
+
+  /**
+   * Get the lifecycle status of a command
+   * @param {string} commandId - Command ID
+   * @returns {Object|null}
+   */
+  getStatus(commandId) {
+    return this.tracked.get(commandId) || null;
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const entry of this.tracked.values()) {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    }
+
+    return {
+      trackedCommands: this.tracked.size,
+      activeTimers: this.timers.size,
+      byStatus
+    };
+  }
+
+  async shutdown() {
+    try {
+      eventBus.removeListener("command.sent", this.handleSent);
+      eventBus.removeListener("command.response", this.handleResponse);
+      eventBus.removeListener("command.error", this.handleError);
+
+      for (const timer of this.timers.values()) {
+        clearTimeout(timer);
+      }
+      this.timers.clear();
+      this.tracked.clear();
+      super.shutdown();
+    } catch (error) {
+      this.logger.error("Error during Command tracker shutdown:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CommandTracker;
@@ -0,0 +1,186 @@
+/**
+ * Shared helpers for device command encoders and command tracking
+ */
+
+// Color code mapping for color names, shared by V5008 and V6800 U-sensors
+const COLOR_CODE_MAP = {
+  "off": 0,
+  "red": 1,
+  "purple": 2,
+  "yellow": 3,
+  "green": 4,
+  "cyan": 5,
+  "blue": 6,
+  "white": 7,
+  "red_f": 8,
+  "purple_f": 9,
+  "yellow_f": 10,
+  "green_f": 11,
+  "cyan_f": 12,
+  "blue_f": 13,
+  "white_f": 14
+};
+
+/**
+ * Create a validation error for an invalid command request
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as INVALID_COMMAND
+ */
+function invalidCommand(message) {
+  const error = new Error(message);
+  error.code = "INVALID_COMMAND";
+  return error;
+}
+
+/**
+ * Validation helpers for command parameters
+ */
+const Validators = {
+  /**
+   * Validate an integer within a range
+   * @param {string} name - Parameter name used in error messages
+   * @param {number|string} value - Value to validate, as a number or a string of digits
+   * @param {Object} range - Allowed range { min, max }
+   * @returns {number} Validated value
+   */
+  integer(name, value, range) {
+    const numeric = typeof value === "number" || (typeof value === "string" && /^\d+$/.test(value));
+    const number = numeric ? Number(value) : NaN;
+    if (!Number.isInteger(number) || number < range.min || number > range.max) {
+      throw invalidCommand(`${name} must be an integer between ${range.min} and ${range.max}`);
+    }
+    return number;
+  },
+
+  /**
+   * Validate a color given by name or numeric code
+   * @param {string|number} color - Color name or code
+   * @returns {number} Color code
+   */
+  color(color) {
+    if (typeof color === "number") {
+      if (!Object.values(COLOR_CODE_MAP).includes(color)) {
+        throw invalidCommand(`Unknown color code: ${color}`);
+      }
+      return color;
+    }
+
+    const code = COLOR_CODE_MAP[String(color).toLowerCase()];
+    if (code === undefined) {
+      throw invalidCommand(`Unknown color: ${color}`);
+    }
+    return code;
+  }
+};
+
+/**
+ * Resolve the color entries of a setColor request
+ * Accepts either `colors: [{ num, color }]` or `positions: [..]` with a single `color`
+ * @param {Object} command - Command request
+ * @param {Object} positionRange - Allowed position range { min, max }
+ * @returns {Array} Array of { num, code }
+ */
+function resolveColorEntries(command, positionRange) {
+  let entries = command.colors;
+
+  if (!entries && Array.isArray(command.positions)) {
+    entries = command.positions.map(num => ({ num, color: command.color }));
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw invalidCommand("setColor requires 'colors' or 'positions' with 'color'");
+  }
+
+  return entries.map(entry => ({
+    num: Validators.integer("position", entry.num !== undefined ? entry.num : entry.position, positionRange),
+    code: Validators.color(entry.color)
+  }));
+}
+
+/**
+ * Resolve the positions of a clearTamperAlarm request
+ * @param {Object} command - Command request
+ * @param {Object} positionRange - Allowed position range { min, max }
+ * @returns {Array} Array of position numbers
+ */
+function resolvePositions(command, positionRange) {
+  if (!Array.isArray(command.positions) || command.positions.length === 0) {
+    throw invalidCommand(`${command.command} requires a non-empty 'positions' array`);
+  }
+
+  return command.positions.map(position => Validators.integer("position", position, positionRange));
+}
+
+/**
+ * V6800 response codes, as documented in the "Error Response Handling" section of
+ * doc/V6800-MQTT-Message-Format-and-Normalization-Guide.md
+ * 503 asks to try again later, so it is retried like a V5008 busy answer;
+ * any code not listed here fails the command
+ */
+const V6800_RESPONSE_CODES = {
+  200: "success",
+  400: "failure",
+  401: "failure",
+  404: "failure",
+  500: "failure",
+  503: "busy"
+};
+
+/**
+ * Resolve the outcome of a device response per device type
+ * Each resolver returns "success", "failure" or "busy"
+ */
+const OUTCOME_RESOLVERS = {
+  /**
+   * V5008 acknowledgements carry the cmdResult byte as meta.result
+   * (0xA1 success, 0xA0 failure, 0xFE busy); query responses carry data only
+   * @param {Object} message - Normalized response message
+   * @returns {string} Outcome
+   */
+  V5008(message) {
+    const result = message.meta && message.meta.result;
+    return result || "success";
+  },
+
+  /**
+   * V6800 responses carry a `code` (see V6800_RESPONSE_CODES), and some report a result per module
+   * @param {Object} message - Normalized response message
+   * @returns {string} Outcome
+   */
+  V6800(message) {
+    const code = message.meta && message.meta.code;
+    if (code !== undefined && code !== null) {
+      const outcome = V6800_RESPONSE_CODES[code] || "failure";
+      if (outcome !== "success") {
+        return outcome;
+      }
+    }
+
+    const modules = Array.isArray(message.payload) ? message.payload : [];
+    if (modules.some(module => module && module.result === "fail")) {
+      return "failure";
+    }
+
+    return "success";
+  }
+};
+
+/**
+ * Resolve the outcome of a device response to a command
+ * @param {string} deviceType - Device type of the command
+ * @param {Object} message - Normalized response message
+ * @returns {string} "success", "failure" or "busy"; "success" for device types without a resolver
+ */
+function resolveOutcome(deviceType, message) {
+  const resolver = OUTCOME_RESOLVERS[deviceType];
+  return resolver ? resolver(message) : "success";
+}
+
+module.exports = {
+  COLOR_CODE_MAP,
+  invalidCommand,
+  Validators,
+  resolveColorEntries,
+  resolvePositions,
+  resolveOutcome
+};
@@ -0,0 +1,116 @@
+const { invalidCommand, Validators, resolveColorEntries, resolvePositions } = require("./commandUtils");
+
+/**
+ * Configuration constants for V5008 command encoder
+ */
+const CONFIG = {
+  DEVICE_TYPE: "V5008",
+  DOWNLOAD_TOPIC_PREFIX: "V5008Download",
+
+  // Module number range accepted by the gateway
+  VALID_MOD_RANGE: { min: 1, max: 5 },
+
+  // Position range within a U-sensor module
+  VALID_POSITION_RANGE: { min: 1, max: 54 },
+
+  // Command definitions: hex prefix and the normalized msgType of the device response
+  COMMANDS: {
+    queryRfid: { header: "E901", perModule: true, responseMsgType: "Rfid" },
+    queryTempHum: { header: "E902", perModule: true, responseMsgType: "TempHum" },
+    queryDoor: { header: "E903", perModule: true, responseMsgType: "Door" },
+    queryNoise: { header: "E904", perModule: true, responseMsgType: "Noise" },
+    queryDeviceInfo: { header: "EF0100", perModule: false, responseMsgType: "DeviceInfo" },
+    queryModuleInfo: { header: "EF0200", perModule: false, responseMsgType: "ModuleInfo" },
+    queryColor: { header: "E4", perModule: true, responseMsgType: "ColorReq" },
+    setColor: { header: "E1", perModule: true, responseMsgType: "ColorSetResponse" },
+    clearTamperAlarm: { header: "E2", perModule: true, responseMsgType: "ClrTamperAlarmResponse" }
+  }
+};
+
+/**
+ * Utility functions for hex encoding
+ */
+const HexUtils = {
+  /**
+   * Encode a number as a single byte hex string
+   * @param {number} value - Value between 0 and 255
+   * @returns {string} Two-character upper-case hex string
+   */
+  byte(value) {
+    return value.toString(16).padStart(2, "0").toUpperCase();
+  }
+};
+
+/**
+ * Payload builders for commands that carry a body after [header][modNum]
+ */
+const PayloadBuilders = {
+  /**
+   * Build the color list for E1: ([num][colorCode]) x n
+   * Accepts either `colors: [{ num, color }]` or `positions: [..]` with a single `color`
+   * @param {Object} command - Command request
+   * @returns {string} Hex body
+   */
+  setColor(command) {
+    return resolveColorEntries(command, CONFIG.VALID_POSITION_RANGE)
+      .map(entry => HexUtils.byte(entry.num) + HexUtils.byte(entry.code))
+      .join("");
+  },
+
+  /**
+   * Build the position list for E2: [num] x n
+   * @param {Object} command - Command request
+   * @returns {string} Hex body
+   */
+  clearTamperAlarm(command) {
+    return resolvePositions(command, CONFIG.VALID_POSITION_RANGE)
+      .map(position => HexUtils.byte(position))
+      .join("");
+  }
+};
+
+/**
+ * Encode a structured command request into a V5008 downlink command
+ * @param {string} deviceId - Target gateway ID
+ * @param {Object} command - Command request, e.g. { command: "queryRfid", modNum: 2 }
+ * @returns {Object} Encoded command with topic, payload buffer and expected response
+ */
+function encode(deviceId, command = {}) {
+  const definition = CONFIG.COMMANDS[command.command];
+  if (!definition) {
+    throw invalidCommand(`Unsupported V5008 command: ${command.command}`);
+  }
+
+  let hexString = definition.header;
+  let modNum = null;
+
+  if (definition.perModule) {
+    modNum = Validators.integer("modNum", command.modNum, CONFIG.VALID_MOD_RANGE);
+    hexString += HexUtils.byte(modNum);
+  }
+
+  if (PayloadBuilders[command.command]) {
+    hexString += PayloadBuilders[command.command](command);
+  }
+
+  return {
+    deviceType: CONFIG.DEVICE_TYPE,
+    topic: `${CONFIG.DOWNLOAD_TOPIC_PREFIX}/${deviceId}`,
+    payload: Buffer.from(hexString, "hex"),
+    rawPayload: hexString,
+    expectedResponse: {
+      msgTypes: [definition.responseMsgType],
+      modNum
+    }
+  };
+}
+
+/**
+ * Get the names of all supported commands
+ * @returns {Array} Array of command names
+ */
+function getSupportedCommands() {
+  return Object.keys(CONFIG.COMMANDS);
+}
+
+module.exports = { encode, getSupportedCommands };
@@ -0,0 +1,228 @@
+const { invalidCommand, Validators, resolveColorEntries, resolvePositions } = require("./commandUtils");
+
+/**
+ * Configuration constants for V6800 command encoder
+ */
+const CONFIG = {
+  DEVICE_TYPE: "V6800",
+  DOWNLOAD_TOPIC_PREFIX: "V6800Download",
+
+  // Host gateway port range (modNum)
+  VALID_MOD_RANGE: { min: 1, max: 24 },
+
+  // Position range within a U-sensor module
+  VALID_POSITION_RANGE: { min: 1, max: 54 },
+
+  // Property type for U sensor color in set_module_property_req
+  SET_COLOR_PROPERTY_TYPE: 8001,
+
+  // Default "code" field for commands that carry one
+  DEFAULT_CODE: 200,
+
+  // Command definitions: raw msg_type and the normalized msgType of the device response
+  COMMANDS: {
+    queryDeviceInfo: { msgType: "get_devies_init_req", responseMsgType: "DevModInfo" },
+    queryRfid: { msgType: "u_state_req", responseMsgType: "RfidReq" },
+    queryTempHum: { msgType: "temper_humidity_req", responseMsgType: "TemHumReq" },
+    queryDoor: { msgType: "door_state_req", responseMsgType: "DoorReq" },
+    queryColor: { msgType: "get_u_color", responseMsgType: "ColorReq" },
+    setColor: { msgType: "set_module_property_req", responseMsgType: "SetColor" },
+    clearTamperAlarm: { msgType: "clear_u_warning", responseMsgType: "CleanRfidTamperAlarm" }
+  }
+};
+
+/**
+ * Utility functions for building command bodies
+ */
+const Utils = {
+  /**
+   * Generate a uuid_number used to correlate the device response
+   * @returns {number} Positive 31-bit integer
+   */
+  generateUuidNumber() {
+    return Math.floor(Math.random() * 0x7ffffffe) + 1;
+  },
+
+  /**
+   * Validate a single module number
+   * @param {*} modNum - Module number (host gateway port index)
+   * @returns {number} Validated module number
+   */
+  modNum(modNum) {
+    return Validators.integer("modNum", modNum, CONFIG.VALID_MOD_RANGE);
+  },
+
+  /**
+   * Resolve the module numbers of a command that accepts several modules
+   * @param {Object} command - Command request with `modNums` or `modNum`
+   * @returns {Array} Array of module numbers
+   */
+  modNums(command) {
+    const modNums = Array.isArray(command.modNums) ? command.modNums : [command.modNum];
+    return modNums.map(modNum => Utils.modNum(modNum));
+  },
+
+  /**
+   * Resolve per-module entries for commands that address several modules
+   * Accepts `modules: [{ modNum, modId, ... }]` or the module fields on the command itself
+   * @param {Object} command - Command request
+   * @returns {Array} Array of module requests
+   */
+  moduleRequests(command) {
+    const modules = Array.isArray(command.modules) ? command.modules : [command];
+    if (modules.length === 0) {
+      throw invalidCommand(`${command.command} requires at least one module`);
+    }
+    return modules.map(module => ({ ...module, command: command.command }));
+  }
+};
+
+/**
+ * Body builders producing the JSON command for each command type
+ */
+const BodyBuilders = {
+  /**
+   * Build get_devies_init_req
+   * @returns {Object} Command body
+   */
+  queryDeviceInfo() {
+    return { code: CONFIG.DEFAULT_CODE };
+  },
+
+  /**
+   * Build u_state_req (one query per port)
+   * @param {string} deviceId - Target gateway ID
+   * @param {Object} command - Command request
+   * @returns {Object} Command body
+   */
+  queryRfid(deviceId, command) {
+    return {
+      gateway_sn: deviceId,
+      data: [{
+        extend_module_sn: command.modId || "",
+        host_gateway_port_index: Utils.modNum(command.modNum),
+        u_index_list: null
+      }]
+    };
+  },
+
+  /**
+   * Build temper_humidity_req for one or more ports
+   * @param {string} deviceId - Target gateway ID
+   * @param {Object} command - Command request
+   * @returns {Object} Command body
+   */
+  queryTempHum(deviceId, command) {
+    return {
+      gateway_sn: deviceId,
+      extend_module_sn: null,
+      data: Utils.modNums(command)
+    };
+  },
+
+  /**
+   * Build door_state_req
+   * @param {string} deviceId - Target gateway ID
+   * @param {Object} command - Command request
+   * @returns {Object} Command body
+   */
+  queryDoor(deviceId, command) {
+    return {
+      gateway_sn: deviceId,
+      extend_module_sn: command.modId || "",
+      host_gateway_port_index: Utils.modNum(command.modNum)
+    };
+  },
+
+  /**
+   * Build get_u_color for one or more ports
+   * @param {string} deviceId - Target gateway ID
+   * @param {Object} command - Command request
+   * @returns {Object} Command body
+   */
+  queryColor(deviceId, command) {
+    return {
+      code: CONFIG.DEFAULT_CODE,
+      data: Utils.modNums(command)
+    };
+  },
+
+  /**
+   * Build set_module_property_req with U color data per module
+   * @param {string} deviceId - Target gateway ID
+   * @param {Object} command - Command request
+   * @returns {Object} Command body
+   */
+  setColor(deviceId, command) {
+    return {
+      set_property_type: CONFIG.SET_COLOR_PROPERTY_TYPE,
+      gateway_sn: deviceId,
+      data: Utils.moduleRequests(command).map(module => ({
+        extend_module_sn: module.modId || "",
+        host_gateway_port_index: Utils.modNum(module.modNum),
+        module_type: "reserved",
+        u_color_data: resolveColorEntries(module, CONFIG.VALID_POSITION_RANGE).map(entry => ({
+          u_index: entry.num,
+          color_code: entry.code
+        }))
+      }))
+    };
+  },
+
+  /**
+   * Build clear_u_warning with the positions to clear per module
+   * @param {string} deviceId - Target gateway ID
+   * @param {Object} command - Command request
+   * @returns {Object} Command body
+   */
+  clearTamperAlarm(deviceId, command) {
+    return {
+      code: CONFIG.DEFAULT_CODE,
+      data: Utils.moduleRequests(command).map(module => ({
+        index: Utils.modNum(module.modNum),
+        warning_data: resolvePositions(module, CONFIG.VALID_POSITION_RANGE)
+      }))
+    };
+  }
+};
+
+/**
+ * Encode a structured command request into a V6800 JSON downlink command
+ * @param {string} deviceId - Target gateway ID
+ * @param {Object} command - Command request, e.g. { command: "queryRfid", modNum: 4 }
+ * @returns {Object} Encoded command with topic, JSON payload and expected response
+ */
+function encode(deviceId, command = {}) {
+  const definition = CONFIG.COMMANDS[command.command];
+  if (!definition) {
+    throw invalidCommand(`Unsupported V6800 command: ${command.command}`);
+  }
+
+  const uuidNumber = Utils.generateUuidNumber();
+  const payload = {
+    msg_type: definition.msgType,
+    ...BodyBuilders[command.command](deviceId, command),
+    uuid_number: uuidNumber
+  };
+
+  return {
+    deviceType: CONFIG.DEVICE_TYPE,
+    topic: `${CONFIG.DOWNLOAD_TOPIC_PREFIX}/${deviceId}`,
+    payload,
+    rawPayload: JSON.stringify(payload),
+    expectedResponse: {
+      msgTypes: [definition.responseMsgType],
+      msgId: uuidNumber
+    }
+  };
+}
+
+/**
+ * Get the names of all supported commands
+ * @returns {Array} Array of command names
+ */
+function getSupportedCommands() {
+  return Object.keys(CONFIG.COMMANDS);
+}
+
+module.exports = { encode, getSupportedCommands };
@@ -20,16 +20,36 @@ class ComponentRegistry {
     this.registerFactory("mqtt", () => require("../mqtt/MQTTClient"));
     this.registerFactory("normalizer", () => require("../normalizers"));
     this.registerFactory("dataStore", () => require("../storage/dataStore"));
+    this.registerFactory("recorder", () => require("../capture/MessageRecorder"));
     
     // Storage components
     this.registerFactory("database", () => require("../database/DatabaseManager"));
     this.registerFactory("cache", () => require("../storage/CacheManager"));
     this.registerFactory("writeBuffer", () => require("../storage/WriteBuffer"));
+    this.registerFactory("deadLetters", () => require("../storage/DeadLetterQueue"));
+    this.registerFactory("retention", () => require("../storage/RetentionManager"));
+    
+    // Inventory components
+    this.registerFactory("assetInventory", () => require("../inventory/AssetInventory"));
+    
+    // Monitoring components
+    this.registerFactory("alertManager", () => require("../monitoring/AlertManager"));
+    this.registerFactory("doorAlarms", () => require("../monitoring/DoorAlarmManager"));
+    this.registerFactory("presence", () => require("../monitoring/PresenceMonitor"));
+    this.registerFactory("tamperIncidents", () => require("../monitoring/TamperIncidentManager"));
     
     // API components
     this.registerFactory("rest", () => require("../api/RestAPIManager"));
     this.registerFactory("websocket", () => require("../api/WebSocketServer"));
     this.registerFactory("webhook", () => require("../api/CallbackManager"));
+    this.registerFactory("stream", () => require("../api/EventStreamServer"));
+    
+    // Security components
+    this.registerFactory("authManager", () => require("../security/AuthManager"));
+    
+    // Command components
+    this.registerFactory("commandManager", () => require("../commands/CommandManager"));
+    this.registerFactory("commandTracker", () => require("../commands/CommandTracker"));
     
     // Relay components
     this.registerFactory("messageRelay", () => require("../mqtt/messageRelay"));
@@ -81,7 +101,7 @@ class ComponentRegistry {
    */
   async initializeComponents(options = {}) {
     // Process modules in dependency order
-    const moduleOrder = ["core", "storage", "api", "relay"];
+    const moduleOrder = ["core", "storage", "security", "inventory", "monitoring", "commands", "api", "relay"];
     
     for (const moduleGroup of moduleOrder) {
       if (!this.config.modules[moduleGroup] || !this.config.modules[moduleGroup].enabled) {
@@ -98,6 +118,11 @@ class ComponentRegistry {
           logger.info(`Component ${componentName} is disabled, skipping`);
           continue;
         }
+
+        // Already initialized early as a dependency of another component
+        if (this.components.has(`${moduleGroup}.${componentName}`)) {
+          continue;
+        }
         
         // Special handling: ensure database is initialized before writeBuffer
         if (componentName === "writeBuffer") {
@@ -146,28 +171,88 @@ class ComponentRegistry {
       } else if (componentName === "normalizer") {
         // normalizer is an object with functions, not a class
         instance = ComponentClass;
+        // State persisted in MySQL has to be restored before the first message is normalized
+        const persistToDatabase = componentConfig.enableStatePersistence &&
+          componentConfig.statePersistence && componentConfig.statePersistence.store === "mysql";
+        const database = persistToDatabase
+          ? await this.initializeDependency("storage", "database", options)
+          : null;
+        instance.configure(componentConfig, { database });
       } else if (componentName === "writeBuffer") {
-        // writeBuffer needs database dependency
+        // writeBuffer saves to the storage backend of the database (MySQL unless configured otherwise)
         const database = this.getComponent("storage.database");
-        
-        if (!database || !database.isEnabled) {
+        const dbStore = database ? database.getStorageBackend() : null;
+
+        if (!database) {
           logger.warn("Database not available, writeBuffer will be initialized but disabled");
           // Initialize writeBuffer without database (it will handle the disabled state internally)
+          // and without spool, since nothing would ever drain it
           instance = new ComponentClass({
             dbStore: null,
             enabled: false,
-            ...componentConfig
+            ...componentConfig,
+            spool: { enabled: false }
           });
         } else {
+          if (!dbStore) {
+            logger.warn("Database not available, writeBuffer will spool messages to disk");
+          }
+          // The store is resolved from the database on every flush, so writes resume after a reconnect
           instance = new ComponentClass({
-            dbStore: database,
+            database,
             ...componentConfig
           });
         }
+      } else if (componentName === "deadLetters") {
+        // deadLetters replays messages through the normalizer and can persist to the database
+        instance = new ComponentClass({
+          database: this.getComponent("storage.database"),
+          normalizer: this.getComponent("core.normalizer"),
+          dataStore: this.getComponent("core.dataStore"),
+          ...componentConfig
+        });
+      } else if (componentName === "retention") {
+        // retention rolls up and purges data in the database
+        instance = new ComponentClass({
+          database: this.getComponent("storage.database"),
+          ...componentConfig
+        });
+      } else if (componentName === "doorAlarms") {
+        // doorAlarms can persist alarms and work orders to the database
+        instance = new ComponentClass({
+          database: this.getComponent("storage.database"),
+          ...componentConfig
+        });
+      } else if (componentName === "tamperIncidents") {
+        // tamperIncidents sends clear commands, so the command manager is initialized ahead of its group
+        instance = new ComponentClass({
+          database: this.getComponent("storage.database"),
+          commandManager: await this.initializeDependency("commands", "commandManager", options),
+          ...componentConfig
+        });
+      } else if (componentName === "commandManager") {
+        // commandManager publishes downlink commands through the MQTT client
+        instance = new ComponentClass({
+          mqtt: this.getComponent("core.mqtt"),
+          ...componentConfig
+        });
+      } else if (componentName === "commandTracker") {
+        // commandTracker resends commands through the command manager when a device is busy
+        // and times out with its responseTimeout
+        instance = new ComponentClass({
+          commandManager: this.getComponent("commands.commandManager"),
+          ...componentConfig
+        });
       } else if (componentName === "websocket") {
-        // websocket needs server option
+        // websocket needs server option, serves alerts from the alert manager,
+        // answers JSON-RPC requests for history and commands and authenticates clients
         instance = new ComponentClass({
           server: this.options.server,
+          alertManager: this.getComponent("monitoring.alertManager"),
+          authManager: this.getComponent("security.authManager"),
+          database: this.getComponent("storage.database"),
+          commandManager: this.getComponent("commands.commandManager"),
+          commandTracker: this.getComponent("commands.commandTracker"),
           ...componentConfig
         });
       } else {
@@ -199,6 +284,21 @@ class ComponentRegistry {
     }
   }
 
+  /**
+   * Initialize a component ahead of its module group because another component needs it
+   * @param {string} moduleGroup - Module group name
+   * @param {string} componentName - Component name
+   * @param {Object} options - Initialization options
+   * @returns {Object|null} Component instance or null if it is disabled
+   */
+  async initializeDependency(moduleGroup, componentName, options = {}) {
+    const fullName = `${moduleGroup}.${componentName}`;
+    if (!this.components.has(fullName) && this.isComponentEnabled(moduleGroup, componentName)) {
+      await this.initializeComponent(moduleGroup, componentName, options);
+    }
+    return this.components.get(fullName) || null;
+  }
+
   /**
    * Setup special handling for specific components
    * @param {string} fullName - Full component name
@@ -220,13 +320,6 @@ class ComponentRegistry {
         }
         break;
         
-      case "websocket":
-        // Setup WebSocket server
-        if (this.options && this.options.server) {
-          await instance.initialize({ server: this.options.server });
-        }
-        break;
-        
       case "cache":
         // Subscribe to processed messages
         if (instance.set) {
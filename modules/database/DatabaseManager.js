@@ -1,5 +1,35 @@
 const mysql = require("mysql2/promise");
 const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+const DoorStateManager = require("../normalizers/stateManagers/DoorStateManager");
+const MigrationRunner = require("./MigrationRunner");
+const StorageBackend = require("./backends/StorageBackend");
+const SQLiteBackend = require("./backends/SQLiteBackend");
+const NdjsonBackend = require("./backends/NdjsonBackend");
+
+// Storage backends selectable with `backend`, besides the default mysql
+const BACKENDS = {
+  sqlite: SQLiteBackend,
+  ndjson: NdjsonBackend
+};
+
+/**
+ * Typed time-series tables filled from normalized messages
+ * Readings are taken per sensor position (`add`) from the first field present
+ */
+const TIME_SERIES = {
+  temperature: { table: "temperature_readings", msgType: "TempHum", fields: ["temperature", "temp"] },
+  humidity: { table: "humidity_readings", msgType: "TempHum", fields: ["humidity", "hum"] },
+  noise: { table: "noise_readings", msgType: "Noise", fields: ["noiseLevel", "noise"] },
+  door: { table: "door_events", msgType: "Door" }
+};
+
+// Aggregation bucket sizes in seconds
+const BUCKETS = {
+  "1m": 60,
+  "1h": 3600,
+  "1d": 86400
+};
 
 class DatabaseManager extends BaseComponent {
   constructor(options = {}) {
@@ -7,6 +37,8 @@ class DatabaseManager extends BaseComponent {
     this.pool = null;
     // Database is enabled by default, will be updated in initialize
     this.isEnabled = true;
+    this.timeSeriesEnabled = false;
+    this.backend = null;
   }
 
   async initialize() {
@@ -18,17 +50,139 @@ class DatabaseManager extends BaseComponent {
       return;
     }
 
+    const backend = this.options.backend || "mysql";
+    if (backend !== "mysql") {
+      await this.initializeBackend(backend);
+      return;
+    }
+
+    this.reconnectInterval = this.options.reconnectInterval !== undefined ? this.options.reconnectInterval : 30000;
+
     try {
-      this.pool = await this.createPool();
-      await this.testConnection();
-      await this.testTable();
+      await this.open();
       this.logger.info("Database connection established successfully");
     } catch (error) {
       this.logger.error("Failed to initialize database:", error);
       // Don't fail the entire application if database is not available
       this.logger.warn("Database not available, continuing without database storage");
+      await this.close();
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Connect, migrate and check the tables
+   * Queries are only enabled once the server answers
+   */
+  async open() {
+    await this.connect();
+    this.isEnabled = true;
+    await this.runMigrations();
+    await this.testTable();
+    await this.checkTimeSeriesTables();
+  }
+
+  /**
+   * Drop the pool of a failed connection attempt and disable the database
+   */
+  async close() {
+    this.isEnabled = false;
+    if (this.pool) {
+      const pool = this.pool;
       this.pool = null;
-      this.isEnabled = false;
+      await pool.end().catch(() => {});
+    }
+  }
+
+  /**
+   * Retry the connection every `reconnectInterval` ms (0 disables) until MySQL answers
+   * Sensor data writes resume on their own, since the write buffer resolves the store on
+   * every flush, and so do retention jobs, which check the database on every run;
+   * components that set up persistence at startup do so again on `database.connected`
+   */
+  scheduleReconnect() {
+    if (!this.reconnectInterval) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.open();
+        this.logger.info("Database connection re-established");
+        eventBus.emit("database.connected", this);
+      } catch (error) {
+        this.logger.warn(`Database still not available, retrying in ${this.reconnectInterval}ms: ${error.message}`);
+        await this.close();
+        this.scheduleReconnect();
+      }
+    }, this.reconnectInterval);
+  }
+
+  /**
+   * Store sensor data in a backend other than MySQL
+   * The database itself stays disabled, so MySQL-only features (migrations, time series,
+   * retention and the tables of the monitoring components) are switched off
+   * @param {string} name - Backend name
+   */
+  async initializeBackend(name) {
+    this.isEnabled = false;
+
+    try {
+      const Backend = BACKENDS[name];
+      if (!Backend) {
+        throw new Error(`Unknown storage backend: ${name} (expected mysql, ${Object.keys(BACKENDS).join(", ")})`);
+      }
+      this.backend = new Backend(this.options[name]);
+      await this.backend.initialize();
+      this.logger.info(`Storing sensor data with the ${name} backend`);
+    } catch (error) {
+      this.logger.error(`Failed to initialize ${name} storage backend:`, error);
+      this.logger.warn("Storage backend not available, continuing without database storage");
+      this.backend = null;
+    }
+  }
+
+  /**
+   * Store that sensor messages are saved to and read from
+   * @returns {Object|null} The configured backend, this manager for MySQL, or null without storage
+   */
+  getStorageBackend() {
+    if (this.backend) {
+      return this.backend.isEnabled ? this.backend : null;
+    }
+    return this.isEnabled ? this : null;
+  }
+
+  /**
+   * Open the connection pool and check that the server answers
+   */
+  async connect() {
+    this.pool = await this.createPool();
+    await this.testConnection();
+  }
+
+  /**
+   * Apply pending schema migrations, or only report them when `migrations.autoApply` is off
+   */
+  async runMigrations() {
+    const settings = { autoApply: true, ...this.options.migrations };
+    const runner = new MigrationRunner(this, settings);
+
+    if (settings.autoApply) {
+      const applied = await runner.migrate();
+      if (applied.length > 0) {
+        this.logger.info(`Applied ${applied.length} schema migration(s)`);
+      }
+      return;
+    }
+
+    const pending = (await runner.status()).filter(migration => !migration.applied);
+    if (pending.length > 0) {
+      this.logger.warn(
+        `${pending.length} schema migration(s) pending (${pending.map(m => m.file).join(", ")}), ` +
+        "apply them with npm run migrate"
+      );
     }
   }
 
@@ -64,6 +218,28 @@ class DatabaseManager extends BaseComponent {
     }
   }
 
+  /**
+   * Enable time-series writes when all typed tables exist
+   * Missing tables only disable time series, not the database
+   */
+  async checkTimeSeriesTables() {
+    this.timeSeriesEnabled = false;
+
+    const missing = [];
+    for (const { table } of Object.values(TIME_SERIES)) {
+      const result = await this.query("SHOW TABLES LIKE ?", [table]);
+      if (result.length === 0) {
+        missing.push(table);
+      }
+    }
+
+    if (missing.length > 0) {
+      this.logger.warn(`Time-series tables missing (${missing.join(", ")}), time-series history is disabled`);
+      return;
+    }
+    this.timeSeriesEnabled = true;
+  }
+
   async query(sql, params = []) {
     if (!this.isEnabled || !this.pool) {
       this.logger.debug("Database operations are disabled or not connected");
@@ -152,6 +328,8 @@ class DatabaseManager extends BaseComponent {
       this.logger.error("Error saving batch:", error);
       throw error;
     }
+
+    await this.saveTimeSeries(messages);
   }
 
   /**
@@ -187,6 +365,191 @@ class DatabaseManager extends BaseComponent {
       this.logger.error("Error saving message:", error);
       throw error;
     }
+
+    await this.saveTimeSeries([message]);
+  }
+
+  /**
+   * Split normalized messages into rows for the typed time-series tables
+   * Sensor slots reporting only zeros (no sensor attached) are skipped
+   * @param {Array} messages - Normalized messages
+   * @returns {Object} Rows per series: temperature/humidity/noise [deviceId, modNum, position, value, ts], door [deviceId, modNum, state, isOpen, ts]
+   */
+  extractTimeSeries(messages) {
+    const rows = { temperature: [], humidity: [], noise: [], door: [] };
+
+    messages.forEach(message => {
+      if (!message || !message.deviceId || message.modNum === null || message.modNum === undefined) {
+        return;
+      }
+      const ts = this.toMySQLDateTime(message.ts);
+
+      if (message.msgType === TIME_SERIES.door.msgType) {
+        const state = message.payload && message.payload.status;
+        const isOpen = DoorStateManager.isOpen(state);
+        if (isOpen !== null) {
+          rows.door.push([message.deviceId, message.modNum, String(state), isOpen ? 1 : 0, ts]);
+        }
+        return;
+      }
+
+      const readings = Array.isArray(message.payload) ? message.payload : [];
+      const metrics = Object.keys(rows).filter(metric => TIME_SERIES[metric].msgType === message.msgType);
+      if (metrics.length === 0) {
+        return;
+      }
+
+      readings.forEach(reading => {
+        const values = metrics.map(metric => {
+          const field = TIME_SERIES[metric].fields.find(name => reading[name] !== undefined && reading[name] !== null);
+          return field ? parseFloat(reading[field]) : NaN;
+        });
+        if (values.every(value => isNaN(value) || value === 0)) {
+          return;
+        }
+
+        metrics.forEach((metric, index) => {
+          if (!isNaN(values[index])) {
+            rows[metric].push([message.deviceId, message.modNum, reading.add, values[index], ts]);
+          }
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Write temperature, humidity, noise and door rows for a set of messages
+   * Failures are logged only, so that the sensor_data write is not retried for them
+   * @param {Array} messages - Normalized messages
+   */
+  async saveTimeSeries(messages) {
+    if (!this.timeSeriesEnabled) {
+      return;
+    }
+
+    const rows = this.extractTimeSeries(messages);
+    for (const [metric, values] of Object.entries(rows)) {
+      if (values.length === 0) {
+        continue;
+      }
+
+      const columns = metric === "door"
+        ? "device_id, mod_num, state, is_open, ts"
+        : "device_id, mod_num, position, value, ts";
+      const placeholders = values.map(() => "(?, ?, ?, ?, ?)").join(", ");
+
+      try {
+        await this.query(`INSERT INTO ${TIME_SERIES[metric].table} (${columns}) VALUES ${placeholders}`, values.flat());
+      } catch (error) {
+        this.logger.error(`Error saving ${metric} time series:`, error);
+      }
+    }
+  }
+
+  /**
+   * Downsampled history of a metric for a device, module and (optionally) sensor position
+   * Buckets are aligned on UTC; readings give min/max/avg, door events give opens and events
+   * @param {string} metric - temperature, humidity, noise or door
+   * @param {Object} options - { deviceId, modNum, position, from, to, bucket }
+   * @returns {Promise<Object>} { metric, bucket, from, to, series: [{ position, points }] }
+   */
+  async getAggregates(metric, options = {}) {
+    const series = TIME_SERIES[metric];
+    const bucket = options.bucket || "1h";
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = "INVALID_QUERY";
+      return error;
+    };
+    if (!series) {
+      throw invalid(`Unknown metric: ${metric} (expected ${Object.keys(TIME_SERIES).join(", ")})`);
+    }
+    if (!BUCKETS[bucket]) {
+      throw invalid(`Unknown bucket: ${bucket} (expected ${Object.keys(BUCKETS).join(", ")})`);
+    }
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      throw invalid("A valid 'from' before 'to' is required");
+    }
+    const maxBuckets = this.options.maxAggregateBuckets || 10000;
+    if ((to - from) / 1000 / BUCKETS[bucket] > maxBuckets) {
+      throw invalid(`Range covers more than ${maxBuckets} ${bucket} buckets, use a larger bucket`);
+    }
+
+    const result = {
+      metric,
+      deviceId: options.deviceId,
+      modNum: options.modNum === undefined ? null : options.modNum,
+      bucket,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      series: []
+    };
+    if (!this.isEnabled || !this.timeSeriesEnabled) {
+      return result;
+    }
+
+    const isDoor = metric === "door";
+    const conditions = ["device_id = ?", "ts >= ?", "ts < ?"];
+    const params = [options.deviceId, this.toMySQLDateTime(from), this.toMySQLDateTime(to)];
+    if (options.modNum !== undefined && options.modNum !== null) {
+      conditions.push("mod_num = ?");
+      params.push(options.modNum);
+    }
+    if (!isDoor && options.position !== undefined && options.position !== null) {
+      conditions.push("position = ?");
+      params.push(options.position);
+    }
+
+    // Bucket start as seconds since the epoch, computed on the stored UTC values
+    const size = BUCKETS[bucket];
+    const bucketStart = `FLOOR(TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', ts) / ${size}) * ${size}`;
+    const group = isDoor ? "mod_num" : "mod_num, position";
+    const aggregates = isDoor
+      ? "COUNT(*) AS events, SUM(is_open) AS opens"
+      : "MIN(value) AS min, MAX(value) AS max, AVG(value) AS avg, COUNT(*) AS count";
+
+    const sql = `
+            SELECT ${group}, ${bucketStart} AS bucket_start, ${aggregates}
+            FROM ${series.table}
+            WHERE ${conditions.join(" AND ")}
+            GROUP BY ${group}, bucket_start
+            ORDER BY ${group}, bucket_start
+        `;
+
+    try {
+      const rows = await this.query(sql, params);
+      const bySeries = new Map();
+      rows.forEach(row => {
+        const key = isDoor ? `${row.mod_num}` : `${row.mod_num}:${row.position}`;
+        if (!bySeries.has(key)) {
+          bySeries.set(key, isDoor
+            ? { modNum: row.mod_num, points: [] }
+            : { modNum: row.mod_num, position: row.position, points: [] });
+        }
+
+        const time = new Date(Number(row.bucket_start) * 1000).toISOString();
+        bySeries.get(key).points.push(isDoor
+          ? { time, events: Number(row.events), opens: Number(row.opens) }
+          : {
+            time,
+            min: Number(row.min),
+            max: Number(row.max),
+            avg: Math.round(Number(row.avg) * 100) / 100,
+            count: Number(row.count)
+          });
+      });
+
+      result.series = Array.from(bySeries.values());
+      return result;
+    } catch (error) {
+      this.logger.error(`Error fetching ${metric} aggregates:`, error);
+      throw error;
+    }
   }
 
   /**
@@ -222,6 +585,54 @@ class DatabaseManager extends BaseComponent {
     }
   }
 
+  /**
+   * Get messages within a time range, oldest first
+   * @param {Object} options - { deviceId, deviceType, msgType, modNum, from, to, limit }
+   */
+  async getRange(options = {}) {
+    const range = StorageBackend.parseRange(options);
+    if (!this.isEnabled) {
+      return [];
+    }
+
+    const conditions = ["timestamp < ?"];
+    const params = [this.toMySQLDateTime(range.to)];
+    if (range.from) {
+      conditions.push("timestamp >= ?");
+      params.push(this.toMySQLDateTime(range.from));
+    }
+    [["deviceId", "device_id"], ["deviceType", "device_type"], ["msgType", "msg_Type"], ["modNum", "mod_number"]]
+      .filter(([option]) => range[option] !== undefined)
+      .forEach(([option, column]) => {
+        conditions.push(`${column} = ?`);
+        params.push(range[option]);
+      });
+
+    const sql = `
+            SELECT device_id, device_type, mod_number, mod_id, sensor_type, msg_Type, timestamp, payload, meta, created_at
+            FROM sensor_data
+            WHERE ${conditions.join(" AND ")}
+            ORDER BY timestamp ASC
+            LIMIT ?
+        `;
+
+    try {
+      const rows = await this.query(sql, [...params, range.limit]);
+      return rows.map((row) => ({
+        ...row,
+        // MySQL JSON columns are already parsed as objects by mysql2
+        payload:
+          typeof row.payload === "string"
+            ? JSON.parse(row.payload)
+            : row.payload,
+        meta: typeof row.meta === "string" ? JSON.parse(row.meta) : row.meta,
+      }));
+    } catch (error) {
+      this.logger.error("Error fetching range:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get history for a specific sensor
    */
@@ -289,9 +700,16 @@ class DatabaseManager extends BaseComponent {
   }
 
   async shutdown() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     if (this.pool) {
       await this.pool.end();
     }
+    if (this.backend) {
+      await this.backend.shutdown();
+    }
     super.shutdown();
   }
 }
@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+const LOCK_NAME = "iot_middleware_schema_migrations";
+
+/**
+ * Applies versioned schema migrations and records them in schema_migrations
+ *
+ * Migrations are files named `<version>_<name>.sql` or `<version>_<name>.js` in the
+ * migrations directory, applied in version order. SQL files hold statements ending
+ * with `;` at the end of a line; JS files export `async up(database)`. A MySQL named
+ * lock keeps several instances starting at once from applying the same migration.
+ * MySQL commits DDL implicitly, so a failed migration is not rolled back and has to
+ * be safe to run again.
+ */
+class MigrationRunner {
+  /**
+   * @param {Object} database - DatabaseManager with an open pool
+   * @param {Object} options - Runner options
+   * @param {string} options.directory - Migrations directory, relative to the working directory
+   * @param {number} options.lockTimeout - Seconds to wait for another instance to finish migrating
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.directory = path.resolve(process.cwd(), options.directory || "./migrations");
+    this.lockTimeout = options.lockTimeout || 60;
+  }
+
+  /**
+   * Read the migration files, ordered by version
+   * @returns {Array} [{ version, name, file, type, checksum }]
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) {
+          return null;
+        }
+        const fullPath = path.join(this.directory, file);
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          file: fullPath,
+          type: match[3],
+          checksum: crypto.createHash("sha256").update(fs.readFileSync(fullPath)).digest("hex")
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version} (${migrations[index - 1].name}, ${migration.name})`);
+      }
+    });
+    return migrations;
+  }
+
+  /**
+   * Split a SQL file into statements
+   * @param {string} sql - File contents
+   * @returns {Array} Statements without the trailing `;`
+   */
+  static splitStatements(sql) {
+    return sql
+      .split(/\r?\n/)
+      .filter(line => !line.trim().startsWith("--"))
+      .join("\n")
+      .split(/;[ \t]*(?:\n|$)/)
+      .map(statement => statement.trim())
+      .filter(statement => statement.length > 0);
+  }
+
+  async ensureTable() {
+    await this.database.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version INT PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         checksum CHAR(64) NOT NULL,
+         applied_at DATETIME NOT NULL,
+         duration_ms INT NOT NULL
+       )`
+    );
+  }
+
+  async getApplied() {
+    const rows = await this.database.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Applied and pending migrations
+   * Applied migrations whose file changed afterwards are flagged with `changed`
+   * @returns {Promise<Array>} [{ version, name, file, applied, appliedAt, changed }]
+   */
+  async status() {
+    await this.ensureTable();
+    const applied = await this.getApplied();
+
+    return this.loadMigrations().map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        file: path.basename(migration.file),
+        applied: !!row,
+        appliedAt: row ? new Date(row.applied_at).toISOString() : null,
+        changed: !!row && row.checksum !== migration.checksum
+      };
+    });
+  }
+
+  /**
+   * Apply pending migrations in order, stopping at the first failure
+   * @param {Object} options - { to } to stop after a version
+   * @returns {Promise<Array>} Applied migrations [{ version, name, durationMs }]
+   */
+  async migrate(options = {}) {
+    await this.ensureTable();
+
+    const connection = await this.database.pool.getConnection();
+    try {
+      const [[lock]] = await connection.query("SELECT GET_LOCK(?, ?) AS acquired", [LOCK_NAME, this.lockTimeout]);
+      if (!lock || lock.acquired !== 1) {
+        throw new Error(`Timed out after ${this.lockTimeout}s waiting for another instance to finish migrating`);
+      }
+
+      try {
+        // Read after locking, another instance may just have applied some
+        const applied = await this.getApplied();
+        const migrations = this.loadMigrations();
+        const pending = migrations.filter(migration =>
+          !applied.has(migration.version) && (options.to === undefined || migration.version <= options.to)
+        );
+
+        migrations
+          .filter(migration => applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum)
+          .forEach(migration => logger.warn(`Migration ${path.basename(migration.file)} changed after it was applied`));
+
+        const results = [];
+        for (const migration of pending) {
+          results.push(await this.apply(migration));
+        }
+        return results;
+      } finally {
+        await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async apply(migration) {
+    const label = path.basename(migration.file);
+    const started = Date.now();
+    logger.info(`Applying migration ${label}`);
+
+    try {
+      if (migration.type === "sql") {
+        const statements = MigrationRunner.splitStatements(fs.readFileSync(migration.file, "utf8"));
+        for (const statement of statements) {
+          await this.database.query(statement);
+        }
+      } else {
+        delete require.cache[require.resolve(migration.file)];
+        const { up } = require(migration.file);
+        if (typeof up !== "function") {
+          throw new Error("JS migrations must export an up(database) function");
+        }
+        await up(this.database);
+      }
+    } catch (error) {
+      throw new Error(`Migration ${label} failed: ${error.message}`);
+    }
+
+    const durationMs = Date.now() - started;
+    await this.database.query(
+      "INSERT INTO schema_migrations (version, name, checksum, applied_at, duration_ms) VALUES (?, ?, ?, ?, ?)",
+      [migration.version, migration.name, migration.checksum, this.database.toMySQLDateTime(), durationMs]
+    );
+
+    logger.info(`Applied migration ${label} in ${durationMs}ms`);
+    return { version: migration.version, name: migration.name, durationMs };
+  }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const StorageBackend = require("./StorageBackend");
+const logger = require("../../../utils/logger");
+
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+/**
+ * Appends sensor messages as JSON lines to one file per UTC day of the message timestamp
+ * Files are never rewritten; queries scan the files of the requested days, so this suits
+ * small sites and short ranges. A line cut off by a crash is skipped when reading.
+ */
+class NdjsonBackend extends StorageBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.directory - Data directory, relative to the working directory
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = "ndjson";
+    this.directory = path.resolve(process.cwd(), options.directory || "./data/sensor-data");
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    this.isEnabled = true;
+    logger.info(`NDJSON storage writing to ${this.directory}`);
+  }
+
+  /**
+   * Day files, oldest first
+   * @returns {Promise<Array>} [{ day, file }]
+   */
+  async listFiles() {
+    const files = await fs.promises.readdir(this.directory);
+    return files
+      .map(file => file.match(DAY_FILE))
+      .filter(Boolean)
+      .map(match => ({ day: match[1], file: path.join(this.directory, match[0]) }))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  /**
+   * Read the rows of a day file that pass a filter
+   */
+  async readFile(file, filter) {
+    const rows = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping unreadable line in ${path.basename(file)}`);
+        continue;
+      }
+      if (filter(row)) {
+        rows.push(row);
+      }
+    }
+    return rows;
+  }
+
+  async saveBatch(messages) {
+    if (!messages || messages.length === 0) {
+      return;
+    }
+
+    const byDay = new Map();
+    messages.forEach(message => {
+      const row = StorageBackend.toRow(message);
+      const day = row.timestamp.slice(0, 10);
+      byDay.set(day, (byDay.get(day) || "") + JSON.stringify(row) + "\n");
+    });
+
+    for (const [day, lines] of byDay) {
+      await fs.promises.appendFile(path.join(this.directory, `${day}.ndjson`), lines, "utf8");
+    }
+  }
+
+  async saveHistory(message) {
+    await this.saveBatch([message]);
+  }
+
+  async getHistory(deviceId, limit = 50) {
+    const files = (await this.listFiles()).reverse();
+    const rows = [];
+
+    // A day file only holds messages of that day, so older files are not needed once the limit is reached
+    for (const { file } of files) {
+      rows.push(...await this.readFile(file, row => row.device_id === deviceId));
+      if (rows.length >= limit) {
+        break;
+      }
+    }
+
+    return rows
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit);
+  }
+
+  async getRange(options = {}) {
+    const range = StorageBackend.parseRange(options);
+    const firstDay = range.from ? range.from.toISOString().slice(0, 10) : null;
+    const lastDay = range.to.toISOString().slice(0, 10);
+
+    const files = (await this.listFiles()).filter(({ day }) => (!firstDay || day >= firstDay) && day <= lastDay);
+    const rows = [];
+    for (const { file } of files) {
+      rows.push(...await this.readFile(file, row => StorageBackend.matchesRange(row, range)));
+      if (rows.length >= range.limit) {
+        break;
+      }
+    }
+
+    return rows
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .slice(0, range.limit);
+  }
+}
+
+module.exports = NdjsonBackend;
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const StorageBackend = require("./StorageBackend");
+const logger = require("../../../utils/logger");
+
+const COLUMNS = "device_id, device_type, mod_number, mod_id, sensor_type, msg_Type, timestamp, payload, meta, created_at";
+
+/**
+ * Keeps sensor messages in an embedded SQLite file, for sites without a MySQL server
+ * Uses the optional better-sqlite3 package; timestamps are stored as ISO strings
+ */
+class SQLiteBackend extends StorageBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.file - Database file, relative to the working directory
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = "sqlite";
+    this.file = path.resolve(process.cwd(), options.file || "./data/iot-middleware.db");
+    this.db = null;
+  }
+
+  async initialize() {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error("The sqlite backend needs the better-sqlite3 package (npm install better-sqlite3)");
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sensor_data (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        device_type TEXT NOT NULL,
+        mod_number INTEGER,
+        mod_id TEXT,
+        sensor_type TEXT,
+        msg_Type TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        payload TEXT,
+        meta TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_device_ts ON sensor_data (device_id, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_timestamp ON sensor_data (timestamp);
+    `);
+
+    this.insert = this.db.prepare(
+      `INSERT INTO sensor_data (${COLUMNS}) VALUES (@device_id, @device_type, @mod_number, @mod_id, @sensor_type, @msg_Type, @timestamp, @payload, @meta, @created_at)`
+    );
+    this.insertMany = this.db.transaction(rows => rows.forEach(row => this.insert.run(row)));
+
+    this.isEnabled = true;
+    logger.info(`SQLite storage opened at ${this.file}`);
+  }
+
+  toRecord(message) {
+    const row = StorageBackend.toRow(message);
+    return { ...row, payload: JSON.stringify(row.payload), meta: JSON.stringify(row.meta) };
+  }
+
+  fromRecord(record) {
+    return { ...record, payload: JSON.parse(record.payload), meta: JSON.parse(record.meta) };
+  }
+
+  async saveBatch(messages) {
+    if (!messages || messages.length === 0) {
+      return;
+    }
+    this.insertMany(messages.map(message => this.toRecord(message)));
+  }
+
+  async saveHistory(message) {
+    this.insert.run(this.toRecord(message));
+  }
+
+  async getHistory(deviceId, limit = 50) {
+    return this.db
+      .prepare(`SELECT ${COLUMNS} FROM sensor_data WHERE device_id = ? ORDER BY timestamp DESC LIMIT ?`)
+      .all(deviceId, limit)
+      .map(record => this.fromRecord(record));
+  }
+
+  async getRange(options = {}) {
+    const range = StorageBackend.parseRange(options);
+    const conditions = ["timestamp < ?"];
+    const params = [range.to.toISOString()];
+
+    if (range.from) {
+      conditions.push("timestamp >= ?");
+      params.push(range.from.toISOString());
+    }
+    [["deviceId", "device_id"], ["deviceType", "device_type"], ["msgType", "msg_Type"], ["modNum", "mod_number"]]
+      .filter(([option]) => range[option] !== undefined)
+      .forEach(([option, column]) => {
+        conditions.push(`${column} = ?`);
+        params.push(range[option]);
+      });
+
+    return this.db
+      .prepare(`SELECT ${COLUMNS} FROM sensor_data WHERE ${conditions.join(" AND ")} ORDER BY timestamp ASC LIMIT ?`)
+      .all(...params, range.limit)
+      .map(record => this.fromRecord(record));
+  }
+
+  async shutdown() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    await super.shutdown();
+  }
+}
+
+module.exports = SQLiteBackend;
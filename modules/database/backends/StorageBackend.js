@@ -0,0 +1,128 @@
+/**
+ * Interface of the stores that keep normalized sensor messages
+ *
+ * WriteBuffer hands batches to `saveBatch` (and `saveHistory` per message when a batch
+ * keeps failing); the REST API reads through `getHistory` and `getRange`. Rows have the
+ * columns of the MySQL `sensor_data` table, with `payload` and `meta` as objects.
+ * DatabaseManager implements it for MySQL; the other backends extend this class.
+ */
+class StorageBackend {
+  /**
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.name = "unknown";
+    this.isEnabled = false;
+  }
+
+  /**
+   * Open the store; sets `isEnabled` once messages can be saved
+   */
+  async initialize() {
+    this.isEnabled = true;
+  }
+
+  /**
+   * Save a batch of messages
+   * @param {Array} messages - Normalized messages
+   */
+  async saveBatch(messages) {
+    throw new Error(`${this.constructor.name} does not implement saveBatch`);
+  }
+
+  /**
+   * Save a single message
+   * @param {Object} message - Normalized message
+   */
+  async saveHistory(message) {
+    throw new Error(`${this.constructor.name} does not implement saveHistory`);
+  }
+
+  /**
+   * Latest messages of a device
+   * @param {string} deviceId - Device ID
+   * @param {number} limit - Maximum number of rows
+   * @returns {Promise<Array>} Rows, newest first
+   */
+  async getHistory(deviceId, limit = 50) {
+    throw new Error(`${this.constructor.name} does not implement getHistory`);
+  }
+
+  /**
+   * Messages within a time range
+   * @param {Object} options - { deviceId, deviceType, msgType, modNum, from, to, limit }
+   * @returns {Promise<Array>} Rows, oldest first
+   */
+  async getRange(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement getRange`);
+  }
+
+  async shutdown() {
+    this.isEnabled = false;
+  }
+
+  /**
+   * Validate range query options
+   * `from` and `to` are optional; without `to` the range ends now
+   * @param {Object} options - Range query options
+   * @returns {Object} { ...options, from: Date|null, to: Date, limit }
+   */
+  static parseRange(options = {}) {
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : new Date();
+    const limit = options.limit === undefined ? 1000 : parseInt(options.limit, 10);
+
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = "INVALID_QUERY";
+      return error;
+    };
+    if ((from && isNaN(from.getTime())) || isNaN(to.getTime()) || (from && from >= to)) {
+      throw invalid("A valid 'from' before 'to' is required");
+    }
+    if (isNaN(limit) || limit < 1) {
+      throw invalid("'limit' must be a positive number");
+    }
+
+    return { ...options, from, to, limit };
+  }
+
+  /**
+   * Build a `sensor_data` row from a normalized message
+   * @param {Object} message - Normalized message
+   * @returns {Object} Row with ISO timestamps
+   */
+  static toRow(message) {
+    return {
+      device_id: message.deviceId,
+      device_type: message.deviceType || "unknown",
+      mod_number: message.modNum || null,
+      mod_id: message.modId || null,
+      sensor_type: message.sensorType || null,
+      msg_Type: message.msgType || message.sensorType || "unknown",
+      timestamp: new Date(message.ts || Date.now()).toISOString(),
+      payload: message.payload || {},
+      meta: message.meta || {},
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check a row against the filters of a parsed range query
+   * @param {Object} row - Stored row
+   * @param {Object} range - Result of parseRange
+   * @returns {boolean}
+   */
+  static matchesRange(row, range) {
+    const time = Date.parse(row.timestamp);
+    return (range.deviceId === undefined || row.device_id === range.deviceId) &&
+      (range.deviceType === undefined || row.device_type === range.deviceType) &&
+      (range.msgType === undefined || row.msg_Type === range.msgType) &&
+      (range.modNum === undefined || row.mod_number === range.modNum) &&
+      (!range.from || time >= range.from.getTime()) &&
+      time < range.to.getTime();
+  }
+}
+
+module.exports = StorageBackend;
@@ -0,0 +1,216 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+const StateManagerFactory = require("../normalizers/stateManagers/StateManagerFactory");
+const AssetRegistry = require("./AssetRegistry");
+
+/**
+ * Tracks where registered assets sit in the racks, based on the RFID state
+ * managed by the normalizer, and emits asset.moved / asset.removed / asset.unknownTag
+ */
+class AssetInventory extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    // rfid -> { deviceId, modNum, position, since } for tags currently in a rack
+    this.locations = new Map();
+    // rfid -> last location of tags that were removed, so a re-insert elsewhere is a move
+    this.lastLocations = new Map();
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.registry = this.options.registry || new AssetRegistry({ file: this.options.file });
+      this.rfidState = this.options.rfidState || StateManagerFactory.getShared().getManager("Rfid");
+
+      const count = await this.registry.load();
+      this.seedLocations();
+
+      eventBus.on("message.processed", this.handleMessage);
+
+      this.logger.info(
+        `Asset inventory initialized (${count} assets registered, ${this.locations.size} tags located)`
+      );
+    } catch (error) {
+      this.logger.error("Failed to initialize Asset inventory:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the current tag positions from (restored) RFID state without emitting events
+   */
+  seedLocations() {
+    const since = new Date().toISOString();
+    this.rfidState.getModules().forEach(({ deviceId, modNum }) => {
+      this.rfidState.getCurrentTags(deviceId, modNum).forEach(tag => {
+        this.locations.set(AssetRegistry.normalizeTag(tag.rfid), {
+          deviceId, modNum, position: tag.position, since
+        });
+      });
+    });
+  }
+
+  /**
+   * Re-check the module of every RFID message that reports changes
+   * @param {Object} message - Normalized message
+   */
+  handleMessage(message) {
+    if (!message || message.msgType !== "Rfid") {
+      return;
+    }
+    if (message.meta && message.meta.hasChanges === false) {
+      return;
+    }
+
+    try {
+      this.syncModule(message.deviceId, message.modNum);
+    } catch (error) {
+      this.logger.error(`Failed to update asset locations for ${message.deviceId}-${message.modNum}:`, error);
+    }
+  }
+
+  /**
+   * Compare the tags currently on a module with the known locations
+   * @param {string} deviceId - Device ID
+   * @param {number} modNum - Module number
+   */
+  syncModule(deviceId, modNum) {
+    const timestamp = new Date().toISOString();
+    const present = new Set();
+
+    this.rfidState.getCurrentTags(deviceId, modNum).forEach(tag => {
+      const rfid = AssetRegistry.normalizeTag(tag.rfid);
+      const location = { deviceId, modNum, position: tag.position };
+      present.add(rfid);
+
+      const previous = this.locations.get(rfid) || this.lastLocations.get(rfid) || null;
+      if (this.locations.has(rfid) && this.isSameLocation(previous, location)) {
+        return;
+      }
+
+      this.locations.set(rfid, { ...location, since: timestamp });
+      this.lastLocations.delete(rfid);
+
+      const asset = this.registry.get(rfid);
+      if (!asset) {
+        eventBus.emit("asset.unknownTag", { rfid, location, timestamp });
+        return;
+      }
+
+      if (previous && !this.isSameLocation(previous, location)) {
+        eventBus.emit("asset.moved", {
+          asset,
+          from: this.toLocation(previous),
+          to: location,
+          timestamp
+        });
+      }
+    });
+
+    for (const [rfid, location] of this.locations) {
+      if (location.deviceId !== deviceId || location.modNum !== modNum || present.has(rfid)) {
+        continue;
+      }
+
+      this.locations.delete(rfid);
+      this.lastLocations.set(rfid, location);
+
+      const asset = this.registry.get(rfid);
+      if (asset) {
+        eventBus.emit("asset.removed", { asset, from: this.toLocation(location), timestamp });
+      }
+    }
+  }
+
+  isSameLocation(a, b) {
+    return !!a && !!b && a.deviceId === b.deviceId && a.modNum === b.modNum && a.position === b.position;
+  }
+
+  toLocation({ deviceId, modNum, position }) {
+    return { deviceId, modNum, position };
+  }
+
+  /**
+   * Get the occupant of every U slot of a module
+   * An asset occupies its tag position and the heightU - 1 slots above it
+   * @param {string} deviceId - Device ID
+   * @param {number} modNum - Module number
+   * @returns {Object|null} Layout, or null if there is no RFID state for the module
+   */
+  getLayout(deviceId, modNum) {
+    const state = this.rfidState.getCurrentState(deviceId, modNum);
+    if (!state) {
+      return null;
+    }
+
+    const tags = this.rfidState.getCurrentTags(deviceId, modNum);
+    const emptyPositions = new Set(this.rfidState.getEmptyPositions(deviceId, modNum));
+
+    const slots = [];
+    for (let u = 1; u <= state.uCount; u++) {
+      slots.push({ u, status: emptyPositions.has(u) ? "empty" : "tagged", rfid: null, asset: null });
+    }
+    const slotAt = (u) => (u >= 1 && u <= slots.length ? slots[u - 1] : null);
+
+    // Extend registered assets over their height first, so a tag inside
+    // another asset's extent still shows its own occupant
+    tags.forEach(tag => {
+      const asset = this.registry.get(tag.rfid);
+      if (!asset) {
+        return;
+      }
+      for (let offset = 1; offset < asset.heightU; offset++) {
+        const slot = slotAt(tag.position + offset);
+        if (slot) {
+          Object.assign(slot, { status: "occupied", rfid: asset.rfid, asset, anchor: false });
+        }
+      }
+    });
+
+    tags.forEach(tag => {
+      const slot = slotAt(tag.position);
+      if (!slot) {
+        return;
+      }
+      const asset = this.registry.get(tag.rfid);
+      Object.assign(slot, asset
+        ? { status: "occupied", rfid: asset.rfid, asset, anchor: true }
+        : { status: "unknown", rfid: AssetRegistry.normalizeTag(tag.rfid), asset: null });
+    });
+
+    return {
+      deviceId,
+      modNum,
+      uCount: state.uCount,
+      occupied: slots.filter(slot => slot.status === "occupied").length,
+      unknown: slots.filter(slot => slot.status === "unknown").length,
+      empty: slots.filter(slot => slot.status === "empty").length,
+      lastUpdated: state.lastUpdated,
+      slots
+    };
+  }
+
+  /**
+   * Get where an asset's tag currently is
+   * @param {string} rfid - RFID tag
+   * @returns {Object|null}
+   */
+  getLocation(rfid) {
+    return this.locations.get(AssetRegistry.normalizeTag(rfid)) || null;
+  }
+
+  getStats() {
+    return {
+      registeredAssets: this.registry.list().length,
+      locatedTags: this.locations.size,
+      removedTags: this.lastLocations.size
+    };
+  }
+
+  async shutdown() {
+    eventBus.removeListener("message.processed", this.handleMessage);
+    super.shutdown();
+  }
+}
+
+module.exports = AssetInventory;
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Maps RFID tags to the assets they are attached to, kept in a local JSON file
+ * ({ "<RFID>": { name, owner, heightU } })
+ */
+class AssetRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.file - Registry file path, relative to the working directory
+   */
+  constructor(options = {}) {
+    this.file = path.resolve(process.cwd(), options.file || "./data/assets.json");
+    this.assets = new Map();
+  }
+
+  /**
+   * Normalize an RFID tag for lookups (readers report upper-case hex)
+   * @param {string} rfid - RFID tag
+   * @returns {string}
+   */
+  static normalizeTag(rfid) {
+    return String(rfid).trim().toUpperCase();
+  }
+
+  /**
+   * Load the registry file
+   * @returns {Promise<number>} Number of assets loaded
+   */
+  async load() {
+    this.assets.clear();
+    if (!fs.existsSync(this.file)) {
+      return 0;
+    }
+
+    const entries = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    for (const [rfid, asset] of Object.entries(entries)) {
+      this.assets.set(AssetRegistry.normalizeTag(rfid), this.createAsset(rfid, asset));
+    }
+    return this.assets.size;
+  }
+
+  /**
+   * Write the registry file, replacing it atomically
+   */
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    const entries = {};
+    this.assets.forEach((asset, rfid) => {
+      const { name, owner, heightU } = asset;
+      entries[rfid] = { name, owner, heightU };
+    });
+
+    const tempFile = `${this.file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(entries, null, 2), "utf8");
+    await fs.promises.rename(tempFile, this.file);
+  }
+
+  /**
+   * Validate and build an asset record
+   * @param {string} rfid - RFID tag
+   * @param {Object} data - { name, owner, heightU }
+   * @returns {Object} Asset
+   */
+  createAsset(rfid, data = {}) {
+    if (!data.name) {
+      throw new Error(`Asset for tag ${rfid} is missing a name`);
+    }
+
+    const heightU = data.heightU === undefined ? 1 : parseInt(data.heightU);
+    if (!Number.isInteger(heightU) || heightU < 1) {
+      throw new Error(`Asset for tag ${rfid} has an invalid heightU: ${data.heightU}`);
+    }
+
+    return {
+      rfid: AssetRegistry.normalizeTag(rfid),
+      name: data.name,
+      owner: data.owner || null,
+      heightU
+    };
+  }
+
+  /**
+   * Get the asset a tag is attached to
+   * @param {string} rfid - RFID tag
+   * @returns {Object|null}
+   */
+  get(rfid) {
+    return this.assets.get(AssetRegistry.normalizeTag(rfid)) || null;
+  }
+
+  /**
+   * List all registered assets
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.assets.values());
+  }
+
+  /**
+   * Register or update the asset for a tag
+   * @param {string} rfid - RFID tag
+   * @param {Object} data - { name, owner, heightU }
+   * @returns {Promise<Object>} Asset
+   */
+  async set(rfid, data) {
+    const asset = this.createAsset(rfid, data);
+    this.assets.set(asset.rfid, asset);
+    await this.save();
+    return asset;
+  }
+
+  /**
+   * Remove the asset for a tag
+   * @param {string} rfid - RFID tag
+   * @returns {Promise<boolean>} True if an asset was removed
+   */
+  async remove(rfid) {
+    const removed = this.assets.delete(AssetRegistry.normalizeTag(rfid));
+    if (removed) {
+      await this.save();
+    }
+    return removed;
+  }
+}
+
+module.exports = AssetRegistry;
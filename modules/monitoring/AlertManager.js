@@ -0,0 +1,339 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+
+// Metric -> state change event and the reading fields it is read from
+const METRICS = {
+  temperature: { msgType: "temphum", fields: ["temperature", "temp"] },
+  humidity: { msgType: "temphum", fields: ["humidity", "hum"] },
+  noise: { msgType: "noise", fields: ["noiseLevel", "noise"] }
+};
+
+const SEVERITIES = ["info", "warning", "critical"];
+
+/**
+ * Rules-driven alerting on temperature, humidity and noise readings
+ *
+ * Each rule compares a metric against a threshold. An alert is raised once the
+ * threshold has been breached for `duration` milliseconds and cleared when the
+ * value is back past the threshold by `hysteresis`. `overrides` change the
+ * thresholds for a device or a single module.
+ */
+class AlertManager extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.rules = [];
+    // `${ruleId}:${deviceId}:${modNum}:${position}` -> { since } while a breach has not lasted long enough
+    this.pending = new Map();
+    // same key -> active alert
+    this.active = new Map();
+    this.history = [];
+    this.subscriptions = new Map();
+    this.stats = {
+      raised: 0,
+      cleared: 0
+    };
+  }
+
+  async initialize() {
+    try {
+      this.maxHistory = this.options.maxHistory || 1000;
+      this.setRules(this.options.rules || []);
+
+      this.logger.info(`Alert manager initialized with ${this.rules.length} rules`);
+    } catch (error) {
+      this.logger.error("Failed to initialize Alert manager:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a rule and fill in defaults
+   * @param {Object} rule - Rule configuration
+   * @returns {Object} Rule
+   */
+  static compileRule(rule = {}) {
+    if (!rule.id) {
+      throw new Error("Alert rule is missing an id");
+    }
+    if (!METRICS[rule.metric]) {
+      throw new Error(`Alert rule ${rule.id} has an unknown metric: ${rule.metric}`);
+    }
+    if (rule.operator !== ">" && rule.operator !== "<") {
+      throw new Error(`Alert rule ${rule.id} has an invalid operator: ${rule.operator}`);
+    }
+    if (typeof rule.threshold !== "number") {
+      throw new Error(`Alert rule ${rule.id} is missing a numeric threshold`);
+    }
+
+    const severity = rule.severity || "warning";
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Alert rule ${rule.id} has an invalid severity: ${severity}`);
+    }
+
+    return {
+      id: rule.id,
+      metric: rule.metric,
+      category: rule.category || rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      hysteresis: rule.hysteresis || 0,
+      duration: rule.duration || 0,
+      severity,
+      enabled: rule.enabled !== false,
+      overrides: Array.isArray(rule.overrides) ? rule.overrides : []
+    };
+  }
+
+  /**
+   * Replace the rule set and subscribe to the state change events it needs
+   * @param {Array} rules - Rule configurations
+   */
+  setRules(rules) {
+    this.rules = rules.map(rule => AlertManager.compileRule(rule));
+    this.updateSubscriptions();
+  }
+
+  /**
+   * Add a rule or replace the rule with the same id
+   * @param {Object} rule - Rule configuration
+   * @returns {Object} Compiled rule
+   */
+  upsertRule(rule) {
+    const compiled = AlertManager.compileRule(rule);
+    const index = this.rules.findIndex(existing => existing.id === compiled.id);
+    if (index >= 0) {
+      this.rules[index] = compiled;
+    } else {
+      this.rules.push(compiled);
+    }
+    this.updateSubscriptions();
+    return compiled;
+  }
+
+  updateSubscriptions() {
+    const msgTypes = new Set(this.rules.map(rule => METRICS[rule.metric].msgType));
+
+    for (const [msgType, handler] of this.subscriptions) {
+      if (!msgTypes.has(msgType)) {
+        eventBus.removeListener(`unified.state.changed.${msgType}`, handler);
+        this.subscriptions.delete(msgType);
+      }
+    }
+
+    msgTypes.forEach(msgType => {
+      if (!this.subscriptions.has(msgType)) {
+        const handler = (event) => this.handleStateChange(msgType, event);
+        eventBus.on(`unified.state.changed.${msgType}`, handler);
+        this.subscriptions.set(msgType, handler);
+      }
+    });
+  }
+
+  /**
+   * Resolve the thresholds of a rule for a device module
+   * A module override beats a device override, which beats the rule itself
+   * @param {Object} rule - Compiled rule
+   * @param {string} deviceId - Device ID
+   * @param {number} modNum - Module number
+   * @returns {Object} Effective rule
+   */
+  resolveRule(rule, deviceId, modNum) {
+    const deviceOverride = rule.overrides.find(o => o.deviceId === deviceId && o.modNum === undefined);
+    const moduleOverride = rule.overrides.find(o => o.deviceId === deviceId && o.modNum === modNum);
+    return { ...rule, ...deviceOverride, ...moduleOverride, id: rule.id, overrides: undefined };
+  }
+
+  /**
+   * Evaluate the readings of a state change against the rules
+   * @param {string} msgType - Lower-case message type of the event
+   * @param {Object} event - unified.state.changed.* event
+   */
+  handleStateChange(msgType, event) {
+    try {
+      const readings = Array.isArray(event.currentState) ? event.currentState : [];
+      const time = Date.parse(event.timestamp) || Date.now();
+
+      this.rules
+        .filter(rule => METRICS[rule.metric].msgType === msgType)
+        .forEach(rule => {
+          const effective = this.resolveRule(rule, event.deviceId, event.modNum);
+          if (!effective.enabled) {
+            return;
+          }
+          readings.forEach(reading => this.evaluate(effective, event, reading, time));
+        });
+    } catch (error) {
+      this.logger.error(`Failed to evaluate alert rules for ${event.deviceId}-${event.modNum}:`, error);
+    }
+  }
+
+  /**
+   * Read a metric from a sensor reading
+   * Sensor slots without a sensor report all zeros and are skipped
+   * @param {string} metric - Metric name
+   * @param {Object} reading - Sensor reading
+   * @returns {number|null}
+   */
+  readValue(metric, reading) {
+    const values = Object.values(METRICS)
+      .filter(definition => definition.msgType === METRICS[metric].msgType)
+      .map(definition => this.readField(definition.fields, reading));
+    if (values.every(value => value === null || value === 0)) {
+      return null;
+    }
+    return this.readField(METRICS[metric].fields, reading);
+  }
+
+  readField(fields, reading) {
+    for (const field of fields) {
+      if (reading[field] !== undefined && reading[field] !== null) {
+        const value = parseFloat(reading[field]);
+        return isNaN(value) ? null : value;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate one reading against one rule and raise or clear its alert
+   * @param {Object} rule - Effective rule
+   * @param {Object} event - State change event
+   * @param {Object} reading - Sensor reading
+   * @param {number} time - Reading time (ms)
+   */
+  evaluate(rule, event, reading, time) {
+    const value = this.readValue(rule.metric, reading);
+    if (value === null) {
+      return;
+    }
+
+    const position = reading.position !== undefined ? reading.position : reading.add;
+    const key = `${rule.id}:${event.deviceId}:${event.modNum}:${position}`;
+    const breached = rule.operator === ">" ? value > rule.threshold : value < rule.threshold;
+    const alert = this.active.get(key);
+
+    if (alert) {
+      alert.value = value;
+      alert.peakValue = rule.operator === ">" ? Math.max(alert.peakValue, value) : Math.min(alert.peakValue, value);
+
+      const recovered = rule.operator === ">"
+        ? value <= rule.threshold - rule.hysteresis
+        : value >= rule.threshold + rule.hysteresis;
+      if (recovered) {
+        this.clearAlert(key, value, time);
+      }
+      return;
+    }
+
+    if (!breached) {
+      this.pending.delete(key);
+      return;
+    }
+
+    const pending = this.pending.get(key) || { since: time };
+    this.pending.set(key, pending);
+
+    if (time - pending.since >= rule.duration) {
+      this.pending.delete(key);
+      this.raiseAlert(key, rule, event, position, value, pending.since);
+    }
+  }
+
+  raiseAlert(key, rule, event, position, value, since) {
+    const alert = {
+      id: `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      severity: rule.severity,
+      category: rule.category,
+      status: "active",
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      deviceId: event.deviceId,
+      deviceType: event.deviceType,
+      modNum: event.modNum,
+      position,
+      value,
+      peakValue: value,
+      message: `${rule.metric} ${value} ${rule.operator} ${rule.threshold} on ${event.deviceId} module ${event.modNum} position ${position}`,
+      breachedAt: new Date(since).toISOString(),
+      raisedAt: new Date().toISOString(),
+      clearedAt: null
+    };
+
+    this.active.set(key, alert);
+    this.addToHistory(alert);
+    this.stats.raised++;
+
+    this.logger.warn(`Alert raised (${alert.severity}): ${alert.message}`);
+    eventBus.emit("alert.raised", alert);
+  }
+
+  clearAlert(key, value, time) {
+    const alert = this.active.get(key);
+    this.active.delete(key);
+
+    alert.status = "cleared";
+    alert.value = value;
+    alert.clearedAt = new Date(time).toISOString();
+    this.stats.cleared++;
+
+    this.logger.info(`Alert cleared: ${alert.ruleId} on ${alert.deviceId} module ${alert.modNum} position ${alert.position}`);
+    eventBus.emit("alert.cleared", alert);
+  }
+
+  addToHistory(alert) {
+    this.history.push(alert);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+  }
+
+  filterAlerts(alerts, { deviceId, severity, ruleId } = {}) {
+    return alerts.filter(alert =>
+      (!deviceId || alert.deviceId === deviceId) &&
+      (!severity || alert.severity === severity) &&
+      (!ruleId || alert.ruleId === ruleId)
+    );
+  }
+
+  /**
+   * Get active alerts, most severe first
+   * @param {Object} filter - { deviceId, severity, ruleId }
+   * @returns {Array}
+   */
+  getActive(filter = {}) {
+    return this.filterAlerts(Array.from(this.active.values()), filter)
+      .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  }
+
+  /**
+   * Get raised alerts (active and cleared), newest first
+   * @param {Object} filter - { deviceId, severity, ruleId, limit }
+   * @returns {Array}
+   */
+  getHistory(filter = {}) {
+    const limit = filter.limit || 100;
+    return this.filterAlerts(this.history, filter).slice(-limit).reverse();
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.length,
+      active: this.active.size,
+      pending: this.pending.size,
+      history: this.history.length,
+      ...this.stats
+    };
+  }
+
+  async shutdown() {
+    for (const [msgType, handler] of this.subscriptions) {
+      eventBus.removeListener(`unified.state.changed.${msgType}`, handler);
+    }
+    this.subscriptions.clear();
+    super.shutdown();
+  }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,503 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+const DoorStateManager = require("../normalizers/stateManagers/DoorStateManager");
+
+/**
+ * Active security alarms for cabinet doors
+ *
+ * - openTooLong: a door stays open longer than `openTooLongMinutes`
+ * - afterHours: a door opens outside the configured maintenance windows
+ * - noWorkOrder: a door opens without a work order registered for it (with `requireWorkOrder`)
+ *
+ * Door notifications and queryDoor responses are both evaluated. Alarms are emitted as
+ * door.alarm.raised / door.alarm.resolved and resolved when the door closes.
+ */
+class DoorAlarmManager extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    // `${deviceId}:${modNum}` -> { deviceId, modNum, openedAt, openTooLongRaised }
+    this.openDoors = new Map();
+    this.alarms = new Map();
+    this.workOrders = new Map();
+    this.persistEnabled = false;
+    this.timer = null;
+    this.stats = {
+      raised: 0,
+      resolved: 0
+    };
+    this.handleDoorChange = this.handleDoorChange.bind(this);
+    this.handleDatabaseConnected = this.handleDatabaseConnected.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.database = this.options.database || null;
+      this.maxAlarms = this.options.maxAlarms || 1000;
+      this.openTooLongMinutes = this.options.openTooLongMinutes || 10;
+      this.maintenanceWindows = this.options.maintenanceWindows || [];
+      this.requireWorkOrder = !!this.options.requireWorkOrder;
+      this.overrides = this.options.overrides || [];
+      this.checkInterval = this.options.checkInterval || 30000;
+
+      if (this.options.persist) {
+        await this.initializePersistence();
+        // MySQL may only become available after startup
+        eventBus.on("database.connected", this.handleDatabaseConnected);
+      }
+
+      eventBus.on("unified.state.changed.door", this.handleDoorChange);
+      // V6800 answers queryDoor with DoorReq, which reports the state under drStatus
+      eventBus.on("unified.state.changed.doorreq", this.handleDoorChange);
+      this.timer = setInterval(() => this.checkOpenDoors(), this.checkInterval);
+
+      this.logger.info(
+        `Door alarm manager initialized (open too long: ${this.openTooLongMinutes} min, ` +
+        `${this.maintenanceWindows.length} maintenance windows, work orders required: ${this.requireWorkOrder})`
+      );
+    } catch (error) {
+      this.logger.error("Failed to initialize Door alarm manager:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable persistence once the database reconnects, if it was not available before
+   */
+  async handleDatabaseConnected() {
+    if (!this.persistEnabled) {
+      await this.initializePersistence();
+    }
+  }
+
+  /**
+   * Enable MySQL persistence when the door_alarms and work_orders tables are available
+   * and reload active alarms and work orders that have not ended yet
+   * Alarms and work orders added while the database was not available are kept and written
+   */
+  async initializePersistence() {
+    if (!this.database || !this.database.isEnabled) {
+      this.logger.warn("Database not available, door alarms are kept in memory only");
+      return;
+    }
+
+    try {
+      const alarmTables = await this.database.query("SHOW TABLES LIKE 'door_alarms'");
+      const workOrderTables = await this.database.query("SHOW TABLES LIKE 'work_orders'");
+      if (alarmTables.length === 0 || workOrderTables.length === 0) {
+        this.logger.warn("door_alarms or work_orders table does not exist, door alarms are kept in memory only");
+        return;
+      }
+
+      const alarms = await this.database.query(
+        `SELECT id, type, device_id, mod_num, work_order_id, message, opened_at, raised_at
+         FROM door_alarms
+         WHERE status = 'active'
+         ORDER BY raised_at`
+      );
+      const loadedAlarms = alarms.map(row => ({
+        id: row.id,
+        type: row.type,
+        status: "active",
+        deviceId: row.device_id,
+        modNum: row.mod_num,
+        workOrderId: row.work_order_id,
+        message: row.message,
+        openedAt: new Date(row.opened_at).toISOString(),
+        raisedAt: new Date(row.raised_at).toISOString(),
+        resolvedAt: null
+      }));
+
+      const workOrders = await this.database.query(
+        `SELECT id, device_id, mod_num, description, starts_at, ends_at
+         FROM work_orders
+         WHERE ends_at > ?`,
+        [this.database.toMySQLDateTime()]
+      );
+      const loadedWorkOrders = workOrders.map(row => ({
+        id: row.id,
+        deviceId: row.device_id,
+        modNum: row.mod_num,
+        description: row.description,
+        start: new Date(row.starts_at).toISOString(),
+        end: new Date(row.ends_at).toISOString()
+      }));
+
+      const unsavedAlarms = Array.from(this.alarms.values());
+      const unsavedWorkOrders = Array.from(this.workOrders.values());
+
+      // Alarms stay in the order they were raised; work orders added since startup win
+      this.alarms = new Map([...loadedAlarms, ...unsavedAlarms]
+        .sort((a, b) => a.raisedAt.localeCompare(b.raisedAt))
+        .map(alarm => [alarm.id, alarm]));
+      this.workOrders = new Map([...loadedWorkOrders, ...unsavedWorkOrders].map(order => [order.id, order]));
+
+      this.persistEnabled = true;
+      this.logger.info(`Loaded ${alarms.length} active door alarms and ${workOrders.length} work orders from database`);
+
+      for (const alarm of unsavedAlarms) {
+        await this.persistAlarm(alarm);
+        if (alarm.status === "resolved") {
+          await this.persistResolution(alarm);
+        }
+      }
+      for (const workOrder of unsavedWorkOrders) {
+        await this.persistWorkOrder(workOrder);
+      }
+    } catch (error) {
+      this.logger.error("Error loading door alarms:", error);
+    }
+  }
+
+  /**
+   * Settings for a door: a module override beats a device override, which beats the defaults
+   * @param {string} deviceId - Device ID
+   * @param {number} modNum - Module number
+   * @returns {Object} { openTooLongMinutes, maintenanceWindows, requireWorkOrder }
+   */
+  getSettings(deviceId, modNum) {
+    const deviceOverride = this.overrides.find(o => o.deviceId === deviceId && o.modNum === undefined);
+    const moduleOverride = this.overrides.find(o => o.deviceId === deviceId && o.modNum === modNum);
+    return {
+      openTooLongMinutes: this.openTooLongMinutes,
+      maintenanceWindows: this.maintenanceWindows,
+      requireWorkOrder: this.requireWorkOrder,
+      ...deviceOverride,
+      ...moduleOverride
+    };
+  }
+
+  /**
+   * Check whether a time falls in one of the maintenance windows (server local time)
+   * @param {Array} windows - [{ days: [0-6], start: "HH:MM", end: "HH:MM" }]; end before start spans midnight
+   * @param {Date} date - Time to check
+   * @returns {boolean}
+   */
+  static inMaintenanceWindow(windows, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const toMinutes = (time) => {
+      const [hours, mins] = String(time).split(":").map(Number);
+      return hours * 60 + (mins || 0);
+    };
+
+    return windows.some(window => {
+      const start = toMinutes(window.start || "00:00");
+      const end = toMinutes(window.end || "24:00");
+      const dayMatches = (day) => !Array.isArray(window.days) || window.days.includes(day);
+
+      if (start <= end) {
+        return dayMatches(date.getDay()) && minutes >= start && minutes < end;
+      }
+      // Overnight window: the part after midnight belongs to the previous day
+      return (dayMatches(date.getDay()) && minutes >= start) ||
+        (dayMatches((date.getDay() + 6) % 7) && minutes < end);
+    });
+  }
+
+  /**
+   * Handle a door state change from the unified normalizer
+   * @param {Object} event - unified.state.changed.door or unified.state.changed.doorreq event
+   */
+  handleDoorChange(event) {
+    try {
+      const state = event.currentState || {};
+      const status = state.status !== undefined ? state.status : state.drStatus;
+      const open = DoorStateManager.isOpen(status);
+      if (open === null) {
+        return;
+      }
+
+      const key = `${event.deviceId}:${event.modNum}`;
+      const time = event.timestamp ? new Date(event.timestamp) : new Date();
+
+      if (open && !this.openDoors.has(key)) {
+        this.handleDoorOpened(key, event.deviceId, event.modNum, time);
+      } else if (!open) {
+        this.handleDoorClosed(key, event.deviceId, event.modNum, time);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to evaluate door alarms for ${event.deviceId}-${event.modNum}:`, error);
+    }
+  }
+
+  handleDoorOpened(key, deviceId, modNum, time) {
+    const door = { deviceId, modNum, openedAt: time.toISOString(), openTooLongRaised: false };
+    this.openDoors.set(key, door);
+
+    const settings = this.getSettings(deviceId, modNum);
+    const workOrder = this.findWorkOrder(deviceId, modNum, time);
+
+    if (settings.maintenanceWindows.length > 0 &&
+        !DoorAlarmManager.inMaintenanceWindow(settings.maintenanceWindows, time)) {
+      this.raiseAlarm(door, "afterHours", "Door opened outside the maintenance windows", workOrder);
+    }
+
+    if (settings.requireWorkOrder && !workOrder) {
+      this.raiseAlarm(door, "noWorkOrder", "Door opened without a registered work order", null);
+    }
+  }
+
+  handleDoorClosed(key, deviceId, modNum, time) {
+    this.openDoors.delete(key);
+
+    // Also resolves alarms restored from the database after a restart
+    for (const alarm of this.alarms.values()) {
+      if (alarm.status === "active" && alarm.deviceId === deviceId && alarm.modNum === modNum) {
+        this.resolveAlarm(alarm.id, time);
+      }
+    }
+  }
+
+  /**
+   * Raise openTooLong alarms for doors that have been open too long
+   * @param {number} now - Current time (ms)
+   */
+  checkOpenDoors(now = Date.now()) {
+    for (const door of this.openDoors.values()) {
+      if (door.openTooLongRaised) {
+        continue;
+      }
+
+      const { openTooLongMinutes } = this.getSettings(door.deviceId, door.modNum);
+      const openMinutes = (now - Date.parse(door.openedAt)) / 60000;
+      if (openMinutes >= openTooLongMinutes) {
+        door.openTooLongRaised = true;
+        this.raiseAlarm(
+          door,
+          "openTooLong",
+          `Door open for more than ${openTooLongMinutes} minutes`,
+          this.findWorkOrder(door.deviceId, door.modNum, new Date(now))
+        );
+      }
+    }
+  }
+
+  raiseAlarm(door, type, message, workOrder) {
+    const alarm = {
+      id: `door_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      status: "active",
+      deviceId: door.deviceId,
+      modNum: door.modNum,
+      workOrderId: workOrder ? workOrder.id : null,
+      message,
+      openedAt: door.openedAt,
+      raisedAt: new Date().toISOString(),
+      resolvedAt: null
+    };
+
+    // Drop the oldest resolved alarm when full
+    if (this.alarms.size >= this.maxAlarms) {
+      const oldest = Array.from(this.alarms.values()).find(entry => entry.status === "resolved");
+      if (oldest) {
+        this.alarms.delete(oldest.id);
+      }
+    }
+
+    this.alarms.set(alarm.id, alarm);
+    this.stats.raised++;
+
+    this.logger.warn(`Door alarm (${type}) on ${alarm.deviceId} module ${alarm.modNum}: ${message}`);
+    eventBus.emit("door.alarm.raised", alarm);
+
+    if (this.persistEnabled) {
+      this.persistAlarm(alarm);
+    }
+    return alarm;
+  }
+
+  resolveAlarm(id, time = new Date()) {
+    const alarm = this.alarms.get(id);
+    if (!alarm || alarm.status !== "active") {
+      return;
+    }
+
+    alarm.status = "resolved";
+    alarm.resolvedAt = time.toISOString();
+    this.stats.resolved++;
+
+    eventBus.emit("door.alarm.resolved", alarm);
+
+    if (this.persistEnabled) {
+      this.persistResolution(alarm);
+    }
+  }
+
+  /**
+   * Write a door alarm to MySQL
+   * @param {Object} alarm - Door alarm
+   */
+  async persistAlarm(alarm) {
+    try {
+      await this.database.query(
+        `INSERT INTO door_alarms (id, type, device_id, mod_num, status, work_order_id, message, opened_at, raised_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          alarm.id,
+          alarm.type,
+          alarm.deviceId,
+          alarm.modNum,
+          alarm.status,
+          alarm.workOrderId,
+          alarm.message,
+          this.database.toMySQLDateTime(alarm.openedAt),
+          this.database.toMySQLDateTime(alarm.raisedAt)
+        ]
+      );
+    } catch (error) {
+      this.logger.error(`Error persisting door alarm ${alarm.id}:`, error);
+    }
+  }
+
+  async persistResolution(alarm) {
+    try {
+      await this.database.query(
+        "UPDATE door_alarms SET status = ?, resolved_at = ? WHERE id = ?",
+        [alarm.status, this.database.toMySQLDateTime(alarm.resolvedAt), alarm.id]
+      );
+    } catch (error) {
+      this.logger.error(`Error updating door alarm ${alarm.id}:`, error);
+    }
+  }
+
+  /**
+   * Find a work order covering a door at a given time
+   * @param {string} deviceId - Device ID
+   * @param {number} modNum - Module number
+   * @param {Date} time - Time the door was opened
+   * @returns {Object|null}
+   */
+  findWorkOrder(deviceId, modNum, time) {
+    const at = time.getTime();
+    return Array.from(this.workOrders.values()).find(order =>
+      order.deviceId === deviceId &&
+      (order.modNum === null || order.modNum === undefined || order.modNum === modNum) &&
+      Date.parse(order.start) <= at && at < Date.parse(order.end)
+    ) || null;
+  }
+
+  /**
+   * Register a work order that authorizes opening a cabinet
+   * @param {Object} data - { id, deviceId, modNum, description, start, end }; without an end it lasts `workOrderHours`
+   * @returns {Promise<Object>} Work order
+   */
+  async addWorkOrder(data = {}) {
+    if (!data.deviceId) {
+      throw new Error("Work order is missing a deviceId");
+    }
+
+    const start = data.start ? new Date(data.start) : new Date();
+    const end = data.end
+      ? new Date(data.end)
+      : new Date(start.getTime() + (this.options.workOrderHours || 8) * 60 * 60 * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      throw new Error("Work order needs a valid start before its end");
+    }
+
+    const workOrder = {
+      id: data.id ? String(data.id) : `wo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      deviceId: String(data.deviceId),
+      modNum: data.modNum === undefined || data.modNum === null ? null : parseInt(data.modNum),
+      description: data.description || null,
+      start: start.toISOString(),
+      end: end.toISOString()
+    };
+
+    this.workOrders.set(workOrder.id, workOrder);
+
+    if (this.persistEnabled) {
+      await this.persistWorkOrder(workOrder);
+    }
+
+    return workOrder;
+  }
+
+  /**
+   * Write a work order to MySQL
+   * @param {Object} workOrder - Work order
+   */
+  async persistWorkOrder(workOrder) {
+    try {
+      await this.database.query(
+        `REPLACE INTO work_orders (id, device_id, mod_num, description, starts_at, ends_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          workOrder.id,
+          workOrder.deviceId,
+          workOrder.modNum,
+          workOrder.description,
+          this.database.toMySQLDateTime(workOrder.start),
+          this.database.toMySQLDateTime(workOrder.end)
+        ]
+      );
+    } catch (error) {
+      this.logger.error(`Error persisting work order ${workOrder.id}:`, error);
+    }
+  }
+
+  /**
+   * Remove a work order
+   * @param {string} id - Work order ID
+   * @returns {Promise<boolean>} True if the work order existed
+   */
+  async removeWorkOrder(id) {
+    const removed = this.workOrders.delete(id);
+
+    if (removed && this.persistEnabled) {
+      try {
+        await this.database.query("DELETE FROM work_orders WHERE id = ?", [id]);
+      } catch (error) {
+        this.logger.error(`Error deleting work order ${id}:`, error);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * List work orders
+   * @param {Object} options - { deviceId }
+   * @returns {Array}
+   */
+  listWorkOrders(options = {}) {
+    return Array.from(this.workOrders.values())
+      .filter(order => !options.deviceId || order.deviceId === options.deviceId);
+  }
+
+  /**
+   * List door alarms, newest first
+   * @param {Object} options - { limit, status, type, deviceId }
+   * @returns {Array}
+   */
+  listAlarms(options = {}) {
+    const { limit = 100, status, type, deviceId } = options;
+
+    return Array.from(this.alarms.values())
+      .filter(alarm => !status || alarm.status === status)
+      .filter(alarm => !type || alarm.type === type)
+      .filter(alarm => !deviceId || alarm.deviceId === deviceId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      openDoors: this.openDoors.size,
+      active: this.listAlarms({ status: "active", limit: this.maxAlarms }).length,
+      workOrders: this.workOrders.size,
+      persisted: this.persistEnabled
+    };
+  }
+
+  async shutdown() {
+    eventBus.removeListener("unified.state.changed.door", this.handleDoorChange);
+    eventBus.removeListener("unified.state.changed.doorreq", this.handleDoorChange);
+    eventBus.removeListener("database.connected", this.handleDatabaseConnected);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    super.shutdown();
+  }
+}
+
+module.exports = DoorAlarmManager;
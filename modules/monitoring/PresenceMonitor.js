@@ -0,0 +1,289 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+
+/**
+ * Tracks whether gateways and their modules are online, late or offline
+ *
+ * Each device type is expected to send a heartbeat every `heartbeatIntervals[deviceType]`
+ * milliseconds. A gateway or module that has not been seen for `lateAfter` intervals is
+ * late and after `offlineAfter` intervals offline. A module missing from a gateway
+ * heartbeat is offline right away. device.online / device.offline are emitted on
+ * transitions, and downtime is kept to report availability.
+ */
+class PresenceMonitor extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    // deviceId -> gateway entry, `${deviceId}:${modNum}` -> module entry
+    this.entries = new Map();
+    this.timer = null;
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.heartbeatIntervals = { default: 60000, ...this.options.heartbeatIntervals };
+      this.lateAfter = this.options.lateAfter || 1.5;
+      this.offlineAfter = this.options.offlineAfter || 3;
+      this.checkInterval = this.options.checkInterval || 10000;
+      this.availabilityWindowHours = this.options.availabilityWindowHours || 168;
+
+      eventBus.on("message.processed", this.handleMessage);
+      this.timer = setInterval(() => this.check(), this.checkInterval);
+
+      this.logger.info(
+        `Presence monitor initialized (late after ${this.lateAfter}, offline after ${this.offlineAfter} heartbeat intervals)`
+      );
+    } catch (error) {
+      this.logger.error("Failed to initialize Presence monitor:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expected heartbeat interval of a device type
+   * @param {string} deviceType - Device type
+   * @returns {number} Milliseconds
+   */
+  getInterval(deviceType) {
+    return this.heartbeatIntervals[deviceType] || this.heartbeatIntervals.default;
+  }
+
+  getEntry(deviceId, modNum, deviceType, time) {
+    const key = modNum === null || modNum === undefined ? deviceId : `${deviceId}:${modNum}`;
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        deviceId,
+        modNum: modNum === undefined ? null : modNum,
+        deviceType,
+        status: "online",
+        firstSeen: new Date(time).toISOString(),
+        lastSeen: new Date(time).toISOString(),
+        offlineSince: null,
+        // [{ start, end }] in ms, end is null while offline
+        downtimes: []
+      };
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Update presence from a processed message
+   * Any message marks its gateway (and module) as seen; a heartbeat also lists the connected modules
+   * @param {Object} message - Normalized message
+   */
+  handleMessage(message) {
+    if (!message || !message.deviceId) {
+      return;
+    }
+
+    try {
+      const time = Date.parse(message.ts) || Date.now();
+      this.markSeen(this.getEntry(message.deviceId, null, message.deviceType, time), time);
+
+      if (message.msgType === "Heartbeat" && Array.isArray(message.payload)) {
+        this.handleHeartbeat(message, time);
+      } else if (message.modNum !== null && message.modNum !== undefined) {
+        this.markSeen(this.getEntry(message.deviceId, message.modNum, message.deviceType, time), time);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to update presence for ${message.deviceId}:`, error);
+    }
+  }
+
+  handleHeartbeat(message, time) {
+    const reported = new Set();
+    message.payload.forEach(module => {
+      if (module.modNum === null || module.modNum === undefined) {
+        return;
+      }
+      reported.add(module.modNum);
+      this.markSeen(this.getEntry(message.deviceId, module.modNum, message.deviceType, time), time);
+    });
+
+    this.getModules(message.deviceId)
+      .filter(entry => !reported.has(entry.modNum) && entry.status !== "offline")
+      .forEach(entry => this.markOffline(entry, time, "Module missing from heartbeat"));
+  }
+
+  markSeen(entry, time) {
+    if (entry.status === "offline") {
+      const downtime = entry.downtimes[entry.downtimes.length - 1];
+      downtime.end = time;
+
+      const downtimeMs = time - downtime.start;
+      entry.status = "online";
+      entry.offlineSince = null;
+      entry.lastSeen = new Date(time).toISOString();
+
+      this.logger.info(`${this.describe(entry)} is back online after ${Math.round(downtimeMs / 1000)}s`);
+      eventBus.emit("device.online", {
+        ...this.toStatus(entry),
+        downtimeMs,
+        timestamp: new Date(time).toISOString()
+      });
+      return;
+    }
+
+    entry.status = "online";
+    entry.lastSeen = new Date(time).toISOString();
+  }
+
+  /**
+   * Mark a gateway or module offline; its downtime starts when it was last seen
+   * @param {Object} entry - Presence entry
+   * @param {number} time - Detection time (ms)
+   * @param {string} reason - Why it is considered offline
+   */
+  markOffline(entry, time, reason) {
+    const start = Date.parse(entry.lastSeen);
+    entry.status = "offline";
+    entry.offlineSince = entry.lastSeen;
+    entry.downtimes.push({ start, end: null });
+
+    this.logger.warn(`${this.describe(entry)} is offline: ${reason}`);
+    eventBus.emit("device.offline", {
+      ...this.toStatus(entry),
+      reason,
+      timestamp: new Date(time).toISOString()
+    });
+  }
+
+  /**
+   * Re-evaluate every gateway and module against its expected heartbeat interval
+   * @param {number} now - Current time (ms)
+   */
+  check(now = Date.now()) {
+    const windowStart = now - this.availabilityWindowHours * 60 * 60 * 1000;
+
+    for (const entry of this.entries.values()) {
+      entry.downtimes = entry.downtimes.filter(downtime => downtime.end === null || downtime.end > windowStart);
+
+      if (entry.status === "offline") {
+        continue;
+      }
+
+      const interval = this.getInterval(entry.deviceType);
+      const silentMs = now - Date.parse(entry.lastSeen);
+
+      if (silentMs > interval * this.offlineAfter) {
+        this.markOffline(entry, now, `No heartbeat for ${Math.round(silentMs / 1000)}s`);
+      } else if (silentMs > interval * this.lateAfter) {
+        entry.status = "late";
+      }
+    }
+  }
+
+  getModules(deviceId) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.deviceId === deviceId && entry.modNum !== null)
+      .sort((a, b) => a.modNum - b.modNum);
+  }
+
+  describe(entry) {
+    return entry.modNum === null
+      ? `Device ${entry.deviceId}`
+      : `Device ${entry.deviceId} module ${entry.modNum}`;
+  }
+
+  toStatus(entry) {
+    return {
+      deviceId: entry.deviceId,
+      modNum: entry.modNum,
+      deviceType: entry.deviceType,
+      status: entry.status,
+      lastSeen: entry.lastSeen,
+      offlineSince: entry.offlineSince
+    };
+  }
+
+  /**
+   * Availability of a gateway or module over a window
+   * @param {Object} entry - Presence entry
+   * @param {number} now - Current time (ms)
+   * @param {number} hours - Window length; capped at the time since the entry was first seen
+   * @returns {Object} { availability, downtimeMs, incidents, windowStart }
+   */
+  calculateAvailability(entry, now, hours) {
+    const windowStart = Math.max(Date.parse(entry.firstSeen), now - hours * 60 * 60 * 1000);
+    const windowMs = now - windowStart;
+
+    let downtimeMs = 0;
+    let incidents = 0;
+    entry.downtimes.forEach(downtime => {
+      const start = Math.max(downtime.start, windowStart);
+      const end = downtime.end === null ? now : Math.min(downtime.end, now);
+      if (end > start) {
+        downtimeMs += end - start;
+        incidents++;
+      }
+    });
+
+    const availability = windowMs > 0 ? ((windowMs - downtimeMs) / windowMs) * 100 : 100;
+    return {
+      availability: Math.round(availability * 100) / 100,
+      downtimeMs,
+      incidents,
+      windowStart: new Date(windowStart).toISOString()
+    };
+  }
+
+  /**
+   * Presence and availability of a gateway and its modules
+   * @param {string} deviceId - Device ID
+   * @param {Object} options - { hours, now }
+   * @returns {Object|null} null if the device has never been seen
+   */
+  getAvailability(deviceId, options = {}) {
+    const gateway = this.entries.get(deviceId);
+    if (!gateway) {
+      return null;
+    }
+
+    const now = options.now || Date.now();
+    const hours = Math.min(options.hours || this.availabilityWindowHours, this.availabilityWindowHours);
+
+    return {
+      ...this.toStatus(gateway),
+      heartbeatInterval: this.getInterval(gateway.deviceType),
+      ...this.calculateAvailability(gateway, now, hours),
+      windowEnd: new Date(now).toISOString(),
+      modules: this.getModules(deviceId).map(entry => ({
+        ...this.toStatus(entry),
+        ...this.calculateAvailability(entry, now, hours)
+      }))
+    };
+  }
+
+  /**
+   * Status of every known gateway
+   * @returns {Array}
+   */
+  getDevices() {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.modNum === null)
+      .map(entry => this.toStatus(entry));
+  }
+
+  getStats() {
+    const gateways = this.getDevices();
+    return {
+      devices: gateways.length,
+      online: gateways.filter(entry => entry.status === "online").length,
+      late: gateways.filter(entry => entry.status === "late").length,
+      offline: gateways.filter(entry => entry.status === "offline").length
+    };
+  }
+
+  async shutdown() {
+    eventBus.removeListener("message.processed", this.handleMessage);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    super.shutdown();
+  }
+}
+
+module.exports = PresenceMonitor;
@@ -0,0 +1,482 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+
+/**
+ * Lifecycle of RFID tamper alarms
+ *
+ * An incident opens when a position's alarm flag rises (open), an operator acknowledges it
+ * which sends clearTamperAlarm downstream (clearing), and it closes once the device confirms
+ * the clear or reports the flag down (closed). A failed clear goes back to acknowledged.
+ * Every step is kept in the incident's audit trail and emitted as tamper.incident.<action>.
+ */
+class TamperIncidentManager extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.incidents = new Map();
+    this.persistEnabled = false;
+    this.stats = {
+      opened: 0,
+      acknowledged: 0,
+      closed: 0,
+      clearFailures: 0
+    };
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleCommandSucceeded = this.handleCommandSucceeded.bind(this);
+    this.handleCommandFailed = this.handleCommandFailed.bind(this);
+    this.handleDatabaseConnected = this.handleDatabaseConnected.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.database = this.options.database || null;
+      this.commandManager = this.options.commandManager || null;
+      this.maxIncidents = this.options.maxIncidents || 1000;
+
+      if (this.options.persist) {
+        await this.initializePersistence();
+        // MySQL may only become available after startup
+        eventBus.on("database.connected", this.handleDatabaseConnected);
+      }
+
+      eventBus.on("message.processed", this.handleMessage);
+      eventBus.on("command.succeeded", this.handleCommandSucceeded);
+      eventBus.on("command.failed", this.handleCommandFailed);
+      eventBus.on("command.timeout", this.handleCommandFailed);
+
+      if (!this.commandManager) {
+        this.logger.warn("Command manager not available, tamper alarms cannot be cleared from the API");
+      }
+      this.logger.info(`Tamper incident manager initialized (${this.listIncidents({ open: true }).length} open incidents)`);
+    } catch (error) {
+      this.logger.error("Failed to initialize Tamper incident manager:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable persistence once the database reconnects, if it was not available before
+   */
+  async handleDatabaseConnected() {
+    if (!this.persistEnabled) {
+      await this.initializePersistence();
+    }
+  }
+
+  /**
+   * Enable MySQL persistence when the tamper_incidents and tamper_incident_events tables
+   * are available and reload incidents that are not closed yet
+   * Incidents opened while the database was not available are kept and written with their audit trail
+   */
+  async initializePersistence() {
+    if (!this.database || !this.database.isEnabled) {
+      this.logger.warn("Database not available, tamper incidents are kept in memory only");
+      return;
+    }
+
+    try {
+      const incidentTables = await this.database.query("SHOW TABLES LIKE 'tamper_incidents'");
+      const eventTables = await this.database.query("SHOW TABLES LIKE 'tamper_incident_events'");
+      if (incidentTables.length === 0 || eventTables.length === 0) {
+        this.logger.warn("tamper_incidents or tamper_incident_events table does not exist, tamper incidents are kept in memory only");
+        return;
+      }
+
+      const rows = await this.database.query(
+        `SELECT id, device_id, device_type, mod_num, position, rfid, alarm, status,
+                acknowledged_by, clear_command_id, opened_at, acknowledged_at
+         FROM tamper_incidents
+         WHERE status <> 'closed'
+         ORDER BY opened_at`
+      );
+      const loaded = [];
+      for (const row of rows) {
+        const history = await this.database.query(
+          `SELECT action, status, actor, detail, created_at
+           FROM tamper_incident_events
+           WHERE incident_id = ?
+           ORDER BY id`,
+          [row.id]
+        );
+        loaded.push({
+          id: row.id,
+          deviceId: row.device_id,
+          deviceType: row.device_type,
+          modNum: row.mod_num,
+          position: row.position,
+          rfid: row.rfid,
+          alarm: row.alarm,
+          status: row.status,
+          openedAt: new Date(row.opened_at).toISOString(),
+          acknowledgedAt: row.acknowledged_at ? new Date(row.acknowledged_at).toISOString() : null,
+          acknowledgedBy: row.acknowledged_by,
+          clearCommandId: row.clear_command_id,
+          closedAt: null,
+          closeReason: null,
+          history: history.map(event => ({
+            action: event.action,
+            status: event.status,
+            actor: event.actor,
+            detail: event.detail,
+            timestamp: new Date(event.created_at).toISOString()
+          }))
+        });
+      }
+
+      const unsaved = Array.from(this.incidents.values());
+      this.incidents = new Map([...loaded, ...unsaved]
+        .sort((a, b) => a.openedAt.localeCompare(b.openedAt))
+        .map(incident => [incident.id, incident]));
+
+      // Events recorded from here on are written as they happen
+      const unsavedEvents = unsaved.map(incident => [incident, incident.history.slice()]);
+      this.persistEnabled = true;
+      this.logger.info(`Loaded ${rows.length} open tamper incidents from database`);
+
+      for (const [incident, events] of unsavedEvents) {
+        for (const event of events) {
+          await this.persistEvent(incident, event);
+        }
+      }
+    } catch (error) {
+      this.logger.error("Error loading tamper incidents:", error);
+    }
+  }
+
+  /**
+   * Open or close incidents from the alarm flags of RFID changes
+   * @param {Object} message - Normalized message
+   */
+  handleMessage(message) {
+    if (!message || message.msgType !== "Rfid" || !message.meta || !message.meta.hasChanges) {
+      return;
+    }
+
+    try {
+      const time = message.ts ? new Date(message.ts) : new Date();
+      (message.meta.changes || []).forEach(change => {
+        if (change.action === "detached") {
+          return;
+        }
+
+        const current = this.findOpenIncident(message.deviceId, message.modNum, change.position);
+        if (TamperIncidentManager.isAlarm(change.alarm)) {
+          if (!current) {
+            this.openIncident(message, change, time);
+          }
+        } else if (current && change.action === "alarm_changed") {
+          this.closeIncident(current, "device", "Alarm flag cleared by device", time);
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to update tamper incidents for ${message.deviceId}-${message.modNum}:`, error);
+    }
+  }
+
+  /**
+   * Check whether an RFID alarm flag is raised
+   * @param {number|string} alarm - Alarm flag as reported by the parser
+   * @returns {boolean}
+   */
+  static isAlarm(alarm) {
+    if (typeof alarm === "string") {
+      return parseInt(alarm, alarm.startsWith("0x") ? 16 : 10) > 0;
+    }
+    return Number(alarm) > 0;
+  }
+
+  findOpenIncident(deviceId, modNum, position) {
+    return Array.from(this.incidents.values()).find(incident =>
+      incident.status !== "closed" &&
+      incident.deviceId === deviceId &&
+      incident.modNum === modNum &&
+      incident.position === position
+    ) || null;
+  }
+
+  openIncident(message, change, time) {
+    const incident = {
+      id: `tamper_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      deviceId: message.deviceId,
+      deviceType: message.deviceType,
+      modNum: message.modNum,
+      position: change.position,
+      rfid: change.rfid || null,
+      alarm: change.alarm,
+      status: "open",
+      openedAt: time.toISOString(),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      clearCommandId: null,
+      closedAt: null,
+      closeReason: null,
+      history: []
+    };
+
+    // Drop the oldest closed incident when full
+    if (this.incidents.size >= this.maxIncidents) {
+      const oldest = Array.from(this.incidents.values()).find(entry => entry.status === "closed");
+      if (oldest) {
+        this.incidents.delete(oldest.id);
+      }
+    }
+
+    this.incidents.set(incident.id, incident);
+    this.stats.opened++;
+
+    this.logger.warn(`Tamper alarm on ${incident.deviceId} module ${incident.modNum} position ${incident.position}`);
+    this.record(incident, "opened", "device", `Alarm flag ${change.alarm} raised (${change.action})`, time);
+    return incident;
+  }
+
+  /**
+   * Acknowledge an incident and send the clear command to the device
+   * @param {string} id - Incident ID
+   * @param {Object} options - { operator, note, clear }; clear defaults to true
+   * @returns {Promise<Object|null>} Incident, or null if it does not exist
+   */
+  async acknowledge(id, options = {}) {
+    const incident = this.incidents.get(id);
+    if (!incident) {
+      return null;
+    }
+    if (incident.status !== "open") {
+      const error = new Error(`Incident is ${incident.status}, only open incidents can be acknowledged`);
+      error.code = "INVALID_STATE";
+      throw error;
+    }
+
+    const operator = options.operator || "unknown";
+    incident.status = "acknowledged";
+    incident.acknowledgedAt = new Date().toISOString();
+    incident.acknowledgedBy = operator;
+    this.stats.acknowledged++;
+    this.record(incident, "acknowledged", operator, options.note || null);
+
+    if (options.clear !== false) {
+      await this.clear(id, { operator });
+    }
+    return incident;
+  }
+
+  /**
+   * Send clearTamperAlarm for an acknowledged incident
+   * @param {string} id - Incident ID
+   * @param {Object} options - { operator }
+   * @returns {Promise<Object|null>} Incident, or null if it does not exist
+   */
+  async clear(id, options = {}) {
+    const incident = this.incidents.get(id);
+    if (!incident) {
+      return null;
+    }
+    if (incident.status !== "acknowledged") {
+      const error = new Error(`Incident is ${incident.status}, acknowledge it before clearing`);
+      error.code = "INVALID_STATE";
+      throw error;
+    }
+
+    const operator = options.operator || incident.acknowledgedBy || "unknown";
+    if (!this.commandManager) {
+      this.record(incident, "clearFailed", operator, "Command manager not available");
+      this.stats.clearFailures++;
+      return incident;
+    }
+
+    try {
+      const command = await this.commandManager.sendCommand(incident.deviceId, incident.deviceType, {
+        command: "clearTamperAlarm",
+        modNum: incident.modNum,
+        positions: [incident.position]
+      });
+      incident.status = "clearing";
+      incident.clearCommandId = command.commandId;
+      this.record(incident, "clearRequested", operator, `Sent clearTamperAlarm command ${command.commandId}`);
+    } catch (error) {
+      this.stats.clearFailures++;
+      this.record(incident, "clearFailed", operator, `Failed to send clear command: ${error.message}`);
+    }
+    return incident;
+  }
+
+  /**
+   * Close incidents once the device confirms a clearTamperAlarm command
+   * Also covers clear commands sent directly through the command API
+   * @param {Object} entry - Tracked command
+   */
+  handleCommandSucceeded(entry) {
+    if (!entry || entry.command !== "clearTamperAlarm") {
+      return;
+    }
+
+    const command = this.commandManager ? this.commandManager.getCommand(entry.commandId) : null;
+    const request = command ? command.request : null;
+
+    Array.from(this.incidents.values())
+      .filter(incident => incident.status !== "closed" && incident.deviceId === entry.deviceId)
+      .filter(incident => incident.clearCommandId === entry.commandId || this.requestCovers(request, incident))
+      .forEach(incident => {
+        this.closeIncident(incident, "device", `Device confirmed clear command ${entry.commandId}`);
+      });
+  }
+
+  requestCovers(request, incident) {
+    if (!request) {
+      return false;
+    }
+    const modules = Array.isArray(request.modules) ? request.modules : [request];
+    return modules.some(module =>
+      parseInt(module.modNum) === incident.modNum &&
+      Array.isArray(module.positions) &&
+      module.positions.some(position => parseInt(position) === incident.position)
+    );
+  }
+
+  /**
+   * Return an incident to acknowledged when its clear command failed or timed out
+   * @param {Object} entry - Tracked command
+   */
+  handleCommandFailed(entry) {
+    if (!entry || entry.command !== "clearTamperAlarm") {
+      return;
+    }
+
+    Array.from(this.incidents.values())
+      .filter(incident => incident.status === "clearing" && incident.clearCommandId === entry.commandId)
+      .forEach(incident => {
+        incident.status = "acknowledged";
+        this.stats.clearFailures++;
+        this.record(incident, "clearFailed", "device", `Clear command ${entry.status}: ${entry.reason}`);
+      });
+  }
+
+  closeIncident(incident, actor, reason, time = new Date()) {
+    incident.status = "closed";
+    incident.closedAt = time.toISOString();
+    incident.closeReason = reason;
+    this.stats.closed++;
+    this.record(incident, "closed", actor, reason, time);
+  }
+
+  /**
+   * Append a step to the audit trail of an incident and emit it
+   * @param {Object} incident - Tamper incident
+   * @param {string} action - opened, acknowledged, clearRequested, clearFailed or closed
+   * @param {string} actor - Operator name or "device"
+   * @param {string|null} detail - Free text
+   * @param {Date} time - Time of the step
+   */
+  record(incident, action, actor, detail, time = new Date()) {
+    const event = {
+      action,
+      status: incident.status,
+      actor,
+      detail,
+      timestamp: time.toISOString()
+    };
+    incident.history.push(event);
+
+    eventBus.emit(`tamper.incident.${action}`, incident);
+
+    if (this.persistEnabled) {
+      this.persistEvent(incident, event);
+    }
+  }
+
+  async persistIncident(incident) {
+    await this.database.query(
+      `INSERT INTO tamper_incidents
+       (id, device_id, device_type, mod_num, position, rfid, alarm, status, opened_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        incident.id,
+        incident.deviceId,
+        incident.deviceType,
+        incident.modNum,
+        incident.position,
+        incident.rfid,
+        String(incident.alarm),
+        incident.status,
+        this.database.toMySQLDateTime(incident.openedAt)
+      ]
+    );
+  }
+
+  async persistEvent(incident, event) {
+    try {
+      // The incident row has to exist before its first audit entry
+      if (event.action === "opened") {
+        await this.persistIncident(incident);
+      }
+      await this.database.query(
+        `UPDATE tamper_incidents
+         SET status = ?, acknowledged_by = ?, acknowledged_at = ?, clear_command_id = ?, closed_at = ?, close_reason = ?
+         WHERE id = ?`,
+        [
+          incident.status,
+          incident.acknowledgedBy,
+          incident.acknowledgedAt ? this.database.toMySQLDateTime(incident.acknowledgedAt) : null,
+          incident.clearCommandId,
+          incident.closedAt ? this.database.toMySQLDateTime(incident.closedAt) : null,
+          incident.closeReason,
+          incident.id
+        ]
+      );
+      await this.database.query(
+        `INSERT INTO tamper_incident_events (incident_id, action, status, actor, detail, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [incident.id, event.action, event.status, event.actor, event.detail, this.database.toMySQLDateTime(event.timestamp)]
+      );
+    } catch (error) {
+      this.logger.error(`Error persisting audit trail of tamper incident ${incident.id}:`, error);
+    }
+  }
+
+  /**
+   * Get an incident with its audit trail
+   * @param {string} id - Incident ID
+   * @returns {Object|null}
+   */
+  getIncident(id) {
+    return this.incidents.get(id) || null;
+  }
+
+  /**
+   * List incidents, newest first
+   * @param {Object} options - { limit, status, open, deviceId }
+   * @returns {Array}
+   */
+  listIncidents(options = {}) {
+    const { limit = 100, status, open, deviceId } = options;
+
+    return Array.from(this.incidents.values())
+      .filter(incident => !status || incident.status === status)
+      .filter(incident => !open || incident.status !== "closed")
+      .filter(incident => !deviceId || incident.deviceId === deviceId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const incident of this.incidents.values()) {
+      byStatus[incident.status] = (byStatus[incident.status] || 0) + 1;
+    }
+
+    return {
+      ...this.stats,
+      byStatus,
+      persisted: this.persistEnabled
+    };
+  }
+
+  async shutdown() {
+    eventBus.removeListener("message.processed", this.handleMessage);
+    eventBus.removeListener("command.succeeded", this.handleCommandSucceeded);
+    eventBus.removeListener("command.failed", this.handleCommandFailed);
+    eventBus.removeListener("command.timeout", this.handleCommandFailed);
+    eventBus.removeListener("database.connected", this.handleDatabaseConnected);
+    super.shutdown();
+  }
+}
+
+module.exports = TamperIncidentManager;
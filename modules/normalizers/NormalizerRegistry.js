@@ -1,12 +1,21 @@
+const fs = require("fs");
+const path = require("path");
 const logger = require("../../utils/logger");
 const eventBus = require("../core/eventBus");
 const UnifiedNormalizer = require("./UnifiedNormalizer");
+const TopicRouter = require("./utils/TopicRouter");
+const FileStateStore = require("./stateManagers/stores/FileStateStore");
+const MySQLStateStore = require("./stateManagers/stores/MySQLStateStore");
 
 class NormalizerRegistry {
   constructor() {
     this.parsers = new Map();
     this.defaultParser = null;
     this.unifiedNormalizer = new UnifiedNormalizer();
+    this.topicRouter = new TopicRouter();
+    this.prefixRouter = new TopicRouter();
+    this.statePersistenceConfig = {};
+    this.database = null;
     this.loadDefaultParsers();
   }
 
@@ -15,9 +24,176 @@ class NormalizerRegistry {
    */
   loadDefaultParsers() {
     // Register default parsers
-    this.registerParser("V5008", require("./v5008Parser"));
-    this.registerParser("V6800", require("./v6800Parser"));
-    this.registerParser("G6000", require("./g6000Parser"));
+    this.registerParser("V5008", require("./v5008Parser"), {
+      description: "Parser for V5008 binary frames",
+      source: "builtin"
+    });
+    this.registerParser("V6800", require("./v6800Parser"), {
+      description: "Parser for V6800 JSON messages",
+      source: "builtin"
+    });
+    this.registerParser("G6000", require("./g6000Parser"), {
+      description: "Parser for G6000 hex frames",
+      source: "builtin"
+    });
+  }
+
+  /**
+   * Apply normalizer configuration: restrict built-in parsers and load parser plugins
+   * @param {Object} config - Normalizer component configuration
+   * @param {Array} config.parsers - Built-in parsers to keep enabled (e.g. ["v5008", "v6800"])
+   * @param {Object} config.plugins - Plugin sources ({ directory, packages })
+   * @param {Array} config.routes - Topic routing table ([{ pattern, parser }])
+   * @param {boolean} config.enableStatePersistence - Persist state manager state across restarts
+   * @param {number} config.stateRetentionDays - Drop persisted state older than this
+   * @param {Object} config.statePersistence - { store: "file"|"mysql", file, snapshotInterval }
+   * @param {Object} dependencies - { database } used by the MySQL state store
+   */
+  configure(config = {}, dependencies = {}) {
+    if (Array.isArray(config.parsers)) {
+      const wanted = config.parsers.map(name => name.toUpperCase());
+      for (const [deviceType, info] of this.parsers) {
+        if (info.source === "builtin" && !wanted.includes(deviceType)) {
+          this.setParserEnabled(deviceType, false);
+        }
+      }
+    }
+
+    if (config.plugins) {
+      this.loadPlugins(config.plugins);
+    }
+
+    if (Array.isArray(config.routes)) {
+      this.setRoutes(config.routes);
+    }
+
+    const persistence = {};
+    if (config.enableStatePersistence !== undefined) {
+      persistence.enableStatePersistence = config.enableStatePersistence;
+    }
+    if (config.stateRetentionDays !== undefined) {
+      persistence.stateRetentionDays = config.stateRetentionDays;
+    }
+    this.unifiedNormalizer.updateConfig(persistence);
+    this.statePersistenceConfig = config.statePersistence || {};
+    this.database = dependencies.database || null;
+  }
+
+  /**
+   * Restore persisted state before the first message is normalized
+   */
+  async initialize() {
+    await this.unifiedNormalizer.initializeStatePersistence(
+      this.createStateStore(),
+      { snapshotInterval: this.statePersistenceConfig.snapshotInterval }
+    );
+  }
+
+  /**
+   * Create the configured state store
+   * Falls back to the file store when MySQL is configured but not available
+   * @returns {Object} State store
+   */
+  createStateStore() {
+    const { store = "file", file } = this.statePersistenceConfig;
+
+    if (store === "mysql") {
+      if (this.database && this.database.isEnabled) {
+        return new MySQLStateStore({ database: this.database });
+      }
+      logger.warn("Database not available, persisting normalizer state to a file instead");
+    }
+
+    return new FileStateStore({ file });
+  }
+
+  /**
+   * Save a final state snapshot
+   */
+  async shutdown() {
+    await this.unifiedNormalizer.shutdownStatePersistence();
+  }
+
+  /**
+   * Replace the topic routing table
+   * @param {Array} routes - Route definitions [{ pattern, parser }]
+   */
+  setRoutes(routes) {
+    // The gateway ID is what rebuilds the topic a parser expects, so every route must capture it
+    const router = new TopicRouter(routes);
+    router.routes.forEach(route => {
+      if (!route.segments.some(segment => segment.type === "capture" && segment.name === "gatewayId")) {
+        throw new Error(`Topic route must capture {gatewayId}: ${route.pattern}`);
+      }
+    });
+
+    this.topicRouter = router;
+    logger.info(`Configured ${routes.length} topic routes`);
+  }
+
+  /**
+   * Discover and register parser plugins
+   * A plugin module exports a parser with metadata:
+   * { deviceType, topicPrefix, version, description, parse(topic, message, meta) }
+   * @param {Object} options - Plugin sources
+   * @param {string} options.directory - Directory of plugin modules (files or packages)
+   * @param {Array} options.packages - Installed npm package names
+   * @returns {Array} Device types registered from plugins
+   */
+  loadPlugins(options = {}) {
+    const registered = [];
+    const sources = [];
+
+    if (options.directory) {
+      const directory = path.resolve(process.cwd(), options.directory);
+      if (fs.existsSync(directory)) {
+        fs.readdirSync(directory)
+          .filter(entry => !entry.startsWith("."))
+          .filter(entry => entry.endsWith(".js") || fs.statSync(path.join(directory, entry)).isDirectory())
+          .sort()
+          .forEach(entry => sources.push(path.join(directory, entry)));
+      } else {
+        logger.warn(`Parser plugin directory not found: ${directory}`);
+      }
+    }
+
+    for (const packageName of options.packages || []) {
+      sources.push(packageName);
+    }
+
+    for (const source of sources) {
+      try {
+        const plugin = require(source);
+        this.registerPlugin(plugin, source);
+        registered.push(plugin.deviceType);
+      } catch (error) {
+        logger.error(`Failed to load parser plugin ${source}:`, error.message);
+      }
+    }
+
+    if (registered.length > 0) {
+      logger.info(`Loaded parser plugins: ${registered.join(", ")}`);
+    }
+
+    return registered;
+  }
+
+  /**
+   * Register a parser plugin module
+   * @param {Object} plugin - Plugin module
+   * @param {string} source - Where the plugin was loaded from
+   */
+  registerPlugin(plugin, source) {
+    if (!plugin || typeof plugin.deviceType !== "string" || plugin.deviceType === "") {
+      throw new Error("Parser plugin must export a deviceType");
+    }
+
+    this.registerParser(plugin.deviceType, plugin, {
+      version: plugin.version,
+      description: plugin.description,
+      topicPrefix: plugin.topicPrefix,
+      source
+    });
   }
 
   /**
@@ -35,9 +211,13 @@ class NormalizerRegistry {
       parser,
       version: options.version || "1.0.0",
       description: options.description || `Parser for ${deviceType} devices`,
+      topicPrefix: options.topicPrefix || `${deviceType}Upload`,
+      source: options.source || "runtime",
       enabled: options.enabled !== false
     });
 
+    this.updatePrefixRoutes();
+
     logger.info(`Registered parser for device type: ${deviceType}`);
   }
 
@@ -48,11 +228,23 @@ class NormalizerRegistry {
   unregisterParser(deviceType) {
     const removed = this.parsers.delete(deviceType);
     if (removed) {
+      this.updatePrefixRoutes();
       logger.info(`Unregistered parser for device type: ${deviceType}`);
     }
     return removed;
   }
 
+  /**
+   * Rebuild the topic prefix routes from the registered parsers
+   * Every parser is reachable through its own topic prefix
+   */
+  updatePrefixRoutes() {
+    this.prefixRouter.setRoutes(Array.from(this.parsers.entries()).map(([type, info]) => ({
+      pattern: `${info.topicPrefix}/{gatewayId}/{sensorType}/#`,
+      parser: type
+    })));
+  }
+
   /**
    * Get parser for a device type
    * @param {string} deviceType - Device type
@@ -63,6 +255,40 @@ class NormalizerRegistry {
     return parserInfo && parserInfo.enabled ? parserInfo.parser : null;
   }
 
+  /**
+   * Route a topic to a parser
+   * The configured routing table is tried first, then the parsers' own topic prefixes.
+   * A configured route passes the parser the topic in its canonical form
+   * (`<topicPrefix>/<gatewayId>/<sensorType>`), so tenant or site prefixes do not affect
+   * device parsing, and returns the segments its pattern captures.
+   * @param {string} topic - MQTT topic
+   * @returns {Object} { deviceType, topic, captures }; captures are empty for parser prefixes
+   */
+  routeTopic(topic) {
+    const configured = this.topicRouter.match(topic);
+    const route = configured || this.prefixRouter.match(topic);
+
+    if (!route) {
+      // Unknown device type: use the first topic segment without its "Upload" suffix
+      return {
+        deviceType: topic.split("/")[0].replace(/Upload$/, ""),
+        topic,
+        captures: {}
+      };
+    }
+
+    const parserInfo = this.parsers.get(route.parser);
+    let parserTopic = topic;
+
+    if (parserInfo && configured) {
+      parserTopic = [parserInfo.topicPrefix, route.captures.gatewayId, route.captures.sensorType]
+        .filter(Boolean)
+        .join("/");
+    }
+
+    return { deviceType: route.parser, topic: parserTopic, captures: configured ? route.captures : {} };
+  }
+
   /**
    * Get all registered parsers
    * @returns {Array} - Array of parser info objects
@@ -72,6 +298,8 @@ class NormalizerRegistry {
       deviceType,
       version: info.version,
       description: info.description,
+      topicPrefix: info.topicPrefix,
+      source: info.source,
       enabled: info.enabled
     }));
   }
@@ -112,10 +340,13 @@ class NormalizerRegistry {
    * @returns {Object|null} - Normalized message or null if parsing failed
    */
   normalize(topic, message, meta = {}) {
+    let deviceType = null;
+
     try {
-      // Extract device type from topic
-      const topicParts = topic.split("/");
-      const deviceType = topicParts[0].slice(0, 5); // V5008, V6800, G6000 (remove "Upload")
+      // Route topic to a device type; captures of a configured route (tenant, gatewayId, ...) go into meta
+      const route = this.routeTopic(topic);
+      deviceType = route.deviceType;
+      meta = { ...meta, ...route.captures, rawTopic: topic };
 
       // Get appropriate parser
       const parser = this.getParser(deviceType);
@@ -132,21 +363,23 @@ class NormalizerRegistry {
         const basicMessage = this.createBasicNormalizedMessage(topic, message, deviceType, meta);
         if (!basicMessage) {
           logger.warn(`Failed to create basic normalized message for topic: ${topic}`);
+          this.reportFailure(topic, message, null, "No parser for topic and no device ID in topic");
           return null;
         }
         return basicMessage;
       }
 
       // Parse message with device-specific parser
-      let normalizedMessage = parser.parse(topic, message, meta);
+      let normalizedMessage = parser.parse(route.topic, message, meta);
       
       if (normalizedMessage) {
-        // Apply unified normalization
+        // Apply unified normalization, unless the parser already did (state managers
+        // must see each message only once)
         if (Array.isArray(normalizedMessage)) {
           normalizedMessage = normalizedMessage.map(msg =>
-            this.unifiedNormalizer.processMessage(msg, deviceType, topic, meta)
+            this.isUnified(msg) ? msg : this.unifiedNormalizer.processMessage(msg, deviceType, topic, meta)
           );
-        } else {
+        } else if (!this.isUnified(normalizedMessage)) {
           normalizedMessage = this.unifiedNormalizer.processMessage(normalizedMessage, deviceType, topic, meta);
         }
         
@@ -157,6 +390,7 @@ class NormalizerRegistry {
             ...msg,
             meta: {
               ...msg.meta,
+              rawTopic: topic,
               //normalizedBy: deviceType,
               //normalizedAt: new Date().toISOString(),
               //parserVersion: this.parsers.get(deviceType).version
@@ -177,6 +411,7 @@ class NormalizerRegistry {
           // Single message
           normalizedMessage.meta = {
             ...normalizedMessage.meta,
+            rawTopic: topic,
             //normalizedBy: deviceType,
             //normalizedAt: new Date().toISOString(),
             //parserVersion: this.parsers.get(deviceType).version
@@ -192,13 +427,41 @@ class NormalizerRegistry {
       }
 
       logger.warn(`Parser for device type ${deviceType} returned null`);
+      this.reportFailure(topic, message, deviceType, `Parser for device type ${deviceType} returned null`);
       return null;
     } catch (error) {
+      // Parsers throw when a message cannot be parsed, so the dead letter keeps their reason
       logger.error(`Normalization failed for topic ${topic}:`, error);
+      this.reportFailure(
+        topic,
+        message,
+        deviceType,
+        deviceType ? `Parser for device type ${deviceType} failed: ${error.message}` : error.message
+      );
       return null;
     }
   }
 
+  /**
+   * Check whether a parsed message has already been through unified normalization
+   * @param {Object} message - Parsed message
+   * @returns {boolean}
+   */
+  isUnified(message) {
+    return !!(message && message.meta && message.meta.normalizerVersion);
+  }
+
+  /**
+   * Announce a message that could not be normalized (picked up by the dead-letter queue)
+   * @param {string} topic - MQTT topic
+   * @param {string|Buffer} message - Raw message payload
+   * @param {string|null} parser - Device type of the parser that failed, if any
+   * @param {string} reason - Failure reason
+   */
+  reportFailure(topic, message, parser, reason) {
+    eventBus.emit("normalizer.failed", { topic, message, parser, reason });
+  }
+
 
 
   /**
@@ -41,7 +41,7 @@ class UnifiedNormalizer {
     // Import and initialize components dynamically to avoid circular dependencies
     try {
       const StateManagerFactory = require("./stateManagers/StateManagerFactory");
-      this.stateManagerFactory = new StateManagerFactory();
+      this.stateManagerFactory = StateManagerFactory.getShared();
       
       const FieldMapper = require("./utils/FieldMapper");
       this.fieldMapper = new FieldMapper();
@@ -140,21 +140,12 @@ class UnifiedNormalizer {
    */
   parseWithDeviceParser(topic, message, deviceType, meta) {
     try {
-      let parser;
-      
-      switch (deviceType) {
-        case "V5008":
-          parser = require("./v5008Parser");
-          break;
-        case "V6800":
-          parser = require("./v6800Parser");
-          break;
-        case "G6000":
-          parser = require("./g6000Parser");
-          break;
-        default:
-          logger.warn(`Unknown device type: ${deviceType}`);
-          return null;
+      // Required lazily: the registry itself creates a unified normalizer
+      const parser = require("./NormalizerRegistry").getParser(deviceType);
+
+      if (!parser) {
+        logger.warn(`Unknown device type: ${deviceType}`);
+        return null;
       }
       
       return parser.parse(topic, message, meta);
@@ -403,6 +394,42 @@ class UnifiedNormalizer {
     }
   }
 
+  /**
+   * Restore persisted state and start periodic snapshots
+   * Does nothing unless `enableStatePersistence` is set; `stateRetentionDays`
+   * bounds how old restored and persisted state may be
+   * @param {Object} store - State store with async load() and save(entries)
+   * @param {Object} options - { snapshotInterval }
+   * @returns {Promise<boolean>} True if persistence was started
+   */
+  async initializeStatePersistence(store, options = {}) {
+    if (!this.config.enableStatePersistence || !this.stateManagerFactory || this.statePersistence) {
+      return false;
+    }
+
+    const StatePersistence = require("./stateManagers/StatePersistence");
+    this.statePersistence = new StatePersistence({
+      factory: this.stateManagerFactory,
+      store,
+      retentionDays: this.config.stateRetentionDays,
+      snapshotInterval: options.snapshotInterval
+    });
+
+    await this.statePersistence.restore();
+    this.statePersistence.start();
+    return true;
+  }
+
+  /**
+   * Save a final state snapshot and stop persistence
+   */
+  async shutdownStatePersistence() {
+    if (this.statePersistence) {
+      await this.statePersistence.stop();
+      this.statePersistence = null;
+    }
+  }
+
   /**
    * Get statistics about the normalizer
    * @returns {Object} Statistics object
@@ -419,6 +446,10 @@ class UnifiedNormalizer {
       const managerStats = this.stateManagerFactory.getStats();
       stats.stateManagers = managerStats;
     }
+
+    if (this.statePersistence) {
+      stats.statePersistence = this.statePersistence.getStatus();
+    }
     
     return stats;
   }
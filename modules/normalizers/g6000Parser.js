@@ -1,48 +1,207 @@
+const path = require("path");
 const logger = require("../../utils/logger");
+const { colorJson } = require("../../utils/colorJson");
+const UnifiedNormalizer = require("./UnifiedNormalizer");
+const FrameDecoder = require("./utils/FrameDecoder");
 
 /**
- * Parser for G6000Upload devices
- * Handles hex string format messages
+ * Configuration constants for G6000 parser
  */
-function parse(topic, message, meta = {}) {
-  try {
-    // Extract device type and gateway ID from topic
+const CONFIG = {
+  DEVICE_TYPE: "G6000",
+  DEVICE_TYPE_LENGTH: 5,
+
+  // Message type of frames that do not match a known layout, passed on with their raw hex
+  RAW_MSG_TYPE: "Raw",
+
+  // Frame layouts are described in frames/g6000.json (and frames/g6000.<variant>.json),
+  // see doc/G6000-MQTT-Message-Format-and-Normalization-Guide.md. They have not been
+  // checked against the vendor spec or device captures yet.
+  FRAMES_DIR: path.join(__dirname, "frames"),
+  FRAME_DESCRIPTOR: "g6000"
+};
+
+/**
+ * Message parsing utilities
+ */
+const MessageUtils = {
+  /**
+   * Extract device information from topic
+   * @param {string} topic - MQTT topic
+   * @returns {Object} Device information
+   */
+  extractDeviceInfo(topic) {
     const topicParts = topic.split("/");
-    const deviceType = topicParts[0].slice(0, 5); // G6000
-    const gatewayId = topicParts[1] || "unknown";
-    const sensorType = topicParts[2] || "unknown";
-
-    // Convert message to string if it's not already
-    const hexString =
-      typeof message === "string" ? message : message.toString();
-
-    // TODO: Add hex string parsing logic here
-    // For now, store the raw hex string
-    const parsedData = {
-      deviceId: gatewayId,
-      deviceType: deviceType,
-      modNum: null, // Not applicable for G6000
-      modId: `${gatewayId}-${sensorType}`, // Default sensor ID, will be updated after hex parsing
-      msg_Type: sensorType,
+    return {
+      deviceType: topicParts[0].slice(0, CONFIG.DEVICE_TYPE_LENGTH),
+      deviceId: topicParts[1] || "unknown",
+      sensorType: topicParts[2] || "unknown"
+    };
+  },
+
+  /**
+   * Convert the raw message to an upper-case hex string
+   * G6000 gateways publish either hex text or binary frames
+   * @param {Buffer|string} message - Raw message
+   * @returns {string} Hex string
+   */
+  toHexString(message) {
+    const text = typeof message === "string" ? message : message.toString();
+    const trimmed = text.trim();
+
+    if (trimmed.length > 0 && trimmed.length % 2 === 0 && /^[0-9a-fA-F]+$/.test(trimmed)) {
+      return trimmed.toUpperCase();
+    }
+
+    const buffer = Buffer.isBuffer(message) ? message : Buffer.from(message);
+    return buffer.toString("hex").toUpperCase();
+  }
+};
+
+// Decoder for the declarative G6000 frame descriptors
+const frameDecoder = FrameDecoder.load(CONFIG.FRAMES_DIR, CONFIG.FRAME_DESCRIPTOR);
+
+/**
+ * Message factory for creating normalized messages
+ */
+const MessageFactory = {
+  /**
+   * Create normalized message from parsed data
+   * @param {Object} deviceInfo - Device information from topic
+   * @param {string} msgType - Message type
+   * @param {Object} parsedData - Parsed message data
+   * @param {string} rawHexString - Original hex string
+   * @param {string} topic - Original topic
+   * @param {Object} meta - Additional metadata
+   * @returns {Object} Normalized message
+   */
+  createNormalizedMessage(deviceInfo, msgType, parsedData, rawHexString, topic, meta = {}) {
+    return {
+      deviceId: deviceInfo.deviceId,
+      deviceType: CONFIG.DEVICE_TYPE,
+      sensorType: deviceInfo.sensorType,
+      msgType: msgType,
+      modNum: parsedData.modNum,
+      modId: parsedData.modId,
       ts: new Date().toISOString(),
-      payload: {
-        rawHex: hexString,
-      },
+      payload: parsedData.payload,
       meta: {
         rawTopic: topic,
-        deviceType: deviceType,
+        rawHexString: rawHexString,
         ...meta,
       },
     };
+  },
 
-    logger.debug(
-      `G6000 message parsed for gateway: ${gatewayId}, sensor: ${sensorType}`
+  /**
+   * Create a message carrying the raw frame, for frames that do not match a known layout
+   * @param {Object} deviceInfo - Device information from topic
+   * @param {string} rawHexString - Original hex string
+   * @param {string} topic - Original topic
+   * @param {string} reason - Why the frame was not decoded
+   * @param {Object} meta - Additional metadata
+   * @returns {Object} Normalized message
+   */
+  createRawMessage(deviceInfo, rawHexString, topic, reason, meta = {}) {
+    return this.createNormalizedMessage(
+      deviceInfo,
+      CONFIG.RAW_MSG_TYPE,
+      { modNum: null, modId: null, payload: { rawHex: rawHexString } },
+      rawHexString,
+      topic,
+      { ...meta, reason }
     );
-    return parsedData;
-  } catch (error) {
-    logger.error(`G6000 parsing failed: ${error.message}`);
+  }
+};
+
+// Create unified normalizer instance
+const unifiedNormalizer = new UnifiedNormalizer({
+  devices: {
+    G6000: {
+      enabled: true,
+      stateManagement: {
+        temphum: true,
+        noise: true,
+        door: true
+      }
+    }
+  }
+});
+
+/**
+ * Main parser function for G6000 messages
+ * @param {string} topic - MQTT topic
+ * @param {Buffer|string} message - Raw message
+ * @param {Object} meta - Additional metadata
+ * @returns {Object} Normalized message
+ */
+function parse(topic, message, meta = {}) {
+  // Check if this is a recursive call from unified normalizer
+  if (meta && meta.fromUnifiedNormalizer) {
+    return parseWithG6000Parser(topic, message, meta);
+  }
+
+  const parsedMessage = parseWithG6000Parser(topic, message, meta);
+
+  if (!parsedMessage) {
     return null;
   }
+
+  // Then apply unified normalization
+  return unifiedNormalizer.processMessage(parsedMessage, "G6000", topic, {
+    ...meta,
+    originalMessage: parsedMessage
+  });
+}
+
+/**
+ * Decode a G6000 frame into a normalized message
+ * Frames that do not match a known layout are passed on as a `Raw` message with their hex
+ * @param {string} topic - MQTT topic
+ * @param {Buffer|string} message - Raw message
+ * @param {Object} meta - Additional metadata
+ * @returns {Object} Parsed message
+ */
+function parseWithG6000Parser(topic, message, meta = {}) {
+  const deviceInfo = MessageUtils.extractDeviceInfo(topic);
+  const rawHexString = MessageUtils.toHexString(message);
+
+  logger.debug(`[G6000 PARSER] Frame (hex): ${rawHexString}`);
+
+  // Sensor frames are told apart by their sensor kind byte, not by the topic
+  const msgType = frameDecoder.determineMessageType(deviceInfo.sensorType, rawHexString);
+
+  logger.debug(`[G6000 PARSER] Message Type: ${msgType}`);
+
+  if (msgType === "Unknown") {
+    logger.warn(`[G6000 PARSER] Unknown message type for frame: ${rawHexString.substring(0, 14)}, passing it on raw`);
+    return MessageFactory.createRawMessage(deviceInfo, rawHexString, topic, "Unknown message type", meta);
+  }
+
+  // Decode the frame using its descriptor
+  let parsedData;
+  try {
+    parsedData = frameDecoder.decode(msgType, rawHexString);
+  } catch (error) {
+    logger.warn(`[G6000 PARSER] ${msgType} frame not decoded (${error.message}), passing it on raw`);
+    return MessageFactory.createRawMessage(deviceInfo, rawHexString, topic, error.message, meta);
+  }
+
+  const normalizedMessage = MessageFactory.createNormalizedMessage(
+    deviceInfo,
+    msgType,
+    parsedData,
+    rawHexString,
+    topic,
+    {
+      ...meta,
+      msgId: parsedData.msgId,
+      ...(parsedData.meta || {})
+    }
+  );
+
+  logger.debug('[g6000parser] Normalized Message:\n', colorJson(normalizedMessage));
+  return normalizedMessage;
 }
 
 module.exports = { parse };
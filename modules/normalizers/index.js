@@ -19,7 +19,33 @@ function getRegistry() {
   return normalizerRegistry;
 }
 
+/**
+ * Configure the normalizer registry (built-in parsers, parser plugins, routes, state persistence)
+ * @param {object} config - Normalizer component configuration
+ * @param {object} dependencies - Components the normalizer depends on ({ database })
+ */
+function configure(config = {}, dependencies = {}) {
+  normalizerRegistry.configure(config, dependencies);
+}
+
+/**
+ * Restore persisted normalizer state
+ */
+async function initialize() {
+  await normalizerRegistry.initialize();
+}
+
+/**
+ * Persist normalizer state before exit
+ */
+async function shutdown() {
+  await normalizerRegistry.shutdown();
+}
+
 module.exports = {
   normalize,
-  getRegistry
+  getRegistry,
+  configure,
+  initialize,
+  shutdown
 };
@@ -173,6 +173,20 @@ class BaseStateManager {
     }
   }
 
+  /**
+   * Get every device module that has current state
+   * @returns {Array} Array of { deviceId, modNum }
+   */
+  getModules() {
+    const modules = [];
+    this.deviceStates.forEach((moduleStates, deviceId) => {
+      moduleStates.forEach((state, modNum) => {
+        modules.push({ deviceId, modNum });
+      });
+    });
+    return modules;
+  }
+
   /**
    * Clear all state across all devices
    */
@@ -182,6 +196,62 @@ class BaseStateManager {
     this.changeHistory.clear();
   }
 
+  /**
+   * Export state for persistence
+   * @returns {Object} { deviceStates, stateHistory, changeHistory }
+   */
+  exportState() {
+    return {
+      deviceStates: this.deviceStates,
+      stateHistory: this.stateHistory,
+      changeHistory: this.changeHistory
+    };
+  }
+
+  /**
+   * Replace state with a persisted snapshot
+   * @param {Object} snapshot - { deviceStates, stateHistory, changeHistory }
+   */
+  importState(snapshot) {
+    this.deviceStates = snapshot.deviceStates || new Map();
+    this.stateHistory = snapshot.stateHistory || new Map();
+    this.changeHistory = snapshot.changeHistory || new Map();
+  }
+
+  /**
+   * Drop module states and changes older than a cutoff
+   * @param {Date} cutoff - Oldest time to keep
+   */
+  pruneState(cutoff) {
+    const isStale = (state) => state && state.lastUpdated && new Date(state.lastUpdated) < cutoff;
+
+    for (const [deviceId, moduleStates] of this.deviceStates) {
+      for (const [modNum, state] of moduleStates) {
+        if (isStale(state)) {
+          moduleStates.delete(modNum);
+        }
+      }
+      if (moduleStates.size === 0) {
+        this.deviceStates.delete(deviceId);
+      }
+    }
+
+    for (const [key, state] of this.stateHistory) {
+      if (isStale(state)) {
+        this.stateHistory.delete(key);
+      }
+    }
+
+    for (const [key, history] of this.changeHistory) {
+      const kept = history.filter(change => new Date(change.timestamp) >= cutoff);
+      if (kept.length > 0) {
+        this.changeHistory.set(key, kept);
+      } else {
+        this.changeHistory.delete(key);
+      }
+    }
+  }
+
   /**
    * Get statistics about the state manager
    * @returns {Object} Statistics object
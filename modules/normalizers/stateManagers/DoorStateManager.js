@@ -168,6 +168,20 @@ class DoorStateManager extends BaseStateManager {
     return currentState ? currentState.status : null;
   }
 
+  /**
+   * Whether a door status means open
+   * V5008 reports one bit per door (0x01, 0x10, 0x11), so any non-zero state is open
+   * @param {string|number} status - Door status
+   * @returns {boolean|null} null if the status is not recognized
+   */
+  static isOpen(status) {
+    if (status === "open") return true;
+    if (status === "closed") return false;
+
+    const value = typeof status === "number" ? status : parseInt(status, 16);
+    return isNaN(value) ? null : value !== 0;
+  }
+
   /**
    * Check if door is currently open
    * @param {string} deviceId - Device ID
@@ -175,8 +189,7 @@ class DoorStateManager extends BaseStateManager {
    * @returns {boolean} True if door is open
    */
   isDoorOpen(deviceId, modNum) {
-    const status = this.getCurrentStatus(deviceId, modNum);
-    return status === "0x01" || status === "open" || status === "1";
+    return DoorStateManager.isOpen(this.getCurrentStatus(deviceId, modNum)) === true;
   }
 
   /**
@@ -186,8 +199,7 @@ class DoorStateManager extends BaseStateManager {
    * @returns {boolean} True if door is closed
    */
   isDoorClosed(deviceId, modNum) {
-    const status = this.getCurrentStatus(deviceId, modNum);
-    return status === "0x00" || status === "closed" || status === "0";
+    return DoorStateManager.isOpen(this.getCurrentStatus(deviceId, modNum)) === false;
   }
 
   /**
@@ -1,5 +1,8 @@
 const logger = require("../../../utils/logger");
 
+// Factory shared by every unified normalizer instance
+let sharedFactory = null;
+
 /**
  * Factory for creating and managing state managers for different message types
  */
@@ -30,6 +33,18 @@ class StateManagerFactory {
     }
   }
 
+  /**
+   * Get the factory shared by all unified normalizers, so parsers and the
+   * registry see one state per device module
+   * @returns {StateManagerFactory}
+   */
+  static getShared() {
+    if (!sharedFactory) {
+      sharedFactory = new StateManagerFactory();
+    }
+    return sharedFactory;
+  }
+
   /**
    * Get state manager for a specific message type
    * @param {string} msgType - Message type
@@ -91,6 +106,45 @@ class StateManagerFactory {
     return stats;
   }
 
+  /**
+   * Export the state of every manager, keyed by message type
+   * @returns {Object} msgType -> manager state
+   */
+  exportState() {
+    const snapshot = {};
+    for (const [msgType, manager] of this.managers) {
+      if (manager.exportState) {
+        snapshot[msgType] = manager.exportState();
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * Restore manager state from a snapshot keyed by message type
+   * @param {Object} snapshot - msgType -> manager state
+   */
+  importState(snapshot) {
+    for (const [msgType, state] of Object.entries(snapshot)) {
+      const manager = this.managers.get(msgType);
+      if (manager && manager.importState) {
+        manager.importState(state);
+      }
+    }
+  }
+
+  /**
+   * Drop state older than a cutoff across all managers
+   * @param {Date} cutoff - Oldest time to keep
+   */
+  pruneState(cutoff) {
+    for (const manager of this.managers.values()) {
+      if (manager.pruneState) {
+        manager.pruneState(cutoff);
+      }
+    }
+  }
+
   /**
    * Clear all state across all managers
    */
@@ -0,0 +1,128 @@
+const logger = require("../../../utils/logger");
+
+/**
+ * JSON replacer/reviver pair that keeps Maps (device states, RFID maps, ...) intact
+ */
+function replacer(key, value) {
+  return value instanceof Map ? { __map: Array.from(value.entries()) } : value;
+}
+
+function reviver(key, value) {
+  return value && Array.isArray(value.__map) ? new Map(value.__map) : value;
+}
+
+/**
+ * Snapshots state manager state to a store and restores it on startup,
+ * so state diffing (e.g. RFID attach/detach) continues across restarts
+ */
+class StatePersistence {
+  /**
+   * @param {Object} options - Persistence options
+   * @param {StateManagerFactory} options.factory - State managers to persist
+   * @param {Object} options.store - Store with async load() and save(entries)
+   * @param {number} options.retentionDays - Drop state not updated for this many days
+   * @param {number} options.snapshotInterval - Milliseconds between snapshots
+   */
+  constructor(options = {}) {
+    this.factory = options.factory;
+    this.store = options.store;
+    this.retentionDays = options.retentionDays || 30;
+    this.snapshotInterval = options.snapshotInterval || 60000;
+    this.timer = null;
+    this.lastSnapshotAt = null;
+    this.lastRestoredAt = null;
+  }
+
+  /**
+   * Oldest update time that is kept
+   * @returns {Date}
+   */
+  getCutoff() {
+    return new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Restore state from the store
+   * @returns {Promise<boolean>} True if a snapshot was restored
+   */
+  async restore() {
+    try {
+      const entries = await this.store.load();
+      if (!entries) {
+        logger.info(`No persisted normalizer state found (${this.store.name} store)`);
+        return false;
+      }
+
+      const snapshot = {};
+      for (const [msgType, serialized] of Object.entries(entries)) {
+        snapshot[msgType] = JSON.parse(serialized, reviver);
+      }
+
+      this.factory.importState(snapshot);
+      this.factory.pruneState(this.getCutoff());
+      this.lastRestoredAt = new Date().toISOString();
+
+      logger.info(`Restored normalizer state for ${Object.keys(snapshot).length} message type(s) from ${this.store.name} store`);
+      return true;
+    } catch (error) {
+      logger.error("Failed to restore normalizer state:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Save a snapshot of all state managers to the store
+   */
+  async snapshot() {
+    try {
+      this.factory.pruneState(this.getCutoff());
+
+      const entries = {};
+      for (const [msgType, state] of Object.entries(this.factory.exportState())) {
+        entries[msgType] = JSON.stringify(state, replacer);
+      }
+
+      await this.store.save(entries);
+      this.lastSnapshotAt = new Date().toISOString();
+      logger.debug(`Normalizer state saved to ${this.store.name} store`);
+    } catch (error) {
+      logger.error("Failed to save normalizer state:", error);
+    }
+  }
+
+  /**
+   * Start periodic snapshots
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.snapshot(), this.snapshotInterval);
+    }
+  }
+
+  /**
+   * Stop periodic snapshots and save a final one
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.snapshot();
+  }
+
+  /**
+   * Get persistence status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      store: this.store.name,
+      retentionDays: this.retentionDays,
+      snapshotInterval: this.snapshotInterval,
+      lastSnapshotAt: this.lastSnapshotAt,
+      lastRestoredAt: this.lastRestoredAt
+    };
+  }
+}
+
+module.exports = StatePersistence;
@@ -0,0 +1,42 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Keeps state snapshots in a local JSON file
+ * The file is replaced atomically so a crash mid-write never leaves a truncated snapshot
+ */
+class FileStateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Snapshot file path, relative to the working directory
+   */
+  constructor(options = {}) {
+    this.file = path.resolve(process.cwd(), options.file || "./data/normalizer-state.json");
+    this.name = "file";
+  }
+
+  /**
+   * Load the snapshot
+   * @returns {Promise<Object|null>} msgType -> serialized state, or null if none was saved
+   */
+  async load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    return JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+  }
+
+  /**
+   * Save the snapshot
+   * @param {Object} entries - msgType -> serialized state
+   */
+  async save(entries) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tempFile = `${this.file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(entries), "utf8");
+    await fs.promises.rename(tempFile, this.file);
+  }
+}
+
+module.exports = FileStateStore;
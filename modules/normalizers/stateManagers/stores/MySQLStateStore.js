@@ -0,0 +1,55 @@
+/**
+ * Keeps state snapshots in the `normalizer_state` MySQL table, one row per message type
+ */
+class MySQLStateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.database - DatabaseManager instance
+   */
+  constructor(options = {}) {
+    this.database = options.database;
+    this.name = "mysql";
+  }
+
+  /**
+   * Load the snapshot
+   * @returns {Promise<Object|null>} msgType -> serialized state, or null if none was saved
+   */
+  async load() {
+    const rows = await this.database.query("SELECT msg_type, state FROM normalizer_state");
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const entries = {};
+    rows.forEach(row => {
+      entries[row.msg_type] = row.state;
+    });
+    return entries;
+  }
+
+  /**
+   * Save the snapshot
+   * @param {Object} entries - msgType -> serialized state
+   */
+  async save(entries) {
+    const types = Object.keys(entries);
+    if (types.length === 0) {
+      return;
+    }
+
+    const placeholders = types.map(() => "(?, ?, ?)").join(", ");
+    const values = [];
+    const updatedAt = this.database.toMySQLDateTime();
+    types.forEach(msgType => {
+      values.push(msgType, entries[msgType], updatedAt);
+    });
+
+    await this.database.query(
+      `REPLACE INTO normalizer_state (msg_type, state, updated_at) VALUES ${placeholders}`,
+      values
+    );
+  }
+}
+
+module.exports = MySQLStateStore;
@@ -71,7 +71,15 @@ class FieldMapper {
         }
       },
       G6000: {
-        // To be implemented as G6000 parser is completed
+        TempHum: {
+          add: "position",
+          temp: "temperature",
+          hum: "humidity"
+        },
+        Noise: {
+          add: "position",
+          noise: "noiseLevel"
+        }
       }
     };
     
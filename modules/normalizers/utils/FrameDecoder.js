@@ -0,0 +1,371 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Field decoders available to frame descriptors
+ * Each decoder receives the hex string, the absolute offset and length in hex characters
+ */
+const FIELD_DECODERS = {
+  /**
+   * Read a hex substring as-is
+   */
+  hex(hexString, offset, length) {
+    return hexString.slice(offset, offset + length);
+  },
+
+  /**
+   * Read a hex substring with 0x prefix
+   */
+  hexPrefixed(hexString, offset, length) {
+    return "0x" + hexString.slice(offset, offset + length);
+  },
+
+  /**
+   * Read an unsigned big-endian number
+   */
+  uint(hexString, offset, length) {
+    return parseInt(hexString.slice(offset, offset + length), 16);
+  },
+
+  /**
+   * Read an unsigned big-endian number as a decimal string (module IDs, firmware versions)
+   */
+  uintString(hexString, offset, length) {
+    return parseInt(hexString.slice(offset, offset + length), 16).toString();
+  },
+
+  /**
+   * Read [integer byte][fraction byte] as a decimal value with 2 places
+   */
+  decimal2(hexString, offset) {
+    const intPart = parseInt(hexString.slice(offset, offset + 2), 16);
+    const fracPart = parseInt(hexString.slice(offset + 2, offset + 4), 16);
+    return parseFloat(`${intPart}.${fracPart.toString().padStart(2, '0')}`);
+  },
+
+  /**
+   * Read 4 bytes as a dotted IPv4 address
+   */
+  ip(hexString, offset) {
+    const parts = [];
+    for (let i = 0; i < 4; i++) {
+      parts.push(parseInt(hexString.slice(offset + i * 2, offset + i * 2 + 2), 16));
+    }
+    return parts.join(".");
+  },
+
+  /**
+   * Read 6 bytes as a colon-separated MAC address
+   */
+  mac(hexString, offset) {
+    const parts = [];
+    for (let i = 0; i < 6; i++) {
+      parts.push(hexString.slice(offset + i * 2, offset + i * 2 + 2));
+    }
+    return parts.join(":");
+  }
+};
+
+/**
+ * Generic decoder for hex frames described by a declarative descriptor
+ *
+ * A descriptor lists the rules that select a message type (`match`), lookup
+ * `tables`, and per message type the `fields`, repeated `groups`, header checks
+ * (`expect`), an optional `minLength` and the template of the resulting `modNum`,
+ * `modId`, `payload` and `meta`.
+ * Offsets and lengths are in hex characters; negative offsets count from the end.
+ */
+class FrameDecoder {
+  /**
+   * @param {Object} descriptor - Frame descriptor
+   */
+  constructor(descriptor) {
+    this.descriptor = {
+      match: [],
+      tables: {},
+      frames: {},
+      ...descriptor
+    };
+    this.validate();
+  }
+
+  /**
+   * Load a decoder from a JSON descriptor file
+   * @param {string} filePath - Path to the descriptor file
+   * @returns {FrameDecoder}
+   */
+  static fromFile(filePath) {
+    return new FrameDecoder(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+
+  /**
+   * Load `<name>.json` from a directory, extended by any `<name>.<variant>.json`
+   * descriptors next to it (applied in file name order)
+   * @param {string} directory - Directory containing descriptor files
+   * @param {string} name - Base descriptor name, e.g. "v5008"
+   * @returns {FrameDecoder}
+   */
+  static load(directory, name) {
+    const decoder = FrameDecoder.fromFile(path.join(directory, `${name}.json`));
+
+    fs.readdirSync(directory)
+      .filter(file => file.startsWith(`${name}.`) && file.endsWith(".json") && file !== `${name}.json`)
+      .sort()
+      .forEach(file => {
+        decoder.extend(JSON.parse(fs.readFileSync(path.join(directory, file), "utf8")));
+      });
+
+    return decoder;
+  }
+
+  /**
+   * Register an additional field decoder
+   * @param {string} name - Decoder name used as field `type`
+   * @param {Function} decoder - (hexString, offset, length) => value
+   */
+  static registerFieldDecoder(name, decoder) {
+    FIELD_DECODERS[name] = decoder;
+  }
+
+  /**
+   * Merge more match rules, tables and frames into this decoder (e.g. a firmware variant)
+   * @param {Object} descriptor - Additional frame descriptor
+   */
+  extend(descriptor) {
+    // New rules take precedence over the ones already loaded
+    this.descriptor.match = [...(descriptor.match || []), ...this.descriptor.match];
+    this.descriptor.tables = { ...this.descriptor.tables, ...(descriptor.tables || {}) };
+    this.descriptor.frames = { ...this.descriptor.frames, ...(descriptor.frames || {}) };
+    this.validate();
+  }
+
+  /**
+   * Check that match rules, fields and lookups refer to things that exist
+   */
+  validate() {
+    const { match, tables, frames } = this.descriptor;
+
+    for (const rule of match) {
+      if (!frames[rule.msgType]) {
+        throw new Error(`Match rule refers to undefined frame: ${rule.msgType}`);
+      }
+    }
+
+    const checkField = (msgType, field) => {
+      if (!FIELD_DECODERS[field.type] && field.type !== "index") {
+        throw new Error(`Unknown field type "${field.type}" in frame ${msgType}`);
+      }
+      if (field.map && !tables[field.map]) {
+        throw new Error(`Unknown lookup table "${field.map}" in frame ${msgType}`);
+      }
+    };
+
+    for (const [msgType, frame] of Object.entries(frames)) {
+      (frame.fields || []).forEach(field => checkField(msgType, field));
+      for (const group of Object.values(frame.groups || {})) {
+        (group.fields || []).forEach(field => checkField(msgType, field));
+        if (group.value) {
+          checkField(msgType, group.value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Determine the message type of a frame from the ordered match rules
+   * A rule matches when all of its conditions hold: `topic` (sensor type segment)
+   * and `header` (hex at `offset`, 0 by default)
+   * @param {string} sensorType - Sensor type from the topic
+   * @param {string} hexString - Upper-case hex string
+   * @returns {string} Message type or "Unknown"
+   */
+  determineMessageType(sensorType, hexString) {
+    for (const rule of this.descriptor.match) {
+      if (rule.topic !== undefined && rule.topic !== sensorType) {
+        continue;
+      }
+
+      if (rule.header !== undefined) {
+        const headers = Array.isArray(rule.header) ? rule.header : [rule.header];
+        const offset = rule.offset || 0;
+        const matched = headers.some(header =>
+          hexString.slice(offset, offset + header.length) === header
+        );
+        if (!matched) {
+          continue;
+        }
+      }
+
+      return rule.msgType;
+    }
+
+    return "Unknown";
+  }
+
+  /**
+   * Decode a frame of the given message type
+   * @param {string} msgType - Message type
+   * @param {string} hexString - Upper-case hex string
+   * @returns {Object} { modNum, modId, payload, meta }
+   */
+  decode(msgType, hexString) {
+    const frame = this.descriptor.frames[msgType];
+    if (!frame) {
+      throw new Error(`No frame descriptor for message type: ${msgType}`);
+    }
+
+    if (frame.minLength && hexString.length < frame.minLength) {
+      throw new Error(`${msgType} frame too short: ${hexString.length / 2} bytes`);
+    }
+
+    for (const check of frame.expect || []) {
+      const actual = this.readField(hexString, { type: "hex", ...check }, 0);
+      if (actual !== check.value) {
+        throw new Error(`Invalid ${check.name}: ${actual}`);
+      }
+    }
+
+    const values = {};
+    for (const field of frame.fields || []) {
+      values[field.name] = this.readField(hexString, field, 0);
+    }
+
+    for (const [name, group] of Object.entries(frame.groups || {})) {
+      values[name] = this.readGroup(hexString, group, values);
+    }
+
+    const result = {
+      modNum: this.resolve(frame.modNum, values),
+      modId: this.resolve(frame.modId, values),
+      payload: this.resolve(frame.payload, values)
+    };
+
+    if (frame.meta) {
+      result.meta = this.resolve(frame.meta, values);
+    }
+
+    if (this.descriptor.msgId) {
+      result.msgId = this.readField(hexString, this.descriptor.msgId, 0);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read a single field
+   * @param {string} hexString - Hex string
+   * @param {Object} field - Field spec { offset, length, type, map, default }
+   * @param {number} base - Offset of the enclosing group entry
+   * @param {number} index - Index of the enclosing group entry
+   * @returns {*} Decoded value
+   */
+  readField(hexString, field, base, index = 0) {
+    let value;
+
+    if (field.type === "index") {
+      value = index + (field.base || 0);
+    } else {
+      const offset = field.offset < 0 ? hexString.length + field.offset : base + (field.offset || 0);
+      value = FIELD_DECODERS[field.type](hexString, offset, field.length);
+    }
+
+    if (field.map) {
+      const mapped = this.descriptor.tables[field.map][String(value)];
+      value = mapped !== undefined ? mapped : field.default;
+    }
+
+    return value;
+  }
+
+  /**
+   * Read a repeated group of fixed-size entries
+   * Entries are read from `offset` while they fit before the `reserve` hex characters
+   * at the end of the frame, up to `count` (a number or a field name) or `max` entries
+   * @param {string} hexString - Hex string
+   * @param {Object} group - Group spec
+   * @param {Object} values - Already decoded field values
+   * @returns {Array} Decoded entries
+   */
+  readGroup(hexString, group, values) {
+    const entries = [];
+    const reserve = group.reserve || 0;
+    let limit = Infinity;
+
+    if (typeof group.count === "number") {
+      limit = group.count;
+    } else if (typeof group.count === "string") {
+      limit = values[group.count];
+    } else if (group.max !== undefined) {
+      limit = group.max;
+    }
+
+    let offset = group.offset;
+    for (let i = 0; i < limit; i++) {
+      if (offset + group.size > hexString.length - reserve) break;
+
+      let entry;
+      if (group.value) {
+        entry = this.readField(hexString, group.value, offset, i);
+      } else {
+        entry = {};
+        for (const field of group.fields) {
+          entry[field.name] = this.readField(hexString, field, offset, i);
+        }
+      }
+
+      if (this.matchesWhere(entry, group.where)) {
+        entries.push(entry);
+      }
+
+      offset += group.size;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check an entry against a group filter
+   * Supported conditions per field: `min`, `max` and `notIn`
+   * @param {Object} entry - Decoded entry
+   * @param {Object} where - Filter spec
+   * @returns {boolean}
+   */
+  matchesWhere(entry, where) {
+    if (!where) {
+      return true;
+    }
+
+    return Object.entries(where).every(([name, condition]) => {
+      const value = entry[name];
+      if (condition.min !== undefined && !(value >= condition.min)) return false;
+      if (condition.max !== undefined && !(value <= condition.max)) return false;
+      if (condition.notIn && condition.notIn.includes(value)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Resolve an output template against decoded values
+   * Strings name a field or group; objects are resolved key by key; null stays null
+   * @param {*} template - Output template
+   * @param {Object} values - Decoded values
+   * @returns {*} Resolved output
+   */
+  resolve(template, values) {
+    if (template === null || template === undefined) {
+      return null;
+    }
+
+    if (typeof template === "string") {
+      return values[template];
+    }
+
+    const resolved = {};
+    for (const [key, value] of Object.entries(template)) {
+      resolved[key] = this.resolve(value, values);
+    }
+    return resolved;
+  }
+}
+
+module.exports = FrameDecoder;
@@ -176,9 +176,9 @@ class MessageEnhancer {
         protocol: "JSON"
       },
       G6000: {
-        supportedMessageTypes: ["Unknown"], // To be implemented
-        maxModules: 0, // To be implemented
-        supportsStateManagement: false, // To be implemented
+        supportedMessageTypes: ["Heartbeat", "TempHum", "Noise", "Door", "CommandAck"],
+        maxModules: 16,
+        supportsStateManagement: true,
         protocol: "Hex"
       }
     };
@@ -212,9 +212,9 @@ class MessageEnhancer {
         protocolInfo.version = "2.0";
         break;
       case "G6000":
-        protocolInfo.messageFormat = "Hex";
+        protocolInfo.messageFormat = "Binary";
         protocolInfo.encoding = "Hex";
-        protocolInfo.version = "Unknown";
+        protocolInfo.version = "1.0";
         break;
     }
     
@@ -230,7 +230,7 @@ class MessageEnhancer {
     const versions = {
       V5008: "1.0.0",
       V6800: "1.0.0",
-      G6000: "0.1.0" // Development version
+      G6000: "1.0.0"
     };
     
     return versions[deviceType] || "Unknown";
@@ -0,0 +1,116 @@
+/**
+ * Routes MQTT topics to parsers using a table of topic patterns
+ *
+ * Patterns are matched segment by segment:
+ * - `{name}` captures one segment as `name` (e.g. `{tenant}`, `{gatewayId}`, `{sensorType}`)
+ * - `+` matches one segment without capturing it
+ * - `#` as the last segment matches any remaining segments (including none)
+ * - anything else must match literally
+ *
+ * Routes are tried in table order; the first match wins.
+ */
+class TopicRouter {
+  /**
+   * @param {Array} routes - Route definitions [{ pattern, parser }]
+   */
+  constructor(routes = []) {
+    this.routes = [];
+    this.setRoutes(routes);
+  }
+
+  /**
+   * Replace the routing table
+   * @param {Array} routes - Route definitions [{ pattern, parser }]
+   */
+  setRoutes(routes) {
+    this.routes = routes.map(route => TopicRouter.compile(route));
+  }
+
+  /**
+   * Compile a route definition
+   * @param {Object} route - Route definition
+   * @param {string} route.pattern - Topic pattern
+   * @param {string} route.parser - Device type of the parser handling matching topics
+   * @returns {Object} Compiled route
+   */
+  static compile(route) {
+    if (!route || typeof route.pattern !== "string" || !route.parser) {
+      throw new Error("Topic route requires a pattern and a parser");
+    }
+
+    const segments = route.pattern.split("/").map((segment, index, all) => {
+      if (segment === "#") {
+        if (index !== all.length - 1) {
+          throw new Error(`"#" must be the last segment of topic pattern: ${route.pattern}`);
+        }
+        return { type: "rest" };
+      }
+      if (segment === "+") {
+        return { type: "any" };
+      }
+      const capture = segment.match(/^\{(\w+)\}$/);
+      if (capture) {
+        return { type: "capture", name: capture[1] };
+      }
+      return { type: "literal", value: segment };
+    });
+
+    return {
+      pattern: route.pattern,
+      parser: route.parser.toUpperCase(),
+      segments
+    };
+  }
+
+  /**
+   * Match a topic against the routing table
+   * @param {string} topic - MQTT topic
+   * @returns {Object|null} { parser, pattern, captures } or null if no route matches
+   */
+  match(topic) {
+    const parts = topic.split("/");
+
+    for (const route of this.routes) {
+      const captures = TopicRouter.matchSegments(route.segments, parts);
+      if (captures) {
+        return { parser: route.parser, pattern: route.pattern, captures };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Match compiled pattern segments against topic segments
+   * @param {Array} segments - Compiled pattern segments
+   * @param {Array} parts - Topic segments
+   * @returns {Object|null} Named captures or null if the topic does not match
+   */
+  static matchSegments(segments, parts) {
+    const captures = {};
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+
+      if (segment.type === "rest") {
+        return captures;
+      }
+
+      const part = parts[i];
+      if (part === undefined) {
+        return null;
+      }
+
+      if (segment.type === "literal" && segment.value !== part) {
+        return null;
+      }
+      if (segment.type === "capture") {
+        captures[segment.name] = part;
+      }
+    }
+
+    return parts.length === segments.length ? captures : null;
+  }
+}
+
+module.exports = TopicRouter;
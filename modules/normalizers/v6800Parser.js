@@ -112,6 +112,7 @@ const Utils = {
         rawTopic: topic,
         msgId: rawMessage.uuid_number,
         msgType: rawMessage.msg_type,
+        ...(rawMessage.code !== undefined ? { code: rawMessage.code } : {}),
         ...meta
       }
     };
@@ -479,28 +480,26 @@ const unifiedNormalizer = new UnifiedNormalizer({
  * @param {string} topic - MQTT topic
  * @param {string|Object|Buffer} message - Raw message
  * @param {Object} meta - Additional metadata
- * @returns {Object|Array|null} Normalized message(s) or null on error
+ * @returns {Object|Array} Normalized message(s)
+ * @throws {Error} When the message cannot be parsed
  */
 function parse(topic, message, meta = {}) {
-  try {
-    // First parse with existing V6800 parser
-    const parsedMessage = parseWithV6800Parser(topic, message, meta);
-    
-    if (!parsedMessage) {
-      return null;
-    }
-    
-    // Then apply unified normalization
-    const unifiedMessage = unifiedNormalizer.normalize(topic, message, "V6800", {
-      ...meta,
-      originalMessage: parsedMessage
-    });
-    
-    return unifiedMessage;
-  } catch (error) {
-    logger.error(`V6800 unified parsing failed: ${error.message}`);
+  // First parse with existing V6800 parser
+  const parsedMessage = parseWithV6800Parser(topic, message, meta);
+  
+  if (!parsedMessage) {
     return null;
   }
+  
+  // Then apply unified normalization, to each module of a multi-port message
+  const unifiedMeta = {
+    ...meta,
+    originalMessage: parsedMessage
+  };
+  if (Array.isArray(parsedMessage)) {
+    return parsedMessage.map(msg => unifiedNormalizer.processMessage(msg, "V6800", topic, unifiedMeta));
+  }
+  return unifiedNormalizer.processMessage(parsedMessage, "V6800", topic, unifiedMeta);
 }
 
 /**
@@ -508,74 +507,67 @@ function parse(topic, message, meta = {}) {
  * @param {string} topic - MQTT topic
  * @param {string|Object|Buffer} message - Raw message
  * @param {Object} meta - Additional metadata
- * @returns {Object|Array|null} Parsed message(s) or null on error
+ * @returns {Object|Array} Parsed message(s)
+ * @throws {Error} When the message cannot be parsed
  */
 function parseWithV6800Parser(topic, message, meta = {}) {
-  try {
-    // Parse the raw message
-    const rawMessage = Utils.parseMessage(message);
-    
-    // Get normalized message type
-    const msgType = rawMessage.msg_type;
-    const normalizedMsgType = CONFIG.MSG_TYPE_MAP[msgType];
-    
-    if (!normalizedMsgType) {
-      logger.warn(`[v6800parser] Unknown V6800 message type: ${msgType}`);
-      return null;
-    }
-    
-    // Route to appropriate message factory based on message type
-    let normalizedMessage;
-    
-    switch (normalizedMsgType) {
-      case "Heartbeat":
-        normalizedMessage = MessageFactory.createHeartbeatMessage(rawMessage, topic, meta);
-        break;
-      case "DevModInfo":
-        normalizedMessage = MessageFactory.createDevModInfoMessage(rawMessage, topic, meta);
-        break;
-      case "Rfid":
-      case "RfidReq":
-      case "TempHum":
-      case "TemHumReq":
-      case "Noise":
-      case "Door":
-      case "DoorReq":
-        normalizedMessage = MessageFactory.createPortBasedMessage(rawMessage, topic, normalizedMsgType, meta);
-        break;
-      case "ColorReq":
-        normalizedMessage = MessageFactory.createColorMessage(rawMessage, topic, meta);
-        break;
-      case "SetColor":
-        normalizedMessage = MessageFactory.createSetColorMessage(rawMessage, topic, meta);
-        break;
-      case "CleanRfidTamperAlarm":
-        normalizedMessage = MessageFactory.createCleanRfidTamperAlarmMessage(rawMessage, topic, meta);
-        break;
-      case "DoorReq":
-        normalizedMessage = MessageFactory.createDoorReqMessage(rawMessage, topic, meta);
-        break;
-      default:
-        normalizedMessage = null;
-        logger.warn(`[v6800parser] Unhandled V6800 message type: ${normalizedMsgType}`);
-    }
-    
-    // Handle array messages for debug logging
-    if (Array.isArray(normalizedMessage)) {
-      logger.debug('[v6800parser] Normalized Messages (array):');
-      normalizedMessage.forEach((msg, index) => {
-        logger.debug(`[v6800parser] Message ${index + 1}:\n`, colorJson(msg));
-      });
-    } else {
-      logger.debug('[v6800parser] Normalized Message:\n', colorJson(normalizedMessage));
-    }
-    
-    return normalizedMessage;
-    
-  } catch (error) {
-    logger.error(`[v6800parser] V6800 parsing failed: ${error.message}`);
-    return null;
+  // Parse the raw message
+  const rawMessage = Utils.parseMessage(message);
+  
+  // Get normalized message type
+  const msgType = rawMessage.msg_type;
+  const normalizedMsgType = CONFIG.MSG_TYPE_MAP[msgType];
+  
+  if (!normalizedMsgType) {
+    throw new Error(`Unknown V6800 message type: ${msgType}`);
   }
+  
+  // Route to appropriate message factory based on message type
+  let normalizedMessage;
+  
+  switch (normalizedMsgType) {
+    case "Heartbeat":
+      normalizedMessage = MessageFactory.createHeartbeatMessage(rawMessage, topic, meta);
+      break;
+    case "DevModInfo":
+      normalizedMessage = MessageFactory.createDevModInfoMessage(rawMessage, topic, meta);
+      break;
+    case "Rfid":
+    case "RfidReq":
+    case "TempHum":
+    case "TemHumReq":
+    case "Noise":
+    case "Door":
+    case "DoorReq":
+      normalizedMessage = MessageFactory.createPortBasedMessage(rawMessage, topic, normalizedMsgType, meta);
+      break;
+    case "ColorReq":
+      normalizedMessage = MessageFactory.createColorMessage(rawMessage, topic, meta);
+      break;
+    case "SetColor":
+      normalizedMessage = MessageFactory.createSetColorMessage(rawMessage, topic, meta);
+      break;
+    case "CleanRfidTamperAlarm":
+      normalizedMessage = MessageFactory.createCleanRfidTamperAlarmMessage(rawMessage, topic, meta);
+      break;
+    case "DoorReq":
+      normalizedMessage = MessageFactory.createDoorReqMessage(rawMessage, topic, meta);
+      break;
+    default:
+      throw new Error(`Unhandled V6800 message type: ${normalizedMsgType}`);
+  }
+  
+  // Handle array messages for debug logging
+  if (Array.isArray(normalizedMessage)) {
+    logger.debug('[v6800parser] Normalized Messages (array):');
+    normalizedMessage.forEach((msg, index) => {
+      logger.debug(`[v6800parser] Message ${index + 1}:\n`, colorJson(msg));
+    });
+  } else {
+    logger.debug('[v6800parser] Normalized Message:\n', colorJson(normalizedMessage));
+  }
+  
+  return normalizedMessage;
 }
 
 module.exports = { parse };
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const KEY_PREFIX = "iotk_";
+
+/**
+ * API keys kept in a local JSON file
+ *
+ * Only the SHA-256 hash of a key is stored; the key itself is returned once, when it is
+ * created. Keys are random 32-byte values, so a plain hash cannot be reversed by guessing.
+ */
+class ApiKeyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Key file path, relative to the working directory
+   * @param {Array<string>} options.scopes - Scopes a key may carry
+   */
+  constructor(options = {}) {
+    this.file = path.resolve(process.cwd(), options.file || "./data/api-keys.json");
+    this.scopes = options.scopes || [];
+    // id -> { id, name, prefix, hash, scopes, createdAt, expiresAt }
+    this.keys = new Map();
+    // hash -> id
+    this.hashes = new Map();
+    this.lastUsed = new Map();
+  }
+
+  static hash(key) {
+    return crypto.createHash("sha256").update(String(key)).digest("hex");
+  }
+
+  /**
+   * Whether a credential looks like an API key of this store
+   * @param {string} key - Credential
+   * @returns {boolean}
+   */
+  static isApiKey(key) {
+    return typeof key === "string" && key.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Load the key file
+   * @returns {Promise<number>} Number of keys loaded
+   */
+  async load() {
+    this.keys.clear();
+    this.hashes.clear();
+    if (!fs.existsSync(this.file)) {
+      return 0;
+    }
+
+    const entries = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    entries.forEach(record => {
+      this.keys.set(record.id, record);
+      this.hashes.set(record.hash, record.id);
+    });
+    return this.keys.size;
+  }
+
+  /**
+   * Write the key file, replacing it atomically and readable by the owner only
+   */
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tempFile = `${this.file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(Array.from(this.keys.values()), null, 2), { encoding: "utf8", mode: 0o600 });
+    await fs.promises.rename(tempFile, this.file);
+  }
+
+  /**
+   * Validate the scopes of a new key
+   * @param {Array<string>} scopes - Requested scopes
+   * @returns {Array<string>}
+   */
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`scopes must be a non-empty list of: ${this.scopes.join(", ")}`);
+    }
+    const unknown = scopes.filter(scope => !this.scopes.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(", ")} (expected ${this.scopes.join(", ")})`);
+    }
+    return Array.from(new Set(scopes));
+  }
+
+  /**
+   * Create a key
+   * @param {Object} data - { name, scopes, expiresAt }
+   * @returns {Promise<Object>} { key, ...record without hash }, the only time the key is returned
+   */
+  async create(data = {}) {
+    if (!data.name || typeof data.name !== "string") {
+      throw new Error("API key is missing a name");
+    }
+    const scopes = this.validateScopes(data.scopes);
+
+    let expiresAt = null;
+    if (data.expiresAt) {
+      const expires = new Date(data.expiresAt);
+      if (isNaN(expires.getTime()) || expires.getTime() <= Date.now()) {
+        throw new Error(`API key has an invalid or past expiresAt: ${data.expiresAt}`);
+      }
+      expiresAt = expires.toISOString();
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const record = {
+      id: `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: data.name,
+      prefix: key.substr(0, KEY_PREFIX.length + 6),
+      hash: ApiKeyStore.hash(key),
+      scopes,
+      createdAt: new Date().toISOString(),
+      expiresAt
+    };
+
+    this.keys.set(record.id, record);
+    this.hashes.set(record.hash, record.id);
+    await this.save();
+    return { key, ...this.describe(record) };
+  }
+
+  /**
+   * Find the record of a key that is known and not expired
+   * @param {string} key - Key as sent by the client
+   * @returns {Object|null} Record
+   */
+  verify(key) {
+    const id = this.hashes.get(ApiKeyStore.hash(key));
+    const record = id ? this.keys.get(id) : null;
+    if (!record || (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now())) {
+      return null;
+    }
+    this.lastUsed.set(record.id, new Date().toISOString());
+    return record;
+  }
+
+  /**
+   * Record without its hash, with the last time it was used by this process
+   */
+  describe(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, lastUsedAt: this.lastUsed.get(record.id) || null };
+  }
+
+  /**
+   * List all keys, without hashes
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.keys.values()).map(record => this.describe(record));
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key id
+   * @returns {Promise<boolean>} True if a key was removed
+   */
+  async revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) {
+      return false;
+    }
+    this.keys.delete(id);
+    this.hashes.delete(record.hash);
+    this.lastUsed.delete(id);
+    await this.save();
+    return true;
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,284 @@
+const crypto = require("crypto");
+const BaseComponent = require("../core/BaseComponent");
+const ApiKeyStore = require("./ApiKeyStore");
+const jwt = require("./jwt");
+
+const SCOPES = {
+  READ: "telemetry:read",
+  COMMANDS: "commands:send",
+  ADMIN: "admin"
+};
+
+// Any valid credential, whatever its scopes
+const AUTHENTICATED = "authenticated";
+
+// Scope required per route, first match wins; null means no credential is needed
+const ROUTE_SCOPES = [
+  { path: /^\/(api|system)\/health$/, scope: null },
+  { path: /^\/system\/debug$/, scope: SCOPES.ADMIN },
+  { path: /^\/api\/auth\/keys(\/|$)/, scope: SCOPES.ADMIN },
+  { method: "POST", path: /^\/api\/auth\/token$/, scope: AUTHENTICATED },
+  { method: "POST", path: /^\/api\/devices\/[^/]+\/commands$/, scope: SCOPES.COMMANDS },
+  { method: "POST", path: /^\/api\/tamper-incidents\/[^/]+\/(acknowledge|clear)$/, scope: SCOPES.COMMANDS },
+  { method: "GET", path: /./, scope: SCOPES.READ },
+  { path: /./, scope: SCOPES.ADMIN }
+];
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Authenticates REST, event stream and WebSocket clients with API keys or HMAC-signed JWTs
+ *
+ * Credentials are taken from `Authorization: Bearer <key or token>`, `X-API-Key`, or the
+ * `access_token` query parameter for browser WebSocket and EventSource clients, which cannot
+ * set headers. A credential carries scopes: `telemetry:read`, `commands:send` and `admin`,
+ * which includes the other two.
+ */
+class AuthManager extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.jwtSecret = this.options.jwtSecret || null;
+    this.jwtAlgorithms = this.options.jwtAlgorithms || ["HS256"];
+    this.jwtIssuer = this.options.jwtIssuer || null;
+    this.jwtAudience = this.options.jwtAudience || null;
+    this.tokenTtl = this.options.tokenTtl || 3600;
+    this.allowQueryToken = this.options.allowQueryToken !== false;
+    this.adminKeyHash = this.options.adminKey ? ApiKeyStore.hash(this.options.adminKey) : null;
+    this.keys = this.options.keys || new ApiKeyStore({ file: this.options.keysFile, scopes: Object.values(SCOPES) });
+  }
+
+  async initialize() {
+    try {
+      // Without either there is no way to create the first key, so the server must not start half-configured
+      if (!this.adminKeyHash && !this.jwtSecret) {
+        throw new Error(
+          "Security is enabled but neither AUTH_ADMIN_KEY nor AUTH_JWT_SECRET is set; " +
+          "set one of them, or disable the security module to run without authentication"
+        );
+      }
+
+      const count = await this.keys.load();
+
+      if (this.jwtSecret && this.jwtSecret.length < 32) {
+        this.logger.warn("JWT secret is shorter than 32 characters");
+      }
+
+      this.logger.info(`Auth manager initialized (${count} API keys, JWT ${this.jwtSecret ? "enabled" : "disabled"})`);
+    } catch (error) {
+      this.logger.error("Failed to initialize Auth manager:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scope a request needs
+   * @param {string} method - HTTP method
+   * @param {string} path - Full request path, e.g. /api/devices/2437871205/commands
+   * @returns {string|null} Scope, "authenticated" for any credential, null for public routes
+   */
+  getRequiredScope(method, path) {
+    const verb = method === "HEAD" ? "GET" : method;
+    // Express matches routes case-insensitively and with a trailing slash, so must the rules
+    const normalized = path.toLowerCase().replace(/\/+$/, "");
+    const rule = ROUTE_SCOPES.find(r => (!r.method || r.method === verb) && r.path.test(normalized));
+    return rule ? rule.scope : SCOPES.ADMIN;
+  }
+
+  /**
+   * Take the credential from the request headers or query string
+   * @param {http.IncomingMessage} req - HTTP request or WebSocket upgrade request
+   * @returns {string|null}
+   */
+  getCredential(req) {
+    const headers = req.headers || {};
+    const authorization = headers.authorization;
+    if (authorization) {
+      const match = authorization.match(/^Bearer\s+(\S+)$/i);
+      return match ? match[1] : null;
+    }
+    if (headers["x-api-key"]) {
+      return headers["x-api-key"];
+    }
+    if (this.allowQueryToken && req.url) {
+      return new URL(req.url, "http://localhost").searchParams.get("access_token");
+    }
+    return null;
+  }
+
+  /**
+   * Authenticate a request
+   * Errors have the code UNAUTHORIZED
+   * @param {http.IncomingMessage} req - HTTP request or WebSocket upgrade request
+   * @returns {Object|null} Principal { type, id, name, scopes }, null without credential
+   */
+  authenticate(req) {
+    const credential = this.getCredential(req);
+    if (!credential) {
+      return null;
+    }
+    return jwt.isJwt(credential) ? this.authenticateToken(credential) : this.authenticateKey(credential);
+  }
+
+  authenticateKey(key) {
+    if (this.adminKeyHash) {
+      const hash = Buffer.from(ApiKeyStore.hash(key));
+      if (crypto.timingSafeEqual(hash, Buffer.from(this.adminKeyHash))) {
+        return { type: "apiKey", id: "admin", name: "AUTH_ADMIN_KEY", scopes: [SCOPES.ADMIN] };
+      }
+    }
+
+    const record = ApiKeyStore.isApiKey(key) ? this.keys.verify(key) : null;
+    if (!record) {
+      throw authError("UNAUTHORIZED", "Invalid or expired API key");
+    }
+    return { type: "apiKey", id: record.id, name: record.name, scopes: record.scopes };
+  }
+
+  authenticateToken(token) {
+    if (!this.jwtSecret) {
+      throw authError("UNAUTHORIZED", "JWT authentication is not configured");
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.jwtSecret, {
+        algorithms: this.jwtAlgorithms,
+        issuer: this.jwtIssuer,
+        audience: this.jwtAudience
+      });
+    } catch (error) {
+      throw authError("UNAUTHORIZED", error.message);
+    }
+
+    // OAuth-style space-separated `scope`, or a `scopes` list
+    const claimed = Array.isArray(claims.scopes) ? claims.scopes : String(claims.scope || "").split(" ");
+    return {
+      type: "jwt",
+      id: claims.sub || null,
+      name: claims.name || claims.sub || null,
+      scopes: claimed.filter(scope => Object.values(SCOPES).includes(scope)),
+      expiresAt: claims.exp ? new Date(claims.exp * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * @param {Object} principal - Authenticated principal
+   * @param {string} scope - Required scope
+   * @returns {boolean}
+   */
+  hasScope(principal, scope) {
+    if (!principal) {
+      return false;
+    }
+    return scope === AUTHENTICATED || principal.scopes.includes(SCOPES.ADMIN) || principal.scopes.includes(scope);
+  }
+
+  /**
+   * Express middleware enforcing the route scopes; the principal is set as `req.auth`
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      const scope = this.getRequiredScope(req.method, req.baseUrl + req.path);
+      if (scope === null) {
+        return next();
+      }
+
+      let principal;
+      try {
+        principal = this.authenticate(req);
+      } catch (error) {
+        res.set("WWW-Authenticate", "Bearer error=\"invalid_token\"");
+        return res.status(401).json({ error: error.message });
+      }
+
+      if (!principal) {
+        res.set("WWW-Authenticate", "Bearer");
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      if (!this.hasScope(principal, scope)) {
+        return res.status(403).json({ error: `Requires scope ${scope}` });
+      }
+
+      req.auth = principal;
+      next();
+    };
+  }
+
+  /**
+   * `verifyClient` for the WebSocket server: the upgrade handshake needs `telemetry:read`
+   * The principal is set as `info.req.auth` for the connection
+   * @param {Object} info - { req, origin, secure }
+   * @param {Function} done - (result, code, message)
+   */
+  verifyClient(info, done) {
+    let principal;
+    try {
+      principal = this.authenticate(info.req);
+    } catch (error) {
+      this.logger.debug(`WebSocket client rejected: ${error.message}`);
+      return done(false, 401, "Unauthorized");
+    }
+
+    if (!principal) {
+      return done(false, 401, "Unauthorized");
+    }
+    if (!this.hasScope(principal, SCOPES.READ)) {
+      return done(false, 403, "Forbidden");
+    }
+
+    info.req.auth = principal;
+    done(true);
+  }
+
+  /**
+   * Issue a JWT for an authenticated principal, e.g. to pass as `access_token` from a browser
+   * instead of a long-lived API key
+   * Only API keys and admin tokens are exchanged, so a token cannot be renewed indefinitely
+   * without the key it was issued for
+   * @param {Object} principal - Authenticated principal
+   * @param {Object} options - { scopes (default all of the principal's), expiresIn (seconds, at most tokenTtl) }
+   * @returns {Object} { token, tokenType, expiresIn, scopes }
+   */
+  issueToken(principal, options = {}) {
+    if (!this.jwtSecret) {
+      throw authError("INVALID_STATE", "JWT secret not configured");
+    }
+    if (!principal || (principal.type !== "apiKey" && !principal.scopes.includes(SCOPES.ADMIN))) {
+      throw authError("FORBIDDEN", "Tokens are issued for API keys and admin credentials only");
+    }
+
+    const scopes = options.scopes || principal.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => Object.values(SCOPES).includes(scope) && this.hasScope(principal, scope))) {
+      throw new Error("scopes must be a non-empty list of scopes the credential has");
+    }
+
+    const expiresIn = options.expiresIn === undefined ? this.tokenTtl : parseInt(options.expiresIn);
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > this.tokenTtl) {
+      throw new Error(`expiresIn must be between 1 and ${this.tokenTtl} seconds`);
+    }
+
+    const claims = { sub: principal.id, name: principal.name, scope: scopes.join(" ") };
+    if (this.jwtIssuer) {
+      claims.iss = this.jwtIssuer;
+    }
+    if (this.jwtAudience) {
+      claims.aud = this.jwtAudience;
+    }
+
+    return {
+      token: jwt.sign(claims, this.jwtSecret, { algorithm: this.jwtAlgorithms[0], expiresIn }),
+      tokenType: "Bearer",
+      expiresIn,
+      scopes
+    };
+  }
+}
+
+AuthManager.SCOPES = SCOPES;
+
+module.exports = AuthManager;
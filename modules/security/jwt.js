@@ -0,0 +1,119 @@
+/**
+ * HMAC-signed JSON Web Tokens (HS256, HS384, HS512)
+ */
+const crypto = require("crypto");
+
+const ALGORITHMS = {
+  HS256: "sha256",
+  HS384: "sha384",
+  HS512: "sha512"
+};
+
+function invalidToken(message) {
+  const error = new Error(message);
+  error.code = "INVALID_TOKEN";
+  return error;
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment, name) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidToken(`Malformed token ${name}`);
+  }
+}
+
+function signature(algorithm, secret, data) {
+  return crypto.createHmac(ALGORITHMS[algorithm], secret).update(data).digest("base64url");
+}
+
+/**
+ * Whether a credential looks like a JWT rather than an API key
+ * @param {string} token - Credential
+ * @returns {boolean}
+ */
+function isJwt(token) {
+  return typeof token === "string" && token.split(".").length === 3;
+}
+
+/**
+ * Sign a token
+ * @param {Object} payload - Claims; `iat` is added, and `exp` with `expiresIn`
+ * @param {string} secret - Shared secret
+ * @param {Object} options - { algorithm (default HS256), expiresIn (seconds) }
+ * @returns {string} Token
+ */
+function sign(payload, secret, options = {}) {
+  const algorithm = options.algorithm || "HS256";
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = { iat, ...payload };
+  if (options.expiresIn) {
+    claims.exp = iat + options.expiresIn;
+  }
+
+  const data = `${encodeSegment({ alg: algorithm, typ: "JWT" })}.${encodeSegment(claims)}`;
+  return `${data}.${signature(algorithm, secret, data)}`;
+}
+
+/**
+ * Verify a token's signature and time claims
+ * Errors have the code INVALID_TOKEN
+ * @param {string} token - Token
+ * @param {string} secret - Shared secret
+ * @param {Object} options - { algorithms (default ["HS256"]), issuer, audience, clockTolerance (seconds) }
+ * @returns {Object} Claims
+ */
+function verify(token, secret, options = {}) {
+  if (!isJwt(token)) {
+    throw invalidToken("Malformed token");
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+  const header = decodeSegment(headerSegment, "header");
+  const algorithms = options.algorithms || ["HS256"];
+  // Only the configured HMAC algorithms, so "none" or an asymmetric alg cannot be slipped in
+  if (!algorithms.includes(header.alg) || !ALGORITHMS[header.alg]) {
+    throw invalidToken(`Token algorithm not allowed: ${header.alg}`);
+  }
+
+  const expected = Buffer.from(signature(header.alg, secret, `${headerSegment}.${payloadSegment}`));
+  const actual = Buffer.from(signatureSegment);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw invalidToken("Invalid token signature");
+  }
+
+  const claims = decodeSegment(payloadSegment, "payload");
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
+  if (claims.exp !== undefined && now > claims.exp + tolerance) {
+    throw invalidToken("Token expired");
+  }
+  if (claims.nbf !== undefined && now < claims.nbf - tolerance) {
+    throw invalidToken("Token not yet valid");
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw invalidToken("Token issuer not accepted");
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw invalidToken("Token audience not accepted");
+    }
+  }
+  return claims;
+}
+
+module.exports = {
+  ALGORITHMS,
+  isJwt,
+  sign,
+  verify
+};
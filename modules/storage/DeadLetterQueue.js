@@ -0,0 +1,323 @@
+const BaseComponent = require("../core/BaseComponent");
+const eventBus = require("../core/eventBus");
+
+class DeadLetterQueue extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.entries = new Map();
+    this.replaying = false;
+    this.replayFailure = null;
+    this.persistEnabled = false;
+    this.stats = {
+      received: 0,
+      evicted: 0,
+      replayed: 0,
+      replayFailed: 0
+    };
+    this.handleFailure = this.handleFailure.bind(this);
+    this.handleDatabaseConnected = this.handleDatabaseConnected.bind(this);
+  }
+
+  async initialize() {
+    try {
+      this.maxSize = this.options.maxSize || 1000;
+      this.database = this.options.database || null;
+      this.normalizer = this.options.normalizer || null;
+      this.dataStore = this.options.dataStore || null;
+
+      if (this.options.persist) {
+        await this.initializePersistence();
+        // MySQL may only become available after startup
+        eventBus.on("database.connected", this.handleDatabaseConnected);
+      }
+
+      eventBus.on("normalizer.failed", this.handleFailure);
+
+      this.logger.info(
+        `Dead-letter queue initialized (maxSize: ${this.maxSize}, persisted: ${this.persistEnabled})`
+      );
+    } catch (error) {
+      this.logger.error("Failed to initialize Dead-letter queue:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable persistence once the database reconnects, if it was not available before
+   */
+  async handleDatabaseConnected() {
+    if (!this.persistEnabled) {
+      await this.initializePersistence();
+    }
+  }
+
+  /**
+   * Enable MySQL persistence when the dead_letters table is available
+   * and reload entries that have not been replayed yet
+   * Entries received while the database was not available are merged with them and written
+   */
+  async initializePersistence() {
+    if (!this.database || !this.database.isEnabled) {
+      this.logger.warn("Database not available, dead letters are kept in memory only");
+      return;
+    }
+
+    try {
+      const tables = await this.database.query("SHOW TABLES LIKE 'dead_letters'");
+      if (tables.length === 0) {
+        this.logger.warn("dead_letters table does not exist, dead letters are kept in memory only");
+        return;
+      }
+
+      const rows = await this.database.query(
+        `SELECT id, topic, raw_hex, reason, parser, received_at, replay_count
+         FROM dead_letters
+         WHERE replayed_at IS NULL
+         ORDER BY received_at DESC
+         LIMIT ?`,
+        [this.maxSize]
+      );
+
+      const loaded = rows.reverse().map(row => this.createEntry({
+        id: row.id,
+        topic: row.topic,
+        rawHex: row.raw_hex,
+        reason: row.reason,
+        parser: row.parser,
+        receivedAt: new Date(row.received_at).toISOString(),
+        replayCount: row.replay_count
+      }));
+      const unsaved = Array.from(this.entries.values());
+
+      // Keep the newest maxSize entries, oldest first
+      const merged = [...loaded, ...unsaved]
+        .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt))
+        .slice(-this.maxSize);
+      this.entries = new Map(merged.map(entry => [entry.id, entry]));
+
+      this.persistEnabled = true;
+      this.logger.info(`Loaded ${rows.length} dead letters from database`);
+
+      for (const entry of unsaved.filter(entry => this.entries.has(entry.id))) {
+        await this.persist(entry);
+      }
+    } catch (error) {
+      this.logger.error("Error loading dead letters:", error);
+    }
+  }
+
+  /**
+   * Build a dead-letter entry
+   * @param {Object} data - Entry fields
+   * @returns {Object} Entry
+   */
+  createEntry({ id, topic, rawHex, reason, parser, receivedAt, replayCount = 0 }) {
+    return {
+      id,
+      topic,
+      rawHex,
+      rawBase64: Buffer.from(rawHex, "hex").toString("base64"),
+      reason,
+      parser,
+      receivedAt,
+      replayCount,
+      lastReplayAt: null
+    };
+  }
+
+  /**
+   * Store a message the normalizer could not handle
+   * @param {Object} failure - { topic, message, parser, reason } from the normalizer registry
+   */
+  handleFailure(failure) {
+    // A failed replay updates its existing entry instead of adding a new one
+    if (this.replaying) {
+      this.replayFailure = failure;
+      return;
+    }
+
+    this.add(failure);
+  }
+
+  /**
+   * Add a dead letter
+   * @param {Object} failure - { topic, message, parser, reason }
+   * @returns {Object} Stored entry
+   */
+  add({ topic, message, parser, reason }) {
+    const raw = Buffer.isBuffer(message) ? message : Buffer.from(String(message));
+    const entry = this.createEntry({
+      id: `dlq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      topic,
+      rawHex: raw.toString("hex"),
+      reason: reason || "Unknown error",
+      parser: parser || null,
+      receivedAt: new Date().toISOString()
+    });
+
+    // Evict the oldest entry when full
+    if (this.entries.size >= this.maxSize) {
+      const oldestId = this.entries.keys().next().value;
+      this.entries.delete(oldestId);
+      this.stats.evicted++;
+    }
+
+    this.entries.set(entry.id, entry);
+    this.stats.received++;
+    this.logger.debug(`Dead letter ${entry.id} stored for topic ${topic}: ${entry.reason}`);
+
+    if (this.persistEnabled) {
+      this.persist(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Write a dead letter to MySQL
+   * @param {Object} entry - Dead-letter entry
+   */
+  async persist(entry) {
+    try {
+      await this.database.query(
+        `INSERT INTO dead_letters (id, topic, raw_hex, reason, parser, received_at, replay_count)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entry.id,
+          entry.topic,
+          entry.rawHex,
+          entry.reason,
+          entry.parser,
+          this.database.toMySQLDateTime(entry.receivedAt),
+          entry.replayCount
+        ]
+      );
+    } catch (error) {
+      this.logger.error(`Error persisting dead letter ${entry.id}:`, error);
+    }
+  }
+
+  /**
+   * Get a dead letter by ID
+   * @param {string} id - Dead-letter ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * List dead letters, newest first
+   * @param {Object} options - { limit, parser, topic }
+   * @returns {Array} Entries
+   */
+  list(options = {}) {
+    const { limit = 100, parser, topic } = options;
+
+    return Array.from(this.entries.values())
+      .filter(entry => !parser || entry.parser === parser)
+      .filter(entry => !topic || entry.topic.startsWith(topic))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Re-run a dead letter through the current parsers
+   * On success the entry is removed and the messages continue through the pipeline
+   * @param {string} id - Dead-letter ID
+   * @returns {Promise<Object|null>} { replayed, entry, messages | reason } or null if not found
+   */
+  async replay(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    if (!this.normalizer) {
+      throw new Error("Normalizer not available");
+    }
+
+    let normalized;
+    this.replaying = true;
+    this.replayFailure = null;
+    try {
+      normalized = this.normalizer.normalize(entry.topic, Buffer.from(entry.rawHex, "hex"), {});
+    } finally {
+      this.replaying = false;
+    }
+
+    entry.replayCount++;
+    entry.lastReplayAt = new Date().toISOString();
+
+    if (!normalized) {
+      entry.reason = this.replayFailure ? this.replayFailure.reason : entry.reason;
+      this.stats.replayFailed++;
+      await this.markReplayed(entry, false);
+      return { replayed: false, entry, reason: entry.reason };
+    }
+
+    const messages = Array.isArray(normalized) ? normalized : [normalized];
+    for (const message of messages) {
+      if (this.dataStore && this.dataStore.handleMessage) {
+        this.dataStore.handleMessage(message);
+      }
+      eventBus.emit("message.processed", message);
+    }
+
+    this.entries.delete(id);
+    this.stats.replayed++;
+    await this.markReplayed(entry, true);
+    this.logger.info(`Dead letter ${id} replayed into ${messages.length} message(s)`);
+
+    return { replayed: true, entry, messages };
+  }
+
+  /**
+   * Record a replay attempt in MySQL
+   * @param {Object} entry - Dead-letter entry
+   * @param {boolean} succeeded - Whether the replay produced messages
+   */
+  async markReplayed(entry, succeeded) {
+    if (!this.persistEnabled) {
+      return;
+    }
+
+    try {
+      await this.database.query(
+        `UPDATE dead_letters
+         SET replay_count = ?, reason = ?, replayed_at = ?
+         WHERE id = ?`,
+        [
+          entry.replayCount,
+          entry.reason,
+          succeeded ? this.database.toMySQLDateTime(entry.lastReplayAt) : null,
+          entry.id
+        ]
+      );
+    } catch (error) {
+      this.logger.error(`Error updating dead letter ${entry.id}:`, error);
+    }
+  }
+
+  /**
+   * Get dead-letter queue statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      persisted: this.persistEnabled
+    };
+  }
+
+  async shutdown() {
+    eventBus.removeListener("normalizer.failed", this.handleFailure);
+    eventBus.removeListener("database.connected", this.handleDatabaseConnected);
+    this.entries.clear();
+    super.shutdown();
+  }
+}
+
+module.exports = DeadLetterQueue;
@@ -0,0 +1,438 @@
+const BaseComponent = require("../core/BaseComponent");
+
+// Typed tables written by DatabaseManager.saveTimeSeries, keyed by the msgType they come from
+const READING_TABLES = {
+  TempHum: { temperature: "temperature_readings", humidity: "humidity_readings" },
+  Noise: { noise: "noise_readings" }
+};
+const EVENT_TABLES = {
+  Door: "door_events"
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Scheduled retention of raw sensor data
+ *
+ * - rollup: summarizes temperature, humidity and noise readings into sensor_rollups_hourly
+ *   for every completed hour, and the hourly rows into sensor_rollups_daily for every completed day
+ * - purge: deletes sensor_data rows older than the `rawDays` of their msgType policy (and the
+ *   typed rows of the same msgType), never past what has been rolled up, then expired rollups
+ *
+ * A policy with `rawDays: null` keeps its rows forever.
+ */
+class RetentionManager extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.timer = null;
+    this.initialTimer = null;
+    this.running = false;
+    this.jobs = {
+      rollup: this.createJobStatus("rollup"),
+      purge: this.createJobStatus("purge")
+    };
+  }
+
+  async initialize() {
+    try {
+      this.database = this.options.database || null;
+      this.policies = { default: { rawDays: null }, ...this.options.policies };
+      this.hourlyDays = this.options.hourlyDays !== undefined ? this.options.hourlyDays : 90;
+      this.dailyDays = this.options.dailyDays !== undefined ? this.options.dailyDays : 730;
+      this.interval = this.options.interval || HOUR_MS;
+      this.batchSize = this.options.batchSize || 10000;
+
+      if (!this.database) {
+        this.logger.warn("Database not configured, retention jobs are not scheduled");
+        return;
+      }
+
+      // Jobs are scheduled even while MySQL is down, and skipped until it reconnects
+      if (this.database.isEnabled) {
+        this.rollupsEnabled = await this.checkRollupTables();
+      } else {
+        this.logger.warn("Database not available, retention jobs are skipped until it connects");
+      }
+
+      // First run shortly after startup, then every interval
+      this.initialTimer = setTimeout(() => this.runJobs(), this.options.initialDelay || 60000);
+      this.timer = setInterval(() => this.runJobs(), this.interval);
+      this.updateNextRun(Date.now() + (this.options.initialDelay || 60000));
+
+      this.logger.info(
+        `Retention manager initialized (${Object.keys(this.policies).length} policies, ` +
+        `rollups: ${this.rollupsEnabled}, every ${Math.round(this.interval / 60000)} min)`
+      );
+    } catch (error) {
+      this.logger.error("Failed to initialize Retention manager:", error);
+      throw error;
+    }
+  }
+
+  createJobStatus(name) {
+    return {
+      name,
+      running: false,
+      runs: 0,
+      failures: 0,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastResult: null,
+      lastError: null,
+      lastRows: null,
+      nextRunAt: null
+    };
+  }
+
+  async checkRollupTables() {
+    const hourly = await this.database.query("SHOW TABLES LIKE 'sensor_rollups_hourly'");
+    const daily = await this.database.query("SHOW TABLES LIKE 'sensor_rollups_daily'");
+    if (hourly.length === 0 || daily.length === 0) {
+      this.logger.warn("Rollup tables do not exist, readings are purged without rollups");
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Policy of a msgType, falling back to the default policy
+   * @param {string} msgType - Message type
+   * @returns {Object} { rawDays }
+   */
+  getPolicy(msgType) {
+    return this.policies[msgType] || this.policies.default;
+  }
+
+  /**
+   * Start of the retained period for a number of days
+   * @param {number|null} days - Days to keep, null to keep forever
+   * @param {number} now - Current time (ms)
+   * @returns {Date|null} Cutoff, or null when nothing expires
+   */
+  cutoff(days, now) {
+    if (days === null || days === undefined) {
+      return null;
+    }
+    return new Date(now - days * DAY_MS);
+  }
+
+  /**
+   * Run the rollup job and then the purge job, skipping the cycle while one is still running
+   * or the database is not available
+   * @param {number} now - Current time (ms)
+   */
+  async runJobs(now = Date.now()) {
+    if (this.running) {
+      this.logger.warn("Retention jobs are still running, skipping this cycle");
+      return;
+    }
+
+    if (!this.database.isEnabled) {
+      this.logger.warn("Database not available, skipping this retention cycle");
+      this.updateNextRun(Date.now() + this.interval);
+      return;
+    }
+
+    this.running = true;
+    try {
+      // The rollup tables may have been created by the migrations of a reconnect
+      if (!this.rollupsEnabled) {
+        this.rollupsEnabled = await this.checkRollupTables();
+      }
+      if (this.rollupsEnabled) {
+        await this.runJob("rollup", () => this.rollup(now));
+      }
+      await this.runJob("purge", () => this.purge(now));
+    } catch (error) {
+      this.logger.error("Failed to check the rollup tables:", error);
+    } finally {
+      this.running = false;
+      this.updateNextRun(Date.now() + this.interval);
+    }
+  }
+
+  async runJob(name, job) {
+    const status = this.jobs[name];
+    const started = Date.now();
+    status.running = true;
+    status.lastRunAt = new Date(started).toISOString();
+
+    try {
+      status.lastRows = await job();
+      status.lastResult = "success";
+      status.lastError = null;
+      this.logger.info(`Retention ${name} finished in ${Date.now() - started}ms: ${JSON.stringify(status.lastRows)}`);
+    } catch (error) {
+      status.failures++;
+      status.lastResult = "failed";
+      status.lastError = error.message;
+      this.logger.error(`Retention ${name} failed:`, error);
+    } finally {
+      status.runs++;
+      status.running = false;
+      status.lastDurationMs = Date.now() - started;
+    }
+  }
+
+  updateNextRun(time) {
+    const nextRunAt = new Date(time).toISOString();
+    Object.values(this.jobs).forEach(status => {
+      status.nextRunAt = nextRunAt;
+    });
+  }
+
+  /**
+   * Summarize every completed hour and day that has not been rolled up yet
+   * Re-running a period overwrites its rows, so an interrupted run is simply repeated
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} Rows written per metric and period
+   */
+  async rollup(now) {
+    const result = {};
+    const currentHour = new Date(Math.floor(now / HOUR_MS) * HOUR_MS);
+    const currentDay = new Date(Math.floor(now / DAY_MS) * DAY_MS);
+
+    for (const tables of Object.values(READING_TABLES)) {
+      for (const [metric, table] of Object.entries(tables)) {
+        const hourlyFrom = await this.getRollupStart("sensor_rollups_hourly", metric, table, HOUR_MS);
+        const hourly = hourlyFrom && hourlyFrom < currentHour
+          ? await this.database.query(
+            `INSERT INTO sensor_rollups_hourly
+             (metric, device_id, mod_num, position, bucket_start, min_value, max_value, avg_value, sample_count)
+             SELECT ?, device_id, mod_num, position, DATE_FORMAT(ts, '%Y-%m-%d %H:00:00') AS bucket,
+                    MIN(value), MAX(value), AVG(value), COUNT(*)
+             FROM ${table}
+             WHERE ts >= ? AND ts < ?
+             GROUP BY device_id, mod_num, position, bucket
+             ON DUPLICATE KEY UPDATE min_value = VALUES(min_value), max_value = VALUES(max_value),
+                                     avg_value = VALUES(avg_value), sample_count = VALUES(sample_count)`,
+            [metric, this.database.toMySQLDateTime(hourlyFrom), this.database.toMySQLDateTime(currentHour)]
+          )
+          : null;
+
+        // Days are summarized from the hourly rows, weighting each hour by its samples
+        const dailyFrom = await this.getRollupStart("sensor_rollups_daily", metric, "sensor_rollups_hourly", DAY_MS);
+        const daily = dailyFrom && dailyFrom < currentDay
+          ? await this.database.query(
+            `INSERT INTO sensor_rollups_daily
+             (metric, device_id, mod_num, position, bucket_start, min_value, max_value, avg_value, sample_count)
+             SELECT metric, device_id, mod_num, position, DATE(bucket_start) AS bucket,
+                    MIN(min_value), MAX(max_value), SUM(avg_value * sample_count) / SUM(sample_count), SUM(sample_count)
+             FROM sensor_rollups_hourly
+             WHERE metric = ? AND bucket_start >= ? AND bucket_start < ?
+             GROUP BY metric, device_id, mod_num, position, bucket
+             ON DUPLICATE KEY UPDATE min_value = VALUES(min_value), max_value = VALUES(max_value),
+                                     avg_value = VALUES(avg_value), sample_count = VALUES(sample_count)`,
+            [metric, this.database.toMySQLDateTime(dailyFrom), this.database.toMySQLDateTime(currentDay)]
+          )
+          : null;
+
+        result[metric] = {
+          hourly: hourly ? hourly.affectedRows : 0,
+          daily: daily ? daily.affectedRows : 0
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * First period to roll up: the last rolled period again (it may have been partial),
+   * or the oldest source row when nothing has been rolled up yet
+   * @returns {Promise<Date|null>} null when the source is empty
+   */
+  async getRollupStart(rollupTable, metric, sourceTable, periodMs) {
+    const [last] = await this.database.query(
+      `SELECT MAX(bucket_start) AS last FROM ${rollupTable} WHERE metric = ?`,
+      [metric]
+    );
+    if (last && last.last) {
+      return this.parseDateTime(last.last);
+    }
+
+    const column = sourceTable === "sensor_rollups_hourly" ? "bucket_start" : "ts";
+    const where = sourceTable === "sensor_rollups_hourly" ? "WHERE metric = ?" : "";
+    const [first] = await this.database.query(
+      `SELECT MIN(${column}) AS first FROM ${sourceTable} ${where}`,
+      where ? [metric] : []
+    );
+    if (!first || !first.first) {
+      return null;
+    }
+
+    const time = this.parseDateTime(first.first).getTime();
+    return new Date(Math.floor(time / periodMs) * periodMs);
+  }
+
+  // DATETIME columns hold UTC values; mysql2 returns them as local Date objects or strings
+  parseDateTime(value) {
+    if (value instanceof Date) {
+      return new Date(value.getTime() - value.getTimezoneOffset() * 60000);
+    }
+    return new Date(`${String(value).replace(" ", "T")}Z`);
+  }
+
+  /**
+   * Delete expired raw rows per policy, then expired rollups
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} Rows deleted per table
+   */
+  async purge(now) {
+    const result = {};
+    const listed = Object.keys(this.policies).filter(msgType => msgType !== "default");
+    // Reading msgTypes are always purged on their own, so that the rollups limit them too
+    const purged = Array.from(new Set([...listed, ...Object.keys(READING_TABLES)]));
+
+    for (const msgType of purged) {
+      const cutoff = await this.getRawCutoff(msgType, now);
+      if (cutoff) {
+        result[`sensor_data:${msgType}`] = await this.deleteBatches(
+          "sensor_data", "msg_Type = ? AND timestamp < ?", [msgType, this.database.toMySQLDateTime(cutoff)]
+        );
+      }
+    }
+
+    const defaultCutoff = this.cutoff(this.policies.default.rawDays, now);
+    if (defaultCutoff) {
+      result["sensor_data:default"] = await this.deleteBatches(
+        "sensor_data",
+        `msg_Type NOT IN (${purged.map(() => "?").join(", ")}) AND timestamp < ?`,
+        [...purged, this.database.toMySQLDateTime(defaultCutoff)]
+      );
+    }
+
+    for (const [msgType, tables] of Object.entries(READING_TABLES)) {
+      const policyCutoff = this.cutoff(this.getPolicy(msgType).rawDays, now);
+      if (!policyCutoff) {
+        continue;
+      }
+      for (const [metric, table] of Object.entries(tables)) {
+        let cutoff = policyCutoff;
+        // Readings that have not been rolled up yet are kept
+        if (this.rollupsEnabled) {
+          const rolledUntil = await this.getRolledUntil(metric);
+          if (!rolledUntil) {
+            continue;
+          }
+          cutoff = new Date(Math.min(policyCutoff.getTime(), rolledUntil.getTime()));
+        }
+        result[table] = await this.deleteBatches(table, "ts < ?", [this.database.toMySQLDateTime(cutoff)]);
+      }
+    }
+
+    for (const [msgType, table] of Object.entries(EVENT_TABLES)) {
+      const cutoff = this.cutoff(this.getPolicy(msgType).rawDays, now);
+      if (cutoff) {
+        result[table] = await this.deleteBatches(table, "ts < ?", [this.database.toMySQLDateTime(cutoff)]);
+      }
+    }
+
+    if (this.rollupsEnabled) {
+      const hourlyCutoff = this.cutoff(this.hourlyDays, now);
+      if (hourlyCutoff) {
+        result.sensor_rollups_hourly = await this.deleteBatches(
+          "sensor_rollups_hourly", "bucket_start < ?", [this.database.toMySQLDateTime(hourlyCutoff)]
+        );
+      }
+      const dailyCutoff = this.cutoff(this.dailyDays, now);
+      if (dailyCutoff) {
+        result.sensor_rollups_daily = await this.deleteBatches(
+          "sensor_rollups_daily", "bucket_start < ?", [this.database.toMySQLDateTime(dailyCutoff)]
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Cutoff of the sensor_data rows of a msgType
+   * Readings are kept until every metric they carry has been rolled up
+   * @param {string} msgType - Message type
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Date|null>} null when nothing may be purged
+   */
+  async getRawCutoff(msgType, now) {
+    const policyCutoff = this.cutoff(this.getPolicy(msgType).rawDays, now);
+    if (!policyCutoff || !READING_TABLES[msgType] || !this.rollupsEnabled) {
+      return policyCutoff;
+    }
+
+    let cutoff = policyCutoff;
+    for (const metric of Object.keys(READING_TABLES[msgType])) {
+      const rolledUntil = await this.getRolledUntil(metric);
+      if (!rolledUntil) {
+        return null;
+      }
+      cutoff = new Date(Math.min(cutoff.getTime(), rolledUntil.getTime()));
+    }
+    return cutoff;
+  }
+
+  /**
+   * Time up to which the hourly rollups of a metric are final
+   * The last rolled hour is rolled up again on the next run, so it is not included
+   * @returns {Promise<Date|null>} null when nothing has been rolled up
+   */
+  async getRolledUntil(metric) {
+    const [last] = await this.database.query(
+      "SELECT MAX(bucket_start) AS last FROM sensor_rollups_hourly WHERE metric = ?",
+      [metric]
+    );
+    return last && last.last ? this.parseDateTime(last.last) : null;
+  }
+
+  /**
+   * Delete matching rows in batches so that large purges do not hold long locks
+   * @returns {Promise<number>} Rows deleted
+   */
+  async deleteBatches(table, where, params) {
+    let deleted = 0;
+    for (;;) {
+      const result = await this.database.query(
+        `DELETE FROM ${table} WHERE ${where} LIMIT ${this.batchSize}`,
+        params
+      );
+      const affected = result && result.affectedRows ? result.affectedRows : 0;
+      deleted += affected;
+      if (affected < this.batchSize) {
+        return deleted;
+      }
+    }
+  }
+
+  /**
+   * Policies, rollup settings and the status of each job
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: !!(this.database && this.database.isEnabled),
+      running: this.running,
+      interval: this.interval,
+      policies: this.policies,
+      rollups: {
+        enabled: !!this.rollupsEnabled,
+        hourlyDays: this.hourlyDays,
+        dailyDays: this.dailyDays
+      },
+      jobs: Object.values(this.jobs)
+    };
+  }
+
+  async shutdown() {
+    if (this.initialTimer) {
+      clearTimeout(this.initialTimer);
+      this.initialTimer = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    super.shutdown();
+  }
+}
+
+module.exports = RetentionManager;
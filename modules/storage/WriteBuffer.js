@@ -1,10 +1,16 @@
 const BaseComponent = require("../core/BaseComponent");
+const WriteSpool = require("./WriteSpool");
+
+// Spool segments saved per flush, so a long backlog does not hold up new batches for too long
+const DRAIN_SEGMENTS_PER_FLUSH = 10;
 
 class WriteBuffer extends BaseComponent {
   constructor(options = {}) {
     super(options);
     this.buffer = [];
     this.isFlushing = false;
+    this.spool = null;
+    this.lastDrainError = null;
   }
 
   async initialize() {
@@ -14,6 +20,13 @@ class WriteBuffer extends BaseComponent {
       this.flushInterval = this.options.flushInterval || 5000;
       this.maxRetries = this.options.maxRetries || 3;
 
+      // Batches that cannot be written are kept on disk until the database is back
+      const spoolConfig = this.options.spool || {};
+      if (spoolConfig.enabled !== false) {
+        this.spool = new WriteSpool(spoolConfig);
+        await this.spool.initialize();
+      }
+
       // Start periodic flush
       this.timer = setInterval(() => this.flush(), this.flushInterval);
       this.logger.debug("WriteBuffer initialized");
@@ -23,8 +36,24 @@ class WriteBuffer extends BaseComponent {
     }
   }
 
+  /**
+   * Store to save to, resolved on every use so writes resume once the database reconnects
+   * @returns {Object|null}
+   */
+  getStore() {
+    if (this.options.database) {
+      return this.options.database.getStorageBackend();
+    }
+    return this.options.dbStore || null;
+  }
+
+  isStoreAvailable() {
+    const store = this.getStore();
+    return !!(store && store.isEnabled);
+  }
+
   async push(data) {
-    if (!this.options.dbStore || !this.options.dbStore.isEnabled) {
+    if (!this.spool && !this.isStoreAvailable()) {
       this.logger.debug("Database not available, skipping write buffer push");
       return;
     }
@@ -40,9 +69,9 @@ class WriteBuffer extends BaseComponent {
   }
 
   async flush() {
-    if (this.isFlushing || this.buffer.length === 0) return;
-    
-    if (!this.options.dbStore || !this.options.dbStore.isEnabled) {
+    if (this.isFlushing || (this.buffer.length === 0 && (!this.spool || this.spool.isEmpty()))) return;
+
+    if (!this.spool && !this.isStoreAvailable()) {
       this.logger.debug("Database not available, skipping write buffer flush");
       return;
     }
@@ -52,7 +81,16 @@ class WriteBuffer extends BaseComponent {
     this.buffer = [];
 
     try {
-      await this._saveBatch(batchToFlush);
+      if (this.spool && this.isStoreAvailable()) {
+        await this.drainSpool();
+      }
+
+      // Spooled messages are older, so new ones wait behind them to keep the write order
+      if (this.spool && (!this.isStoreAvailable() || !this.spool.isEmpty())) {
+        await this.spoolBatch(batchToFlush);
+      } else if (batchToFlush.length > 0) {
+        await this._saveBatch(batchToFlush);
+      }
     } catch (error) {
       this.logger.error("Flush failed:", error);
       // Put items back in buffer if save failed
@@ -62,9 +100,34 @@ class WriteBuffer extends BaseComponent {
     }
   }
 
+  async spoolBatch(batch) {
+    if (batch.length === 0) {
+      return;
+    }
+    await this.spool.append(batch);
+    this.logger.debug(`Spooled ${batch.length} message(s), spool depth: ${this.spool.getDepth()}`);
+  }
+
+  /**
+   * Save spooled segments, oldest first, until the spool is empty or a save fails
+   */
+  async drainSpool() {
+    for (let i = 0; i < DRAIN_SEGMENTS_PER_FLUSH && !this.spool.isEmpty(); i++) {
+      try {
+        const saved = await this.spool.drainOldest(messages => this.getStore().saveBatch(messages));
+        this.lastDrainError = null;
+        this.logger.info(`Drained ${saved} spooled message(s), ${this.spool.getDepth()} left`);
+      } catch (error) {
+        this.lastDrainError = error.message;
+        this.logger.warn(`Write spool drain failed, retrying on the next flush: ${error.message}`);
+        return;
+      }
+    }
+  }
+
   async _saveBatch(batch, retryCount = 0) {
     try {
-      await this.options.dbStore.saveBatch(batch);
+      await this.getStore().saveBatch(batch);
     } catch (error) {
       if (retryCount < this.maxRetries) {
         this.logger.warn(
@@ -80,13 +143,19 @@ class WriteBuffer extends BaseComponent {
 
       // Fall back to individual saves
       this.logger.warn("Batch save failed, falling back to individual saves");
+      const failed = [];
       for (const item of batch) {
         try {
-          await this.options.dbStore.saveHistory(item);
+          await this.getStore().saveHistory(item);
         } catch (singleError) {
           this.logger.error("Failed to save individual record:", singleError);
+          failed.push(item);
         }
       }
+
+      if (failed.length > 0 && this.spool) {
+        await this.spoolBatch(failed);
+      }
     }
   }
 
@@ -95,6 +164,9 @@ class WriteBuffer extends BaseComponent {
       currentSize: this.buffer.length,
       maxSize: this.maxSize,
       isFlushing: this.isFlushing,
+      spool: this.spool
+        ? { enabled: true, ...this.spool.getStats(), lastDrainError: this.lastDrainError }
+        : { enabled: false }
     };
   }
 
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+
+const SEGMENT_FILE = /^(\d+)-(\d+)\.ndjson$/;
+
+/**
+ * Disk-backed spool for messages that could not be written to the database
+ *
+ * Messages are appended as JSON lines to segment files named `<sequence>-<createdAt>.ndjson`.
+ * A new segment is started once the current one reaches `segmentBytes`; when the spool
+ * grows past `maxBytes` the oldest segments are deleted. Segments are read back oldest
+ * first and deleted only after their messages were saved, so nothing is lost between
+ * a failed write and a restart.
+ */
+class WriteSpool {
+  /**
+   * @param {Object} options - Spool options
+   * @param {string} options.directory - Segment directory, relative to the working directory
+   * @param {number} options.maxBytes - Size cap of all segments together
+   * @param {number} options.segmentBytes - Size at which a new segment is started
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(process.cwd(), options.directory || "./data/write-spool");
+    this.maxBytes = options.maxBytes || 100 * 1024 * 1024;
+    this.segmentBytes = Math.min(options.segmentBytes || 1024 * 1024, this.maxBytes);
+    // Oldest first: { sequence, file, createdAt, bytes, count }
+    this.segments = [];
+    this.current = null;
+    this.evicted = 0;
+  }
+
+  /**
+   * Pick up the segments left by a previous run
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const files = await fs.promises.readdir(this.directory);
+    for (const name of files) {
+      const match = name.match(SEGMENT_FILE);
+      if (!match) {
+        continue;
+      }
+      const file = path.join(this.directory, name);
+      const content = await fs.promises.readFile(file, "utf8");
+      this.segments.push({
+        sequence: parseInt(match[1], 10),
+        file,
+        createdAt: parseInt(match[2], 10),
+        bytes: Buffer.byteLength(content),
+        count: content.split("\n").filter(line => line.trim()).length
+      });
+    }
+    this.segments.sort((a, b) => a.sequence - b.sequence);
+
+    if (this.segments.length > 0) {
+      logger.info(`Write spool holds ${this.getDepth()} message(s) from a previous run`);
+    }
+  }
+
+  isEmpty() {
+    return this.segments.length === 0;
+  }
+
+  getDepth() {
+    return this.segments.reduce((sum, segment) => sum + segment.count, 0);
+  }
+
+  getBytes() {
+    return this.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+  }
+
+  /**
+   * Append messages to the newest segment
+   * @param {Array} messages - Messages to keep
+   */
+  async append(messages) {
+    if (!messages || messages.length === 0) {
+      return;
+    }
+
+    if (!this.current || this.current.bytes >= this.segmentBytes) {
+      const last = this.segments[this.segments.length - 1];
+      const sequence = last ? last.sequence + 1 : 1;
+      const createdAt = Date.now();
+      this.current = {
+        sequence,
+        file: path.join(this.directory, `${String(sequence).padStart(12, "0")}-${createdAt}.ndjson`),
+        createdAt,
+        bytes: 0,
+        count: 0
+      };
+      this.segments.push(this.current);
+    }
+
+    const lines = messages.map(message => JSON.stringify(message)).join("\n") + "\n";
+    await fs.promises.appendFile(this.current.file, lines, "utf8");
+    this.current.bytes += Buffer.byteLength(lines);
+    this.current.count += messages.length;
+
+    await this.evict();
+  }
+
+  /**
+   * Delete the oldest segments while the spool is over its size cap
+   */
+  async evict() {
+    while (this.getBytes() > this.maxBytes && this.segments.length > 1) {
+      const oldest = this.segments.shift();
+      await fs.promises.unlink(oldest.file).catch(() => {});
+      this.evicted += oldest.count;
+      logger.warn(`Write spool over ${this.maxBytes} bytes, dropped ${oldest.count} oldest message(s)`);
+    }
+  }
+
+  /**
+   * Save the oldest segment and delete it once saved
+   * The segment being written to is closed first, so appends meanwhile go to a new one
+   * @param {Function} save - async (messages) => void, throws if the messages were not saved
+   * @returns {Promise<number>} Number of messages saved, 0 if the spool is empty
+   */
+  async drainOldest(save) {
+    const oldest = this.segments[0];
+    if (!oldest) {
+      return 0;
+    }
+    if (oldest === this.current) {
+      this.current = null;
+    }
+
+    const content = await fs.promises.readFile(oldest.file, "utf8");
+    const messages = [];
+    content.split("\n").filter(line => line.trim()).forEach(line => {
+      try {
+        messages.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut off by a crash while appending
+        logger.warn(`Skipping unreadable line in write spool segment ${path.basename(oldest.file)}`);
+      }
+    });
+
+    if (messages.length > 0) {
+      await save(messages);
+    }
+
+    // The segment may have been evicted while it was being saved
+    const index = this.segments.indexOf(oldest);
+    if (index !== -1) {
+      this.segments.splice(index, 1);
+      await fs.promises.unlink(oldest.file).catch(() => {});
+    }
+    return messages.length;
+  }
+
+  getStats() {
+    const oldest = this.segments[0];
+    return {
+      depth: this.getDepth(),
+      segments: this.segments.length,
+      bytes: this.getBytes(),
+      maxBytes: this.maxBytes,
+      oldestAt: oldest ? new Date(oldest.createdAt).toISOString() : null,
+      ageMs: oldest ? Date.now() - oldest.createdAt : 0,
+      evicted: this.evicted
+    };
+  }
+}
+
+module.exports = WriteSpool;
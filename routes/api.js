@@ -6,6 +6,21 @@ const router = express.Router();
 // This route file now delegates to the RestAPIManager component
 // All API endpoints are managed by the RestAPIManager
 
+// Server-Sent Events are served by the EventStreamServer component
+router.get("/stream", (req, res) => {
+  const application = req.app.get("application");
+  if (!application) {
+    return res.status(500).json({ error: "Application not available" });
+  }
+
+  const eventStream = application.getComponent("stream");
+  if (!eventStream) {
+    return res.status(500).json({ error: "Event stream not available" });
+  }
+
+  eventStream.handleRequest(req, res);
+});
+
 // Initialize RestAPIManager and mount its routes
 router.use("/", (req, res, next) => {
   const application = req.app.get("application");
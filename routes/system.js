@@ -3,6 +3,9 @@ const router = express.Router();
 const os = require('os');
 const logger = require('../utils/logger');
 
+// Environment variables whose values are never returned, e.g. DB_PASS or AUTH_JWT_SECRET
+const SECRET_ENV = /PASS|SECRET|TOKEN|KEY/i;
+
 // Get system metrics
 function getSystemMetrics() {
     return {
@@ -47,7 +50,8 @@ router.get('/metrics', async (req, res) => {
 if (process.env.NODE_ENV !== 'production') {
     router.get('/debug', (req, res) => {
         res.json({
-            env: process.env,
+            env: Object.fromEntries(Object.entries(process.env).map(([name, value]) =>
+                [name, SECRET_ENV.test(name) ? '[redacted]' : value])),
             memory: process.memoryUsage(),
             cpu: process.cpuUsage()
         });
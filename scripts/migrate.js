@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Apply or list the schema migrations of the MySQL store
+ *
+ * Usage: npm run migrate -- [up|status] [--to=<version>]
+ *
+ * `up` (default) applies pending migrations in order, up to `--to` if given.
+ * `status` lists every migration with whether and when it was applied.
+ * The connection uses the DB_* environment variables and the storage.database config.
+ */
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const logger = require("../utils/logger");
+const ModularConfigManager = require("../config/ModularConfigManager");
+const DatabaseManager = require("../modules/database/DatabaseManager");
+const MigrationRunner = require("../modules/database/MigrationRunner");
+
+function parseArgs(argv) {
+  const args = { command: "up", to: undefined };
+  for (const arg of argv) {
+    if (arg.startsWith("--to=")) {
+      args.to = parseInt(arg.slice("--to=".length), 10);
+    } else {
+      args.command = arg;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!["up", "status"].includes(args.command) || (args.to !== undefined && isNaN(args.to))) {
+    console.error("Usage: npm run migrate -- [up|status] [--to=<version>]");
+    process.exit(1);
+  }
+
+  const component = new ModularConfigManager().getComponent("storage", "database");
+  const config = component && component.config ? component.config : {};
+  const database = new DatabaseManager(config);
+  await database.connect();
+
+  try {
+    const runner = new MigrationRunner(database, config.migrations);
+
+    if (args.command === "status") {
+      const migrations = await runner.status();
+      migrations.forEach(migration => {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : "pending";
+        console.log(`${migration.file}: ${state}${migration.changed ? " (changed since applied)" : ""}`);
+      });
+      console.log(`${migrations.filter(m => !m.applied).length} pending of ${migrations.length}`);
+    } else {
+      const applied = await runner.migrate({ to: args.to });
+      logger.info(applied.length > 0 ? `Applied ${applied.length} migration(s)` : "Schema is up to date");
+    }
+  } finally {
+    await database.shutdown();
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  logger.error("Migration failed:", error);
+  process.exit(1);
+});
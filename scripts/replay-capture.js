@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Replay an NDJSON capture through the full pipeline without an MQTT broker
+ *
+ * Usage: npm run replay -- <capture.ndjson> [--speed=1|<factor>|max]
+ *
+ * Messages go through the normalizer, state managers, storage and relay exactly as
+ * if they had arrived from the broker. The MQTT client, the recorder and the API
+ * group are disabled; relayed messages are counted instead of published.
+ */
+const path = require("path");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const logger = require("../utils/logger");
+const eventBus = require("../modules/core/eventBus");
+const ModularConfigManager = require("../config/ModularConfigManager");
+const ModularApplication = require("../modules/ModularApplication");
+const CaptureReplayer = require("../modules/capture/CaptureReplayer");
+
+function parseArgs(argv) {
+  const args = { file: null, speed: 1 };
+  for (const arg of argv) {
+    if (arg.startsWith("--speed=")) {
+      args.speed = arg.slice("--speed=".length);
+    } else if (!args.file) {
+      args.file = arg;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error("Usage: npm run replay -- <capture.ndjson> [--speed=1|<factor>|max]");
+    process.exit(1);
+  }
+
+  const replayer = new CaptureReplayer({ speed: args.speed });
+
+  const configManager = new ModularConfigManager();
+  configManager.updateConfig("modules.core.components.mqtt.enabled", false);
+  configManager.updateConfig("modules.core.components.recorder.enabled", false);
+  configManager.updateConfig("modules.api.enabled", false);
+
+  const application = new ModularApplication({ configManager });
+  await application.initialize();
+
+  const counts = { processed: 0, failed: 0, relayed: 0 };
+  eventBus.on("message.processed", () => counts.processed++);
+  eventBus.on("normalizer.failed", () => counts.failed++);
+  eventBus.on("relay.message", () => counts.relayed++);
+
+  process.on("SIGINT", () => replayer.stop());
+
+  const file = path.resolve(process.cwd(), args.file);
+  logger.info(`Replaying ${file} (speed: ${args.speed})`);
+  const result = await replayer.replayFile(file);
+
+  // Give pending handlers a moment before flushing storage on shutdown
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await application.shutdown();
+
+  logger.info(
+    `Replay finished: ${result.replayed} message(s) in ${result.durationMs}ms, ` +
+    `${result.skipped} skipped, ${counts.processed} processed, ` +
+    `${counts.failed} failed normalization, ${counts.relayed} relayed`
+  );
+  process.exit(0);
+}
+
+main().catch(error => {
+  logger.error("Replay failed:", error);
+  process.exit(1);
+});
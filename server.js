@@ -52,6 +52,15 @@ async function startServer() {
     app.use(express.json());
     app.use(express.static(path.join(__dirname, "public")));
 
+    // Authenticate API and system routes when the security module is enabled
+    const authManager = application.getComponent("authManager");
+    if (authManager) {
+      app.use("/api", authManager.middleware());
+      app.use("/system", authManager.middleware());
+    } else {
+      logger.warn("Security module disabled: REST, WebSocket and /system routes are not authenticated");
+    }
+
     // Routes
     app.use("/", indexRoutes);
     app.use("/api", apiRoutes);
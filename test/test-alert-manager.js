@@ -0,0 +1,113 @@
+const AlertManager = require('../modules/monitoring/AlertManager');
+const eventBus = require('../modules/core/eventBus');
+
+const start = Date.parse("2025-01-01T00:00:00.000Z");
+
+// Emit a TempHum state change the way the unified normalizer does
+function tempHum(deviceId, modNum, seconds, readings) {
+  eventBus.emit("unified.state.changed.temphum", {
+    deviceId,
+    deviceType: "V5008",
+    modNum,
+    msgType: "TempHum",
+    timestamp: new Date(start + seconds * 1000).toISOString(),
+    currentState: readings.map(([add, temp, hum]) => ({ add, temp, hum }))
+  });
+}
+
+async function run() {
+  const manager = new AlertManager({
+    rules: [
+      {
+        id: "temperature-critical", metric: "temperature", operator: ">", threshold: 35,
+        hysteresis: 2, duration: 60000, severity: "critical",
+        overrides: [
+          { deviceId: "2437871205", modNum: 3, threshold: 40 },
+          { deviceId: "9999999999", enabled: false }
+        ]
+      },
+      { id: "humidity-low", metric: "humidity", operator: "<", threshold: 20, severity: "warning" }
+    ]
+  });
+  await manager.initialize();
+
+  const events = [];
+  eventBus.on("alert.raised", alert => events.push({ name: "raised", alert }));
+  eventBus.on("alert.cleared", alert => events.push({ name: "cleared", alert }));
+
+  console.log("Testing minimum duration...");
+  tempHum("2437871205", 1, 0, [[10, 36, 50]]);
+  console.log("Not raised on first breach:", events.length === 0 ? "✓" : "✗");
+  tempHum("2437871205", 1, 30, [[10, 37, 50]]);
+  console.log("Not raised before duration:", events.length === 0 ? "✓" : "✗");
+  tempHum("2437871205", 1, 60, [[10, 37.5, 50]]);
+  const raised = events.find(e => e.name === "raised");
+  console.log("Raised after duration:",
+    raised && raised.alert.severity === "critical" && raised.alert.position === 10 && raised.alert.value === 37.5 ? "✓" : "✗");
+  console.log("Active alert listed:", manager.getActive().length === 1 ? "✓" : "✗");
+
+  console.log("\nTesting hysteresis...");
+  tempHum("2437871205", 1, 90, [[10, 34, 50]]);
+  console.log("Not cleared inside hysteresis band:", events.some(e => e.name === "cleared") ? "✗" : "✓");
+  tempHum("2437871205", 1, 120, [[10, 33, 50]]);
+  const cleared = events.find(e => e.name === "cleared");
+  console.log("Cleared past hysteresis:", cleared && cleared.alert.status === "cleared" && cleared.alert.peakValue === 37.5 ? "✓" : "✗");
+  console.log("No active alerts:", manager.getActive().length === 0 ? "✓" : "✗");
+  console.log("Kept in history:", manager.getHistory().length === 1 && manager.getHistory()[0].clearedAt ? "✓" : "✗");
+
+  console.log("\nTesting interrupted breach...");
+  events.length = 0;
+  tempHum("2437871205", 1, 200, [[11, 36, 50]]);
+  tempHum("2437871205", 1, 230, [[11, 30, 50]]);
+  tempHum("2437871205", 1, 270, [[11, 36, 50]]);
+  console.log("Timer restarts after recovery:", events.length === 0 ? "✓" : "✗");
+
+  console.log("\nTesting overrides...");
+  tempHum("2437871205", 3, 0, [[10, 38, 50]]);
+  tempHum("2437871205", 3, 120, [[10, 39, 50]]);
+  console.log("Module threshold override:", events.length === 0 ? "✓" : "✗");
+  tempHum("9999999999", 1, 0, [[10, 50, 50]]);
+  tempHum("9999999999", 1, 120, [[10, 50, 50]]);
+  console.log("Rule disabled for device:", events.length === 0 ? "✓" : "✗");
+
+  console.log("\nTesting readings...");
+  tempHum("2437871205", 2, 0, [[13, 0, 0], [14, 25, 15]]);
+  const humidity = events.filter(e => e.name === "raised" && e.alert.ruleId === "humidity-low");
+  console.log("Empty sensor slot skipped, zero duration raises at once:",
+    humidity.length === 1 && humidity[0].alert.position === 14 ? "✓" : "✗");
+
+  eventBus.emit("unified.state.changed.temphum", {
+    deviceId: "2123456789", deviceType: "V6800", modNum: 1, msgType: "TempHum",
+    timestamp: new Date(start).toISOString(),
+    currentState: [{ add: 10, temp: "27.50", hum: "18.00" }]
+  });
+  console.log("String readings parsed:", manager.getActive({ deviceId: "2123456789" }).length === 1 ? "✓" : "✗");
+
+  console.log("\nTesting rules...");
+  try {
+    manager.upsertRule({ id: "bad", metric: "pressure", operator: ">", threshold: 1 });
+    console.log("Rejects unknown metric: ✗");
+  } catch (error) {
+    console.log("Rejects unknown metric: ✓", error.message);
+  }
+
+  manager.upsertRule({ id: "noise-high", metric: "noise", operator: ">", threshold: 80 });
+  eventBus.emit("unified.state.changed.noise", {
+    deviceId: "2437871205", deviceType: "V5008", modNum: 1, msgType: "Noise",
+    timestamp: new Date(start).toISOString(), currentState: [{ add: 16, noise: 85 }]
+  });
+  console.log("Rule added at runtime subscribes to noise:", manager.getActive({ ruleId: "noise-high" }).length === 1 ? "✓" : "✗");
+  tempHum("2437871205", 1, 330, [[11, 36, 50]]);
+  const active = manager.getActive();
+  console.log("Most severe first:", active.length === 4 && active[0].severity === "critical" ? "✓" : "✗", active.map(a => a.severity));
+
+  await manager.shutdown();
+  events.length = 0;
+  tempHum("2437871205", 5, 0, [[10, 10, 10]]);
+  console.log("Unsubscribed on shutdown:", events.length === 0 ? "✓" : "✗");
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AssetInventory = require('../modules/inventory/AssetInventory');
+const AssetRegistry = require('../modules/inventory/AssetRegistry');
+const RfidStateManager = require('../modules/normalizers/stateManagers/RfidStateManager');
+const eventBus = require('../modules/core/eventBus');
+
+// Report the tags on a module the way the normalizer does: update RFID state, then emit
+function report(rfidState, deviceId, modNum, uCount, tags) {
+  const message = {
+    deviceId,
+    modNum,
+    msgType: "Rfid",
+    payload: {
+      uCount,
+      rfidCount: tags.length,
+      rfidData: tags.map(([position, rfid]) => ({ position, rfid, alarm: 0 }))
+    },
+    meta: { hasChanges: true }
+  };
+  rfidState.updateState(deviceId, modNum, message);
+  eventBus.emit("message.processed", message);
+}
+
+async function run() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'));
+  const file = path.join(directory, "assets.json");
+
+  console.log("Testing asset registry...");
+  const registry = new AssetRegistry({ file });
+  await registry.set("dd354b74", { name: "db-server-01", owner: "platform", heightU: 2 });
+  await registry.set("DD344A44", { name: "switch-01" });
+  console.log("Tags stored upper-case:", registry.get("DD354B74") && registry.get("dd354b74").rfid === "DD354B74" ? "✓" : "✗");
+  console.log("Height defaults to 1U:", registry.get("DD344A44").heightU === 1 ? "✓" : "✗");
+
+  try {
+    await registry.set("AA000001", { name: "bad", heightU: 0 });
+    console.log("Rejects invalid height: ✗");
+  } catch (error) {
+    console.log("Rejects invalid height: ✓", error.message);
+  }
+
+  const reloaded = new AssetRegistry({ file });
+  console.log("Registry persisted:", (await reloaded.load()) === 2 && reloaded.get("DD354B74").owner === "platform" ? "✓" : "✗");
+
+  console.log("\nTesting layout...");
+  const rfidState = new RfidStateManager();
+  report(rfidState, "2437871205", 1, 6, [[1, "DD354B74"], [6, "DD344A44"], [4, "EE000001"]]);
+
+  const inventory = new AssetInventory({ registry: reloaded, rfidState });
+  await inventory.initialize();
+  console.log("Locations seeded from RFID state:", inventory.getLocation("DD354B74") && inventory.getLocation("DD354B74").position === 1 ? "✓" : "✗");
+
+  const layout = inventory.getLayout("2437871205", 1);
+  const statuses = layout.slots.map(slot => slot.status).join(",");
+  console.log("Slot statuses:", statuses === "occupied,occupied,empty,unknown,empty,occupied" ? "✓" : "✗", statuses);
+  console.log("Tall asset spans two slots:",
+    layout.slots[0].anchor === true && layout.slots[1].anchor === false && layout.slots[1].asset.name === "db-server-01" ? "✓" : "✗");
+  console.log("Counts:", layout.occupied === 3 && layout.unknown === 1 && layout.empty === 2 ? "✓" : "✗");
+  console.log("Unknown module has no layout:", inventory.getLayout("2437871205", 9) === null ? "✓" : "✗");
+
+  console.log("\nTesting events...");
+  const events = [];
+  ["asset.moved", "asset.removed", "asset.unknownTag"].forEach(name => {
+    eventBus.on(name, event => events.push({ name, event }));
+  });
+
+  // Move the server within the module and attach a new unknown tag
+  report(rfidState, "2437871205", 1, 6, [[3, "DD354B74"], [6, "DD344A44"], [4, "EE000001"], [5, "EE000002"]]);
+  const moved = events.find(e => e.name === "asset.moved");
+  console.log("Move within module:", moved && moved.event.from.position === 1 && moved.event.to.position === 3 ? "✓" : "✗");
+  const unknown = events.filter(e => e.name === "asset.unknownTag");
+  console.log("Unknown tag reported once:", unknown.length === 1 && unknown[0].event.rfid === "EE000002" ? "✓" : "✗");
+  console.log("No removal for a move:", events.some(e => e.name === "asset.removed") ? "✗" : "✓");
+
+  // Switch leaves rack 1 and shows up in another rack
+  events.length = 0;
+  report(rfidState, "2437871205", 1, 6, [[3, "DD354B74"], [4, "EE000001"], [5, "EE000002"]]);
+  const removed = events.find(e => e.name === "asset.removed");
+  console.log("Detached asset removed:", removed && removed.event.asset.name === "switch-01" && removed.event.from.position === 6 ? "✓" : "✗");
+
+  events.length = 0;
+  report(rfidState, "2123456789", 2, 12, [[10, "DD344A44"]]);
+  const movedRack = events.find(e => e.name === "asset.moved");
+  console.log("Re-inserted in another rack is a move:",
+    movedRack && movedRack.event.from.deviceId === "2437871205" && movedRack.event.to.deviceId === "2123456789" ? "✓" : "✗");
+
+  events.length = 0;
+  eventBus.emit("message.processed", { deviceId: "2437871205", modNum: 1, msgType: "Rfid", meta: { hasChanges: false } });
+  eventBus.emit("message.processed", { deviceId: "2437871205", modNum: 1, msgType: "TempHum" });
+  console.log("Unchanged and non-RFID messages ignored:", events.length === 0 ? "✓" : "✗");
+
+  await inventory.shutdown();
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('../modules/security/jwt');
+const ApiKeyStore = require('../modules/security/ApiKeyStore');
+const AuthManager = require('../modules/security/AuthManager');
+const JsonRpcHandler = require('../modules/api/JsonRpcHandler');
+
+const SECRET = "test-secret-that-is-at-least-32-chars";
+
+// Express-like request for the middleware
+function request(method, url, headers = {}) {
+  const [pathname] = url.split("?");
+  const [, baseUrl, rest] = pathname.match(/^(\/[^/]+)(.*)$/);
+  return { method, url: rest + url.slice(pathname.length), baseUrl, path: rest || "/", headers };
+}
+
+// Run the middleware and report { status, body, next }
+function call(middleware, req) {
+  const result = { status: 200, next: false, headers: {} };
+  const res = {
+    set: (name, value) => { result.headers[name] = value; },
+    status: (status) => { result.status = status; return res; },
+    json: (body) => { result.body = body; }
+  };
+  middleware(req, res, () => { result.next = true; });
+  return result;
+}
+
+async function run() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+
+  try {
+    console.log("Testing JWT...");
+    const token = jwt.sign({ sub: "dashboard", scope: "telemetry:read" }, SECRET, { expiresIn: 60 });
+    console.log("Signed token verifies:", jwt.verify(token, SECRET).sub === "dashboard" ? "✓" : "✗");
+
+    const expect = (name, fn, message) => {
+      try {
+        fn();
+        console.log(`${name}: ✗`);
+      } catch (error) {
+        console.log(`${name}:`, error.code === "INVALID_TOKEN" && error.message.includes(message) ? "✓" : "✗", error.message);
+      }
+    };
+    expect("Wrong secret rejected", () => jwt.verify(token, "another-secret"), "signature");
+    const [header, , signature] = token.split(".");
+    const tampered = Buffer.from(JSON.stringify({ sub: "dashboard", scope: "admin" })).toString("base64url");
+    expect("Tampered claims rejected", () => jwt.verify(`${header}.${tampered}.${signature}`, SECRET), "signature");
+    const none = Buffer.from(JSON.stringify({ alg: "none", typ: "JWT" })).toString("base64url");
+    expect("alg none rejected", () => jwt.verify(`${none}.${tampered}.`, SECRET), "not allowed");
+    expect("Expired token rejected", () => jwt.verify(jwt.sign({ sub: "x", exp: 1 }, SECRET), SECRET), "expired");
+    expect("Audience checked", () => jwt.verify(token, SECRET, { audience: "iot-middleware" }), "audience");
+
+    console.log("\nTesting configuration...");
+    try {
+      await new AuthManager({ keysFile: path.join(directory, "none.json"), adminKey: "", jwtSecret: "" }).initialize();
+      console.log("Refuses to start without admin key or JWT secret: ✗");
+    } catch (error) {
+      console.log("Refuses to start without admin key or JWT secret:", error.message.includes("AUTH_ADMIN_KEY") ? "✓" : "✗");
+    }
+    try {
+      await new AuthManager({ keysFile: path.join(directory, "none.json"), jwtSecret: SECRET }).initialize();
+      console.log("Starts with a JWT secret only: ✓");
+    } catch (error) {
+      console.log("Starts with a JWT secret only: ✗", error.message);
+    }
+
+    console.log("\nTesting API keys...");
+    const keysFile = path.join(directory, "api-keys.json");
+    const auth = new AuthManager({ keysFile, jwtSecret: SECRET, adminKey: "bootstrap-admin-key", tokenTtl: 600 });
+    await auth.initialize();
+
+    const reader = await auth.keys.create({ name: "dashboard", scopes: ["telemetry:read"] });
+    const operator = await auth.keys.create({ name: "operator", scopes: ["telemetry:read", "commands:send"] });
+    const stored = fs.readFileSync(keysFile, "utf8");
+    console.log("Only hashes stored:", reader.key.startsWith("iotk_") && !stored.includes(reader.key) && stored.includes(ApiKeyStore.hash(reader.key)) ? "✓" : "✗");
+    console.log("Listing hides hashes:", auth.keys.list().every(key => !key.hash && key.prefix) ? "✓" : "✗");
+
+    try {
+      await auth.keys.create({ name: "bad", scopes: ["everything"] });
+      console.log("Unknown scope rejected: ✗");
+    } catch (error) {
+      console.log("Unknown scope rejected:", error.message.startsWith("Unknown scopes") ? "✓" : "✗");
+    }
+
+    const reloaded = new ApiKeyStore({ file: keysFile });
+    await reloaded.load();
+    console.log("Keys verified after reload:", reloaded.verify(operator.key).name === "operator" && reloaded.verify("iotk_guess") === null ? "✓" : "✗");
+
+    console.log("\nTesting HTTP middleware...");
+    const middleware = auth.middleware();
+    const bearer = (key) => ({ authorization: `Bearer ${key}` });
+
+    console.log("Health is public:", call(middleware, request("GET", "/api/health")).next ? "✓" : "✗");
+    let result = call(middleware, request("GET", "/api/devices"));
+    console.log("Credential required:", result.status === 401 && result.headers["WWW-Authenticate"] === "Bearer" ? "✓" : "✗");
+    result = call(middleware, request("GET", "/api/devices", bearer("iotk_revoked")));
+    console.log("Unknown key rejected:", result.status === 401 && result.body.error.includes("Invalid") ? "✓" : "✗");
+    console.log("Read with X-API-Key:", call(middleware, request("GET", "/api/devices", { "x-api-key": reader.key })).next ? "✓" : "✗");
+    result = call(middleware, request("POST", "/api/devices/2437871205/commands", bearer(reader.key)));
+    console.log("Read key cannot send commands:", result.status === 403 && result.body.error.includes("commands:send") ? "✓" : "✗");
+    console.log("Operator key sends commands:", call(middleware, request("POST", "/api/devices/2437871205/commands", bearer(operator.key))).next ? "✓" : "✗");
+    result = call(middleware, request("PUT", "/api/assets/DD344A44", bearer(operator.key)));
+    console.log("Other writes need admin:", result.status === 403 ? "✓" : "✗");
+    result = call(middleware, request("GET", "/system/Debug/", bearer(reader.key)));
+    console.log("Debug needs admin, whatever the path case:", result.status === 403 ? "✓" : "✗");
+    const admin = request("POST", "/api/auth/keys", bearer("bootstrap-admin-key"));
+    console.log("Admin key manages keys:", call(middleware, admin).next && admin.auth.scopes.includes("admin") ? "✓" : "✗");
+    console.log("Token from query string:", call(middleware, request("GET", `/api/stream?access_token=${reader.key}`)).next ? "✓" : "✗");
+
+    console.log("\nTesting tokens...");
+    const issued = auth.issueToken({ type: "apiKey", id: operator.id, name: "operator", scopes: operator.scopes }, { scopes: ["telemetry:read"], expiresIn: 60 });
+    const viaToken = request("GET", "/api/devices", bearer(issued.token));
+    console.log("Issued token accepted:", call(middleware, viaToken).next && viaToken.auth.type === "jwt" && viaToken.auth.id === operator.id ? "✓" : "✗");
+    console.log("Issued token keeps its scopes:", call(middleware, request("POST", "/api/devices/x/commands", bearer(issued.token))).status === 403 ? "✓" : "✗");
+    try {
+      auth.issueToken({ type: "apiKey", id: reader.id, scopes: ["telemetry:read"] }, { scopes: ["admin"] });
+      console.log("Scopes cannot be raised: ✗");
+    } catch (error) {
+      console.log("Scopes cannot be raised: ✓");
+    }
+    try {
+      auth.issueToken({ type: "apiKey", id: reader.id, scopes: ["telemetry:read"] }, { expiresIn: 86400 });
+      console.log("Lifetime capped by tokenTtl: ✗");
+    } catch (error) {
+      console.log("Lifetime capped by tokenTtl:", error.message.includes("600") ? "✓" : "✗");
+    }
+    try {
+      auth.issueToken(viaToken.auth);
+      console.log("Token not renewed with a token: ✗");
+    } catch (error) {
+      console.log("Token not renewed with a token:", error.code === "FORBIDDEN" ? "✓" : "✗", error.message);
+    }
+    const adminToken = auth.issueToken(admin.auth, { expiresIn: 60 });
+    const viaAdminToken = request("POST", "/api/auth/token", bearer(adminToken.token));
+    console.log("Admin token renewed:", call(middleware, viaAdminToken).next && auth.issueToken(viaAdminToken.auth).scopes.includes("admin") ? "✓" : "✗");
+
+    console.log("\nTesting WebSocket handshake...");
+    const handshake = (headers, url = "/") => {
+      const info = { req: { headers, url } };
+      let outcome;
+      auth.verifyClient(info, (accepted, code) => { outcome = { accepted, code, auth: info.req.auth }; });
+      return outcome;
+    };
+    console.log("Rejected without credential:", handshake({}).code === 401 ? "✓" : "✗");
+    console.log("Accepted with read key:", handshake({}, `/?access_token=${reader.key}`).accepted ? "✓" : "✗");
+    const commandOnly = await auth.keys.create({ name: "commands only", scopes: ["commands:send"] });
+    console.log("Read scope needed to connect:", handshake(bearer(commandOnly.key)).code === 403 ? "✓" : "✗");
+
+    const rpc = new JsonRpcHandler({ authManager: auth, commandManager: { sendCommand: async () => ({ commandId: "cmd_1" }) } });
+    let response = await rpc.handle({ jsonrpc: "2.0", id: 1, method: "sendCommand", params: { deviceId: "x", deviceType: "V5008", command: "queryColor" } },
+      handshake(bearer(reader.key)).auth);
+    console.log("RPC command needs commands:send:", response.error && response.error.code === -32003 ? "✓" : "✗", response.error);
+    response = await rpc.handle({ jsonrpc: "2.0", id: 2, method: "sendCommand", params: { deviceId: "x", deviceType: "V5008", command: "queryColor" } },
+      handshake(bearer(operator.key)).auth);
+    console.log("RPC command with operator key:", response.result && response.result.commandId === "cmd_1" ? "✓" : "✗");
+
+    console.log("\nTesting revocation...");
+    await auth.keys.revoke(reader.id);
+    console.log("Revoked key rejected:", call(middleware, request("GET", "/api/devices", bearer(reader.key))).status === 401 ? "✓" : "✗");
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
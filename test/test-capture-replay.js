@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageRecorder = require('../modules/capture/MessageRecorder');
+const CaptureReplayer = require('../modules/capture/CaptureReplayer');
+const eventBus = require('../modules/core/eventBus');
+
+async function run() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'captures-'));
+
+  console.log("Testing recorder...");
+  const recorder = new MessageRecorder({ directory });
+  await recorder.initialize();
+
+  const heartbeat = Buffer.from("CC01EC3737BF0C028C090995120300000000000400000000000500000000000600000000000700000000000800000000000900000000000A00000000003401778E", "hex");
+  const door = Buffer.from(JSON.stringify({ msg_type: "door_state_changed_notify_req", gateway_sn: "2123456789" }));
+
+  eventBus.emit("mqtt.message", { topic: "V5008Upload/2437871205/OpeAck", message: heartbeat });
+  console.log("Not recording until started:", recorder.getStatus().count === 0 ? "✓" : "✗");
+
+  const started = await recorder.start({ file: "../incident.ndjson" });
+  console.log("Recording:", started.recording ? "✓" : "✗");
+  console.log("Capture stays in directory:", started.file === path.join(directory, "incident.ndjson") ? "✓" : "✗", started.file);
+
+  eventBus.emit("mqtt.message", { topic: "V5008Upload/2437871205/OpeAck", message: heartbeat });
+  eventBus.emit("mqtt.message", { topic: "V6800Upload/2123456789/Door", message: door });
+
+  const stopped = await recorder.stop();
+  console.log("Stopped:", !stopped.recording && stopped.count === 2 ? "✓" : "✗", stopped.count);
+
+  eventBus.emit("mqtt.message", { topic: "V5008Upload/2437871205/OpeAck", message: heartbeat });
+
+  const lines = fs.readFileSync(stopped.file, "utf8").trim().split("\n");
+  const first = JSON.parse(lines[0]);
+  console.log("Lines written:", lines.length === 2 ? "✓" : "✗", lines.length);
+  console.log("Record fields:",
+    first.topic === "V5008Upload/2437871205/OpeAck" && first.encoding === "hex" && !isNaN(Date.parse(first.ts)) ? "✓" : "✗");
+  console.log("Payload bytes:", first.payload === heartbeat.toString("hex") ? "✓" : "✗");
+
+  await recorder.shutdown();
+
+  console.log("\nTesting replay...");
+  const replayedMessages = [];
+  const maxReplayer = new CaptureReplayer({
+    speed: "max",
+    publish: (topic, message) => replayedMessages.push({ topic, message })
+  });
+  const maxResult = await maxReplayer.replayFile(stopped.file);
+  console.log("All messages replayed:", maxResult.replayed === 2 ? "✓" : "✗", maxResult.replayed);
+  console.log("Bytes round-trip:", replayedMessages[0].message.equals(heartbeat) && replayedMessages[1].message.equals(door) ? "✓" : "✗");
+
+  // Hand-written capture: 400ms apart, one bad line, utf8 and base64 payloads
+  const handFile = path.join(directory, "hand.ndjson");
+  fs.writeFileSync(handFile, [
+    JSON.stringify({ ts: "2025-01-01T00:00:00.000Z", topic: "V6800Upload/1/Door", payload: "{}", encoding: "utf8" }),
+    "not json",
+    JSON.stringify({ ts: "2025-01-01T00:00:00.400Z", topic: "V6800Upload/1/Door", payload: Buffer.from("{}").toString("base64"), encoding: "base64" }),
+    ""
+  ].join("\n"));
+
+  const timings = [];
+  const timed = (speed) => new CaptureReplayer({ speed, publish: () => timings.push(Date.now()) });
+
+  let result = await timed(1).replayFile(handFile);
+  const originalGap = timings[1] - timings[0];
+  console.log("Bad line skipped:", result.replayed === 2 && result.skipped === 1 ? "✓" : "✗");
+  console.log("Original speed:", originalGap >= 380 && originalGap < 600 ? "✓" : "✗", `${originalGap}ms`);
+
+  timings.length = 0;
+  await timed(4).replayFile(handFile);
+  const scaledGap = timings[1] - timings[0];
+  console.log("Scaled speed (4x):", scaledGap >= 80 && scaledGap < 250 ? "✓" : "✗", `${scaledGap}ms`);
+
+  timings.length = 0;
+  await timed("max").replayFile(handFile);
+  const maxGap = timings[1] - timings[0];
+  console.log("As fast as possible:", maxGap < 50 ? "✓" : "✗", `${maxGap}ms`);
+
+  try {
+    new CaptureReplayer({ speed: "fast" });
+    console.log("Rejects invalid speed: ✗");
+  } catch (error) {
+    console.log("Rejects invalid speed: ✓", error.message);
+  }
+
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+const CommandManager = require('../modules/commands/CommandManager');
+const CommandTracker = require('../modules/commands/CommandTracker');
+const eventBus = require('../modules/core/eventBus');
+const v5008Parser = require('../modules/normalizers/v5008Parser');
+const v6800Parser = require('../modules/normalizers/v6800Parser');
+
+const v5008DeviceId = "2437871205";
+const v6800DeviceId = "2123456789";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Color set response for E1 01 05 02 06 01 with the given cmdResult byte
+function v5008SetColorResponse(cmdResult) {
+  return v5008Parser.parse(
+    "V5008Upload/2437871205/OpeAck",
+    Buffer.from(`AA914EF665${cmdResult}E1010502060108007F4F`, "hex")
+  );
+}
+
+function v6800SetColorResponse(uuidNumber, code, setPropertyResult = 0) {
+  return v6800Parser.parse("V6800Upload/2123456789/OpeAck", {
+    msg_type: "set_module_property_result_req",
+    gateway_sn: v6800DeviceId,
+    set_property_type: 8001,
+    uuid_number: uuidNumber,
+    code,
+    data: [
+      { host_gateway_port_index: 2, extend_module_sn: "3963041727", module_type: "mt_ul", set_property_result: setPropertyResult }
+    ]
+  });
+}
+
+async function run() {
+  const published = [];
+  const commandManager = new CommandManager({
+    mqtt: { publish: async (topic, payload) => published.push({ topic, payload }) },
+    responseTimeout: 100
+  });
+  const commandTracker = new CommandTracker({
+    commandManager,
+    maxRetries: 2,
+    retryDelay: 10
+  });
+  await commandManager.initialize();
+  await commandTracker.initialize();
+
+  const events = [];
+  ["command.succeeded", "command.failed", "command.timeout"].forEach(name => {
+    eventBus.on(name, entry => events.push({ name, commandId: entry.commandId }));
+  });
+  const eventFor = commandId => events.find(event => event.commandId === commandId);
+
+  const setColor = { command: "setColor", modNum: 1, colors: [{ num: 5, color: "purple" }, { num: 6, color: "red" }] };
+
+  console.log("Testing V5008 success (0xA1)...");
+  let command = await commandManager.sendCommand(v5008DeviceId, "V5008", setColor);
+  console.log("Pending after send:", commandTracker.getStatus(command.commandId).status === "pending" ? "✓" : "✗");
+  eventBus.emit("message.processed", v5008SetColorResponse("A1"));
+  let status = commandTracker.getStatus(command.commandId);
+  console.log("Status:", status.status === "succeeded" ? "✓" : "✗", status.status);
+  console.log("Event:", (eventFor(command.commandId) || {}).name === "command.succeeded" ? "✓" : "✗");
+
+  console.log("\nTesting V5008 failure (0xA0)...");
+  command = await commandManager.sendCommand(v5008DeviceId, "V5008", setColor);
+  eventBus.emit("message.processed", v5008SetColorResponse("A0"));
+  status = commandTracker.getStatus(command.commandId);
+  console.log("Status:", status.status === "failed" && status.result === "failure" ? "✓" : "✗", status.status, status.result);
+  console.log("Event:", (eventFor(command.commandId) || {}).name === "command.failed" ? "✓" : "✗");
+
+  console.log("\nTesting V5008 busy (0xFE) retry...");
+  const publishedBefore = published.length;
+  command = await commandManager.sendCommand(v5008DeviceId, "V5008", setColor);
+  eventBus.emit("message.processed", v5008SetColorResponse("FE"));
+  status = commandTracker.getStatus(command.commandId);
+  console.log("Retrying after busy:", status.status === "retrying" ? "✓" : "✗", status.status);
+  await sleep(30);
+  console.log("Resent:", published.length === publishedBefore + 2 ? "✓" : "✗", published.length - publishedBefore);
+  console.log("Attempts:", status.attempts === 2 ? "✓" : "✗", status.attempts);
+  eventBus.emit("message.processed", v5008SetColorResponse("A1"));
+  console.log("Succeeded after retry:", status.status === "succeeded" ? "✓" : "✗", status.status);
+
+  console.log("\nTesting V5008 busy until retries are exhausted...");
+  command = await commandManager.sendCommand(v5008DeviceId, "V5008", setColor);
+  for (let attempt = 0; attempt < 3; attempt++) {
+    eventBus.emit("message.processed", v5008SetColorResponse("FE"));
+    await sleep(50);
+  }
+  status = commandTracker.getStatus(command.commandId);
+  console.log("Status:", status.status === "failed" && status.result === "busy" ? "✓" : "✗", status.status, status.reason);
+  console.log("Attempts:", status.attempts === 3 ? "✓" : "✗", status.attempts);
+
+  console.log("\nTesting V6800 code...");
+  command = await commandManager.sendCommand(v6800DeviceId, "V6800", { ...setColor, modNum: 2 });
+  eventBus.emit("message.processed", v6800SetColorResponse(command.expectedResponse.msgId, 200));
+  status = commandTracker.getStatus(command.commandId);
+  console.log("code 200:", status.status === "succeeded" ? "✓" : "✗", status.status);
+
+  command = await commandManager.sendCommand(v6800DeviceId, "V6800", { ...setColor, modNum: 2 });
+  eventBus.emit("message.processed", v6800SetColorResponse(command.expectedResponse.msgId, 500));
+  status = commandTracker.getStatus(command.commandId);
+  console.log("code 500:", status.status === "failed" ? "✓" : "✗", status.status);
+
+  command = await commandManager.sendCommand(v6800DeviceId, "V6800", { ...setColor, modNum: 2 });
+  eventBus.emit("message.processed", v6800SetColorResponse(command.expectedResponse.msgId, 200, 1));
+  status = commandTracker.getStatus(command.commandId);
+  console.log("Module result fail:", status.status === "failed" ? "✓" : "✗", status.status);
+
+  command = await commandManager.sendCommand(v6800DeviceId, "V6800", { ...setColor, modNum: 2 });
+  eventBus.emit("message.processed", v6800SetColorResponse(command.expectedResponse.msgId, 302));
+  status = commandTracker.getStatus(command.commandId);
+  console.log("Unlisted code 302:", status.status === "failed" ? "✓" : "✗", status.status);
+
+  command = await commandManager.sendCommand(v6800DeviceId, "V6800", { ...setColor, modNum: 2 });
+  eventBus.emit("message.processed", v6800SetColorResponse(command.expectedResponse.msgId, 503));
+  status = commandTracker.getStatus(command.commandId);
+  console.log("code 503 retried:", status.status === "retrying" ? "✓" : "✗", status.status);
+  await sleep(30);
+  eventBus.emit("message.processed", v6800SetColorResponse(commandManager.getCommand(command.commandId).expectedResponse.msgId, 200));
+  console.log("Succeeded after retry:", status.status === "succeeded" ? "✓" : "✗", status.status);
+
+  const queryResponse = v6800Parser.parse("V6800Upload/2123456789/OpeAck", {
+    msg_type: "door_state_resp",
+    gateway_sn: v6800DeviceId,
+    uuid_number: 1,
+    data: [{ extend_module_sn: "3963041727", host_gateway_port_index: 1, new_state: 1 }]
+  });
+  const metas = Array.isArray(queryResponse) ? queryResponse.map(message => message.meta) : [queryResponse.meta];
+  console.log("No code in meta without one:", metas.every(meta => !("code" in meta)) ? "✓" : "✗");
+
+  console.log("\nTesting timeout...");
+  command = await commandManager.sendCommand(v6800DeviceId, "V6800", { command: "queryDoor", modNum: 1 });
+  await sleep(150);
+  status = commandTracker.getStatus(command.commandId);
+  console.log("Status:", status.status === "timeout" ? "✓" : "✗", status.status);
+  console.log("Event:", (eventFor(command.commandId) || {}).name === "command.timeout" ? "✓" : "✗");
+  console.log("Timeout from responseTimeout:", commandTracker.timeout === 100 ? "✓" : "✗", commandTracker.timeout);
+  console.log("Command manager shows timeout:", commandManager.getCommand(command.commandId).status === "timeout" ? "✓" : "✗",
+    commandManager.getCommand(command.commandId).status);
+
+  command = await commandManager.sendCommand(v6800DeviceId, "V6800", { command: "queryDoor", modNum: 1 });
+  const started = Date.now();
+  try {
+    await commandManager.waitForResponse(command.commandId, 5000);
+    console.log("Wait ends with the tracker timeout: ✗");
+  } catch (error) {
+    console.log("Wait ends with the tracker timeout:", error.code === "COMMAND_TIMEOUT" && Date.now() - started < 1000 ? "✓" : "✗");
+  }
+
+  console.log("\nTesting wait across busy answers...");
+  command = await commandManager.sendCommand(v5008DeviceId, "V5008", setColor);
+  let waited = commandManager.waitForResponse(command.commandId, 5000);
+  eventBus.emit("message.processed", v5008SetColorResponse("FE"));
+  console.log("Busy answer keeps the command waiting:", commandManager.getCommand(command.commandId).status === "busy" ? "✓" : "✗",
+    commandManager.getCommand(command.commandId).status);
+  await sleep(30);
+  eventBus.emit("message.processed", v5008SetColorResponse("A1"));
+  let answered = await waited;
+  console.log("Wait returns the answer after the retry:", answered.status === "responded" && answered.response.result === "success" ? "✓" : "✗",
+    answered.status, answered.response && answered.response.result);
+
+  command = await commandManager.sendCommand(v5008DeviceId, "V5008", setColor);
+  waited = commandManager.waitForResponse(command.commandId, 5000);
+  for (let attempt = 0; attempt < 3; attempt++) {
+    eventBus.emit("message.processed", v5008SetColorResponse("FE"));
+    await sleep(50);
+  }
+  answered = await waited;
+  console.log("Wait ends when the tracker gives up:", answered.status === "busy" && answered.response.result === "busy" ? "✓" : "✗",
+    answered.status, answered.response && answered.response.result);
+
+  await commandTracker.shutdown();
+  await commandManager.shutdown();
+}
+
+run().catch(error => {
+  console.error("Error during command tracker test:", error.message);
+});
@@ -0,0 +1,128 @@
+const DeadLetterQueue = require('../modules/storage/DeadLetterQueue');
+const normalizer = require('../modules/normalizers');
+const eventBus = require('../modules/core/eventBus');
+
+async function run() {
+  const dataStored = [];
+  const processed = [];
+  eventBus.on("message.processed", message => processed.push(message));
+
+  const deadLetters = new DeadLetterQueue({
+    maxSize: 3,
+    normalizer,
+    dataStore: { handleMessage: message => dataStored.push(message) }
+  });
+  await deadLetters.initialize();
+
+  console.log("Testing dead-letter capture...");
+
+  // V6800 message that is not valid JSON
+  const broken = Buffer.from("{\"msg_type\":\"heart_beat_req\"", "utf8");
+  const result = normalizer.normalize("V6800Upload/2123456789/HeartBeat", broken);
+  console.log("Normalization failed:", result === null ? "✓" : "✗");
+
+  const [entry] = deadLetters.list();
+  console.log("Entry stored:", entry ? "✓" : "✗");
+  console.log("Topic:", entry && entry.topic === "V6800Upload/2123456789/HeartBeat" ? "✓" : "✗");
+  console.log("Raw hex:", entry && entry.rawHex === broken.toString("hex") ? "✓" : "✗");
+  console.log("Raw base64:", entry && entry.rawBase64 === broken.toString("base64") ? "✓" : "✗");
+  console.log("Parser:", entry && entry.parser === "V6800" ? "✓" : "✗", entry && entry.parser);
+  console.log("Reason:", entry && entry.reason.includes("V6800") && entry.reason.includes("JSON") ? "✓" : "✗", entry && entry.reason);
+  console.log("Receive time:", entry && !isNaN(Date.parse(entry.receivedAt)) ? "✓" : "✗");
+
+  normalizer.normalize("nodevice", Buffer.from("x"));
+  const unrouted = deadLetters.list()[0];
+  console.log("Unroutable topic stored:", unrouted && unrouted.topic === "nodevice" && unrouted.parser === null ? "✓" : "✗",
+    unrouted && unrouted.reason);
+
+  console.log("\nTesting bounded size...");
+  for (let i = 0; i < 3; i++) {
+    normalizer.normalize(`V6800Upload/2123456789/Bad${i}`, Buffer.from("not json"));
+  }
+  const stats = deadLetters.getStats();
+  console.log("Size capped:", stats.size === 3 ? "✓" : "✗", stats.size);
+  console.log("Oldest evicted:", stats.evicted === 2 && !deadLetters.get(entry.id) ? "✓" : "✗", stats.evicted);
+  console.log("Newest first:", deadLetters.list()[0].topic === "V6800Upload/2123456789/Bad2" ? "✓" : "✗");
+  console.log("Filter by topic:", deadLetters.list({ topic: "V6800Upload/2123456789/Bad1" }).length === 1 ? "✓" : "✗");
+
+  console.log("\nTesting replay...");
+  const failing = deadLetters.list()[0];
+  const failedReplay = await deadLetters.replay(failing.id);
+  console.log("Failed replay kept:", failedReplay && !failedReplay.replayed && deadLetters.get(failing.id) ? "✓" : "✗");
+  console.log("Replay count:", deadLetters.get(failing.id).replayCount === 1 ? "✓" : "✗");
+  console.log("No new entry for failed replay:", deadLetters.getStats().size === 3 ? "✓" : "✗");
+
+  // Simulate a parser fix by storing a message the current parsers accept
+  const heartbeat = JSON.stringify({
+    msg_type: "heart_beat_req",
+    module_type: "mt_gw",
+    module_sn: "2123456789",
+    bus_V: "23.89",
+    bus_I: "5.70",
+    main_power: 1,
+    backup_power: 0,
+    uuid_number: 1534195387,
+    data: [{ module_index: 2, module_sn: "3963041727", module_m_num: 1, module_u_num: 6 }]
+  });
+  const fixed = deadLetters.add({
+    topic: "V6800Upload/2123456789/HeartBeat",
+    message: Buffer.from(heartbeat),
+    parser: "V6800",
+    reason: "Parser for device type V6800 returned null"
+  });
+
+  const replayed = await deadLetters.replay(fixed.id);
+  console.log("Replay succeeded:", replayed && replayed.replayed ? "✓" : "✗", replayed && replayed.reason);
+  console.log("Entry removed:", deadLetters.get(fixed.id) === null ? "✓" : "✗");
+  console.log("Message stored:", dataStored.length > 0 && dataStored[0].msgType === "Heartbeat" ? "✓" : "✗");
+  console.log("Message processed:", processed.length === dataStored.length ? "✓" : "✗");
+  console.log("Unknown ID:", (await deadLetters.replay("dlq_missing")) === null ? "✓" : "✗");
+
+  const received = deadLetters.getStats().received;
+  await deadLetters.shutdown();
+  normalizer.normalize("V6800Upload/2123456789/Bad", Buffer.from("not json"));
+  console.log("Stops listening on shutdown:", deadLetters.getStats().received === received ? "✓" : "✗");
+
+  console.log("\nTesting persistence after a reconnect...");
+  const inserted = [];
+  const database = {
+    isEnabled: false,
+    toMySQLDateTime: value => new Date(value).toISOString().slice(0, 19).replace("T", " "),
+    async query(sql, params = []) {
+      if (sql.includes("SHOW TABLES")) {
+        return [{ table: "dead_letters" }];
+      }
+      if (sql.includes("SELECT")) {
+        return [{
+          id: "dlq_stored", topic: "V6800Upload/2123456789/Old", raw_hex: "00", reason: "Stored",
+          parser: "V6800", received_at: "2020-01-01T00:00:00.000Z", replay_count: 0
+        }];
+      }
+      if (sql.includes("INSERT")) {
+        inserted.push(params[0]);
+      }
+      return [];
+    }
+  };
+  const persisted = new DeadLetterQueue({ maxSize: 3, persist: true, database });
+  await persisted.initialize();
+  console.log("Memory only while the database is down:", persisted.getStats().persisted === false ? "✓" : "✗");
+  const offline = persisted.add({ topic: "V6800Upload/2123456789/Offline", message: Buffer.from("x"), parser: "V6800", reason: "Bad" });
+  console.log("Not written while down:", inserted.length === 0 ? "✓" : "✗");
+
+  database.isEnabled = true;
+  eventBus.emit("database.connected", database);
+  await new Promise(resolve => setImmediate(resolve));
+  console.log("Persisted after reconnect:", persisted.getStats().persisted === true ? "✓" : "✗");
+  console.log("Stored entries loaded:", persisted.list().map(e => e.id).join() === `${offline.id},dlq_stored` ? "✓" : "✗",
+    persisted.list().map(e => e.id));
+  console.log("Offline entry written:", inserted.join() === offline.id ? "✓" : "✗", inserted);
+  persisted.add({ topic: "V6800Upload/2123456789/Online", message: Buffer.from("x"), parser: "V6800", reason: "Bad" });
+  console.log("New entries written:", inserted.length === 2 ? "✓" : "✗", inserted.length);
+  await persisted.shutdown();
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+const DoorAlarmManager = require('../modules/monitoring/DoorAlarmManager');
+const DoorStateManager = require('../modules/normalizers/stateManagers/DoorStateManager');
+const eventBus = require('../modules/core/eventBus');
+
+// Local times, so maintenance windows do not depend on the time zone of the machine
+const mondayMorning = new Date(2025, 0, 6, 9, 0);
+const mondayNight = new Date(2025, 0, 6, 23, 30);
+const tuesdayEarly = new Date(2025, 0, 7, 1, 0);
+
+function door(deviceId, modNum, status, time) {
+  eventBus.emit("unified.state.changed.door", {
+    deviceId,
+    deviceType: "V5008",
+    modNum,
+    msgType: "Door",
+    timestamp: time.toISOString(),
+    currentState: { status }
+  });
+}
+
+async function run() {
+  console.log("Testing door status...");
+  console.log("Open states:", ["0x01", "0x10", "0x11", "open"].every(s => DoorStateManager.isOpen(s) === true) ? "✓" : "✗");
+  console.log("Closed states:", ["0x00", "closed", 0].every(s => DoorStateManager.isOpen(s) === false) ? "✓" : "✗");
+  console.log("Unknown state ignored:", DoorStateManager.isOpen("unknown") === null ? "✓" : "✗");
+
+  console.log("\nTesting maintenance windows...");
+  const windows = [
+    { days: [1, 2, 3, 4, 5], start: "08:00", end: "18:00" },
+    { days: [1], start: "22:00", end: "02:00" }
+  ];
+  console.log("Inside day window:", DoorAlarmManager.inMaintenanceWindow(windows, mondayMorning) ? "✓" : "✗");
+  console.log("Overnight window before midnight:", DoorAlarmManager.inMaintenanceWindow(windows, mondayNight) ? "✓" : "✗");
+  console.log("Overnight window after midnight:", DoorAlarmManager.inMaintenanceWindow(windows, tuesdayEarly) ? "✓" : "✗");
+  console.log("Outside windows:", DoorAlarmManager.inMaintenanceWindow(windows, new Date(2025, 0, 5, 12, 0)) ? "✗" : "✓");
+
+  const manager = new DoorAlarmManager({
+    openTooLongMinutes: 10,
+    checkInterval: 60000,
+    maintenanceWindows: [{ days: [1, 2, 3, 4, 5], start: "08:00", end: "18:00" }],
+    requireWorkOrder: true,
+    overrides: [{ deviceId: "2437871205", modNum: 2, openTooLongMinutes: 30 }]
+  });
+  await manager.initialize();
+
+  const events = [];
+  eventBus.on("door.alarm.raised", alarm => events.push({ name: "raised", alarm }));
+  eventBus.on("door.alarm.resolved", alarm => events.push({ name: "resolved", alarm }));
+
+  console.log("\nTesting work orders...");
+  await manager.addWorkOrder({ id: "WO-1", deviceId: "2437871205", modNum: 1, start: mondayMorning, end: new Date(2025, 0, 6, 12, 0) });
+  door("2437871205", 1, "0x01", mondayMorning);
+  console.log("Authorized opening raises nothing:", events.length === 0 ? "✓" : "✗");
+
+  try {
+    await manager.addWorkOrder({ deviceId: "2437871205", start: mondayMorning, end: mondayMorning });
+    console.log("Rejects empty work order period: ✗");
+  } catch (error) {
+    console.log("Rejects empty work order period: ✓", error.message);
+  }
+
+  console.log("\nTesting open too long...");
+  manager.checkOpenDoors(mondayMorning.getTime() + 5 * 60000);
+  console.log("Not raised before limit:", events.length === 0 ? "✓" : "✗");
+  manager.checkOpenDoors(mondayMorning.getTime() + 11 * 60000);
+  manager.checkOpenDoors(mondayMorning.getTime() + 12 * 60000);
+  const tooLong = events.filter(e => e.name === "raised" && e.alarm.type === "openTooLong");
+  console.log("Raised once after limit:", tooLong.length === 1 && tooLong[0].alarm.workOrderId === "WO-1" ? "✓" : "✗");
+
+  door("2437871205", 1, "0x00", new Date(mondayMorning.getTime() + 15 * 60000));
+  const resolved = events.find(e => e.name === "resolved");
+  console.log("Resolved when door closes:", resolved && resolved.alarm.status === "resolved" && resolved.alarm.resolvedAt ? "✓" : "✗");
+
+  console.log("\nTesting overrides...");
+  events.length = 0;
+  await manager.addWorkOrder({ id: "WO-2", deviceId: "2437871205", start: mondayMorning, end: new Date(2025, 0, 6, 12, 0) });
+  door("2437871205", 2, "0x11", mondayMorning);
+  manager.checkOpenDoors(mondayMorning.getTime() + 20 * 60000);
+  console.log("Module limit override:", events.length === 0 ? "✓" : "✗");
+  manager.checkOpenDoors(mondayMorning.getTime() + 31 * 60000);
+  console.log("Raised after module limit:", events.length === 1 && events[0].alarm.type === "openTooLong" ? "✓" : "✗");
+
+  console.log("\nTesting after-hours access...");
+  events.length = 0;
+  door("2437871205", 3, "0x01", mondayNight);
+  const types = events.filter(e => e.name === "raised").map(e => e.alarm.type).sort();
+  console.log("After hours without work order:", types.join(",") === "afterHours,noWorkOrder" ? "✓" : "✗", types);
+  door("2437871205", 3, "0x01", new Date(mondayNight.getTime() + 60000));
+  console.log("Repeated open state raises nothing:", events.length === 2 ? "✓" : "✗");
+
+  console.log("\nTesting alarm list...");
+  const active = manager.listAlarms({ status: "active" });
+  console.log("Active alarms listed:", active.length === 3 ? "✓" : "✗", active.length);
+  console.log("Filter by type:", manager.listAlarms({ type: "afterHours" }).length === 1 ? "✓" : "✗");
+  console.log("Newest first:", manager.listAlarms()[0].type === "noWorkOrder" ? "✓" : "✗");
+
+  console.log("\nTesting door query responses...");
+  events.length = 0;
+  eventBus.emit("unified.state.changed.doorreq", {
+    deviceId: "2437871205",
+    deviceType: "V6800",
+    modNum: 3,
+    msgType: "DoorReq",
+    timestamp: new Date(mondayNight.getTime() + 120000).toISOString(),
+    currentState: { drStatus: "0x00" }
+  });
+  console.log("DoorReq closing resolves alarms:", events.length === 2 && events.every(e => e.name === "resolved") ? "✓" : "✗", events.length);
+
+  console.log("Work order removed:", (await manager.removeWorkOrder("WO-2")) && !(await manager.removeWorkOrder("WO-2")) ? "✓" : "✗");
+
+  await manager.shutdown();
+
+  console.log("\nTesting persistence after a reconnect...");
+  const queries = [];
+  const database = {
+    isEnabled: false,
+    toMySQLDateTime: value => new Date(value || Date.now()).toISOString().slice(0, 19).replace("T", " "),
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (sql.includes("SHOW TABLES")) {
+        return [{ table: "x" }];
+      }
+      if (sql.includes("FROM door_alarms")) {
+        return [{
+          id: "door_stored", type: "openTooLong", device_id: "2437871205", mod_num: 1, work_order_id: null,
+          message: "Stored", opened_at: "2025-01-01T00:00:00.000Z", raised_at: "2025-01-01T00:10:00.000Z"
+        }];
+      }
+      return [];
+    }
+  };
+  const persisted = new DoorAlarmManager({ persist: true, database, checkInterval: 60000 });
+  await persisted.initialize();
+  console.log("Memory only while the database is down:", persisted.getStats().persisted === false ? "✓" : "✗");
+  const workOrder = await persisted.addWorkOrder({ id: "WO-offline", deviceId: "2437871205" });
+  console.log("Not written while down:", queries.length === 0 ? "✓" : "✗", queries.length);
+
+  database.isEnabled = true;
+  eventBus.emit("database.connected", database);
+  await new Promise(resolve => setImmediate(resolve));
+  console.log("Persisted after reconnect:", persisted.getStats().persisted === true ? "✓" : "✗");
+  console.log("Stored alarms loaded:", persisted.listAlarms().some(alarm => alarm.id === "door_stored") ? "✓" : "✗");
+  console.log("Offline work order kept and written:",
+    persisted.listWorkOrders().some(order => order.id === workOrder.id) &&
+    queries.some(q => q.sql.includes("REPLACE INTO work_orders") && q.params[0] === workOrder.id) ? "✓" : "✗");
+  await persisted.shutdown();
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const EventStreamServer = require('../modules/api/EventStreamServer');
+const WebSocketServer = require('../modules/api/WebSocketServer');
+const BroadcastLog = require('../modules/api/BroadcastLog');
+const eventBus = require('../modules/core/eventBus');
+
+// Request with query string and headers
+function fakeRequest(query = {}, headers = {}) {
+  const req = new EventEmitter();
+  req.query = query;
+  req.get = (name) => headers[name];
+  return req;
+}
+
+// Response that records the status, headers and events written
+function fakeResponse() {
+  const res = { chunks: [], statusCode: 200 };
+  res.writeHead = (status, headers) => { res.statusCode = status; res.headers = headers; };
+  res.status = (status) => { res.statusCode = status; return res; };
+  res.json = (body) => { res.body = body; };
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => { res.ended = true; };
+  // Events as { id, event, data }, comment lines as { comment }
+  res.events = () => res.chunks.join("").split("\n\n").filter(Boolean).map(block => {
+    if (block.startsWith(":")) {
+      return { comment: block.slice(1).trim() };
+    }
+    const event = {};
+    block.split("\n").forEach(line => {
+      const separator = line.indexOf(": ");
+      const field = line.slice(0, separator);
+      const value = line.slice(separator + 2);
+      event[field] = field === "data" ? JSON.parse(value) : value;
+    });
+    return event;
+  });
+  return res;
+}
+
+function connect(stream, query, headers) {
+  const req = fakeRequest(query, headers);
+  const res = fakeResponse();
+  stream.handleRequest(req, res);
+  return { req, res };
+}
+
+const message = (deviceId, msgType, modNum = 1) => ({ deviceId, deviceType: "V5008", msgType, modNum, payload: [] });
+
+async function run() {
+  console.log("Testing stream...");
+  const stream = new EventStreamServer({ broadcastLog: new BroadcastLog({ replayBufferSize: 3 }), maxClients: 5 });
+  await stream.initialize();
+  const all = connect(stream, {});
+  console.log("Event stream headers:",
+    all.res.headers["Content-Type"] === "text/event-stream" && all.res.headers["Cache-Control"].includes("no-transform") ? "✓" : "✗");
+
+  stream.log.recordMessage(message("2437871205", "TempHum"));
+  stream.log.recordAlertRaised({ id: "alert_1", deviceId: "2437871205", modNum: 1, category: "temperature" });
+  let events = all.res.events().filter(e => e.event);
+  console.log("Messages and alerts sent:",
+    events.length === 2 && events[0].event === "message" && events[0].data.msgType === "TempHum" && events[1].event === "alert.raised" && events[1].data.alert.id === "alert_1" ? "✓" : "✗",
+    events.map(e => e.event));
+  console.log("Ids carry epoch and sequence:", events[1].id === `${stream.log.epoch}:2` ? "✓" : "✗", events[1].id);
+
+  console.log("\nTesting filters...");
+  const filtered = connect(stream, { deviceId: "2437*", msgType: "TempHum,Noise" });
+  stream.log.recordMessage(message("2437871205", "Noise"));
+  stream.log.recordMessage(message("2437871205", "Rfid"));
+  stream.log.recordMessage(message("9999999999", "TempHum"));
+  events = filtered.res.events().filter(e => e.event);
+  console.log("Only matching messages sent:", events.length === 1 && events[0].data.msgType === "Noise" ? "✓" : "✗", events.map(e => e.data.msgType));
+  console.log("Unfiltered client gets everything:", all.res.events().filter(e => e.event).length === 5 ? "✓" : "✗");
+
+  const invalid = connect(stream, { modNum: "" });
+  console.log("Empty filter value rejected:", invalid.res.statusCode === 400 && !stream.clients.has(invalid.res) ? "✓" : "✗", invalid.res.body);
+
+  console.log("\nTesting resume...");
+  const resumed = connect(stream, { msgType: "TempHum,Noise" }, { "Last-Event-ID": `${stream.log.epoch}:2` });
+  events = resumed.res.events().filter(e => e.event);
+  const status = events[events.length - 1];
+  console.log("Missed matching events replayed:",
+    events.length === 3 && events[0].id === `${stream.log.epoch}:3` && events[1].id === `${stream.log.epoch}:5` ? "✓" : "✗", events.map(e => e.id));
+  console.log("Resume reported complete:", status.event === "resumed" && status.data.complete && status.data.replayed === 2 && !status.id ? "✓" : "✗", status.data);
+
+  const late = connect(stream, { lastEventId: `${stream.log.epoch}:1` });
+  events = late.res.events();
+  console.log("Gap reported when too old, id from query string:", events[events.length - 1].data.complete === false && events[events.length - 1].data.replayed === 3 ? "✓" : "✗");
+
+  const restarted = connect(stream, {}, { "Last-Event-ID": "sse_1_abc:4" });
+  events = restarted.res.events().filter(e => e.event);
+  console.log("Other server run reported:", events.length === 1 && events[0].data.complete === false && events[0].data.replayed === 0 ? "✓" : "✗");
+
+  const rejected = connect(stream, {});
+  console.log("Client limit:", rejected.res.statusCode === 503 ? "✓" : "✗");
+
+  console.log("\nTesting heartbeat and disconnect...");
+  stream.sendHeartbeat();
+  const comments = all.res.events().filter(e => e.comment);
+  console.log("Heartbeat comments:", comments.length === 2 && comments[1].comment.startsWith("heartbeat") ? "✓" : "✗");
+
+  filtered.req.emit("close");
+  console.log("Client removed on close:", !stream.clients.has(filtered.res) && stream.getStats().connectedClients === 4 ? "✓" : "✗");
+  console.log("Stats report sequence:", stream.getStats().seq === 5 && stream.getStats().replayBuffered === 3 ? "✓" : "✗");
+
+  await stream.shutdown();
+  console.log("Streams ended on shutdown:", all.res.ended && stream.clients.size === 0 ? "✓" : "✗");
+
+  console.log("\nTesting numbering shared with the WebSocket server...");
+  const log = new BroadcastLog();
+  const shared = new EventStreamServer({ broadcastLog: log });
+  const websocket = new WebSocketServer({ broadcastLog: log, stateManagers: { getManager: () => null } });
+  websocket.wss = new EventEmitter();
+  websocket.wss.close = () => {};
+  websocket.setupEventHandlers();
+  await shared.initialize();
+  log.start(websocket);
+
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.received = [];
+  ws.send = (data) => ws.received.push(JSON.parse(data));
+  ws.close = () => {};
+  websocket.wss.emit("connection", ws);
+  const sse = connect(shared, {});
+
+  eventBus.emit("message.processed", message("2437871205", "TempHum"));
+  eventBus.emit("alert.raised", { id: "alert_2", deviceId: "2437871205", modNum: 1, category: "temperature" });
+  events = sse.res.events().filter(e => e.event);
+  const broadcasts = ws.received.slice(1);
+  console.log("Each event numbered once:", log.sequence === 2 && events.length === 2 && broadcasts.length === 2 ? "✓" : "✗", log.sequence);
+  console.log("Same epoch and seq on both transports:",
+    ws.received[0].epoch === log.epoch && events.every((event, i) => event.id === `${log.epoch}:${broadcasts[i].seq}`) ? "✓" : "✗",
+    events.map(e => e.id), broadcasts.map(m => m.seq));
+
+  const switched = connect(shared, {}, { "Last-Event-ID": `${log.epoch}:${broadcasts[0].seq}` });
+  events = switched.res.events().filter(e => e.event);
+  console.log("WebSocket seq resumes the event stream:", events.length === 2 && events[0].data.alert.id === "alert_2" && events[1].data.complete ? "✓" : "✗");
+
+  await shared.shutdown();
+  eventBus.emit("message.processed", message("2437871205", "Door"));
+  console.log("Log kept while a server uses it:", log.sequence === 3 ? "✓" : "✗", log.sequence);
+  await websocket.shutdown();
+  eventBus.emit("message.processed", message("2437871205", "Noise"));
+  console.log("Log stops with its last user:", log.sequence === 3 && eventBus.listenerCount("message.processed") === 0 ? "✓" : "✗", log.sequence);
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+const path = require('path');
+const FrameDecoder = require('../modules/normalizers/utils/FrameDecoder');
+const { parse } = require('../modules/normalizers/v5008Parser');
+
+// V5008 frames decoded through frames/v5008.json, with the output of the former hand-written processors
+const fixtures = [
+  {
+    name: "Heartbeat",
+    topic: "V5008Upload/2437871205/OpeAck",
+    hexString: "CC01EC3737BF0C028C090995120300000000000400000000000500000000000600000000000700000000000800000000000900000000000A00000000003401778E",
+    expected: {
+      msgType: "Heartbeat", modNum: null, modId: null, msgId: 872511374,
+      payload: [{ modNum: 1, modId: "3963041727", uCount: 12 }, { modNum: 2, modId: "2349402517", uCount: 18 }]
+    }
+  },
+  {
+    name: "RFID",
+    topic: "V5008Upload/2437871205/LabelState",
+    hexString: "BB028C0909950012030200DD3950641200DD23B0B41300DD27EE344C01EC3F",
+    expected: {
+      msgType: "Rfid", modNum: 2, modId: "2349402517", msgId: 1275194431,
+      payload: {
+        uCount: 18,
+        rfidCount: 3,
+        rfidData: [
+          { num: 2, alarm: 0, rfid: "DD395064" },
+          { num: 18, alarm: 0, rfid: "DD23B0B4" },
+          { num: 19, alarm: 0, rfid: "DD27EE34" }
+        ]
+      }
+    }
+  },
+  {
+    name: "Temperature & Humidity",
+    topic: "V5008Upload/2437871205/TemHum",
+    hexString: "028C0909950A1B2938350B1B2337530C1B0336270D000000000E000000000F0000000035019E28",
+    expected: {
+      msgType: "TempHum", modNum: 2, modId: "2349402517", msgId: 889298472,
+      payload: [
+        { add: 10, temp: 27.41, hum: 56.53 },
+        { add: 11, temp: 27.35, hum: 55.83 },
+        { add: 12, temp: 27.03, hum: 54.39 },
+        { add: 13, temp: 0, hum: 0 },
+        { add: 14, temp: 0, hum: 0 },
+        { add: 15, temp: 0, hum: 0 }
+      ]
+    }
+  },
+  {
+    name: "Device Info",
+    topic: "V5008Upload/2437871205/OpeAck",
+    hexString: "EF011390958DD85FC0A864D3FFFF0000C0A800018082914EF665B7013C37",
+    expected: {
+      msgType: "DeviceInfo", modNum: null, modId: null, msgId: 3070311479,
+      payload: { fwVersion: "2509101151", ip: "192.168.100.211", mask: "255.255.0.0", gateway: "192.168.0.1", mac: "80:82:91:4E:F6:65" }
+    }
+  },
+  {
+    name: "Module Info",
+    topic: "V5008Upload/2437871205/OpeAck",
+    hexString: "EF02010000898393CC0200008983B801BCF7",
+    expected: {
+      msgType: "ModuleInfo", modNum: null, modId: null, msgId: 3087121655,
+      payload: [{ add: 1, fwVersion: "2307101644" }, { add: 2, fwVersion: "2307110913" }]
+    }
+  },
+  {
+    name: "Color Request (unknown color code)",
+    topic: "V5008Upload/2437871205/OpeAck",
+    hexString: "AA914EF665A1E4010F0000000D0D083A00A139",
+    expected: {
+      msgType: "ColorReq", modNum: null, modId: null, msgId: 973119801, result: "success",
+      payload: [
+        { num: 1, color: "unknown" }, { num: 2, color: "off" }, { num: 3, color: "off" }, { num: 4, color: "off" },
+        { num: 5, color: "blue_f" }, { num: 6, color: "blue_f" }, { num: 7, color: "red_f" }
+      ]
+    }
+  },
+  {
+    name: "Clear Tamper Alarm Response",
+    topic: "V5008Upload/2437871205/OpeAck",
+    hexString: "AA914EF665A0E20101024F015C55",
+    expected: {
+      msgType: "ClrTamperAlarmResponse", modNum: null, modId: null, msgId: 1325489237, result: "failure",
+      payload: { modNum: 1, num: [1, 2] }
+    }
+  }
+];
+
+console.log("Testing V5008 frames decoded from descriptors...");
+
+fixtures.forEach(({ name, topic, hexString, expected }) => {
+  const result = parse(topic, Buffer.from(hexString, "hex"), { fromUnifiedNormalizer: true });
+  if (!result) {
+    console.log(`${name}: ✗ null`);
+    return;
+  }
+
+  const actual = {
+    msgType: result.msgType,
+    modNum: result.modNum,
+    modId: result.modId,
+    msgId: result.meta.msgId,
+    ...(expected.result ? { result: result.meta.result } : {}),
+    payload: result.payload
+  };
+  const ordered = {
+    msgType: expected.msgType,
+    modNum: expected.modNum,
+    modId: expected.modId,
+    msgId: expected.msgId,
+    ...(expected.result ? { result: expected.result } : {}),
+    payload: expected.payload
+  };
+
+  const matches = JSON.stringify(actual) === JSON.stringify(ordered);
+  console.log(`${name}:`, matches ? "✓" : "✗", matches ? "" : JSON.stringify(actual));
+});
+
+try {
+  parse("V5008Upload/2437871205/OpeAck", Buffer.from("E40102030405", "hex"), { fromUnifiedNormalizer: true });
+  console.log("Rejects frame failing a header check: ✗");
+} catch (error) {
+  console.log("Rejects frame failing a header check:", error.message.startsWith("Invalid") ? "✓" : "✗", error.message);
+}
+
+console.log("\nTesting descriptor extension with a firmware variant...");
+
+const decoder = FrameDecoder.load(path.join(__dirname, "../modules/normalizers/frames"), "v5008");
+decoder.extend({
+  match: [{ header: "F1", msgType: "Voltage" }],
+  tables: { supply: { "01": "mains", "02": "battery" } },
+  frames: {
+    Voltage: {
+      fields: [
+        { name: "modNum", offset: 2, length: 2, type: "uint" },
+        { name: "supply", offset: 4, length: 2, type: "hex", map: "supply", default: "unknown" }
+      ],
+      groups: {
+        rails: {
+          offset: 6,
+          size: 4,
+          reserve: 8,
+          value: { offset: 0, length: 4, type: "decimal2" }
+        }
+      },
+      modNum: "modNum",
+      modId: null,
+      payload: { supply: "supply", rails: "rails" }
+    }
+  }
+});
+
+// [F1][modNum][supply]([volts(2B)]) x n [msgId(4B)]
+const variant = "F10302051E0C0512345678";
+const msgType = decoder.determineMessageType("OpeAck", variant);
+console.log("Variant message type:", msgType === "Voltage" ? "✓" : "✗", msgType);
+
+const decoded = decoder.decode(msgType, variant);
+console.log("Variant modNum:", decoded.modNum === 3 ? "✓" : "✗", decoded.modNum);
+console.log("Variant payload:",
+  JSON.stringify(decoded.payload) === JSON.stringify({ supply: "battery", rails: [5.3, 12.05] }) ? "✓" : "✗",
+  JSON.stringify(decoded.payload));
+console.log("Variant msgId:", decoded.msgId === 0x12345678 ? "✓" : "✗", decoded.msgId);
+console.log("Existing frames still decoded:", decoder.determineMessageType("OpeAck", "BA01EC3737BF1194016082") === "Door" ? "✓" : "✗");
+
+console.log("\nTesting descriptor validation...");
+const invalidDescriptors = [
+  { name: "unknown field type", descriptor: { frames: { X: { fields: [{ name: "a", offset: 0, length: 2, type: "float" }] } } } },
+  { name: "unknown lookup table", descriptor: { frames: { X: { fields: [{ name: "a", offset: 0, length: 2, type: "hex", map: "nope" }] } } } },
+  { name: "match rule without frame", descriptor: { match: [{ header: "AB", msgType: "Missing" }] } }
+];
+
+invalidDescriptors.forEach(({ name, descriptor }) => {
+  try {
+    new FrameDecoder(descriptor);
+    console.log(`${name}: ✗ accepted`);
+  } catch (error) {
+    console.log(`${name}: ✓`, error.message);
+  }
+});
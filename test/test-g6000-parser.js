@@ -0,0 +1,142 @@
+const { parse } = require('../modules/normalizers/g6000Parser');
+
+// Fixtures for each G6000 frame type
+const testCases = [
+  {
+    name: "Heartbeat",
+    topic: "G6000Upload/2437871205/Heartbeat",
+    // CC | 01 EC3737BF 03 | 02 8C090995 02 | 00 00000000 00 | msgId
+    hexString: "CC01EC3737BF03028C0909950200000000003401778E",
+    expected: {
+      msgType: "Heartbeat",
+      modNum: null,
+      modId: null,
+      payload: [
+        { modNum: 1, modId: "3963041727", sensorCount: 3 },
+        { modNum: 2, modId: "2349402517", sensorCount: 2 }
+      ],
+      msgId: 872511374
+    }
+  },
+  {
+    name: "Temperature & Humidity",
+    topic: "G6000Upload/2437871205/TemHum",
+    // DA 01 EC3737BF 01 | 0A 1B29 3835 | 0B 1B23 3753 | msgId
+    hexString: "DA01EC3737BF010A1B2938350B1B23375335019E28",
+    expected: {
+      msgType: "TempHum",
+      modNum: 1,
+      modId: "3963041727",
+      payload: [
+        { add: 10, temp: 27.41, hum: 56.53 },
+        { add: 11, temp: 27.35, hum: 55.83 }
+      ],
+      msgId: 889298472
+    }
+  },
+  {
+    name: "Noise Level",
+    topic: "G6000Upload/2437871205/Noise",
+    // DA 02 8C090995 02 | 10 00000041 | 11 00000000 | msgId
+    hexString: "DA028C09099502100000004111000000007001DB9E",
+    expected: {
+      msgType: "Noise",
+      modNum: 2,
+      modId: "2349402517",
+      payload: [
+        { add: 16, noise: 65 },
+        { add: 17, noise: 0 }
+      ],
+      msgId: 1879169950
+    }
+  },
+  {
+    name: "Door Status",
+    topic: "G6000Upload/2437871205/Door",
+    // DA 01 EC3737BF 03 | 01 | msgId
+    hexString: "DA01EC3737BF030194016082",
+    expected: {
+      msgType: "Door",
+      modNum: 1,
+      modId: "3963041727",
+      payload: { status: "0x01" },
+      msgId: 2483118210
+    }
+  },
+  {
+    name: "Command Ack (success)",
+    topic: "G6000Upload/2437871205/OpeAck",
+    // AA 914EF665 A1 E1 01 | msgId
+    hexString: "AA914EF665A1E10108007F4F",
+    expected: {
+      msgType: "CommandAck",
+      modNum: 1,
+      modId: null,
+      payload: { command: "0xE1", modNum: 1 },
+      result: "success",
+      msgId: 134250319
+    }
+  },
+  {
+    name: "Command Ack (busy)",
+    topic: "G6000Upload/2437871205/OpeAck",
+    hexString: "AA914EF665FEE10108007F4F",
+    expected: {
+      msgType: "CommandAck",
+      modNum: 1,
+      modId: null,
+      payload: { command: "0xE1", modNum: 1 },
+      result: "busy",
+      msgId: 134250319
+    }
+  }
+];
+
+console.log("Testing G6000 parser with fixtures...");
+
+testCases.forEach(testCase => {
+  console.log(`\n=== ${testCase.name} ===`);
+
+  const result = parse(testCase.topic, Buffer.from(testCase.hexString, "hex"));
+  if (!result) {
+    console.log("Parse result: ✗ null");
+    return;
+  }
+
+  const { expected } = testCase;
+  console.log("Device ID:", result.deviceId === "2437871205" ? "✓" : "✗", result.deviceId);
+  console.log("Device Type:", result.deviceType === "G6000" ? "✓" : "✗", result.deviceType);
+  console.log("Message Type:", result.msgType === expected.msgType ? "✓" : "✗", result.msgType);
+  console.log("Module Number:", result.modNum === expected.modNum ? "✓" : "✗", result.modNum);
+  console.log("Module ID:", result.modId === expected.modId ? "✓" : "✗", result.modId);
+  console.log("Payload:", JSON.stringify(result.payload) === JSON.stringify(expected.payload) ? "✓" : "✗",
+    JSON.stringify(result.payload));
+  console.log("Message ID:", result.meta.msgId === expected.msgId ? "✓" : "✗", result.meta.msgId);
+  console.log("Unified normalization:", result.meta.normalizerVersion ? "✓" : "✗", result.meta.normalizerVersion);
+  if (expected.result) {
+    console.log("Result:", result.meta.result === expected.result ? "✓" : "✗", result.meta.result);
+  }
+});
+
+console.log("\n=== Hex text payload ===");
+const textResult = parse("G6000Upload/2437871205/Door", "DA01EC3737BF030194016082");
+console.log("Decoded from text:", textResult && textResult.msgType === "Door" && textResult.modNum === 1 ? "✓" : "✗",
+  textResult && textResult.msgType);
+
+console.log("\n=== Unmatched frames ===");
+const passesRaw = (name, hexString, reason) => {
+  try {
+    const result = parse("G6000Upload/2437871205/OpeAck", Buffer.from(hexString, "hex"));
+    const ok = result && result.msgType === "Raw" &&
+      result.modNum === null && result.modId === null &&
+      result.payload.rawHex === hexString &&
+      result.meta.reason.startsWith(reason);
+    console.log(`${name}:`, ok ? "✓" : "✗", result && result.meta.reason);
+  } catch (error) {
+    console.log(`${name}: ✗`, error.message);
+  }
+};
+passesRaw("Unknown frame passed raw", "FF0102", "Unknown message type");
+passesRaw("Unknown sensor kind passed raw", "DA01EC3737BF090194016082", "Unknown message type");
+passesRaw("Sensor kind without DA header passed raw", "DB01EC3737BF030194016082", "Invalid DA header");
+passesRaw("Short ack passed raw", "AA914EF665A1E101", "CommandAck frame too short");
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationRunner = require('../modules/database/MigrationRunner');
+const DatabaseManager = require('../modules/database/DatabaseManager');
+
+// In-memory stand-in for the database: schema_migrations rows, executed statements and the named lock
+function fakeDatabase() {
+  const database = {
+    rows: [],
+    executed: [],
+    locks: [],
+    toMySQLDateTime: DatabaseManager.prototype.toMySQLDateTime,
+    async query(sql, params = []) {
+      if (sql.startsWith("SELECT version")) {
+        return database.rows.slice();
+      }
+      if (sql.startsWith("INSERT INTO schema_migrations")) {
+        const [version, name, checksum, appliedAt] = params;
+        database.rows.push({ version, name, checksum, applied_at: appliedAt.replace(" ", "T") + "Z" });
+        return { affectedRows: 1 };
+      }
+      if (sql.includes("CREATE TABLE IF NOT EXISTS schema_migrations")) {
+        return {};
+      }
+      if (sql.includes("FAIL")) {
+        throw new Error("You have an error in your SQL syntax");
+      }
+      database.executed.push(sql);
+      return [];
+    },
+    pool: {
+      async getConnection() {
+        return {
+          async query(sql) {
+            database.locks.push(sql.includes("GET_LOCK") ? "lock" : "release");
+            return [[{ acquired: database.lockResult !== undefined ? database.lockResult : 1 }]];
+          },
+          release() {
+            database.locks.push("connection released");
+          }
+        };
+      }
+    }
+  };
+  return database;
+}
+
+async function run() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  fs.writeFileSync(path.join(directory, "001_initial.sql"), [
+    "-- Comment lines are dropped; even with a ;",
+    "CREATE TABLE a (",
+    "    id INT -- inline comment",
+    ");",
+    "",
+    "CREATE TABLE b (id INT);"
+  ].join("\n"));
+  fs.writeFileSync(path.join(directory, "002_add_index.js"),
+    "module.exports = { async up(database) { await database.query('ALTER TABLE a ADD INDEX idx (id)'); } };");
+  fs.writeFileSync(path.join(directory, "README.md"), "not a migration");
+
+  try {
+    console.log("Testing migration files...");
+    const runner = new MigrationRunner(fakeDatabase(), { directory });
+    const migrations = runner.loadMigrations();
+    console.log("Loaded in version order:", migrations.map(m => `${m.version}:${m.type}`).join() === "1:sql,2:js" ? "✓" : "✗");
+
+    const statements = MigrationRunner.splitStatements(fs.readFileSync(path.join(directory, "001_initial.sql"), "utf8"));
+    console.log("SQL split into statements:",
+      statements.length === 2 && statements[0].startsWith("CREATE TABLE a") && statements[1] === "CREATE TABLE b (id INT)" ? "✓" : "✗", statements);
+
+    const repoMigrations = new MigrationRunner(fakeDatabase()).loadMigrations();
+    const baseline = MigrationRunner.splitStatements(fs.readFileSync(repoMigrations[0].file, "utf8"));
+    console.log("Project baseline creates sensor_data:",
+      repoMigrations[0].version === 1 && baseline.some(statement => statement.startsWith("CREATE TABLE IF NOT EXISTS sensor_data")) ? "✓" : "✗");
+
+    console.log("\nTesting apply...");
+    const database = fakeDatabase();
+    const migrate = new MigrationRunner(database, { directory });
+    const pendingBefore = (await migrate.status()).filter(m => !m.applied).length;
+    console.log("Both pending:", pendingBefore === 2 ? "✓" : "✗");
+
+    const applied = await migrate.migrate({ to: 1 });
+    console.log("Stops at --to:", applied.length === 1 && database.rows.length === 1 && database.executed.length === 2 ? "✓" : "✗");
+
+    const rest = await migrate.migrate();
+    console.log("JS migration applied:", rest.length === 1 && database.executed[2] === "ALTER TABLE a ADD INDEX idx (id)" ? "✓" : "✗");
+    console.log("Recorded with checksum:", database.rows.every(row => row.checksum.length === 64) ? "✓" : "✗");
+    console.log("Lock held and released:", database.locks.join() === "lock,release,connection released,lock,release,connection released" ? "✓" : "✗", database.locks);
+
+    const again = await migrate.migrate();
+    console.log("Nothing to apply twice:", again.length === 0 && database.executed.length === 3 ? "✓" : "✗");
+
+    fs.appendFileSync(path.join(directory, "001_initial.sql"), "\n-- edited\n");
+    const status = await migrate.status();
+    console.log("Edited migration flagged:", status[0].changed && !status[1].changed && status[0].appliedAt ? "✓" : "✗");
+
+    console.log("\nTesting failures...");
+    fs.writeFileSync(path.join(directory, "003_broken.sql"), "CREATE TABLE c (id INT);\nFAIL;\n");
+    try {
+      await migrate.migrate();
+      console.log("Failed migration reported: ✗");
+    } catch (error) {
+      console.log("Failed migration reported:", error.message.startsWith("Migration 003_broken.sql failed") ? "✓" : "✗", error.message);
+    }
+    console.log("Failed migration not recorded:", database.rows.length === 2 ? "✓" : "✗");
+    console.log("Lock released after failure:", database.locks.slice(-2).join() === "release,connection released" ? "✓" : "✗");
+
+    fs.writeFileSync(path.join(directory, "003_other.sql"), "CREATE TABLE d (id INT);");
+    try {
+      migrate.loadMigrations();
+      console.log("Duplicate version rejected: ✗");
+    } catch (error) {
+      console.log("Duplicate version rejected: ✓", error.message);
+    }
+
+    database.lockResult = 0;
+    try {
+      await new MigrationRunner(database, { directory, lockTimeout: 1 }).migrate();
+      console.log("Lock timeout reported: ✗");
+    } catch (error) {
+      console.log("Lock timeout reported:", error.message.includes("another instance") ? "✓" : "✗");
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const normalizerRegistry = require('../modules/normalizers/NormalizerRegistry');
+const UnifiedNormalizer = require('../modules/normalizers/UnifiedNormalizer');
+
+// Write a plugin directory with one file plugin, one folder plugin and one invalid module
+const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parser-plugins-'));
+
+fs.writeFileSync(path.join(pluginDir, 'x1000.js'), `
+module.exports = {
+  deviceType: "X1000",
+  topicPrefix: "X1000Data",
+  version: "2.1.0",
+  description: "Test plugin for X1000 gateways",
+  parse(topic, message, meta = {}) {
+    const [, deviceId, sensorType] = topic.split("/");
+    return {
+      deviceId,
+      deviceType: "X1000",
+      sensorType,
+      msgType: "Heartbeat",
+      modNum: null,
+      modId: null,
+      ts: new Date().toISOString(),
+      payload: JSON.parse(message.toString()),
+      meta: { topic, rawHexString: message.toString("hex"), ...meta }
+    };
+  }
+};
+`);
+
+fs.mkdirSync(path.join(pluginDir, 'y2000'));
+fs.writeFileSync(path.join(pluginDir, 'y2000', 'index.js'), `
+module.exports = {
+  deviceType: "Y2000",
+  parse() { return null; }
+};
+`);
+
+fs.writeFileSync(path.join(pluginDir, 'broken.js'), `module.exports = { parse() {} };`);
+
+console.log("Testing parser plugin discovery...");
+
+const loaded = normalizerRegistry.loadPlugins({ directory: pluginDir, packages: ["no-such-parser-plugin"] });
+console.log("Loaded valid plugins only:",
+  JSON.stringify(loaded.sort()) === JSON.stringify(["X1000", "Y2000"]) ? "✓" : "✗", JSON.stringify(loaded));
+
+const info = normalizerRegistry.getAllParsers().find(p => p.deviceType === "X1000");
+console.log("Plugin version:", info && info.version === "2.1.0" ? "✓" : "✗", info && info.version);
+console.log("Plugin description:", info && info.description === "Test plugin for X1000 gateways" ? "✓" : "✗");
+console.log("Plugin topic prefix:", info && info.topicPrefix === "X1000Data" ? "✓" : "✗", info && info.topicPrefix);
+
+const folderInfo = normalizerRegistry.getAllParsers().find(p => p.deviceType === "Y2000");
+console.log("Default topic prefix:", folderInfo && folderInfo.topicPrefix === "Y2000Upload" ? "✓" : "✗",
+  folderInfo && folderInfo.topicPrefix);
+
+const builtin = normalizerRegistry.getAllParsers().find(p => p.deviceType === "V5008");
+console.log("Built-in parser metadata:",
+  builtin && builtin.topicPrefix === "V5008Upload" && builtin.source === "builtin" ? "✓" : "✗");
+
+console.log("\nTesting topic resolution...");
+console.log("Plugin prefix:", normalizerRegistry.routeTopic("X1000Data/42/Status").deviceType === "X1000" ? "✓" : "✗");
+console.log("Built-in prefix:", normalizerRegistry.routeTopic("V6800Upload/42/Status").deviceType === "V6800" ? "✓" : "✗");
+console.log("Unknown prefix:", normalizerRegistry.routeTopic("Z9000Upload/42/Status").deviceType === "Z9000" ? "✓" : "✗");
+
+console.log("\nTesting both code paths use the registry...");
+const message = Buffer.from(JSON.stringify({ uptime: 12 }));
+
+const viaRegistry = normalizerRegistry.normalize("X1000Data/42/Status", message);
+console.log("NormalizerRegistry.normalize:",
+  viaRegistry && viaRegistry.deviceType === "X1000" && viaRegistry.payload.uptime === 12 ? "✓" : "✗");
+
+const unified = new UnifiedNormalizer();
+const viaUnified = unified.parseWithDeviceParser("X1000Data/42/Status", message, "X1000", {});
+console.log("UnifiedNormalizer.parseWithDeviceParser:",
+  viaUnified && viaUnified.deviceType === "X1000" ? "✓" : "✗");
+
+normalizerRegistry.setParserEnabled("X1000", false);
+const disabled = unified.parseWithDeviceParser("X1000Data/42/Status", message, "X1000", {});
+console.log("Disabled plugin not used:", disabled === null ? "✓" : "✗");
+
+console.log("\nTesting parser removal...");
+normalizerRegistry.unregisterParser("X1000");
+const removedRoute = normalizerRegistry.routeTopic("X1000Data/42/Status");
+console.log("Prefix route removed:", removedRoute.deviceType === "X1000Data" ? "✓" : "✗", removedRoute.deviceType);
+
+console.log("\nTesting built-in parser selection...");
+normalizerRegistry.configure({ parsers: ["v5008", "v6800"] });
+const g6000 = normalizerRegistry.getAllParsers().find(p => p.deviceType === "G6000");
+const v5008 = normalizerRegistry.getAllParsers().find(p => p.deviceType === "V5008");
+console.log("Unlisted built-in disabled:", g6000 && !g6000.enabled ? "✓" : "✗");
+console.log("Listed built-in enabled:", v5008 && v5008.enabled ? "✓" : "✗");
+
+fs.rmSync(pluginDir, { recursive: true, force: true });
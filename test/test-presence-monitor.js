@@ -0,0 +1,88 @@
+const PresenceMonitor = require('../modules/monitoring/PresenceMonitor');
+const eventBus = require('../modules/core/eventBus');
+
+const start = Date.parse("2025-01-01T00:00:00.000Z");
+const minutes = (n) => start + n * 60000;
+
+function heartbeat(deviceId, modNums, at) {
+  eventBus.emit("message.processed", {
+    deviceId,
+    deviceType: "V5008",
+    msgType: "Heartbeat",
+    modNum: null,
+    ts: new Date(at).toISOString(),
+    payload: modNums.map(modNum => ({ modNum, modId: `${modNum}000`, uCount: 12 }))
+  });
+}
+
+async function run() {
+  const monitor = new PresenceMonitor({
+    heartbeatIntervals: { V5008: 60000 },
+    lateAfter: 1.5,
+    offlineAfter: 3,
+    checkInterval: 60000
+  });
+  await monitor.initialize();
+
+  const events = [];
+  eventBus.on("device.online", event => events.push({ name: "online", event }));
+  eventBus.on("device.offline", event => events.push({ name: "offline", event }));
+
+  console.log("Testing status...");
+  heartbeat("2437871205", [1, 2], minutes(0));
+  let status = monitor.getAvailability("2437871205", { now: minutes(0) });
+  console.log("Gateway and modules online:",
+    status.status === "online" && status.modules.length === 2 && status.modules.every(m => m.status === "online") ? "✓" : "✗");
+  console.log("First sighting emits nothing:", events.length === 0 ? "✓" : "✗");
+
+  monitor.check(minutes(2));
+  console.log("Late after 1.5 intervals:", monitor.getAvailability("2437871205").status === "late" ? "✓" : "✗");
+
+  heartbeat("2437871205", [1, 2], minutes(2));
+  console.log("Online again, no event for late:", monitor.getAvailability("2437871205").status === "online" && events.length === 0 ? "✓" : "✗");
+
+  console.log("\nTesting offline and recovery...");
+  monitor.check(minutes(6));
+  const offline = events.filter(e => e.name === "offline");
+  console.log("Offline after 3 intervals:", offline.length === 3 && offline.some(e => e.event.modNum === null) ? "✓" : "✗", offline.length);
+
+  monitor.check(minutes(7));
+  console.log("Offline emitted once:", events.filter(e => e.name === "offline").length === 3 ? "✓" : "✗");
+
+  heartbeat("2437871205", [1, 2], minutes(12));
+  const online = events.find(e => e.name === "online" && e.event.modNum === null);
+  console.log("Back online with downtime:", online && online.event.downtimeMs === 10 * 60000 ? "✓" : "✗", online && online.event.downtimeMs);
+
+  console.log("\nTesting missing module...");
+  events.length = 0;
+  heartbeat("2437871205", [1], minutes(13));
+  const missing = events.find(e => e.name === "offline");
+  console.log("Module missing from heartbeat is offline:",
+    missing && missing.event.modNum === 2 && missing.event.reason === "Module missing from heartbeat" ? "✓" : "✗");
+  heartbeat("2437871205", [1, 2], minutes(14));
+  console.log("Module back online:", events.some(e => e.name === "online" && e.event.modNum === 2) ? "✓" : "✗");
+
+  console.log("\nTesting availability...");
+  status = monitor.getAvailability("2437871205", { now: minutes(20) });
+  // 10 minutes down out of 20
+  console.log("Gateway availability:", status.availability === 50 && status.incidents === 1 ? "✓" : "✗", status.availability);
+  const module2 = status.modules.find(m => m.modNum === 2);
+  // 10 minutes while the gateway was down, 2 minutes from its last heartbeat until it was reported again
+  console.log("Module availability:", module2.availability === 40 && module2.incidents === 2 ? "✓" : "✗", module2.availability);
+
+  const lastHour = monitor.getAvailability("2437871205", { now: minutes(20), hours: 0.1 });
+  console.log("Shorter window:", lastHour.availability === 100 ? "✓" : "✗", lastHour.availability);
+
+  console.log("\nTesting other messages...");
+  eventBus.emit("message.processed", { deviceId: "2123456789", deviceType: "V6800", msgType: "Door", modNum: 3, ts: new Date(minutes(0)).toISOString() });
+  const other = monitor.getAvailability("2123456789", { now: minutes(0) });
+  console.log("Any message marks gateway and module seen:", other && other.modules.length === 1 && other.modules[0].modNum === 3 ? "✓" : "✗");
+  console.log("Unknown device:", monitor.getAvailability("nope") === null ? "✓" : "✗");
+
+  await monitor.shutdown();
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+const RetentionManager = require('../modules/storage/RetentionManager');
+const DatabaseManager = require('../modules/database/DatabaseManager');
+
+const now = Date.parse("2025-03-01T10:30:00.000Z");
+
+// Records queries and answers them from a list of [pattern, handler]
+function fakeDatabase(handlers = []) {
+  const queries = [];
+  return {
+    isEnabled: true,
+    queries,
+    toMySQLDateTime: DatabaseManager.prototype.toMySQLDateTime,
+    async query(sql, params = []) {
+      queries.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      const handler = handlers.find(([pattern]) => sql.includes(pattern));
+      return handler ? handler[1](params, sql) : [];
+    }
+  };
+}
+
+const find = (database, text) => database.queries.filter(q => q.sql.includes(text));
+
+async function run() {
+  console.log("Testing setup...");
+  const unconfigured = new RetentionManager({});
+  await unconfigured.initialize();
+  console.log("Not scheduled without database:", unconfigured.getStatus().enabled === false && unconfigured.timer === null ? "✓" : "✗");
+
+  const reconnecting = fakeDatabase([["SHOW TABLES", () => [{ table: "x" }]]]);
+  reconnecting.isEnabled = false;
+  const waiting = new RetentionManager({ database: reconnecting, interval: 3600000, initialDelay: 3600000 });
+  await waiting.initialize();
+  console.log("Scheduled while the database is down:", waiting.getStatus().enabled === false && waiting.timer !== null ? "✓" : "✗");
+  await waiting.runJobs(now);
+  console.log("Skipped while the database is down:", reconnecting.queries.length === 0 && waiting.jobs.purge.runs === 0 ? "✓" : "✗",
+    reconnecting.queries.length);
+  reconnecting.isEnabled = true;
+  await waiting.runJobs(now);
+  console.log("Runs once the database reconnects:", waiting.getStatus().rollups.enabled && waiting.jobs.rollup.runs === 1 && waiting.jobs.purge.runs === 1 ? "✓" : "✗",
+    waiting.jobs.rollup.runs, waiting.jobs.purge.runs);
+  await waiting.shutdown();
+
+  const policies = {
+    default: { rawDays: 90 },
+    Heartbeat: { rawDays: 7 },
+    Rfid: { rawDays: 365 },
+    TempHum: { rawDays: 30 },
+    Noise: { rawDays: null }
+  };
+
+  let database = fakeDatabase([["SHOW TABLES", () => [{ table: "x" }]]]);
+  const manager = new RetentionManager({ database, policies, batchSize: 2, interval: 3600000, initialDelay: 3600000 });
+  await manager.initialize();
+  console.log("Scheduled with rollups:", manager.getStatus().enabled && manager.getStatus().rollups.enabled ? "✓" : "✗");
+  console.log("Next run reported:", manager.getStatus().jobs.every(job => job.nextRunAt) ? "✓" : "✗");
+  console.log("Policy fallback:", manager.getPolicy("Door").rawDays === 90 && manager.getPolicy("Rfid").rawDays === 365 ? "✓" : "✗");
+
+  console.log("\nTesting rollup...");
+  database = fakeDatabase([
+    ["MAX(bucket_start) AS last FROM sensor_rollups_hourly", params => [{ last: params[0] === "temperature" ? "2025-03-01 08:00:00" : null }]],
+    ["MAX(bucket_start) AS last FROM sensor_rollups_daily", () => [{ last: null }]],
+    ["MIN(ts) AS first", () => [{ first: "2025-02-27 22:15:00" }]],
+    ["MIN(bucket_start) AS first", () => [{ first: "2025-02-27 22:00:00" }]],
+    ["INSERT INTO", () => ({ affectedRows: 3 })]
+  ]);
+  manager.database = database;
+  const rolled = await manager.rollup(now);
+
+  const hourly = find(database, "INSERT INTO sensor_rollups_hourly");
+  const temperature = hourly.find(q => q.params[0] === "temperature");
+  const humidity = hourly.find(q => q.params[0] === "humidity");
+  console.log("Resumes at the last rolled hour:",
+    temperature && temperature.params.join() === "temperature,2025-03-01 08:00:00,2025-03-01 10:00:00" ? "✓" : "✗", temperature && temperature.params);
+  console.log("Starts at the oldest reading hour:",
+    humidity && humidity.params.join() === "humidity,2025-02-27 22:00:00,2025-03-01 10:00:00" ? "✓" : "✗", humidity && humidity.params);
+  console.log("Only completed hours:", hourly.every(q => q.sql.includes("ts >= ? AND ts < ?")) ? "✓" : "✗");
+
+  const daily = find(database, "INSERT INTO sensor_rollups_daily");
+  console.log("Completed days from hourly rows:",
+    daily.length === 3 && daily[0].params.join() === "temperature,2025-02-27 00:00:00,2025-03-01 00:00:00" ? "✓" : "✗", daily[0] && daily[0].params);
+  console.log("Weighted daily average:", daily[0].sql.includes("SUM(avg_value * sample_count) / SUM(sample_count)") ? "✓" : "✗");
+  console.log("Rows reported:", rolled.noise.hourly === 3 && rolled.noise.daily === 3 ? "✓" : "✗", rolled);
+
+  console.log("\nTesting purge...");
+  let batches = 0;
+  database = fakeDatabase([
+    ["MAX(bucket_start) AS last FROM sensor_rollups_hourly", params => [{ last: params[0] === "temperature" ? "2025-01-15 00:00:00" : null }]],
+    ["DELETE FROM sensor_data WHERE msg_Type = ?", params => ({ affectedRows: params[0] === "Heartbeat" && batches++ < 2 ? 2 : 1 })],
+    ["DELETE FROM", () => ({ affectedRows: 0 })]
+  ]);
+  manager.database = database;
+  const purged = await manager.purge(now);
+
+  const heartbeat = find(database, "msg_Type = ? AND timestamp < ?").filter(q => q.params[0] === "Heartbeat");
+  console.log("Per-msgType cutoff:", heartbeat[0].params[1] === "2025-02-22 10:30:00" ? "✓" : "✗", heartbeat[0].params);
+  console.log("Deleted in batches:", heartbeat.length === 3 && heartbeat[0].sql.endsWith("LIMIT 2") && purged["sensor_data:Heartbeat"] === 5 ? "✓" : "✗", purged["sensor_data:Heartbeat"]);
+  console.log("Keep forever skips msgType:", !find(database, "msg_Type = ?").some(q => q.params[0] === "Noise") ? "✓" : "✗");
+
+  const fallback = find(database, "msg_Type NOT IN")[0];
+  console.log("Default policy for other msgTypes:",
+    fallback && fallback.params.join() === "Heartbeat,Rfid,TempHum,Noise,2024-12-01 10:30:00" ? "✓" : "✗", fallback && fallback.params);
+
+  const temperatureRows = find(database, "DELETE FROM temperature_readings")[0];
+  console.log("Readings purged only up to the rollups:",
+    temperatureRows && temperatureRows.params[0] === "2025-01-15 00:00:00" ? "✓" : "✗", temperatureRows && temperatureRows.params);
+  console.log("Readings kept until rolled up:", find(database, "DELETE FROM humidity_readings").length === 0 ? "✓" : "✗");
+  console.log("Raw readings kept until every metric is rolled up:",
+    !find(database, "msg_Type = ?").some(q => q.params[0] === "TempHum") ? "✓" : "✗");
+  console.log("Door events use default policy:", find(database, "DELETE FROM door_events")[0].params[0] === "2024-12-01 10:30:00" ? "✓" : "✗");
+  console.log("Expired rollups purged:",
+    find(database, "DELETE FROM sensor_rollups_hourly")[0].params[0] === "2024-12-01 10:30:00" &&
+    find(database, "DELETE FROM sensor_rollups_daily").length === 1 ? "✓" : "✗");
+
+  const rolledUntil = { temperature: "2025-01-15 00:00:00", humidity: "2025-01-10 00:00:00", noise: "2025-02-10 00:00:00" };
+  database = fakeDatabase([
+    ["SHOW TABLES", () => [{ table: "x" }]],
+    ["MAX(bucket_start) AS last FROM sensor_rollups_hourly", params => [{ last: rolledUntil[params[0]] }]],
+    ["DELETE FROM", () => ({ affectedRows: 0 })]
+  ]);
+  manager.database = database;
+  await manager.purge(now);
+  const tempHum = find(database, "msg_Type = ? AND timestamp < ?").find(q => q.params[0] === "TempHum");
+  console.log("Raw readings purged only up to the rollups:",
+    tempHum && tempHum.params[1] === "2025-01-10 00:00:00" ? "✓" : "✗", tempHum && tempHum.params);
+
+  const defaultOnly = new RetentionManager({ database, policies: { default: { rawDays: 10 } } });
+  await defaultOnly.initialize();
+  database.queries.length = 0;
+  await defaultOnly.purge(now);
+  const noise = find(database, "msg_Type = ? AND timestamp < ?").find(q => q.params[0] === "Noise");
+  const others = find(database, "msg_Type NOT IN")[0];
+  console.log("Readings without a policy still wait for the rollups:",
+    noise && noise.params[1] === "2025-02-10 00:00:00" && others && others.params.join() === "TempHum,Noise,2025-02-19 10:30:00" ? "✓" : "✗",
+    noise && noise.params, others && others.params);
+  await defaultOnly.shutdown();
+
+  console.log("\nTesting job status...");
+  manager.database = fakeDatabase([
+    ["INSERT INTO", () => { throw new Error("Lock wait timeout exceeded"); }],
+    ["MIN(ts) AS first", () => [{ first: "2025-02-27 22:15:00" }]]
+  ]);
+  await manager.runJobs(now);
+  const status = manager.getStatus();
+  const [rollupJob, purgeJob] = status.jobs;
+  console.log("Failed job reported:", rollupJob.lastResult === "failed" && rollupJob.lastError === "Lock wait timeout exceeded" && rollupJob.failures === 1 ? "✓" : "✗");
+  console.log("Purge still runs:", purgeJob.lastResult === "success" && purgeJob.runs === 1 && purgeJob.lastRunAt ? "✓" : "✗");
+  console.log("Not running afterwards:", !status.running && !rollupJob.running ? "✓" : "✗");
+
+  manager.running = true;
+  await manager.runJobs(now);
+  console.log("Overlapping run skipped:", manager.getStatus().jobs[1].runs === 1 ? "✓" : "✗");
+  manager.running = false;
+
+  await manager.shutdown();
+  console.log("Timers cleared:", manager.timer === null && manager.initialTimer === null ? "✓" : "✗");
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const v5008Parser = require('../modules/normalizers/v5008Parser');
+const registry = require('../modules/normalizers/NormalizerRegistry');
+const StateManagerFactory = require('../modules/normalizers/stateManagers/StateManagerFactory');
+const StatePersistence = require('../modules/normalizers/stateManagers/StatePersistence');
+const FileStateStore = require('../modules/normalizers/stateManagers/stores/FileStateStore');
+
+const topic = "V5008Upload/2437871205/LabelState";
+const oneTag = Buffer.from("bb01ec3737bf0006010100dd354b74aa002744", "hex");
+const twoTags = Buffer.from("bb01ec3737bf0006020100dd354b740600dd344a44aa002744", "hex");
+
+function attachedTags(result) {
+  return (result.payload.rfidData || []).filter(tag => tag.action === "attached").map(tag => tag.rfid);
+}
+
+async function run() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+  const factory = StateManagerFactory.getShared();
+
+  console.log("Testing shared state managers...");
+  factory.clearAllState();
+  v5008Parser.parse(topic, oneTag, {});
+  console.log("Registry shares the factory:", registry.unifiedNormalizer.stateManagerFactory === factory ? "✓" : "✗");
+  console.log("Parser state visible in shared factory:", factory.getManager("Rfid").getCurrentState("2437871205", 1) ? "✓" : "✗");
+
+  console.log("\nTesting snapshot and restore...");
+  const store = new FileStateStore({ file: path.join(directory, "normalizer-state.json") });
+  const persistence = new StatePersistence({ factory, store, retentionDays: 30 });
+
+  await persistence.snapshot();
+  console.log("Snapshot written:", fs.existsSync(store.file) ? "✓" : "✗");
+
+  // Simulate a restart
+  factory.clearAllState();
+  const restored = await persistence.restore();
+  console.log("Snapshot restored:", restored ? "✓" : "✗");
+
+  const moduleStates = factory.getManager("Rfid").deviceStates.get("2437871205");
+  console.log("Maps survive round-trip:",
+    moduleStates instanceof Map && moduleStates.get(1) && moduleStates.get(1).rfidMap instanceof Map ? "✓" : "✗");
+
+  const afterRestart = v5008Parser.parse(topic, twoTags, {});
+  const attached = attachedTags(afterRestart);
+  console.log("Only the new tag is attached:", attached.length === 1 && attached[0] === "DD344A44" ? "✓" : "✗", attached);
+
+  console.log("\nTesting without a snapshot...");
+  const emptyStore = new FileStateStore({ file: path.join(directory, "missing.json") });
+  const emptyPersistence = new StatePersistence({ factory, store: emptyStore });
+  console.log("Nothing to restore:", (await emptyPersistence.restore()) === false ? "✓" : "✗");
+
+  console.log("\nTesting retention...");
+  await persistence.snapshot();
+  const entries = JSON.parse(fs.readFileSync(store.file, "utf8"));
+  const rfid = JSON.parse(entries.Rfid);
+  // Age every module state (current and previous) by 40 days
+  const aged = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+  rfid.deviceStates.__map.forEach(([, moduleStates]) => {
+    moduleStates.__map.forEach(([, state]) => { state.lastUpdated = aged; });
+  });
+  rfid.stateHistory.__map.forEach(([, state]) => { state.lastUpdated = aged; });
+  entries.Rfid = JSON.stringify(rfid);
+  fs.writeFileSync(store.file, JSON.stringify(entries));
+
+  factory.clearAllState();
+  await persistence.restore();
+  console.log("Stale state dropped:", factory.getManager("Rfid").getCurrentState("2437871205", 1) ? "✗" : "✓");
+
+  const afterPrune = v5008Parser.parse(topic, oneTag, {});
+  console.log("Tag reported again after retention:", attachedTags(afterPrune).includes("DD354B74") ? "✓" : "✗");
+
+  console.log("\nTesting disabled persistence...");
+  const normalizer = registry.unifiedNormalizer;
+  normalizer.updateConfig({ enableStatePersistence: false });
+  const started = await normalizer.initializeStatePersistence(store);
+  console.log("Not started when disabled:", !started && !normalizer.statePersistence ? "✓" : "✗");
+  normalizer.updateConfig({ enableStatePersistence: true });
+
+  factory.clearAllState();
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StorageBackend = require('../modules/database/backends/StorageBackend');
+const SQLiteBackend = require('../modules/database/backends/SQLiteBackend');
+const NdjsonBackend = require('../modules/database/backends/NdjsonBackend');
+const DatabaseManager = require('../modules/database/DatabaseManager');
+
+const message = (deviceId, ts, msgType = "TempHum", modNum = 1) => ({
+  deviceId,
+  deviceType: "V5008",
+  modNum,
+  modId: "3963041727",
+  sensorType: msgType,
+  msgType,
+  ts,
+  payload: [{ add: 10, temp: 24.5, hum: 51 }],
+  meta: { rawTopic: `V5008Upload/${deviceId}/${msgType}` }
+});
+
+// Same checks for every backend
+async function checkBackend(backend) {
+  await backend.initialize();
+  console.log(`${backend.name} enabled:`, backend.isEnabled ? "✓" : "✗");
+
+  await backend.saveBatch([
+    message("2437871205", "2025-02-28T23:59:00.000Z"),
+    message("2437871205", "2025-03-01T00:01:00.000Z", "Door"),
+    message("2437871205", "2025-03-01T10:00:00.000Z", "TempHum", 2),
+    message("9999999999", "2025-03-01T09:00:00.000Z")
+  ]);
+  await backend.saveHistory(message("2437871205", "2025-03-01T11:00:00.000Z"));
+
+  const history = await backend.getHistory("2437871205", 3);
+  console.log(`${backend.name} history newest first:`,
+    history.length === 3 && history[0].timestamp === "2025-03-01T11:00:00.000Z" && history[2].timestamp === "2025-03-01T00:01:00.000Z" ? "✓" : "✗",
+    history.map(row => row.timestamp));
+  console.log(`${backend.name} rows as in sensor_data:`,
+    history[0].device_type === "V5008" && history[0].msg_Type === "TempHum" && history[0].mod_number === 1 &&
+    history[0].payload[0].temp === 24.5 && history[0].meta.rawTopic ? "✓" : "✗", history[0]);
+
+  const range = await backend.getRange({ deviceId: "2437871205", from: "2025-02-28T23:00:00Z", to: "2025-03-01T11:00:00Z" });
+  console.log(`${backend.name} range oldest first, end excluded:`,
+    range.map(row => row.timestamp).join() === "2025-02-28T23:59:00.000Z,2025-03-01T00:01:00.000Z,2025-03-01T10:00:00.000Z" ? "✓" : "✗",
+    range.map(row => row.timestamp));
+
+  const filtered = await backend.getRange({ deviceId: "2437871205", msgType: "TempHum", modNum: 2, to: "2025-03-02T00:00:00Z" });
+  console.log(`${backend.name} range filters:`, filtered.length === 1 && filtered[0].mod_number === 2 ? "✓" : "✗");
+
+  const limited = await backend.getRange({ from: "2025-02-28T00:00:00Z", to: "2025-03-02T00:00:00Z", limit: 2 });
+  console.log(`${backend.name} range limit:`, limited.length === 2 && limited[1].timestamp === "2025-03-01T00:01:00.000Z" ? "✓" : "✗");
+
+  await backend.shutdown();
+}
+
+async function run() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+
+  try {
+    console.log("Testing interface...");
+    try {
+      await new StorageBackend().saveBatch([]);
+      console.log("Unimplemented method reported: ✗");
+    } catch (error) {
+      console.log("Unimplemented method reported:", error.message === "StorageBackend does not implement saveBatch" ? "✓" : "✗");
+    }
+    try {
+      StorageBackend.parseRange({ from: "2025-03-02", to: "2025-03-01" });
+      console.log("Invalid range rejected: ✗");
+    } catch (error) {
+      console.log("Invalid range rejected:", error.code === "INVALID_QUERY" ? "✓" : "✗");
+    }
+    console.log("Range defaults:", StorageBackend.parseRange({}).limit === 1000 && StorageBackend.parseRange({}).from === null ? "✓" : "✗");
+
+    console.log("\nTesting NDJSON backend...");
+    const ndjson = new NdjsonBackend({ directory: path.join(directory, "ndjson") });
+    await checkBackend(ndjson);
+    const files = fs.readdirSync(path.join(directory, "ndjson")).sort();
+    console.log("One file per UTC day:", files.join() === "2025-02-28.ndjson,2025-03-01.ndjson" ? "✓" : "✗", files);
+
+    fs.appendFileSync(path.join(directory, "ndjson", "2025-03-01.ndjson"), '{"device_id":"2437871205","timest');
+    const afterCrash = await ndjson.getHistory("2437871205", 10);
+    console.log("Cut-off line skipped:", afterCrash.length === 4 ? "✓" : "✗");
+
+    console.log("\nTesting SQLite backend...");
+    let sqliteInstalled = true;
+    try {
+      require.resolve("better-sqlite3");
+    } catch (error) {
+      sqliteInstalled = false;
+    }
+    if (sqliteInstalled) {
+      await checkBackend(new SQLiteBackend({ file: path.join(directory, "sqlite", "test.db") }));
+    } else {
+      console.log("better-sqlite3 not installed, skipped");
+    }
+
+    console.log("\nTesting backend selection...");
+    const database = new DatabaseManager({ backend: "ndjson", ndjson: { directory: path.join(directory, "selected") } });
+    await database.initialize();
+    const store = database.getStorageBackend();
+    console.log("Configured backend used:", store instanceof NdjsonBackend ? "✓" : "✗");
+    console.log("MySQL features disabled:", database.isEnabled === false && database.pool === null ? "✓" : "✗");
+    await database.shutdown();
+
+    const unknown = new DatabaseManager({ backend: "postgres" });
+    await unknown.initialize();
+    console.log("Unknown backend leaves no storage:", unknown.getStorageBackend() === null ? "✓" : "✗");
+
+    const disabled = new DatabaseManager({ enabled: false, backend: "ndjson" });
+    await disabled.initialize();
+    console.log("Disabled database has no storage:", disabled.getStorageBackend() === null ? "✓" : "✗");
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+const TamperIncidentManager = require('../modules/monitoring/TamperIncidentManager');
+const eventBus = require('../modules/core/eventBus');
+
+// Emit an RFID message the way the unified normalizer reports changes
+function rfid(deviceId, modNum, changes) {
+  eventBus.emit("message.processed", {
+    deviceId,
+    deviceType: "V5008",
+    msgType: "Rfid",
+    modNum,
+    ts: new Date().toISOString(),
+    payload: { rfidData: changes.map(c => ({ num: c.position, alarm: c.alarm, rfid: c.rfid, action: c.action })) },
+    meta: { hasChanges: true, changes }
+  });
+}
+
+// Records commands instead of publishing them
+class FakeCommandManager {
+  constructor() {
+    this.commands = new Map();
+    this.fail = false;
+  }
+
+  async sendCommand(deviceId, deviceType, request) {
+    if (this.fail) {
+      throw new Error("MQTT client not available");
+    }
+    const command = { commandId: `cmd_${this.commands.size + 1}`, deviceId, deviceType, command: request.command, request };
+    this.commands.set(command.commandId, command);
+    return command;
+  }
+
+  getCommand(commandId) {
+    return this.commands.get(commandId) || null;
+  }
+}
+
+function tracked(command, status, reason) {
+  return { commandId: command.commandId, deviceId: command.deviceId, command: command.command, status, reason };
+}
+
+async function run() {
+  const commandManager = new FakeCommandManager();
+  const manager = new TamperIncidentManager({ commandManager });
+  await manager.initialize();
+
+  const events = [];
+  ["opened", "acknowledged", "clearRequested", "clearFailed", "closed"].forEach(action => {
+    eventBus.on(`tamper.incident.${action}`, incident => events.push({ action, id: incident.id }));
+  });
+
+  console.log("Testing alarm flags...");
+  console.log("Alarm values:", [1, "1", "0x01"].every(TamperIncidentManager.isAlarm) && ![0, "0", "0x00", undefined].some(TamperIncidentManager.isAlarm) ? "✓" : "✗");
+
+  rfid("2437871205", 1, [{ position: 3, rfid: "DD344A44", action: "attached", alarm: 0 }]);
+  console.log("No incident without alarm:", manager.listIncidents().length === 0 ? "✓" : "✗");
+
+  rfid("2437871205", 1, [{ position: 3, rfid: "DD344A44", action: "alarm_changed", alarm: 1 }]);
+  const [incident] = manager.listIncidents();
+  console.log("Incident opened on rising flag:",
+    incident && incident.status === "open" && incident.position === 3 && incident.rfid === "DD344A44" ? "✓" : "✗");
+  rfid("2437871205", 1, [{ position: 3, rfid: "DD344A44", action: "changed", alarm: 1 }]);
+  console.log("One incident per position:", manager.listIncidents().length === 1 ? "✓" : "✗");
+
+  console.log("\nTesting acknowledgement...");
+  try {
+    await manager.clear(incident.id);
+    console.log("Rejects clear before acknowledgement: ✗");
+  } catch (error) {
+    console.log("Rejects clear before acknowledgement:", error.code === "INVALID_STATE" ? "✓" : "✗", error.message);
+  }
+
+  await manager.acknowledge(incident.id, { operator: "jdoe", note: "On site" });
+  const command = commandManager.getCommand(incident.clearCommandId);
+  console.log("Acknowledged and clear command sent:",
+    incident.status === "clearing" && incident.acknowledgedBy === "jdoe" && command &&
+    command.request.command === "clearTamperAlarm" && command.request.modNum === 1 &&
+    command.request.positions[0] === 3 ? "✓" : "✗");
+  console.log("Unknown incident:", (await manager.acknowledge("nope")) === null ? "✓" : "✗");
+
+  console.log("\nTesting clearing...");
+  eventBus.emit("command.failed", tracked(command, "failed", "Device rejected command"));
+  console.log("Failed clear returns to acknowledged:", incident.status === "acknowledged" ? "✓" : "✗");
+
+  await manager.clear(incident.id, { operator: "asmith" });
+  const retry = commandManager.getCommand(incident.clearCommandId);
+  console.log("Clear resent:", incident.status === "clearing" && retry.commandId !== command.commandId ? "✓" : "✗");
+
+  eventBus.emit("command.succeeded", tracked(retry, "succeeded", "Device confirmed command"));
+  console.log("Closed on device confirmation:", incident.status === "closed" && incident.closedAt ? "✓" : "✗");
+
+  const trail = incident.history.map(step => step.action).join(",");
+  console.log("Audit trail:",
+    trail === "opened,acknowledged,clearRequested,clearFailed,clearRequested,closed" ? "✓" : "✗", trail);
+  console.log("Actors recorded:", incident.history[1].actor === "jdoe" && incident.history[4].actor === "asmith" ? "✓" : "✗");
+  console.log("Events emitted:", events.filter(e => e.id === incident.id).length === 6 ? "✓" : "✗");
+
+  console.log("\nTesting other ways to close...");
+  rfid("2437871205", 2, [{ position: 7, rfid: "DD23B0B4", action: "attached", alarm: 1 }]);
+  rfid("2437871205", 2, [{ position: 7, rfid: "DD23B0B4", action: "alarm_changed", alarm: 0 }]);
+  const flagDown = manager.listIncidents({ deviceId: "2437871205" })[0];
+  console.log("Closed when device reports flag down:", flagDown.status === "closed" && flagDown.closeReason === "Alarm flag cleared by device" ? "✓" : "✗");
+
+  rfid("2437871205", 4, [{ position: 1, rfid: "AA000001", action: "attached", alarm: 1 }]);
+  const manual = await commandManager.sendCommand("2437871205", "V5008", { command: "clearTamperAlarm", modNum: 4, positions: [1] });
+  eventBus.emit("command.succeeded", tracked(manual, "succeeded", "Device confirmed command"));
+  console.log("Closed by clear sent through the command API:", manager.listIncidents({ open: true }).length === 0 ? "✓" : "✗");
+
+  rfid("2437871205", 5, [{ position: 2, rfid: "AA000002", action: "attached", alarm: 1 }]);
+  const unsent = manager.listIncidents({ open: true })[0];
+  commandManager.fail = true;
+  await manager.acknowledge(unsent.id, { operator: "jdoe" });
+  console.log("Publish failure keeps incident acknowledged:",
+    unsent.status === "acknowledged" && unsent.history[unsent.history.length - 1].action === "clearFailed" ? "✓" : "✗");
+
+  const stats = manager.getStats();
+  console.log("Stats:", stats.opened === 4 && stats.closed === 3 && stats.clearFailures === 2 ? "✓" : "✗", stats);
+
+  await manager.shutdown();
+
+  console.log("\nTesting persistence after a reconnect...");
+  const queries = [];
+  const database = {
+    isEnabled: false,
+    toMySQLDateTime: value => new Date(value).toISOString().slice(0, 19).replace("T", " "),
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (sql.includes("SHOW TABLES")) {
+        return [{ table: "x" }];
+      }
+      if (sql.includes("FROM tamper_incidents")) {
+        return [{
+          id: "tamper_stored", device_id: "2437871205", device_type: "V5008", mod_num: 2, position: 1,
+          rfid: "DD344A44", alarm: "1", status: "open", acknowledged_by: null, clear_command_id: null,
+          opened_at: "2025-01-01T00:00:00.000Z", acknowledged_at: null
+        }];
+      }
+      return [];
+    }
+  };
+  const persisted = new TamperIncidentManager({ persist: true, database });
+  await persisted.initialize();
+  console.log("Memory only while the database is down:", persisted.getStats().persisted === false ? "✓" : "✗");
+  rfid("2437871205", 4, [{ position: 5, rfid: "DD395064", action: "alarm_changed", alarm: 1 }]);
+  const offline = persisted.listIncidents()[0];
+  console.log("Not written while down:", offline && queries.length === 0 ? "✓" : "✗", queries.length);
+
+  database.isEnabled = true;
+  eventBus.emit("database.connected", database);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  console.log("Persisted after reconnect:", persisted.getStats().persisted === true ? "✓" : "✗");
+  console.log("Stored incidents loaded:", persisted.getIncident("tamper_stored") && persisted.getIncident(offline.id) ? "✓" : "✗");
+  const written = queries.filter(q => /INSERT INTO tamper_incident(s|_events)/.test(q.sql) && q.params[0] === offline.id);
+  console.log("Offline incident written with its audit trail:", written.length === 2 ? "✓" : "✗", written.length);
+  await persisted.shutdown();
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
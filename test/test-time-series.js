@@ -0,0 +1,131 @@
+const DatabaseManager = require('../modules/database/DatabaseManager');
+
+// Stands in for the mysql2 pool and records every query
+function fakePool(results = {}) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      const match = Object.keys(results).find(key => sql.includes(key));
+      return [match ? results[match](params) : []];
+    },
+    async end() {}
+  };
+}
+
+const messages = [
+  {
+    deviceId: "2437871205", deviceType: "V5008", modNum: 1, msgType: "TempHum", ts: "2025-01-01T10:00:00.000Z",
+    payload: [{ add: 10, temp: 24.5, hum: 40 }, { add: 11, temp: 0, hum: 0 }]
+  },
+  {
+    deviceId: "2123456789", deviceType: "V6800", modNum: 2, msgType: "TempHum", ts: "2025-01-01T10:00:30.000Z",
+    payload: [{ add: 10, temp: "25.10", hum: "38.00" }]
+  },
+  {
+    deviceId: "2437871205", deviceType: "V5008", modNum: 1, msgType: "Noise", ts: "2025-01-01T10:01:00.000Z",
+    payload: [{ add: 16, noise: 61 }, { add: 17, noise: 0 }]
+  },
+  {
+    deviceId: "2437871205", deviceType: "V5008", modNum: 1, msgType: "Door", ts: "2025-01-01T10:02:00.000Z",
+    payload: { status: "0x01" }
+  },
+  { deviceId: "2437871205", deviceType: "V5008", modNum: null, msgType: "Heartbeat", payload: [{ modNum: 1 }] }
+];
+
+async function run() {
+  const database = new DatabaseManager({});
+
+  console.log("Testing row extraction...");
+  const rows = database.extractTimeSeries(messages);
+  console.log("Temperature rows:", rows.temperature.length === 2 &&
+    rows.temperature[0].join() === "2437871205,1,10,24.5,2025-01-01 10:00:00" ? "✓" : "✗", rows.temperature);
+  console.log("String readings parsed:", rows.humidity[1][3] === 38 ? "✓" : "✗");
+  console.log("Empty sensor slots skipped:", rows.humidity.length === 2 && rows.noise.length === 1 ? "✓" : "✗");
+  console.log("Door event:", rows.door.length === 1 && rows.door[0].join() === "2437871205,1,0x01,1,2025-01-01 10:02:00" ? "✓" : "✗", rows.door);
+
+  console.log("\nTesting writes...");
+  database.pool = fakePool({
+    "SHOW TABLES": params => (params[0] === "door_events" ? [] : [{ table: params[0] }])
+  });
+  await database.checkTimeSeriesTables();
+  console.log("Disabled while a table is missing:", database.timeSeriesEnabled === false ? "✓" : "✗");
+
+  database.pool = fakePool({ "SHOW TABLES": params => [{ table: params[0] }] });
+  await database.checkTimeSeriesTables();
+  console.log("Enabled with all tables:", database.timeSeriesEnabled === true ? "✓" : "✗");
+
+  database.pool = fakePool();
+  await database.saveBatch(messages);
+  const tables = database.pool.queries.map(q => (q.sql.match(/INSERT INTO (\w+)/) || [])[1]);
+  console.log("Written with the batch:",
+    tables.join() === "sensor_data,temperature_readings,humidity_readings,noise_readings,door_events" ? "✓" : "✗", tables);
+  console.log("Multi-row insert:", database.pool.queries[1].params.length === 10 ? "✓" : "✗");
+
+  database.pool = {
+    async query(sql) {
+      if (sql.includes("noise_readings")) {
+        throw new Error("Table is full");
+      }
+      return [[]];
+    }
+  };
+  try {
+    await database.saveBatch(messages);
+    console.log("Time-series failure does not fail the batch: ✓");
+  } catch (error) {
+    console.log("Time-series failure does not fail the batch: ✗", error.message);
+  }
+
+  console.log("\nTesting aggregates...");
+  database.pool = fakePool({
+    "FROM temperature_readings": () => [
+      { mod_num: 1, position: 10, bucket_start: 1735725600, min: "24.10", max: "25.30", avg: "24.6166", count: 60 },
+      { mod_num: 1, position: 10, bucket_start: 1735729200, min: "24.00", max: "24.90", avg: "24.5", count: 58 },
+      { mod_num: 1, position: 11, bucket_start: 1735725600, min: "22.00", max: "22.00", avg: "22", count: 1 }
+    ],
+    "FROM door_events": () => [{ mod_num: 1, bucket_start: 1735689600, events: 4, opens: "2" }]
+  });
+
+  const temperature = await database.getAggregates("temperature", {
+    deviceId: "2437871205", modNum: 1, from: "2025-01-01T00:00:00Z", to: "2025-01-08T00:00:00Z", bucket: "1h"
+  });
+  const query = database.pool.queries[0];
+  console.log("Grouped per hour:", query.sql.includes("/ 3600) * 3600") && query.sql.includes("mod_num = ?") ? "✓" : "✗");
+  console.log("Range parameters:", query.params.join() === "2437871205,2025-01-01 00:00:00,2025-01-08 00:00:00,1" ? "✓" : "✗", query.params);
+  console.log("One series per position:", temperature.series.length === 2 && temperature.series[0].points.length === 2 ? "✓" : "✗");
+  const point = temperature.series[0].points[0];
+  console.log("Point values:", point.time === "2025-01-01T10:00:00.000Z" && point.min === 24.1 && point.max === 25.3 &&
+    point.avg === 24.62 && point.count === 60 ? "✓" : "✗", point);
+
+  await database.getAggregates("humidity", { deviceId: "2437871205", modNum: 1, position: 10, bucket: "1m" });
+  console.log("Position filter:", database.pool.queries[1].sql.includes("position = ?") ? "✓" : "✗");
+
+  const door = await database.getAggregates("door", { deviceId: "2437871205", bucket: "1d", to: "2025-01-02T00:00:00Z" });
+  console.log("Door opens per day:", door.series.length === 1 && door.series[0].points[0].opens === 2 &&
+    door.series[0].points[0].events === 4 && door.from === "2025-01-01T00:00:00.000Z" ? "✓" : "✗", door.series);
+
+  for (const [name, metric, options] of [
+    ["Unknown metric", "pressure", {}],
+    ["Unknown bucket", "temperature", { bucket: "5m" }],
+    ["Empty range", "temperature", { from: "2025-01-02", to: "2025-01-01" }],
+    ["Too many buckets", "temperature", { from: "2024-01-01", to: "2025-01-01", bucket: "1m" }]
+  ]) {
+    try {
+      await database.getAggregates(metric, { deviceId: "2437871205", ...options });
+      console.log(`${name}: ✗`);
+    } catch (error) {
+      console.log(`${name}:`, error.code === "INVALID_QUERY" ? "✓" : "✗", error.message);
+    }
+  }
+
+  database.isEnabled = false;
+  const disabled = await database.getAggregates("noise", { deviceId: "2437871205" });
+  console.log("Empty series without database:", disabled.series.length === 0 ? "✓" : "✗");
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+const TopicRouter = require('../modules/normalizers/utils/TopicRouter');
+const normalizerRegistry = require('../modules/normalizers/NormalizerRegistry');
+
+console.log("Testing topic patterns...");
+
+const router = new TopicRouter([
+  { pattern: "{tenant}/V5008Upload/{gatewayId}/{sensorType}", parser: "v5008" },
+  { pattern: "sites/+/V6800Upload/{gatewayId}/#", parser: "V6800" }
+]);
+
+const tenantMatch = router.match("site1/V5008Upload/2437871205/LabelState");
+console.log("Named captures:",
+  JSON.stringify(tenantMatch) === JSON.stringify({
+    parser: "V5008",
+    pattern: "{tenant}/V5008Upload/{gatewayId}/{sensorType}",
+    captures: { tenant: "site1", gatewayId: "2437871205", sensorType: "LabelState" }
+  }) ? "✓" : "✗", JSON.stringify(tenantMatch));
+
+const wildcardMatch = router.match("sites/eu/V6800Upload/2123456789/Door/extra");
+console.log("Wildcards:",
+  wildcardMatch && wildcardMatch.parser === "V6800" &&
+  JSON.stringify(wildcardMatch.captures) === JSON.stringify({ gatewayId: "2123456789" }) ? "✓" : "✗");
+
+console.log("Too few segments:", router.match("site1/V5008Upload/2437871205") === null ? "✓" : "✗");
+console.log("Too many segments:", router.match("site1/V5008Upload/2437871205/TemHum/x") === null ? "✓" : "✗");
+console.log("Literal mismatch:", router.match("site1/V6800Upload/2437871205/TemHum") === null ? "✓" : "✗");
+
+try {
+  new TopicRouter([{ pattern: "a/#/b", parser: "V5008" }]);
+  console.log("Rejects misplaced #: ✗");
+} catch (error) {
+  console.log("Rejects misplaced #: ✓", error.message);
+}
+
+console.log("\nTesting registry routing...");
+
+normalizerRegistry.setRoutes([
+  { pattern: "{tenant}/V5008Upload/{gatewayId}/{sensorType}", parser: "V5008" },
+  { pattern: "{tenant}/{site}/V6800Upload/{gatewayId}/{sensorType}", parser: "V6800" }
+]);
+
+// TemHum frame for module 2 of gateway 2437871205
+const temHum = Buffer.from("028C0909950A1B2938350B1B2337530C1B0336270D000000000E000000000F0000000035019E28", "hex");
+const prefixed = normalizerRegistry.normalize("site1/V5008Upload/2437871205/TemHum", temHum);
+console.log("Prefixed topic parsed:",
+  prefixed && prefixed.deviceType === "V5008" && prefixed.deviceId === "2437871205" && prefixed.modNum === 2 ? "✓" : "✗",
+  prefixed && prefixed.deviceId);
+console.log("Tenant in meta:", prefixed && prefixed.meta.tenant === "site1" ? "✓" : "✗", prefixed && prefixed.meta.tenant);
+console.log("Gateway in meta:", prefixed && prefixed.meta.gatewayId === "2437871205" ? "✓" : "✗");
+console.log("Sensor type in meta:", prefixed && prefixed.meta.sensorType === "TemHum" ? "✓" : "✗");
+console.log("Raw topic kept:",
+  prefixed && prefixed.meta.rawTopic === "site1/V5008Upload/2437871205/TemHum" ? "✓" : "✗", prefixed && prefixed.meta.rawTopic);
+
+const v6800Route = normalizerRegistry.routeTopic("acme/dc1/V6800Upload/2123456789/Door");
+console.log("Extra captures:",
+  v6800Route.deviceType === "V6800" && v6800Route.captures.site === "dc1" &&
+  v6800Route.topic === "V6800Upload/2123456789/Door" ? "✓" : "✗", JSON.stringify(v6800Route));
+
+const unprefixed = normalizerRegistry.normalize("V5008Upload/2437871205/TemHum", temHum);
+console.log("Parser prefix still routed:",
+  unprefixed && unprefixed.deviceType === "V5008" && unprefixed.deviceId === "2437871205" ? "✓" : "✗");
+console.log("Parser prefix adds no captures:",
+  unprefixed && unprefixed.meta.gatewayId === undefined && unprefixed.meta.sensorType === undefined ? "✓" : "✗");
+
+try {
+  normalizerRegistry.setRoutes([{ pattern: "{tenant}/V5008Upload/+/{sensorType}", parser: "V5008" }]);
+  console.log("Rejects route without gatewayId: ✗");
+} catch (error) {
+  console.log("Rejects route without gatewayId:",
+    normalizerRegistry.routeTopic("site1/V5008Upload/2437871205/TemHum").captures.tenant === "site1" ? "✓" : "✗", error.message);
+}
+
+normalizerRegistry.setRoutes([{ pattern: "{tenant}/+/V6800Upload/{gatewayId}/#", parser: "V6800" }]);
+const partial = normalizerRegistry.routeTopic("acme/dc1/V6800Upload/2123456789/Door/extra");
+console.log("Only declared captures:",
+  JSON.stringify(partial.captures) === JSON.stringify({ tenant: "acme", gatewayId: "2123456789" }) &&
+  partial.topic === "V6800Upload/2123456789" ? "✓" : "✗", JSON.stringify(partial));
+
+const unknown = normalizerRegistry.routeTopic("ABCDEFUpload/1/Status");
+console.log("Unknown device type kept whole:", unknown.deviceType === "ABCDEF" ? "✓" : "✗", unknown.deviceType);
@@ -0,0 +1,86 @@
+const { encode } = require('../modules/commands/v5008CommandEncoder');
+const CommandManager = require('../modules/commands/CommandManager');
+const eventBus = require('../modules/core/eventBus');
+const { parse } = require('../modules/normalizers/v5008Parser');
+
+const deviceId = "2437871205";
+
+console.log("Testing V5008 command encoding...");
+
+const cases = [
+  { request: { command: "queryRfid", modNum: 2 }, expected: "E90102" },
+  { request: { command: "queryRfid", modNum: "2" }, expected: "E90102" },
+  { request: { command: "queryTempHum", modNum: 1 }, expected: "E90201" },
+  { request: { command: "queryDoor", modNum: 1 }, expected: "E90301" },
+  { request: { command: "queryNoise", modNum: 3 }, expected: "E90403" },
+  { request: { command: "queryDeviceInfo" }, expected: "EF0100" },
+  { request: { command: "queryModuleInfo" }, expected: "EF0200" },
+  { request: { command: "queryColor", modNum: 1 }, expected: "E401" },
+  { request: { command: "setColor", modNum: 1, positions: [3, 5], color: "red" }, expected: "E10103010501" },
+  { request: { command: "setColor", modNum: 1, colors: [{ num: 5, color: "purple" }, { num: 6, color: 1 }] }, expected: "E10105020601" },
+  { request: { command: "clearTamperAlarm", modNum: 1, positions: [2] }, expected: "E20102" }
+];
+
+cases.forEach(({ request, expected }) => {
+  const encoded = encode(deviceId, request);
+  const hex = encoded.payload.toString("hex").toUpperCase();
+  console.log(`${request.command}:`, hex === expected ? "✓" : "✗", hex);
+});
+
+const topic = encode(deviceId, { command: "queryRfid", modNum: 2 }).topic;
+console.log("Topic:", topic === "V5008Download/2437871205" ? "✓" : "✗", topic);
+
+console.log("\nInvalid requests:");
+const invalid = [
+  { command: "reboot" },
+  { command: "queryRfid", modNum: 9 },
+  { command: "queryRfid", modNum: true },
+  { command: "queryRfid", modNum: "" },
+  { command: "queryRfid", modNum: " 2 " },
+  { command: "queryRfid", modNum: "0x2" },
+  { command: "setColor", modNum: 1, positions: ["3", false], color: "red" },
+  { command: "setColor", modNum: 1, positions: [3], color: "pink" },
+  { command: "clearTamperAlarm", modNum: 1, positions: [] }
+];
+
+invalid.forEach(request => {
+  try {
+    encode(deviceId, request);
+    console.log(`${JSON.stringify(request)}: ✗ accepted`);
+  } catch (error) {
+    console.log(`${JSON.stringify(request)}:`, error.code === "INVALID_COMMAND" ? "✓" : "✗", error.message);
+  }
+});
+
+async function testResponseCorrelation() {
+  console.log("\nTesting command response correlation...");
+
+  const published = [];
+  const commandManager = new CommandManager({
+    mqtt: { publish: async (topic, payload) => published.push({ topic, payload }) }
+  });
+  await commandManager.initialize();
+
+  const command = await commandManager.sendCommand(deviceId, "V5008", {
+    command: "setColor",
+    modNum: 1,
+    colors: [{ num: 5, color: "purple" }, { num: 6, color: "red" }]
+  });
+
+  console.log("Published:", published.length === 1 ? "✓" : "✗", published.length);
+  console.log("Status after publish:", command.status === "sent" ? "✓" : "✗", command.status);
+
+  // Color set response for the command above
+  const response = parse("V5008Upload/2437871205/OpeAck", Buffer.from("AA914EF665A1E1010502060108007F4F", "hex"));
+  eventBus.emit("message.processed", response);
+
+  console.log("Status after response:", command.status === "responded" ? "✓" : "✗", command.status);
+  console.log("Response result:", command.response && command.response.result === "success" ? "✓" : "✗", command.response && command.response.result);
+  console.log("Message tagged with commandId:", response.meta.commandId === command.commandId ? "✓" : "✗", response.meta.commandId);
+
+  await commandManager.shutdown();
+}
+
+testResponseCorrelation().catch(error => {
+  console.error("Error during correlation test:", error.message);
+});
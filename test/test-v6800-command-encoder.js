@@ -0,0 +1,159 @@
+const { encode } = require('../modules/commands/v6800CommandEncoder');
+const CommandManager = require('../modules/commands/CommandManager');
+const eventBus = require('../modules/core/eventBus');
+const { parse } = require('../modules/normalizers/v6800Parser');
+
+const deviceId = "2123456789";
+
+console.log("Testing V6800 command encoding...");
+
+const cases = [
+  {
+    request: { command: "queryDeviceInfo" },
+    expected: { msg_type: "get_devies_init_req", code: 200 }
+  },
+  {
+    request: { command: "queryRfid", modNum: 4, modId: "2349402517" },
+    expected: {
+      msg_type: "u_state_req",
+      gateway_sn: deviceId,
+      data: [{ extend_module_sn: "2349402517", host_gateway_port_index: 4, u_index_list: null }]
+    }
+  },
+  {
+    request: { command: "queryTempHum", modNums: [2, 4] },
+    expected: { msg_type: "temper_humidity_req", gateway_sn: deviceId, extend_module_sn: null, data: [2, 4] }
+  },
+  {
+    request: { command: "queryDoor", modNum: 1 },
+    expected: { msg_type: "door_state_req", gateway_sn: deviceId, extend_module_sn: "", host_gateway_port_index: 1 }
+  },
+  {
+    request: { command: "queryColor", modNum: 2 },
+    expected: { msg_type: "get_u_color", code: 200, data: [2] }
+  },
+  {
+    request: { command: "setColor", modNum: 2, modId: "3963041727", positions: [10, 11], color: "red_f" },
+    expected: {
+      msg_type: "set_module_property_req",
+      set_property_type: 8001,
+      gateway_sn: deviceId,
+      data: [{
+        extend_module_sn: "3963041727",
+        host_gateway_port_index: 2,
+        module_type: "reserved",
+        u_color_data: [{ u_index: 10, color_code: 8 }, { u_index: 11, color_code: 8 }]
+      }]
+    }
+  },
+  {
+    request: { command: "clearTamperAlarm", modules: [{ modNum: 2, positions: [3, 4] }, { modNum: 4, positions: [1] }] },
+    expected: { msg_type: "clear_u_warning", code: 200, data: [{ index: 2, warning_data: [3, 4] }, { index: 4, warning_data: [1] }] }
+  }
+];
+
+cases.forEach(({ request, expected }) => {
+  const encoded = encode(deviceId, request);
+  const { uuid_number, ...body } = encoded.payload;
+  const matches = JSON.stringify(body) === JSON.stringify(expected);
+  console.log(`${request.command}:`, matches ? "✓" : "✗", encoded.rawPayload);
+  console.log(`${request.command} uuid_number:`,
+    Number.isInteger(uuid_number) && encoded.expectedResponse.msgId === uuid_number ? "✓" : "✗", uuid_number);
+});
+
+const topic = encode(deviceId, { command: "queryDoor", modNum: 1 }).topic;
+console.log("Topic:", topic === "V6800Download/2123456789" ? "✓" : "✗", topic);
+
+console.log("\nInvalid requests:");
+const invalid = [
+  { command: "reboot" },
+  { command: "queryDoor", modNum: 25 },
+  { command: "queryTempHum", modNums: [1, 0] },
+  { command: "setColor", modNum: 2, positions: [3], color: "pink" },
+  { command: "clearTamperAlarm", modules: [] }
+];
+
+invalid.forEach(request => {
+  try {
+    encode(deviceId, request);
+    console.log(`${JSON.stringify(request)}: ✗ accepted`);
+  } catch (error) {
+    console.log(`${JSON.stringify(request)}:`, error.code === "INVALID_COMMAND" ? "✓" : "✗", error.message);
+  }
+});
+
+async function testResponseCorrelation() {
+  console.log("\nTesting command response correlation by uuid_number...");
+
+  const published = [];
+  const commandManager = new CommandManager({
+    mqtt: { publish: async (topic, payload) => published.push({ topic, payload }) },
+    responseTimeout: 200
+  });
+  await commandManager.initialize();
+
+  const command = await commandManager.sendCommand(deviceId, "V6800", {
+    command: "setColor",
+    modules: [
+      { modNum: 2, modId: "3963041727", positions: [10], color: "red" },
+      { modNum: 4, modId: "2349402517", positions: [1], color: "blue" }
+    ]
+  });
+  const uuidNumber = published[0].payload.uuid_number;
+
+  console.log("Published:", published.length === 1 ? "✓" : "✗", published.length);
+  console.log("Status after publish:", command.status === "sent" ? "✓" : "✗", command.status);
+
+  const responseFor = uuid => parse("V6800Upload/2123456789/OpeAck", {
+    msg_type: "set_module_property_result_req",
+    gateway_sn: deviceId,
+    set_property_type: 8001,
+    uuid_number: uuid,
+    data: [
+      { host_gateway_port_index: 2, extend_module_sn: "3963041727", module_type: "mt_ul", set_property_result: 0 },
+      { host_gateway_port_index: 4, extend_module_sn: "2349402517", module_type: "mt_ul", set_property_result: 0 }
+    ]
+  });
+
+  const pending = commandManager.waitForResponse(command.commandId);
+
+  // A response to some other command must not be matched
+  const unrelated = responseFor(uuidNumber + 1);
+  eventBus.emit("message.processed", unrelated);
+  console.log("Ignores other uuid_number:", command.status === "sent" ? "✓" : "✗", command.status);
+
+  const response = responseFor(uuidNumber);
+  eventBus.emit("message.processed", response);
+
+  const answered = await pending;
+  console.log("Awaited response:", answered.commandId === command.commandId ? "✓" : "✗", answered.status);
+  console.log("Response msgId:", command.response && command.response.msgId === uuidNumber ? "✓" : "✗", command.response && command.response.msgId);
+  console.log("Message tagged with commandId:", response.meta.commandId === command.commandId ? "✓" : "✗", response.meta.commandId);
+
+  const unanswered = await commandManager.sendCommand(deviceId, "V6800", { command: "queryDoor", modNum: 1 });
+  try {
+    await commandManager.waitForResponse(unanswered.commandId, 50);
+    console.log("Wait times out: ✗ resolved");
+  } catch (error) {
+    console.log("Wait times out:", error.code === "COMMAND_TIMEOUT" ? "✓" : "✗", error.message);
+  }
+
+  console.log("\nTesting wait timeouts...");
+  console.log("Default timeout:", commandManager.resolveTimeout(undefined) === 200 ? "✓" : "✗");
+  console.log("Numeric string accepted:", commandManager.resolveTimeout("50") === 50 ? "✓" : "✗");
+  console.log("Capped to responseTimeout:", commandManager.resolveTimeout(3600000) === 200 ? "✓" : "✗");
+  ["abc", -1, 0, "", true, { ms: 5 }, Infinity].forEach(value => {
+    try {
+      commandManager.resolveTimeout(value);
+      console.log(`Rejects ${typeof value === "number" ? value : JSON.stringify(value)}: ✗`);
+    } catch (error) {
+      console.log(`Rejects ${typeof value === "number" ? value : JSON.stringify(value)}:`, error.code === "INVALID_COMMAND" ? "✓" : "✗");
+    }
+  });
+
+  await commandManager.shutdown();
+}
+
+testResponseCorrelation().catch(error => {
+  console.error("Error during correlation test:", error.message);
+});
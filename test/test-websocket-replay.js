@@ -0,0 +1,134 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const WebSocketServer = require('../modules/api/WebSocketServer');
+const BroadcastLog = require('../modules/api/BroadcastLog');
+
+// Client connection that records what the server sends
+function fakeClient() {
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.received = [];
+  ws.send = (data) => ws.received.push(JSON.parse(data));
+  ws.close = () => {};
+  ws.request = (message) => ws.emit("message", Buffer.from(JSON.stringify(message)));
+  ws.last = () => ws.received[ws.received.length - 1];
+  return ws;
+}
+
+// State managers holding module state per message type
+function fakeStateManagers(states) {
+  return {
+    getManager(msgType) {
+      const modules = states[msgType];
+      if (!modules) {
+        return null;
+      }
+      return {
+        getModules: () => modules.map(({ deviceId, modNum }) => ({ deviceId, modNum })),
+        getCurrentState: (deviceId, modNum) => {
+          const module = modules.find(m => m.deviceId === deviceId && m.modNum === modNum);
+          return module ? module.state : null;
+        }
+      };
+    }
+  };
+}
+
+const message = (deviceId, msgType, modNum = 1) => ({ deviceId, deviceType: "V5008", msgType, modNum, payload: [] });
+
+function createServer(options = {}) {
+  const server = new WebSocketServer({
+    stateManagers: fakeStateManagers({
+      Rfid: [
+        { deviceId: "2437871205", modNum: 1, state: { uCount: 6, rfidCount: 1, rfidData: [{ num: 3, rfid: "DD344A44", alarm: 0 }] } },
+        { deviceId: "9999999999", modNum: 1, state: { uCount: 6, rfidCount: 0, rfidData: [] } }
+      ],
+      Door: [{ deviceId: "2437871205", modNum: 2, state: { status: "0x01" } }],
+      Noise: [{ deviceId: "2437871205", modNum: 1, state: { noiseData: [] } }]
+    }),
+    ...options
+  });
+  server.wss = new EventEmitter();
+  server.setupEventHandlers();
+  return server;
+}
+
+function connect(server) {
+  const ws = fakeClient();
+  server.wss.emit("connection", ws);
+  return ws;
+}
+
+function run() {
+  console.log("Testing sequence numbers...");
+  const server = createServer({ broadcastLog: new BroadcastLog({ replayBufferSize: 3 }) });
+  const first = connect(server);
+  const session = first.received[0];
+  console.log("Session sent on connect:", session.type === "session" && session.epoch && session.seq === 0 ? "✓" : "✗", session);
+
+  server.log.recordMessage(message("2437871205", "TempHum"));
+  server.log.recordAlertRaised({ id: "alert_1", deviceId: "2437871205", modNum: 1, category: "temperature" });
+  server.log.recordMessage(message("2437871205", "Noise"));
+  const seqs = first.received.slice(1).map(m => m.seq);
+  console.log("Monotonic seq on every broadcast:", seqs.join() === "1,2,3" ? "✓" : "✗", seqs);
+  console.log("Message fields kept:", first.received[1].deviceId === "2437871205" && first.received[2].type === "alert.raised" ? "✓" : "✗");
+
+  console.log("\nTesting resume...");
+  const resumed = connect(server);
+  resumed.received = [];
+  resumed.request({ type: "resume", lastSeq: 1, epoch: session.epoch });
+  console.log("Missed broadcasts replayed in order:",
+    resumed.received.slice(0, -1).map(m => m.seq).join() === "2,3" && resumed.last().type === "resumed" && resumed.last().replayed === 2 && resumed.last().complete ? "✓" : "✗",
+    resumed.last());
+
+  server.log.recordMessage(message("2437871205", "Door", 2));
+  server.log.recordMessage(message("9999999999", "TempHum"));
+  console.log("Replay buffer bounded:", server.log.entries.length === 3 && server.log.entries[0].seq === 3 ? "✓" : "✗");
+
+  const late = connect(server);
+  late.received = [];
+  late.request({ type: "resume", lastSeq: 1 });
+  console.log("Gap reported when too old:", late.last().complete === false && late.last().replayed === 3 ? "✓" : "✗", late.last());
+
+  const restarted = connect(server);
+  restarted.received = [];
+  restarted.request({ type: "resume", lastSeq: 2, epoch: "ws_from_an_earlier_run" });
+  console.log("Other server run reported:", restarted.last().complete === false && restarted.last().replayed === 0 ? "✓" : "✗");
+
+  const filtered = connect(server);
+  filtered.request({ type: "subscribe", id: "door", filter: { msgType: "Door" } });
+  filtered.received = [];
+  filtered.request({ type: "resume", lastSeq: 2 });
+  console.log("Replay follows subscriptions:",
+    filtered.received.length === 2 && filtered.received[0].msgType === "Door" && filtered.received[0].seq === 4 ? "✓" : "✗",
+    filtered.received.map(m => m.seq));
+
+  filtered.request({ type: "resume", lastSeq: "abc" });
+  console.log("Invalid lastSeq rejected:", filtered.last().type === "error" ? "✓" : "✗");
+
+  console.log("\nTesting snapshot...");
+  const dashboard = connect(server);
+  dashboard.request({ type: "snapshot" });
+  let snapshot = dashboard.last();
+  console.log("Snapshot of default types:",
+    snapshot.type === "snapshot" && snapshot.seq === 5 && snapshot.states.length === 3 && !snapshot.states.some(s => s.msgType === "Noise") ? "✓" : "✗",
+    snapshot.states.map(s => `${s.msgType}:${s.deviceId}:${s.modNum}`));
+  console.log("Device type from seen messages:", snapshot.states.every(s => s.deviceType === "V5008") ? "✓" : "✗");
+
+  dashboard.request({ type: "subscribe", id: "rack", filter: { deviceId: "2437871205" } });
+  dashboard.request({ type: "snapshot" });
+  snapshot = dashboard.last();
+  console.log("Snapshot limited to subscribed devices:",
+    snapshot.states.length === 2 && snapshot.states.every(s => s.deviceId === "2437871205") && snapshot.states[0].state.rfidData[0].rfid === "DD344A44" ? "✓" : "✗");
+
+  dashboard.received = [];
+  dashboard.request({ type: "subscribe", id: "doors", filter: { msgType: "Door" }, snapshot: true });
+  const types = dashboard.received.map(m => m.type);
+  snapshot = dashboard.last();
+  console.log("Snapshot with subscribe for that subscription:",
+    types.join() === "subscribed,snapshot" && snapshot.states.length === 1 && snapshot.states[0].msgType === "Door" ? "✓" : "✗", types);
+
+  console.log("Stats report sequence:", server.getStats().seq === 5 && server.getStats().replayBuffered === 3 ? "✓" : "✗");
+}
+
+run();
@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const WebSocketServer = require('../modules/api/WebSocketServer');
+const CommandManager = require('../modules/commands/CommandManager');
+
+// Client connection that records what the server sends
+function fakeClient() {
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.received = [];
+  ws.send = (data) => ws.received.push(JSON.parse(data));
+  ws.close = () => {};
+  ws.request = (message) => ws.emit("message", Buffer.from(typeof message === "string" ? message : JSON.stringify(message)));
+  ws.last = () => ws.received[ws.received.length - 1];
+  ws.response = (id) => ws.received.find(m => m.jsonrpc === "2.0" && m.id === id);
+  return ws;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const stateManagers = {
+  getManager(msgType) {
+    if (msgType !== "Rfid") {
+      return null;
+    }
+    return {
+      getCurrentState: (deviceId, modNum) => deviceId === "2437871205" && modNum === 1 ? { uCount: 6, rfidCount: 1 } : null,
+      getModuleStats: (deviceId, modNum) => ({ uCount: 6, rfidCount: 1, totalChanges: 2, lastActivity: null })
+    };
+  }
+};
+
+const store = {
+  async getHistory(deviceId, limit) {
+    return [{ device_id: deviceId, msg_type: "TempHum" }].slice(0, limit);
+  },
+  async getRange(options) {
+    if (options.from === "yesterday") {
+      const error = new Error("Invalid 'from' timestamp");
+      error.code = "INVALID_QUERY";
+      throw error;
+    }
+    return [{ device_id: options.deviceId, msg_type: options.msgType, mod_num: options.modNum }];
+  }
+};
+
+// Command manager that answers commands to online devices
+function fakeCommandManager() {
+  const commands = new Map();
+  return {
+    sent: [],
+    responseTimeout: 30000,
+    resolveTimeout: CommandManager.prototype.resolveTimeout,
+    async sendCommand(deviceId, deviceType, request) {
+      if (request.command === "reboot") {
+        const error = new Error("Unknown command: reboot");
+        error.code = "INVALID_COMMAND";
+        throw error;
+      }
+      const command = { commandId: `cmd_${commands.size + 1}`, deviceId, deviceType, command: request.command, request, topic: `${deviceType}/${deviceId}/cmd`, rawPayload: "E4", status: "sent" };
+      commands.set(command.commandId, command);
+      this.sent.push(command);
+      return command;
+    },
+    async waitForResponse(commandId) {
+      const command = commands.get(commandId);
+      if (command.deviceId === "offline") {
+        const error = new Error("timed out");
+        error.code = "COMMAND_TIMEOUT";
+        throw error;
+      }
+      return { ...command, status: "answered", response: { result: "ok" } };
+    },
+    getCommand: (commandId) => commands.get(commandId) || null,
+    getDeviceCommands: (deviceId) => Array.from(commands.values()).filter(c => c.deviceId === deviceId)
+  };
+}
+
+async function run() {
+  const commandManager = fakeCommandManager();
+  const server = new WebSocketServer({
+    stateManagers,
+    database: { getStorageBackend: () => store },
+    commandManager,
+    commandTracker: { getStatus: (commandId) => commandManager.getCommand(commandId) ? { commandId, status: "sent" } : null }
+  });
+  server.wss = new EventEmitter();
+  server.setupEventHandlers();
+
+  const ws = fakeClient();
+  server.wss.emit("connection", ws);
+  const call = async (id, method, params) => {
+    ws.request({ jsonrpc: "2.0", id, method, params });
+    await tick();
+    return ws.response(id);
+  };
+
+  console.log("Testing state methods...");
+  let response = await call(1, "getCurrentState", { deviceId: "2437871205", msgType: "Rfid", modNum: 1 });
+  console.log("Current state with request id:", response && response.result.state.rfidCount === 1 ? "✓" : "✗", response);
+  response = await call("two", "getCurrentState", { deviceId: "2437871205", msgType: "Rfid", modNum: 4 });
+  console.log("Null state for unknown module:", response && response.result.state === null ? "✓" : "✗");
+  response = await call(3, "getModuleStats", { deviceId: "2437871205", msgType: "Rfid", modNum: "1" });
+  console.log("Module stats:", response && response.result.stats.totalChanges === 2 && response.result.modNum === 1 ? "✓" : "✗");
+  response = await call(4, "getCurrentState", { deviceId: "2437871205", msgType: "Gps", modNum: 1 });
+  console.log("Unknown msgType is invalid params:", response && response.error.code === -32602 ? "✓" : "✗", response && response.error);
+  response = await call(5, "getCurrentState", { deviceId: "2437871205" });
+  console.log("Missing params reported:", response && response.error.code === -32602 && response.error.message.includes("msgType, modNum") ? "✓" : "✗");
+
+  console.log("\nTesting history...");
+  response = await call(6, "getHistory", { deviceId: "2437871205" });
+  console.log("Latest history:", response && response.result.count === 1 && response.result.history[0].msg_type === "TempHum" ? "✓" : "✗");
+  response = await call(7, "getHistory", { deviceId: "2437871205", msgType: "Noise", modNum: "2" });
+  console.log("Filtered range:", response && response.result.history[0].mod_num === 2 ? "✓" : "✗");
+  response = await call(8, "getHistory", { deviceId: "2437871205", from: "yesterday" });
+  console.log("Invalid range is invalid params:", response && response.error.code === -32602 ? "✓" : "✗");
+
+  console.log("\nTesting commands...");
+  server.log.recordMessage({ deviceId: "2437871205", deviceType: "V5008", msgType: "Heartbeat", payload: [] });
+  response = await call(9, "sendCommand", { deviceId: "2437871205", command: "queryColor", modNum: 1 });
+  console.log("Device type from seen messages:", response && response.result.deviceType === "V5008" && response.result.commandId === "cmd_1" ? "✓" : "✗", response);
+  response = await call(10, "sendCommand", { deviceId: "1111111111", command: "queryColor" });
+  console.log("Unknown device needs deviceType:", response && response.error.code === -32602 ? "✓" : "✗");
+  response = await call(11, "sendCommand", { deviceId: "2437871205", command: "queryColor", wait: true });
+  console.log("Wait for the answer:", response && response.result.status === "answered" ? "✓" : "✗");
+  response = await call(12, "sendCommand", { deviceId: "offline", deviceType: "V5008", command: "queryColor", wait: true });
+  console.log("Timeout reported:", response && response.error.code === -32002 && response.error.data.commandId === "cmd_3" ? "✓" : "✗", response && response.error);
+  response = await call(13, "sendCommand", { deviceId: "2437871205", command: "reboot" });
+  console.log("Invalid command is invalid params:", response && response.error.code === -32602 ? "✓" : "✗");
+  response = await call("timeout", "sendCommand", { deviceId: "2437871205", command: "queryColor", wait: true, timeout: "soon" });
+  console.log("Invalid timeout is invalid params:", response && response.error.code === -32602 && response.error.message.includes("timeout") ? "✓" : "✗");
+  response = await call(14, "getCommand", { commandId: "cmd_1" });
+  console.log("Command status:", response && response.result.status === "sent" && response.result.topic === "V5008/2437871205/cmd" ? "✓" : "✗");
+  response = await call(15, "getCommand", { commandId: "cmd_99" });
+  console.log("Unknown command not found:", response && response.error.code === -32001 ? "✓" : "✗");
+  response = await call(16, "getDeviceCommands", { deviceId: "2437871205" });
+  console.log("Device commands:", response && response.result.count === 2 ? "✓" : "✗");
+
+  console.log("\nTesting protocol...");
+  response = await call(17, "restart", {});
+  console.log("Unknown method:", response && response.error.code === -32601 ? "✓" : "✗");
+  ws.request({ jsonrpc: "2.0", id: 18, method: "getHistory", params: ["2437871205"] });
+  await tick();
+  console.log("Positional params rejected:", ws.response(18) && ws.response(18).error.code === -32602 ? "✓" : "✗");
+  ws.request([{ jsonrpc: "2.0", id: 19, method: "getHistory" }]);
+  await tick();
+  console.log("Batch rejected:", ws.last().jsonrpc === "2.0" && ws.last().id === null && ws.last().error.code === -32600 ? "✓" : "✗");
+
+  const count = ws.received.length;
+  ws.request({ jsonrpc: "2.0", method: "sendCommand", params: { deviceId: "2437871205", command: "queryColor" } });
+  await tick();
+  console.log("Notification gets no response:", ws.received.length === count && commandManager.sent.length === 4 ? "✓" : "✗");
+
+  ws.request({ jsonrpc: "2.0", id: 20, method: "getHistory", params: { deviceId: "2437871205" } });
+  ws.request({ jsonrpc: "2.0", id: 21, method: "getCurrentState", params: { deviceId: "2437871205", msgType: "Rfid", modNum: 1 } });
+  await tick();
+  console.log("Concurrent requests correlated by id:",
+    ws.response(20) && ws.response(20).result.history && ws.response(21) && ws.response(21).result.state ? "✓" : "✗");
+
+  ws.request({ type: "subscriptions" });
+  console.log("Typed requests still answered:", ws.last().type === "subscriptions" ? "✓" : "✗");
+
+  const bare = new WebSocketServer({ stateManagers });
+  response = await bare.rpc.handle({ jsonrpc: "2.0", id: 1, method: "getHistory", params: { deviceId: "2437871205" } });
+  console.log("Missing component reported:", response.error.code === -32000 && response.error.message === "Database not available" ? "✓" : "✗");
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});
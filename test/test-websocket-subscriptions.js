@@ -0,0 +1,105 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const WebSocketServer = require('../modules/api/WebSocketServer');
+const BroadcastLog = require('../modules/api/BroadcastLog');
+const SubscriptionFilter = require('../modules/api/SubscriptionFilter');
+
+// Client connection that records what the server sends
+function fakeClient() {
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.received = [];
+  ws.send = (data) => ws.received.push(JSON.parse(data));
+  ws.close = () => {};
+  ws.request = (message) => ws.emit("message", Buffer.from(JSON.stringify(message)));
+  ws.last = () => ws.received[ws.received.length - 1];
+  return ws;
+}
+
+function connect(server) {
+  const ws = fakeClient();
+  server.wss.emit("connection", ws);
+  return ws;
+}
+
+const message = (deviceId, msgType, modNum, deviceType = "V5008") => ({ deviceId, deviceType, msgType, modNum, payload: [] });
+const alert = (deviceId, category, modNum = 1) => ({ id: `alert_${deviceId}`, deviceId, deviceType: "V5008", modNum, category, severity: "warning" });
+
+function run() {
+  console.log("Testing filters...");
+  const filter = new SubscriptionFilter({ deviceId: "2437*", msgType: ["TempHum", "Noise"], modNum: 1 });
+  console.log("All fields must match:", filter.matches({ deviceId: "2437871205", msgType: "Noise", modNum: 1 }) ? "✓" : "✗");
+  console.log("Wildcard prefix:", !filter.matches({ deviceId: "9437871205", msgType: "Noise", modNum: 1 }) ? "✓" : "✗");
+  console.log("List of values:", !filter.matches({ deviceId: "2437871205", msgType: "Rfid", modNum: 1 }) ? "✓" : "✗");
+  console.log("Number and string values alike:", new SubscriptionFilter({ modNum: "2" }).matches({ modNum: 2 }) ? "✓" : "✗");
+  console.log("Missing field does not match:", !new SubscriptionFilter({ category: "*" }).matches({ deviceId: "x" }) ? "✓" : "✗");
+  console.log("Wildcard keeps dots literal:", !new SubscriptionFilter({ deviceType: "V5.0*" }).matches({ deviceType: "V5008" }) ? "✓" : "✗");
+  try {
+    new SubscriptionFilter({ topic: "x" });
+    console.log("Unknown field rejected: ✗");
+  } catch (error) {
+    console.log("Unknown field rejected:", error.message.startsWith("Unknown subscription field: topic") ? "✓" : "✗");
+  }
+
+  console.log("\nTesting subscriptions...");
+  const server = new WebSocketServer({ maxSubscriptions: 2, broadcastLog: new BroadcastLog() });
+  server.wss = new EventEmitter();
+  server.setupEventHandlers();
+
+  const dashboard = connect(server);
+  const everything = connect(server);
+
+  dashboard.request({ type: "subscribe", id: "temps", filter: { deviceId: "2437871205", msgType: "TempHum" } });
+  const ack = dashboard.last();
+  console.log("Subscription acknowledged:",
+    ack.type === "subscribed" && ack.id === "temps" && ack.subscriptions.length === 1 && ack.subscriptions[0].filter.msgType === "TempHum" ? "✓" : "✗", ack);
+
+  dashboard.request({ type: "subscribe", filter: { category: "temperature" } });
+  const generated = dashboard.last();
+  console.log("Id generated when missing:", generated.type === "subscribed" && generated.id.startsWith("sub_") && generated.subscriptions.length === 2 ? "✓" : "✗");
+
+  dashboard.request({ type: "subscribe", filter: { deviceId: "*" } });
+  console.log("Subscription limit:", dashboard.last().type === "error" && dashboard.last().error.includes("At most 2") ? "✓" : "✗");
+  dashboard.request({ type: "subscribe", id: "bad", filter: { modNum: { gt: 1 } } });
+  console.log("Invalid filter rejected:", dashboard.last().type === "error" && dashboard.last().id === "bad" ? "✓" : "✗");
+
+  dashboard.received = [];
+  everything.received = [];
+  server.log.recordMessage(message("2437871205", "TempHum", 1));
+  server.log.recordMessage(message("2437871205", "Noise", 1));
+  server.log.recordMessage(message("9999999999", "TempHum", 1));
+  server.log.recordAlertRaised(alert("9999999999", "temperature"));
+  server.log.recordAlertRaised(alert("2437871205", "humidity"));
+  console.log("Only matching messages pushed:",
+    dashboard.received.length === 2 && dashboard.received[0].msgType === "TempHum" && dashboard.received[1].type === "alert.raised" &&
+    dashboard.received[1].alert.category === "temperature" ? "✓" : "✗", dashboard.received.map(m => m.type || m.msgType));
+  console.log("Clients without subscriptions get everything:", everything.received.length === 5 ? "✓" : "✗");
+
+  dashboard.request({ type: "subscriptions" });
+  console.log("Active subscriptions listed:", dashboard.last().type === "subscriptions" && dashboard.last().subscriptions.length === 2 ? "✓" : "✗");
+
+  dashboard.request({ type: "unsubscribe", id: "temps" });
+  console.log("Unsubscribe acknowledged:",
+    dashboard.last().type === "unsubscribed" && dashboard.last().ids.join() === "temps" && dashboard.last().subscriptions.length === 1 ? "✓" : "✗");
+  dashboard.request({ type: "unsubscribe", id: "temps" });
+  console.log("Unknown subscription reported:", dashboard.last().type === "error" ? "✓" : "✗");
+  dashboard.request({ type: "unsubscribe" });
+  console.log("Unsubscribe all:", dashboard.last().ids.length === 1 && dashboard.last().subscriptions.length === 0 ? "✓" : "✗");
+  console.log("Stats count subscriptions:", server.getStats().subscriptions === 0 && server.getStats().connectedClients === 2 ? "✓" : "✗");
+
+  console.log("\nTesting requireSubscription...");
+  const strict = new WebSocketServer({ requireSubscription: true, broadcastLog: new BroadcastLog() });
+  strict.wss = new EventEmitter();
+  strict.setupEventHandlers();
+  const quiet = connect(strict);
+  strict.log.recordMessage(message("2437871205", "TempHum", 1));
+  console.log("Nothing before subscribing:", quiet.received.every(m => m.type === "session") ? "✓" : "✗");
+  quiet.request({ type: "subscribe", id: "all", filter: {} });
+  strict.log.recordMessage(message("2437871205", "TempHum", 1));
+  console.log("Empty filter matches everything:", quiet.last().msgType === "TempHum" ? "✓" : "✗");
+
+  quiet.emit("close");
+  console.log("Subscriptions dropped on close:", strict.subscriptions.size === 0 ? "✓" : "✗");
+}
+
+run();
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WriteSpool = require('../modules/storage/WriteSpool');
+const WriteBuffer = require('../modules/storage/WriteBuffer');
+const DatabaseManager = require('../modules/database/DatabaseManager');
+
+const message = (n) => ({ deviceId: "2437871205", msgType: "TempHum", ts: `2025-03-01T10:00:0${n % 10}.000Z`, payload: { n } });
+
+// Store whose availability and failures can be switched, recording saved batches
+function fakeStore() {
+  const store = {
+    isEnabled: true,
+    failing: false,
+    batches: [],
+    async saveBatch(messages) {
+      if (store.failing) {
+        throw new Error("connect ECONNREFUSED 127.0.0.1:3306");
+      }
+      store.batches.push(messages.map(m => m.payload.n));
+    },
+    async saveHistory(message) {
+      if (store.failing) {
+        throw new Error("connect ECONNREFUSED 127.0.0.1:3306");
+      }
+      store.batches.push([message.payload.n]);
+    }
+  };
+  return store;
+}
+
+async function run() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "spool-"));
+
+  try {
+    console.log("Testing spool segments...");
+    const spoolDir = path.join(directory, "segments");
+    const spool = new WriteSpool({ directory: spoolDir, segmentBytes: 150, maxBytes: 100000 });
+    await spool.initialize();
+    await spool.append([message(1), message(2)]);
+    await spool.append([message(3)]);
+    console.log("Depth counted:", spool.getDepth() === 3 ? "✓" : "✗");
+    console.log("New segment past segmentBytes:", spool.segments.length === 2 ? "✓" : "✗", spool.segments.map(s => s.bytes));
+
+    const reopened = new WriteSpool({ directory: spoolDir, segmentBytes: 150 });
+    await reopened.initialize();
+    console.log("Segments picked up after restart:", reopened.getDepth() === 3 && reopened.segments.length === 2 ? "✓" : "✗");
+
+    const stats = reopened.getStats();
+    console.log("Age reported:", stats.oldestAt && stats.ageMs >= 0 && stats.depth === 3 ? "✓" : "✗", stats);
+
+    try {
+      await reopened.drainOldest(async () => { throw new Error("still down"); });
+      console.log("Failed drain reported: ✗");
+    } catch (error) {
+      console.log("Failed drain keeps segment:", reopened.getDepth() === 3 && fs.readdirSync(spoolDir).length === 2 ? "✓" : "✗");
+    }
+
+    const drained = [];
+    await reopened.drainOldest(async messages => drained.push(messages.map(m => m.payload.n)));
+    await reopened.drainOldest(async messages => drained.push(messages.map(m => m.payload.n)));
+    console.log("Drained oldest first:", JSON.stringify(drained) === "[[1,2],[3]]" ? "✓" : "✗", drained);
+    console.log("Drained segments deleted:", reopened.isEmpty() && fs.readdirSync(spoolDir).length === 0 ? "✓" : "✗");
+
+    console.log("\nTesting size cap...");
+    const capped = new WriteSpool({ directory: path.join(directory, "capped"), segmentBytes: 100, maxBytes: 300 });
+    await capped.initialize();
+    for (let n = 0; n < 8; n++) {
+      await capped.append([message(n)]);
+    }
+    const kept = [];
+    while (!capped.isEmpty()) {
+      await capped.drainOldest(async messages => kept.push(...messages.map(m => m.payload.n)));
+    }
+    console.log("Oldest evicted first:", capped.evicted > 0 && kept[kept.length - 1] === 7 && kept[0] === capped.evicted ? "✓" : "✗", kept, capped.evicted);
+
+    fs.writeFileSync(path.join(directory, "capped", "000000000099-1740823200000.ndjson"), JSON.stringify(message(5)) + '\n{"deviceId":"24378');
+    await capped.initialize();
+    const recovered = [];
+    await capped.drainOldest(async messages => recovered.push(...messages));
+    console.log("Cut-off line skipped:", recovered.length === 1 ? "✓" : "✗");
+
+    console.log("\nTesting write buffer...");
+    const store = fakeStore();
+    store.isEnabled = false;
+    const buffer = new WriteBuffer({ dbStore: store, flushInterval: 60000, maxRetries: 1, spool: { directory: path.join(directory, "buffer") } });
+    await buffer.initialize();
+
+    await buffer.push(message(1));
+    await buffer.flush();
+    console.log("Spooled while database disabled:", buffer.getStats().spool.depth === 1 && store.batches.length === 0 ? "✓" : "✗");
+
+    store.isEnabled = true;
+    store.failing = true;
+    await buffer.push(message(2));
+    await buffer.flush();
+    console.log("Spooled without retrying while spool is not empty:", buffer.getStats().spool.depth === 2 && buffer.getStats().spool.lastDrainError ? "✓" : "✗");
+
+    store.failing = false;
+    await buffer.push(message(3));
+    await buffer.flush();
+    console.log("Drained in order before new batch:", JSON.stringify(store.batches) === "[[1],[2],[3]]" ? "✓" : "✗", store.batches);
+    console.log("Spool empty afterwards:", buffer.getStats().spool.depth === 0 && buffer.getStats().spool.lastDrainError === null ? "✓" : "✗");
+
+    store.batches = [];
+    store.failing = true;
+    await buffer.push(message(4));
+    await buffer.flush();
+    console.log("Failed write spooled after retries:", buffer.getStats().spool.depth === 1 && buffer.getBufferSize() === 0 ? "✓" : "✗");
+
+    store.failing = false;
+    store.isEnabled = false;
+    await buffer.push(message(5));
+    await buffer.shutdown();
+    console.log("Buffer spooled on shutdown:", buffer.spool.getDepth() === 2 ? "✓" : "✗");
+
+    console.log("\nTesting database reconnect...");
+    // MySQL pool that refuses connections while the server is down and records inserts
+    const server = { down: true, inserts: 0 };
+    const pool = {
+      async getConnection() {
+        if (server.down) {
+          throw new Error("connect ECONNREFUSED 127.0.0.1:3306");
+        }
+        return { ping: async () => {}, release: () => {} };
+      },
+      async query(sql, values) {
+        server.inserts += values.length / 10;
+        return [[]];
+      },
+      async end() {}
+    };
+    const database = new DatabaseManager({ reconnectInterval: 20 });
+    database.createPool = async () => pool;
+    database.runMigrations = async () => {};
+    database.testTable = async () => {};
+    database.checkTimeSeriesTables = async () => {};
+    await database.initialize();
+    console.log("Disabled while MySQL is down:", !database.isEnabled && database.getStorageBackend() === null ? "✓" : "✗");
+
+    const reconnecting = new WriteBuffer({ database, flushInterval: 60000, spool: { directory: path.join(directory, "reconnect") } });
+    await reconnecting.initialize();
+    await reconnecting.push(message(1));
+    await reconnecting.flush();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    console.log("Still spooling while down:", reconnecting.getStats().spool.depth === 1 && !database.isEnabled ? "✓" : "✗");
+
+    server.down = false;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    console.log("Reconnected:", database.isEnabled && database.getStorageBackend() === database ? "✓" : "✗");
+    await reconnecting.push(message(2));
+    await reconnecting.flush();
+    console.log("Spool drained after reconnect:", reconnecting.getStats().spool.depth === 0 && server.inserts === 2 ? "✓" : "✗", server.inserts);
+    await reconnecting.shutdown();
+    await database.shutdown();
+
+    const withoutSpool = new WriteBuffer({ dbStore: null, flushInterval: 60000, spool: { enabled: false } });
+    await withoutSpool.initialize();
+    await withoutSpool.push(message(1));
+    console.log("Dropped without spool:", withoutSpool.getBufferSize() === 0 && withoutSpool.getStats().spool.enabled === false ? "✓" : "✗");
+    await withoutSpool.shutdown();
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+run().catch(error => {
+  console.error("Test failed:", error);
+  process.exit(1);
+});